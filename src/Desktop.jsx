@@ -5,12 +5,13 @@
  * KEYBOARD SHORTCUTS:
  *   Ctrl+S          → Save session to localStorage
  *   Ctrl+Alt+S      → Export session as ZIP
- *   Ctrl+Alt+I      → Import session ZIP
+ *   Ctrl+Alt+Shift+S → Export session and every file as ZIP
+ *   Ctrl+Alt+I      → Import session ZIP (previews what it restores)
  *   Ctrl+A          → Open/close Notification Panel (Android-style)
  *   Ctrl (×2)       → Double-tap Ctrl → Toggle Start Menu
  *   Ctrl+N          → New Folder dialog on desktop
  *   Ctrl+Alt+N      → New File dialog on desktop
- *   Ctrl+K / ⌘K     → Search overlay
+ *   Ctrl+K / ⌘K     → Search overlay (apps, plus file names and contents)
  *   Ctrl+W          → Close active window
  *   Ctrl+M          → Minimize active window
  *   Ctrl+Shift+A    → Select all desktop icons
@@ -19,8 +20,10 @@
  *   F5              → Refresh
  *
  * ARCHITECTURE:
- *   - VirtualFileSystem (IndexedDB) initialised here, passed to all apps
+ *   - VirtualFileSystem (IndexedDB, other storage mounted under /mnt) initialised here, passed to all apps
+ *   - CloudSync keeps the home folder in step with the server while Cloud Sync is on (Quick Settings)
  *   - Apps live in ./apps/*.jsx  (FileManager, TextEditor, SettingsApp …)
+ *   - Items dragged out of the File Manager (./dnd.js) drop onto the desktop, its icons, windows and taskbar buttons
  *   - All OS chrome (taskbar, windows, overlays) lives in this file only
  */
 
@@ -36,7 +39,7 @@ import {
   Battery, Wifi, WifiOff, Search, X, ChevronLeft, 
   Trash2, Edit3, Info, RefreshCw, RotateCw,
   FolderPlus, FilePlus, Power, Lock, Palette,
-  Maximize, Minimize, HardDrive, Cloud, UploadCloud, DownloadCloud,
+  Maximize, Minimize, HardDrive, Cloud, CloudOff, CloudAlert, UploadCloud, DownloadCloud,
   Layers, XSquare, File, Image as ImageIcon, Music,
   Pin, PinOff, BellOff, Sun, Bluetooth, Airplay,
   LayoutGrid, Save, FolderOpen, AlertCircle, CheckCircle,
@@ -53,28 +56,926 @@ import PdfViewer     from './apps/PdfViewer.jsx';
 import CalculatorApp from './apps/Calculator.jsx';
 import ImageViewer   from './apps/ImageViewer.jsx';
 import Terminal      from './apps/Terminal.jsx';
+import { API_BASE } from './tunnel';
+import { isVfsDrag, getDragPaths, dropEffect, SPRING_MS } from './dnd';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // VIRTUAL FILE SYSTEM  (IndexedDB backend — shared across all apps)
 // ═══════════════════════════════════════════════════════════════════════════════
+
+/* ── File content encoding ──
+ * Every file record carries `encoding` ('utf8' text or 'binary') and `mime`;
+ * `size` is always the length in bytes. The bytes themselves live in the
+ * `chunks` store, never on the record, so get() and list() stay cheap.
+ */
+const MIME_TYPES = {
+  txt:'text/plain', log:'text/plain', md:'text/markdown', csv:'text/csv',
+  html:'text/html', htm:'text/html', css:'text/css', xml:'application/xml',
+  js:'text/javascript', jsx:'text/javascript', ts:'text/typescript', json:'application/json',
+  py:'text/x-python', java:'text/x-java', sh:'application/x-sh', url:'text/uri-list',
+  m3u:'audio/x-mpegurl', m3u8:'audio/x-mpegurl', pls:'audio/x-scpls',
+  png:'image/png', jpg:'image/jpeg', jpeg:'image/jpeg', gif:'image/gif', webp:'image/webp',
+  svg:'image/svg+xml', bmp:'image/bmp', ico:'image/x-icon', avif:'image/avif',
+  mp3:'audio/mpeg', wav:'audio/wav', ogg:'audio/ogg', flac:'audio/flac', aac:'audio/aac',
+  m4a:'audio/mp4', opus:'audio/ogg', mp4:'video/mp4', webm:'video/webm',
+  pdf:'application/pdf', zip:'application/zip', tar:'application/x-tar', gz:'application/gzip', tgz:'application/gzip',
+};
+const mimeFor = (name, fallback) =>
+  MIME_TYPES[(name || '').split('.').pop().toLowerCase()] || fallback || 'application/octet-stream';
+const isTextMime = mime => /^text\/|json|javascript|xml|x-sh|mpegurl|scpls/.test(mime || '');
+
+const utf8Encoder = new TextEncoder();
+const utf8Strict  = new TextDecoder('utf-8', { fatal: true });
+const isUtf8 = bytes => { try { utf8Strict.decode(bytes); return true; } catch { return false; } };
+
+/** Normalise string / ArrayBuffer / typed array / Blob into { bytes, encoding, mime }. */
+const encodeContent = async (data, name, mime) => {
+  mime = mime || mimeFor(name, data instanceof Blob ? data.type : '');
+  if (data instanceof Blob) data = await data.arrayBuffer();
+  if (data == null || typeof data === 'string') return { bytes: utf8Encoder.encode(data || ''), encoding: 'utf8', mime };
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  return { bytes, encoding: isTextMime(mime) && isUtf8(bytes) ? 'utf8' : 'binary', mime };
+};
+
+const sameBytes = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+/** Pre-v3 records stored everything as strings; uploads came in as data: URLs. */
+const legacyContent = item => {
+  const raw  = typeof item.content === 'string' ? item.content : '';
+  const text = mime => ({ bytes: utf8Encoder.encode(raw), encoding: 'utf8', mime });
+  const m    = raw.match(/^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,/);
+  if (!m) return text(mimeFor(item.name));
+  const mime = m[1] || mimeFor(item.name);
+  const body = raw.slice(m[0].length);
+  try {
+    if (!m[3]) return { bytes: utf8Encoder.encode(decodeURIComponent(body)), encoding: 'utf8', mime };
+    const bin   = atob(body.replace(/\s/g, ''));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return { bytes, encoding: 'binary', mime };
+  } catch { return text(mime); }
+};
+
+/* ── Chunk store ──
+ * File data is split into CHUNK_SIZE pieces keyed [dataId, n]. Every write
+ * gets a fresh dataId and swaps it onto the record in the same transaction,
+ * so readers never see a half-written file; the old chunks are dropped then.
+ */
+const CHUNK_SIZE = 1024 * 1024;
+const newDataId  = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const chunkRange = id => IDBKeyRange.bound([id, 0], [id, Infinity]);
+
+const putChunks = (store, id, bytes) => {
+  const count = Math.ceil(bytes.length / CHUNK_SIZE);
+  for (let n = 0; n < count; n++) store.put({ id, n, data: bytes.slice(n * CHUNK_SIZE, (n + 1) * CHUNK_SIZE).buffer });
+  return count;
+};
+
+// Duplicate a file's chunks one at a time under a new dataId (inside the caller's transaction)
+const cloneChunks = (store, from, to) => new Promise((res, rej) => {
+  const r = store.openCursor(chunkRange(from));
+  r.onsuccess = () => {
+    const cur = r.result;
+    if (!cur) { res(); return; }
+    store.put({ ...cur.value, id: to });
+    cur.continue();
+  };
+  r.onerror = () => rej(r.error);
+});
+
+const joinChunks = (chunks, size) => {
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const c of chunks) { out.set(new Uint8Array(c.data), at); at += c.data.byteLength; }
+  return out;
+};
+
+/* ── Paths, requests and errors ── */
+const joinPath    = (dir, name) => (dir === '/' ? `/${name}` : `${dir}/${name}`);
+const parentOf    = path => path.slice(0, path.lastIndexOf('/')) || '/';
+const subtreeKeys = path => IDBKeyRange.bound(`${path}/`, `${path}/\uffff`); // every descendant of a folder
+const req = r => new Promise((res, rej) => { r.onsuccess = () => res(r.result); r.onerror = () => rej(r.error); });
+
+// Run fn(tx) in one readwrite transaction on `db` and resolve with its result once
+// committed. fn may await requests on `tx` (and nothing else); anything it throws
+// aborts the transaction, rolling back every write it made.
+const transact = (db, stores, fn) => new Promise((res, rej) => {
+  const tx = db.transaction(stores, 'readwrite');
+  let out, failure;
+  tx.oncomplete = () => res(out);
+  tx.onabort    = () => rej(failure || tx.error);
+  Promise.resolve().then(() => fn(tx)).then(
+    (v) => { out = v; },
+    (e) => { failure = e; try { tx.abort(); } catch { rej(e); } },
+  );
+});
+
+const ERRNO = {
+  ENOENT:  'No such file or directory',
+  EEXIST:  'File exists',
+  ENOTDIR: 'Not a directory',
+  EISDIR:  'Is a directory',
+  EINVAL:  'Invalid argument',
+  EACCES:  'Permission denied',
+  EPERM:   'Operation not permitted',
+  ENOTEMPTY: 'Directory not empty',
+  EBUSY:   'Device or resource busy',
+  EXDEV:   'Cross-device link',
+  EIO:     'Input/output error',
+  ENOTSUP: 'Operation not supported',
+};
+
+/** Filesystem error with a POSIX-style `code` (ENOENT, EEXIST, ENOTDIR, …). */
+class VfsError extends Error {
+  constructor(code, path) {
+    super(`${path}: ${ERRNO[code] || code}`);
+    this.name = 'VfsError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/* ── Users, modes and access checks ──
+ * `permissions` is a Unix mode string for owner, group and other ('rwxr-xr-x').
+ * Checks run against `vfs.user`; root passes every one. The seeded system
+ * folders can't be deleted, moved or renamed by anyone.
+ */
+const USERS = { root: ['wheel'], admin: ['staff'] };  // account → groups (first is primary)
+const DEFAULT_MODE = { folder: 'rwxr-xr-x', file: 'rw-r--r--' };
+const SYSTEM_DIRS = [
+  ['/',                        null,               'root'],
+  ['/Users',                   '/',                'root'],
+  ['/Users/Admin',             '/Users',           'admin'],
+  ['/Users/Admin/Desktop',     '/Users/Admin',     'admin'],
+  ['/Users/Admin/Documents',   '/Users/Admin',     'admin'],
+  ['/Users/Admin/Downloads',   '/Users/Admin',     'admin'],
+  ['/Users/Admin/Pictures',    '/Users/Admin',     'admin'],
+  ['/Users/Admin/Music',       '/Users/Admin',     'admin'],
+  ['/Users/Admin/Videos',      '/Users/Admin',     'admin'],
+  ['/System',                  '/',                'root'],
+  ['/mnt',                     '/',                'root'],
+  ['/.Trash',                  '/',                'admin'],
+];
+const TRASH_DIR = '/.Trash';
+const BACKUP_DIR = '/Users/Admin/Backups';  // scheduled backups land here, and are never backed up themselves
+const PROTECTED = new Set(SYSTEM_DIRS.map(([path]) => path));
+
+// Seeded into a new filesystem
+const README_PATH = '/Users/Admin/Documents/readme.txt';
+const README = `Welcome to LynkOS v4!\n\nKeyboard Shortcuts (File Manager):\n  Ctrl+C  Copy\n  Ctrl+X  Cut\n  Ctrl+V  Paste\n  Ctrl+A  Select All\n  Del     Delete\n  F2      Rename\n  F5      Refresh\n  Ctrl+N  New Folder\n  Backspace  Go Up\n\nDesktop Shortcuts:\n  Ctrl+S        Save Session\n  Ctrl+Alt+S    Export ZIP\n  Ctrl+Alt+I    Import ZIP\n  Ctrl+A        Notifications\n  Ctrl+Ctrl     Start Menu\n  Ctrl+N        New Folder\n  Ctrl+Alt+N    New File`;
+
+const ownerOf = item => item.owner || 'admin';
+const groupOf = item => item.group || USERS[ownerOf(item)]?.[0] || 'staff';
+// v4 records only carry the owner triad ('rwx' / 'rw-'); group and other get it read-only
+const modeOf  = item => {
+  const p = item.permissions || DEFAULT_MODE[item.type] || DEFAULT_MODE.file;
+  if (p.length === 9) return p;
+  const u = p.slice(0, 3).padEnd(3, '-');
+  return u + `${u[0]}-${u[2]}`.repeat(2);
+};
+
+// Apply a chmod spec — octal ('755'), a full mode ('rw-r-----') or symbolic
+// ('u+x,go-w', 'a=r') — to `mode`. Returns null for a spec it can't parse.
+const parseMode = (spec, mode) => {
+  spec = String(spec);
+  if (/^[0-7]{3,4}$/.test(spec)) return [...spec.slice(-3)].map(d => 'rwx'.replace(/./g, (c, i) => (d & (4 >> i) ? c : '-'))).join('');
+  if (/^([r-][w-][x-]){3}$/.test(spec)) return spec;
+  const bits = [...mode];
+  for (const clause of spec.split(',')) {
+    const m = clause.match(/^([ugoa]*)([-+=])([rwx]*)$/);
+    if (!m) return null;
+    for (const who of new Set((m[1] || 'a').replace('a', 'ugo'))) {
+      const at = 'ugo'.indexOf(who) * 3;
+      [...'rwx'].forEach((c, i) => {
+        if (m[2] === '=') bits[at + i] = m[3].includes(c) ? c : '-';
+        else if (m[3].includes(c)) bits[at + i] = m[2] === '+' ? c : '-';
+      });
+    }
+  }
+  return bits.join('');
+};
+
+// Does `user` hold every bit in `want` ('r', 'wx', …) on `item`?
+const allowed = (item, user, want) => {
+  if (user === 'root') return true;
+  const at = ownerOf(item) === user ? 0 : USERS[user]?.includes(groupOf(item)) ? 3 : 6;
+  const bits = modeOf(item).slice(at, at + 3);
+  return [...want].every(c => bits.includes(c));
+};
+
+const ancestorsOf = path => {
+  const out = [];
+  for (let p = path; p !== '/';) out.push(p = parentOf(p));
+  return out;
+};
+
+// Fetch `path` inside a transaction after checking search (x) on every folder
+// above it and `want` on the item itself. Throws ENOENT or EACCES.
+const access = async (files, path, user, want) => {
+  const [item, ...dirs] = await Promise.all([path, ...ancestorsOf(path)].map(p => req(files.get(p))));
+  if (dirs.some(d => d && !allowed(d, user, 'x'))) throw new VfsError('EACCES', path);
+  if (!item) throw new VfsError('ENOENT', path);
+  if (!allowed(item, user, want)) throw new VfsError('EACCES', path);
+  return item;
+};
+
+// Resolve to a folder `user` may create and remove entries in, or throw ENOENT / ENOTDIR / EACCES
+const requireDir = async (files, path, user) => {
+  const dir = await access(files, path, user, '');
+  if (dir.type !== 'folder') throw new VfsError('ENOTDIR', path);
+  if (!allowed(dir, user, 'wx')) throw new VfsError('EACCES', path);
+  return dir;
+};
+
+// First of "name", "name (1).ext", "name (2).ext", … in `dir` that `exists(path)` says is free
+const freeName = async (exists, dir, name) => {
+  const ext  = name.includes('.') ? '.' + name.split('.').pop() : '';
+  const base = ext ? name.slice(0, -ext.length) : name;
+  let free = name;
+  for (let n = 1; await exists(joinPath(dir, free)); n++) free = `${base} (${n})${ext}`;
+  return free;
+};
+
+// Re-key `src` and its whole subtree under `destPath` (inside the caller's transaction),
+// merging `fields` into the moved record. File data is keyed by dataId, so no bytes move.
+const relocateIn = async (files, src, destPath, fields = {}) => {
+  const moved = { ...src, ...fields, path: destPath, name: destPath.slice(destPath.lastIndexOf('/') + 1), parent: parentOf(destPath), modified: Date.now() };
+  const kids  = src.type === 'folder' ? await req(files.getAll(subtreeKeys(src.path))) : [];
+  files.delete(src.path);
+  if (kids.length) files.delete(subtreeKeys(src.path));
+  files.put(moved);
+  for (const k of kids) {
+    files.put({ ...k, path: destPath + k.path.slice(src.path.length), parent: destPath + k.parent.slice(src.path.length) });
+  }
+  return moved;
+};
+
+/* ── Archives ──
+ * ZIP is read with JSZip (entry sizes from its central directory); tar is parsed
+ * here, and gzip (.tar.gz, .tgz, a lone .gz) is undone with the browser's
+ * DecompressionStream. readArchive() returns a Map of inner path → { path, name,
+ * type, size, modified, read() → Uint8Array }, folders the archive leaves implicit
+ * included. Formats are told apart by their bytes.
+ */
+const ARCHIVE_EXT = /\.(zip|tar|tgz|tar\.gz|gz)$/i;
+const archiveStem = name => name.replace(ARCHIVE_EXT, '') || name;
+
+const gunzip = async bytes => new Uint8Array(await new Response(
+  new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer());
+
+// Names inside an archive are untrusted: "." and leading "/" are dropped, ".." refused
+const entryPath = raw => {
+  const parts = raw.replaceAll('\\', '/').split('/').filter(p => p && p !== '.');
+  return parts.includes('..') ? null : parts.join('/');
+};
+
+const tarField = (bytes, at, len) => new TextDecoder().decode(bytes.subarray(at, at + len)).replace(/\0[^]*$/, '');
+const tarOctal = (bytes, at, len) => parseInt(tarField(bytes, at, len).trim() || '0', 8);
+const isTar    = bytes => bytes.length >= 512 && tarField(bytes, 257, 5) === 'ustar';
+
+// Uncompressed size of every ZIP entry by name, from the central directory (JSZip doesn't
+// expose them); a ZIP64 size comes from the entry's 0x0001 extra field
+const zipSizes = bytes => {
+  const out  = new Map();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;  // end-of-central-directory record, before an up to 64 KB comment
+  while (end >= 0 && end >= bytes.length - 22 - 0xffff && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0 || end < bytes.length - 22 - 0xffff) return out;
+  for (let at = view.getUint32(end + 16, true), n = view.getUint16(end + 10, true); n > 0 && at + 46 <= bytes.length; n--) {
+    if (view.getUint32(at, true) !== 0x02014b50) break;
+    const nameLen = view.getUint16(at + 28, true), extra = at + 46 + nameLen, extraEnd = extra + view.getUint16(at + 30, true);
+    let size = view.getUint32(at + 24, true);
+    if (size === 0xffffffff) {
+      size = undefined;
+      for (let x = extra; x + 12 <= extraEnd && x + 12 <= bytes.length; x += 4 + view.getUint16(x + 2, true)) {
+        if (view.getUint16(x, true) === 1) { size = Number(view.getBigUint64(x + 4, true)); break; }
+      }
+    }
+    out.set(new TextDecoder().decode(bytes.subarray(at + 46, extra)), size);
+    at = extraEnd + view.getUint16(at + 32, true);
+  }
+  return out;
+};
+
+// pax extended header: "<length> <key>=<value>\n" records, length in bytes
+const paxRecords = data => {
+  const out = {};
+  for (let at = 0; at < data.length;) {
+    const sp  = data.indexOf(32, at);
+    const len = parseInt(tarField(data, at, sp - at), 10);
+    if (sp < 0 || !(len > 0)) break;
+    const rec = tarField(data, sp + 1, len - (sp - at) - 2);
+    out[rec.slice(0, rec.indexOf('='))] = rec.slice(rec.indexOf('=') + 1);
+    at += len;
+  }
+  return out;
+};
+
+// Files and folders of a ustar / GNU / pax tar; links and devices are skipped
+const readTar = bytes => {
+  const out = [];
+  let long = null, pax = {};
+  for (let at = 0; at + 512 <= bytes.length;) {
+    const head = bytes.subarray(at, at + 512);
+    if (!head.some(b => b)) break;  // end-of-archive block
+    const size = tarOctal(head, 124, 12);
+    const flag = String.fromCharCode(head[156] || 48);
+    const data = bytes.subarray(at + 512, at + 512 + size);
+    at += 512 + Math.ceil(size / 512) * 512;
+    if (flag === 'L') { long = tarField(data, 0, size); continue; }
+    if (flag === 'x') { pax = paxRecords(data); continue; }
+    const prefix = tarField(head, 257, 5) === 'ustar' ? tarField(head, 345, 155) : '';
+    const name   = pax.path || long || (prefix ? `${prefix}/` : '') + tarField(head, 0, 100);
+    const modified = Math.round((Number(pax.mtime) || tarOctal(head, 136, 12)) * 1000);
+    long = null;
+    pax  = {};
+    if (flag === '5') out.push({ name, type: 'folder', size: 0, modified });
+    else if (flag === '0' || flag === '7') out.push({ name, type: 'file', size, modified, read: async () => data.slice() });
+  }
+  return out;
+};
+
+const readArchive = async (bytes, name) => {
+  const entries = new Map();
+  const add = ({ name: raw, type, size, modified, read }) => {
+    const path = entryPath(raw);
+    if (!path) return;
+    const parts = path.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+      if (!entries.has(dir)) entries.set(dir, { path: dir, name: parts[i - 1], type: 'folder', size: 0, modified });
+    }
+    if (type === 'file' || !entries.has(path)) entries.set(path, { path, name: parts.at(-1), type, size, modified, read });
+  };
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    bytes = await gunzip(bytes);
+    if (!isTar(bytes) && !/\.(tgz|tar\.gz)$/i.test(name)) {
+      const data = bytes;  // a single gzipped file
+      add({ name: archiveStem(name), type: 'file', size: data.length, modified: Date.now(), read: async () => data });
+      return entries;
+    }
+  }
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    const zip   = await JSZip.loadAsync(bytes);
+    const sizes = zipSizes(bytes);
+    for (const f of Object.values(zip.files)) {
+      add({ name: f.name, type: f.dir ? 'folder' : 'file', size: f.dir ? 0 : sizes.get(f.name), modified: f.date.getTime(), read: () => f.async('uint8array') });
+    }
+  } else if (isTar(bytes) || /\.(tar|tgz|tar\.gz)$/i.test(name)) readTar(bytes).forEach(add);
+  else throw new VfsError('ENOTSUP', name);
+  return entries;
+};
+
+/* ── Revisions and snapshots ──
+ * Every file carries an `ino` that survives rename, move and trash. When a text
+ * file's data is replaced, the old chunks are kept as a revision of that ino
+ * instead of being dropped, pruned to the meta 'revisionLimit'. A snapshot is a
+ * copy of a folder tree's records with its own clone of every file's chunks.
+ */
+const REVISION_LIMIT = { count: 20, days: 0 };  // days: 0 = no age limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `prev`'s data is being replaced: keep it as a revision if it's text, else drop its chunks
+const retire = async (tx, prev) => {
+  const chunks = tx.objectStore('chunks');
+  const revs   = tx.objectStore('revisions');
+  const meta   = await req(tx.objectStore('meta').get('revisionLimit'));
+  const { count, days } = { ...REVISION_LIMIT, ...meta?.value };
+  if (prev.encoding !== 'utf8' || !count) { chunks.delete(chunkRange(prev.dataId)); return; }
+  revs.add({ ino: prev.ino, path: prev.path, at: prev.modified, size: prev.size, dataId: prev.dataId, chunks: prev.chunks, mime: prev.mime, encoding: prev.encoding });
+  const cutoff = days ? Date.now() - days * DAY_MS : -Infinity;
+  const kept   = (await req(revs.index('ino').getAll(prev.ino))).sort((a, b) => b.at - a.at || b.id - a.id);
+  kept.forEach((r, i) => {
+    if (i < count && r.at >= cutoff) return;
+    chunks.delete(chunkRange(r.dataId));
+    revs.delete(r.id);
+  });
+};
+
+// Drop every revision of `ino` along with its chunks
+const dropRevisions = async (tx, ino) => {
+  const revs = tx.objectStore('revisions');
+  for (const r of await req(revs.index('ino').getAll(ino))) {
+    tx.objectStore('chunks').delete(chunkRange(r.dataId));
+    revs.delete(r.id);
+  }
+};
+
+// Storage breakdown buckets, matched against a file's mime type in order
+const FILE_KINDS = [
+  ['Images',    /^image\//],
+  ['Audio',     /^audio\/(?!x-mpegurl|x-scpls)/],
+  ['Video',     /^video\//],
+  ['Archives',  /zip|x-tar|gzip|x-7z|x-rar/],
+  ['Documents', /^text\/|json|javascript|xml|x-sh|pdf|mpegurl|scpls/],
+];
+const kindOf = item => FILE_KINDS.find(([, re]) => re.test(item.mime || ''))?.[0] || 'Other';
+
+// Revision / snapshot record without its chunk bookkeeping, for listing
+const revisionInfo = ({ id, at, size, mime, path }) => ({ id, at, size, mime, path });
+const snapshotInfo = ({ id, root, name, at, owner, items }) => ({
+  id, root, name, at, owner, count: items.length, size: items.reduce((n, it) => n + (it.size || 0), 0),
+});
+
+/* ── Full-text index ──
+ * An inverted index over text file contents, keyed by ino so rename, move and
+ * trash never touch it. `postings` holds one [term, ino] entry per distinct
+ * word of a file (its count and word positions, for phrases); `docs` holds
+ * each indexed file's term list so it can be unindexed. Every content write
+ * re-indexes the file in the same transaction as the write itself.
+ */
+const INDEX_STORES    = ['files', 'chunks', 'postings', 'docs'];
+const INDEX_MAX_BYTES = 2 * 1024 * 1024;  // larger text files are only found by name
+const MAX_POSITIONS   = 1000;             // per term per file; phrases past this aren't matched
+const WORD = /[\p{L}\p{N}_]+/gu;
+const wordsOf = text => text.toLowerCase().match(WORD) || [];
+
+const unindex = async (tx, ino) => {
+  const docs = tx.objectStore('docs');
+  const doc  = await req(docs.get(ino));
+  if (!doc) return;
+  for (const term of doc.terms) tx.objectStore('postings').delete([term, ino]);
+  docs.delete(ino);
+};
+
+// (Re-)index `file` from its chunks as written so far in this transaction
+const reindex = async (tx, file) => {
+  await unindex(tx, file.ino);
+  if (file.type !== 'file' || file.encoding !== 'utf8' || !file.dataId || file.size > INDEX_MAX_BYTES) return;
+  const bytes = joinChunks(await req(tx.objectStore('chunks').getAll(chunkRange(file.dataId))), file.size);
+  const words = wordsOf(new TextDecoder().decode(bytes));
+  const terms = new Map();  // term → { tf, pos }
+  words.forEach((w, i) => {
+    if (w.length > 64) return;
+    const t = terms.get(w) || terms.set(w, { tf: 0, pos: [] }).get(w);
+    t.tf++;
+    if (t.pos.length < MAX_POSITIONS) t.pos.push(i);
+  });
+  const postings = tx.objectStore('postings');
+  for (const [term, { tf, pos }] of terms) postings.put({ term, ino: file.ino, tf, pos });
+  tx.objectStore('docs').put({ ino: file.ino, terms: [...terms.keys()], words: words.length });
+};
+
+/**
+ * Parse a search query: bare words (all must match), "exact phrases", prefix*,
+ * /regex/flags, ext:md,txt and modified: filters — 7d / 12h (within the last…),
+ * 2024-05 or 2024-05-01 (that month / day), >2024-05-01, <2024-05-01, today.
+ */
+const parseQuery = query => {
+  const q = { terms: [], phrases: [], regexes: [], exts: [], after: -Infinity, before: Infinity };
+  for (const [, phrase, src, flags, word] of query.matchAll(/"([^"]*)"?|\/((?:[^/\\]|\\.)+)\/([a-z]*)|(\S+)/g)) {
+    if (src) {
+      try { q.regexes.push(new RegExp(src, flags.replace('g', ''))); }
+      catch { throw new VfsError('EINVAL', `/${src}/${flags}`); }
+    } else if (word?.startsWith('ext:')) {
+      q.exts.push(...word.slice(4).toLowerCase().split(',').filter(Boolean).map(e => e.replace(/^\./, '')));
+    } else if (word?.startsWith('modified:')) {
+      const [after, before] = parseWhen(word.slice(9));
+      q.after  = Math.max(q.after, after);
+      q.before = Math.min(q.before, before);
+    } else {
+      const text   = phrase ?? word;
+      const prefix = !phrase && text.endsWith('*');
+      const words  = wordsOf(text);
+      if (words.length > 1) q.phrases.push(words);
+      else if (words.length) q.terms.push({ word: words[0], prefix });
+    }
+  }
+  return q;
+};
+
+// modified: spec → [after, before] in ms
+const parseWhen = spec => {
+  const now = Date.now();
+  const rel = spec.match(/^(\d+)([hdwmy])$/);
+  if (rel) return [now - rel[1] * { h: 1 / 24, d: 1, w: 7, m: 30, y: 365 }[rel[2]] * DAY_MS, Infinity];
+  if (spec === 'today') return [new Date().setHours(0, 0, 0, 0), Infinity];
+  const [, op = '', y, m, d] = spec.match(/^([<>]?)(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/) || [];
+  if (!y) throw new VfsError('EINVAL', `modified:${spec}`);
+  const start = new Date(y, (m || 1) - 1, d || 1).getTime();
+  const end   = d ? new Date(y, m - 1, +d + 1).getTime() : m ? new Date(y, m, 1).getTime() : new Date(+y + 1, 0, 1).getTime();
+  return op === '>' ? [end, Infinity] : op === '<' ? [-Infinity, start] : [start, end];
+};
+
+// ±SNIPPET_CONTEXT characters around the first match, with [start, end] ranges of every match in it
+const SNIPPET_CONTEXT = 60;
+const snippetOf = (text, patterns) => {
+  const hits = patterns.flatMap(re => [...text.matchAll(new RegExp(re.source, re.flags.replace('g', '') + 'g'))]
+    .filter(m => m[0]).map(m => [m.index, m.index + m[0].length]))
+    .sort((a, b) => a[0] - b[0]);
+  const from = Math.max(0, (hits[0]?.[0] ?? 0) - SNIPPET_CONTEXT);
+  const to   = Math.min(text.length, (hits[0]?.[1] ?? 0) + SNIPPET_CONTEXT * 2);
+  const lead = from > 0 ? '…' : '';
+  return {
+    text: lead + text.slice(from, to).replace(/\s/g, ' ') + (to < text.length ? '…' : ''),
+    hits: hits.filter(([a, b]) => a >= from && b <= to).map(([a, b]) => [a - from + lead.length, b - from + lead.length]),
+  };
+};
+
+/* ── Storage backends and the mount table ──
+ * The built-in IndexedDB store holds "/" and everything not mounted elsewhere,
+ * with permissions, revisions, snapshots, the Trash and the search index. Any
+ * other storage is a backend mounted at /mnt/<name> (mount(), mountBackend(),
+ * attach()): paths below a mount point go to its backend and never touch the
+ * database, so they have none of those extras. The mount point itself is an
+ * ordinary folder record flagged `mount`. `new VirtualFileSystem({ backend })`
+ * puts a backend at "/" instead and never opens the database — a MemoryBackend
+ * there gives apps (and tests) a throwaway filesystem.
+ *
+ * A backend addresses entries by `parts`, the names below its own root ([] is
+ * the root itself), and implements:
+ *   stat(parts)         → { type: 'file' | 'folder', size, modified, mime }, or null if missing
+ *   list(parts)         → [{ name, type, size, modified, mime }] of a folder
+ *   read(parts)         → a Blob of the file's bytes
+ *   write(parts, bytes) → stat of the file, created or replaced, in an existing folder
+ *   mkdir(parts)        — a new folder, in an existing folder
+ *   remove(parts)       — a file or a whole folder
+ *   rename(from, to)    — to a free name, in an existing folder
+ *   permission(prompt)  → whether the page may use it now, asking the user first if `prompt`
+ * plus `kind`, a `label` to show, and config() — what BACKENDS[kind] needs to
+ * rebuild it after a reload, or null if it can't outlive the page. Failures are
+ * VfsErrors or DOMExceptions; the VFS reports them against its own paths.
+ */
+const MNT_DIR = '/mnt';
+
+// File System Access API failures (DOMException names) → errno
+const HOST_ERRNO = {
+  NotFoundError: 'ENOENT', TypeMismatchError: 'ENOTDIR', InvalidModificationError: 'ENOTEMPTY',
+  NotAllowedError: 'EACCES', SecurityError: 'EACCES', NoModificationAllowedError: 'EACCES',
+};
+const HTTP_ERRNO = { 401: 'EACCES', 403: 'EACCES', 404: 'ENOENT', 409: 'EEXIST' };
+const backendError = (e, path) => new VfsError(e instanceof VfsError ? e.code : HOST_ERRNO[e?.name] || 'EIO', path);
+
+const keyOf = parts => parts.join('/');
+
+/** Files kept in a Map for as long as the page is open. */
+export class MemoryBackend {
+  constructor(label = 'Memory') {
+    this.kind  = 'memory';
+    this.label = label;
+    this.nodes = new Map([['', { type: 'folder', modified: Date.now() }]]);  // keyOf(parts) → node
+  }
+
+  _stat(node) { return { type: node.type, size: node.bytes?.length || 0, modified: node.modified }; }
+
+  _node(parts, type) {
+    const node = this.nodes.get(keyOf(parts));
+    if (!node) throw new VfsError('ENOENT', keyOf(parts));
+    if (type && node.type !== type) throw new VfsError(type === 'folder' ? 'ENOTDIR' : 'EISDIR', keyOf(parts));
+    return node;
+  }
+
+  async permission() { return true; }
+
+  async stat(parts) {
+    const node = this.nodes.get(keyOf(parts));
+    return node ? this._stat(node) : null;
+  }
+
+  async list(parts) {
+    this._node(parts, 'folder');
+    const prefix = parts.length ? `${keyOf(parts)}/` : '';
+    return [...this.nodes]
+      .filter(([key]) => key && key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+      .map(([key, node]) => ({ name: key.slice(prefix.length), ...this._stat(node) }));
+  }
+
+  async read(parts) { return new Blob([this._node(parts, 'file').bytes]); }
+
+  async write(parts, bytes) {
+    this._node(parts.slice(0, -1), 'folder');
+    if (this.nodes.get(keyOf(parts))?.type === 'folder') throw new VfsError('EISDIR', keyOf(parts));
+    const node = { type: 'file', bytes: bytes.slice(), modified: Date.now() };
+    this.nodes.set(keyOf(parts), node);
+    return this._stat(node);
+  }
+
+  async mkdir(parts) {
+    this._node(parts.slice(0, -1), 'folder');
+    if (this.nodes.has(keyOf(parts))) throw new VfsError('EEXIST', keyOf(parts));
+    this.nodes.set(keyOf(parts), { type: 'folder', modified: Date.now() });
+  }
+
+  async remove(parts) {
+    this._node(parts);
+    for (const key of [...this.nodes.keys()]) {
+      if (key === keyOf(parts) || key.startsWith(`${keyOf(parts)}/`)) this.nodes.delete(key);
+    }
+  }
+
+  async rename(from, to) {
+    this._node(from);
+    this._node(to.slice(0, -1), 'folder');
+    if (this.nodes.has(keyOf(to))) throw new VfsError('EEXIST', keyOf(to));
+    for (const [key, node] of [...this.nodes]) {
+      if (key !== keyOf(from) && !key.startsWith(`${keyOf(from)}/`)) continue;
+      this.nodes.delete(key);
+      this.nodes.set(keyOf(to) + key.slice(keyOf(from).length), node);
+    }
+  }
+
+  config() { return null; }
+}
+
+/**
+ * A FileSystemDirectoryHandle: a folder on this computer picked with
+ * showDirectoryPicker() (kind 'handle'), or the origin private file system
+ * (kind 'opfs'). Handles survive a reload, but a picked folder needs the
+ * user's say-so again before the first access (reconnect()).
+ */
+export class HandleBackend {
+  constructor(handle, kind = 'handle') {
+    this.handle = handle;
+    this.kind   = kind;
+    this.label  = kind === 'opfs' ? 'Private Storage' : handle.name;
+  }
+
+  async permission(prompt = false) {
+    if (!this.handle.queryPermission) return true;  // OPFS handles never ask
+    const mode = { mode: 'readwrite' };
+    if (await this.handle.queryPermission(mode) === 'granted') return true;
+    return prompt && await this.handle.requestPermission(mode) === 'granted';
+  }
+
+  async dir(parts) {
+    let dir = this.handle;
+    for (const p of parts) dir = await dir.getDirectoryHandle(p);
+    return dir;
+  }
+
+  // The file or directory handle at `parts`
+  async entry(parts) {
+    if (!parts.length) return this.handle;
+    const dir = await this.dir(parts.slice(0, -1));
+    return dir.getFileHandle(parts.at(-1)).catch(e => {
+      if (e.name !== 'TypeMismatchError') throw e;
+      return dir.getDirectoryHandle(parts.at(-1));
+    });
+  }
+
+  async _stat(entry) {
+    if (entry.kind !== 'file') return { type: 'folder', size: 0, modified: 0 };
+    const file = await entry.getFile();
+    return { type: 'file', size: file.size, modified: file.lastModified, mime: file.type };
+  }
+
+  async stat(parts) {
+    const entry = await this.entry(parts).catch(e => { if (e.name === 'NotFoundError') return null; throw e; });
+    return entry && this._stat(entry);
+  }
+
+  async list(parts) {
+    const out = [];
+    for await (const entry of (await this.dir(parts)).values()) out.push({ name: entry.name, ...await this._stat(entry) });
+    return out;
+  }
+
+  async read(parts) {
+    const entry = await this.entry(parts);
+    if (entry.kind !== 'file') throw new VfsError('EISDIR', keyOf(parts));
+    return entry.getFile();
+  }
+
+  async write(parts, bytes) {
+    const handle   = await (await this.dir(parts.slice(0, -1))).getFileHandle(parts.at(-1), { create: true });
+    const writable = await handle.createWritable();
+    try { await writable.write(bytes); }
+    catch (e) { await writable.abort(); throw e; }
+    await writable.close();
+    return this._stat(handle);
+  }
+
+  async mkdir(parts) {
+    await (await this.dir(parts.slice(0, -1))).getDirectoryHandle(parts.at(-1), { create: true });
+  }
+
+  async remove(parts) {
+    await (await this.dir(parts.slice(0, -1))).removeEntry(parts.at(-1), { recursive: true });
+  }
+
+  // Copy then remove: FileSystemHandle.move() isn't available everywhere
+  async rename(from, to) {
+    await this._copy(from, to);
+    await this.remove(from);
+  }
+
+  async _copy(from, to) {
+    const entry = await this.entry(from);
+    if (entry.kind === 'file') { await this.write(to, await entry.getFile()); return; }
+    await this.mkdir(to);
+    for (const { name } of await this.list(from)) await this._copy([...from, name], [...to, name]);
+  }
+
+  config() { return this.kind === 'opfs' ? {} : { handle: this.handle }; }
+}
+
+/** Files in a separate IndexedDB database of their own, one record per entry. */
+export class IndexedDBBackend {
+  constructor(dbName) {
+    this.kind   = 'idb';
+    this.label  = dbName;
+    this.dbName = dbName;
+    this._db    = null;
+  }
+
+  _open() {
+    this._db ??= new Promise((res, rej) => {
+      const r = indexedDB.open(this.dbName, 1);
+      r.onupgradeneeded = () => r.result.createObjectStore('entries', { keyPath: 'key' }).createIndex('parent', 'parent', { unique: false });
+      r.onsuccess = () => res(r.result);
+      r.onerror   = () => rej(r.error);
+    });
+    return this._db;
+  }
+
+  async _get(parts) {
+    if (!parts.length) return { type: 'folder', modified: 0 };
+    return req((await this._open()).transaction(['entries'], 'readonly').objectStore('entries').get(keyOf(parts)));
+  }
+
+  _stat(entry) { return { type: entry.type, size: entry.bytes?.length || 0, modified: entry.modified }; }
+
+  // Inside a transaction: throw unless `parts` is an existing folder
+  async _folder(store, parts) {
+    if (!parts.length) return;
+    const dir = await req(store.get(keyOf(parts)));
+    if (!dir) throw new VfsError('ENOENT', keyOf(parts));
+    if (dir.type !== 'folder') throw new VfsError('ENOTDIR', keyOf(parts));
+  }
+
+  // Put a new entry for `parts` after checking its folder
+  async _put(parts, fields, replace) {
+    return transact(await this._open(), ['entries'], async tx => {
+      const store = tx.objectStore('entries');
+      await this._folder(store, parts.slice(0, -1));
+      const prev = await req(store.get(keyOf(parts)));
+      if (prev && !replace) throw new VfsError('EEXIST', keyOf(parts));
+      if (prev?.type === 'folder') throw new VfsError('EISDIR', keyOf(parts));
+      const entry = { key: keyOf(parts), parent: keyOf(parts.slice(0, -1)), modified: Date.now(), ...fields };
+      store.put(entry);
+      return this._stat(entry);
+    });
+  }
+
+  async permission() { return true; }
+
+  async stat(parts) {
+    const entry = await this._get(parts);
+    return entry ? this._stat(entry) : null;
+  }
+
+  async list(parts) {
+    const dir = await this._get(parts);
+    if (!dir) throw new VfsError('ENOENT', keyOf(parts));
+    if (dir.type !== 'folder') throw new VfsError('ENOTDIR', keyOf(parts));
+    const kids = await req((await this._open()).transaction(['entries'], 'readonly').objectStore('entries').index('parent').getAll(keyOf(parts)));
+    return kids.map(entry => ({ name: entry.key.slice(entry.key.lastIndexOf('/') + 1), ...this._stat(entry) }));
+  }
+
+  async read(parts) {
+    const entry = await this._get(parts);
+    if (!entry) throw new VfsError('ENOENT', keyOf(parts));
+    if (entry.type !== 'file') throw new VfsError('EISDIR', keyOf(parts));
+    return new Blob([entry.bytes]);
+  }
+
+  async write(parts, bytes) { return this._put(parts, { type: 'file', bytes: bytes.slice() }, true); }
+
+  async mkdir(parts) { await this._put(parts, { type: 'folder' }, false); }
+
+  async remove(parts) {
+    await transact(await this._open(), ['entries'], async tx => {
+      const store = tx.objectStore('entries');
+      if (!(await req(store.get(keyOf(parts))))) throw new VfsError('ENOENT', keyOf(parts));
+      store.delete(keyOf(parts));
+      store.delete(subtreeKeys(keyOf(parts)));
+    });
+  }
+
+  async rename(from, to) {
+    await transact(await this._open(), ['entries'], async tx => {
+      const store = tx.objectStore('entries');
+      const src   = await req(store.get(keyOf(from)));
+      if (!src) throw new VfsError('ENOENT', keyOf(from));
+      await this._folder(store, to.slice(0, -1));
+      if (await req(store.get(keyOf(to)))) throw new VfsError('EEXIST', keyOf(to));
+      const moving = [src, ...await req(store.getAll(subtreeKeys(keyOf(from))))];
+      store.delete(keyOf(from));
+      store.delete(subtreeKeys(keyOf(from)));
+      for (const entry of moving) {
+        const key = keyOf(to) + entry.key.slice(keyOf(from).length);
+        store.put({ ...entry, key, parent: key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : '' });
+      }
+    });
+  }
+
+  config() { return { dbName: this.dbName }; }
+}
+
+/**
+ * A folder on a web server, over plain HTTP (`headers` go with every request,
+ * e.g. an Authorization token):
+ *   GET    <url>/<path>             the file's bytes
+ *   GET    <url>/<path>?stat        JSON { type, size, modified, mime }
+ *   GET    <url>/<path>?list        JSON [{ name, type, size, modified, mime }] of a folder
+ *   PUT    <url>/<path>             create or replace a file with the request body
+ *   POST   <url>/<path>?mkdir       create a folder
+ *   DELETE <url>/<path>             remove a file or a whole folder
+ *   POST   <url>/<path>?move=<to>   rename; <to> is relative to <url>
+ * Path segments are URL-encoded. 404 means ENOENT, 401 / 403 EACCES and 409 EEXIST.
+ */
+export class HttpBackend {
+  constructor(url, { headers = {} } = {}) {
+    this.kind    = 'http';
+    this.url     = url.replace(/\/+$/, '');
+    this.label   = this.url.replace(/^[a-z]+:\/\//i, '');
+    this.headers = headers;
+  }
+
+  async _fetch(parts, query = '', init = {}) {
+    const res = await fetch(`${this.url}/${parts.map(encodeURIComponent).join('/')}${query}`, { ...init, headers: this.headers });
+    if (!res.ok) throw new VfsError(HTTP_ERRNO[res.status] || 'EIO', keyOf(parts));
+    return res;
+  }
+
+  async permission() { return true; }
+
+  async stat(parts) {
+    return this._fetch(parts, '?stat').then(r => r.json(), e => { if (e.code === 'ENOENT') return null; throw e; });
+  }
+
+  async list(parts) { return (await this._fetch(parts, '?list')).json(); }
+
+  async read(parts) { return (await this._fetch(parts)).blob(); }
+
+  async write(parts, bytes) {
+    await this._fetch(parts, '', { method: 'PUT', body: bytes });
+    return this.stat(parts);
+  }
+
+  async mkdir(parts)  { await this._fetch(parts, '?mkdir', { method: 'POST' }); }
+  async remove(parts) { await this._fetch(parts, '', { method: 'DELETE' }); }
+
+  async rename(from, to) {
+    await this._fetch(from, `?move=${encodeURIComponent(keyOf(to))}`, { method: 'POST' });
+  }
+
+  config() { return { url: this.url, headers: this.headers }; }
+}
+
+// How a persisted mount is rebuilt after a reload: kind → (config) => backend.
+// mountBackend() makes new ones the same way.
+const BACKENDS = {
+  memory: ()              => new MemoryBackend(),
+  handle: ({ handle })    => new HandleBackend(handle),
+  opfs:   async ()        => new HandleBackend(await navigator.storage.getDirectory(), 'opfs'),
+  idb:    ({ dbName })    => new IndexedDBBackend(dbName),
+  http:   ({ url, headers }) => new HttpBackend(url, { headers }),
+};
+
+// Does watcher `w` see a change at `path`: the path itself, a child (any descendant when
+// recursive), or a folder above it that was moved or deleted out from under it
+const watches = (w, path) => path === w.path
+  || (w.recursive ? w.path === '/' || path.startsWith(`${w.path}/`) : parentOf(path) === w.path)
+  || w.path.startsWith(`${path}/`);
+
+// Stores a content write touches: _swap may turn the old data into a revision, and re-indexes
+const SAVE_STORES = ['files', 'chunks', 'revisions', 'meta', 'postings', 'docs'];
+
 export class VirtualFileSystem {
-  constructor() {
+  // `backend` puts the whole filesystem on that backend instead of IndexedDB
+  constructor({ backend = null } = {}) {
     this.dbName   = 'LynkOS_VFS_v4';
     this.db       = null;
+    this.root     = backend;  // null: "/" is the IndexedDB store
     this.clipboard          = null;
     this.clipboardOperation = null;
     this.favorites   = new Set();
     this.recentFiles = [];
-    this._ready = this._initDB();
+    this.user        = 'admin';  // account every permission check runs as — see as()
+    this._watchers   = new Set();
+    this._hashes     = new Map();    // dataId → SHA-256 hex; a dataId's bytes never change
+    this.mounts      = new Map();    // mount point path → backend
+    this._meta       = new Map();    // getMeta() / setMeta() when there's no database
+    // Other tabs on the same database hear about changes through this channel
+    this._channel = backend || typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(`${this.dbName}:changes`);
+    if (this._channel) this._channel.onmessage = async e => {
+      // Another tab mounted or unmounted something — pick up its handle first
+      if (e.data.some(ev => ev.item?.mount)) await this._loadMounts();
+      this._deliver(e.data.map(ev => ({ ...ev, remote: true })));
+    };
+    this._ready = backend ? Promise.resolve() : this._initDB();
   }
 
   _initDB() {
     return new Promise((resolve, reject) => {
-      const req = indexedDB.open(this.dbName, 2);
+      const req = indexedDB.open(this.dbName, 7);
       req.onerror = () => reject(req.error);
       req.onsuccess = () => {
         this.db = req.result;
-        Promise.all([this._loadFavorites(), this._loadRecent()]).then(resolve);
+        Promise.all([this._loadFavorites(), this._loadRecent(), this._loadMounts(true)]).then(resolve);
       };
       req.onupgradeneeded = (e) => {
         const db = e.target.result;
@@ -87,29 +988,97 @@ export class VirtualFileSystem {
         if (!db.objectStoreNames.contains('meta')) {
           db.createObjectStore('meta', { keyPath: 'key' });
         }
+        if (!db.objectStoreNames.contains('chunks')) {
+          db.createObjectStore('chunks', { keyPath: ['id', 'n'] });
+        }
+        // v6: past versions of text files (by ino) and folder snapshots (by root path)
+        if (!db.objectStoreNames.contains('revisions')) {
+          db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true }).createIndex('ino', 'ino', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true }).createIndex('root', 'root', { unique: false });
+        }
+        // v7: full-text index; files are found by ino, which every file now has.
+        // A new database is indexed as files are written; an upgraded one is rebuilt on start-up
+        if (!db.objectStoreNames.contains('postings')) {
+          db.createObjectStore('postings', { keyPath: ['term', 'ino'] });
+          db.createObjectStore('docs', { keyPath: 'ino' });
+          e.target.transaction.objectStore('files').createIndex('ino', 'ino', { unique: false });
+          if (!e.oldVersion) e.target.transaction.objectStore('meta').put({ key: 'searchIndexed', value: true });
+        }
+        // v4: move inline `content` (v2 strings, v3 string / ArrayBuffer) into chunks
+        // v5: full owner / group / other modes and an explicit group
+        // v7: an ino on every file
+        if (e.oldVersion && e.oldVersion < 7) {
+          const tx = e.target.transaction;
+          tx.objectStore('files').openCursor().onsuccess = (ev) => {
+            const cur = ev.target.result;
+            if (!cur) return;
+            const { content, ...rest } = cur.value;
+            let item = rest;
+            if (item.type === 'file' && !item.ino) item.ino = newDataId();
+            if (item.type === 'file' && !item.dataId) {
+              const data = !item.encoding ? legacyContent(cur.value)
+                : { ...item, bytes: typeof content === 'string' ? utf8Encoder.encode(content) : new Uint8Array(content || 0) };
+              const dataId = newDataId();
+              const chunks = putChunks(tx.objectStore('chunks'), dataId, data.bytes);
+              item = { ...item, encoding: data.encoding, mime: data.mime, size: data.bytes.length, dataId, chunks };
+            }
+            cur.update({ ...item, permissions: modeOf(item), group: groupOf(item) });
+            cur.continue();
+          };
+        }
       };
     });
   }
 
+  // One readwrite transaction on the database — see transact()
+  _write(stores, fn) { return transact(this.db, stores, fn); }
+
+  // Put `saved` in this transaction (SAVE_STORES), retiring the data of the file it
+  // replaces — a text file's becomes a revision. The file keeps its ino across saves.
+  async _swap(tx, saved, replace) {
+    const files = tx.objectStore('files');
+    const prev  = await req(files.get(saved.path));
+    if (prev?.type === 'folder') throw new VfsError('EISDIR', saved.path);
+    if (prev && !replace) throw new VfsError('EEXIST', saved.path);
+    if (prev) await access(files, saved.path, this.user, 'w');
+    else await requireDir(files, saved.parent, this.user);
+    const ino = prev?.ino || saved.ino || newDataId();
+    if (prev?.dataId && prev.dataId !== saved.dataId) await retire(tx, { ...prev, ino });
+    files.put({ ...saved, ino });
+    await reindex(tx, { ...saved, ino });
+    return { ...saved, ino };
+  }
+
+  // Store `bytes` under a fresh dataId and point `record` at it. Saving the bytes the
+  // file already holds keeps its data, so it doesn't turn into a revision of itself.
+  _save(record, bytes, replace = false) {
+    return this._write(SAVE_STORES, async tx => {
+      const prev = replace ? await req(tx.objectStore('files').get(record.path)) : null;
+      if (prev?.dataId && prev.size === bytes.length
+        && sameBytes(joinChunks(await req(tx.objectStore('chunks').getAll(chunkRange(prev.dataId))), prev.size), bytes)) {
+        return this._swap(tx, { ...record, size: bytes.length, dataId: prev.dataId, chunks: prev.chunks }, replace);
+      }
+      const dataId = newDataId();
+      const chunks = putChunks(tx.objectStore('chunks'), dataId, bytes);
+      return this._swap(tx, { ...record, size: bytes.length, dataId, chunks }, replace);
+    });
+  }
+
   async _ready_() { if (!this.db) await this._ready; }
 
+  // Read-only view of the files store, for permission checks ahead of a write
+  _files() { return this.db.transaction(['files'], 'readonly').objectStore('files'); }
+
+  // Mode and ownership for a record the current user creates
+  _owned(type) { return { permissions: DEFAULT_MODE[type], owner: this.user, group: USERS[this.user][0] }; }
+
   /* ── bootstrap default folder tree ── */
   async initializeFileSystem() {
     await this._ready_();
+    if (this.root) return this._seedBackend();
     const now  = Date.now();
-    const dirs = [
-      ['/',                        null,               'root'],
-      ['/Users',                   '/',                'root'],
-      ['/Users/Admin',             '/Users',           'admin'],
-      ['/Users/Admin/Desktop',     '/Users/Admin',     'admin'],
-      ['/Users/Admin/Documents',   '/Users/Admin',     'admin'],
-      ['/Users/Admin/Downloads',   '/Users/Admin',     'admin'],
-      ['/Users/Admin/Pictures',    '/Users/Admin',     'admin'],
-      ['/Users/Admin/Music',       '/Users/Admin',     'admin'],
-      ['/Users/Admin/Videos',      '/Users/Admin',     'admin'],
-      ['/System',                  '/',                'root'],
-      ['/mnt',                     '/',                'root'],
-    ];
 
     const tx    = this.db.transaction(['files'], 'readwrite');
     const store = tx.objectStore('files');
@@ -119,173 +1088,1297 @@ export class VirtualFileSystem {
       r.onsuccess = () => { if (!r.result) store.add(obj); res(); };
     });
 
-    for (const [path, parent, owner] of dirs) {
-      await put({ path, name: path.split('/').pop() || '/', type: 'folder', parent, size: 0, created: now, modified: now, permissions: parent ? 'rwx' : 'rwx', owner });
+    for (const [path, parent, owner] of SYSTEM_DIRS) {
+      await put({ path, name: path.split('/').pop() || '/', type: 'folder', parent, size: 0, created: now, modified: now, permissions: DEFAULT_MODE.folder, owner, group: USERS[owner][0] });
+    }
+
+    await new Promise(res => { tx.oncomplete = res; });
+
+    // A database from before the full-text index gets it built in the background
+    if (!(await this.getMeta('searchIndexed'))) this.rebuildIndex().catch(() => {});
+
+    // seed readme
+    if (await this.get(README_PATH)) return;
+    await this._save({
+      path: README_PATH, name: 'readme.txt', type: 'file',
+      parent: '/Users/Admin/Documents', encoding: 'utf8', mime: 'text/plain',
+      created: now, modified: now, permissions: DEFAULT_MODE.file, owner: 'admin', group: 'staff',
+    }, utf8Encoder.encode(README));
+  }
+
+  // The same tree on a root backend, which keeps no ownership or modes
+  async _seedBackend() {
+    for (const [path, parent] of SYSTEM_DIRS) {
+      if (parent && !(await this.get(path))) await this.createFolder(parent, path.slice(path.lastIndexOf('/') + 1));
+    }
+    if (!(await this.get(README_PATH))) await this.root.write(README_PATH.split('/').slice(1), utf8Encoder.encode(README));
+  }
+
+  /* ── CRUD ── */
+  async list(parent) {
+    await this._ready_();
+    const on = this._mounted(parent, true);
+    if (on) {
+      const items = await this._onBackend(on, parent, async (b, parts) =>
+        (await b.list(parts)).map(({ name, ...st }) => this._record(joinPath(parent, name), st)));
+      if (this.db || parent !== TRASH_DIR) return items;
+      const trashed = (await this.getMeta('trashed')) || {};
+      return items.map(it => ({ ...it, ...trashed[it.path] }));
+    }
+    const files = this._files();
+    const dir   = await access(files, parent, this.user, '').catch(e => { if (e.code === 'ENOENT') return null; throw e; });
+    if (dir?.type !== 'folder') return [];
+    if (!allowed(dir, this.user, 'rx')) throw new VfsError('EACCES', parent);
+    return req(files.index('parent').getAll(parent));
+  }
+
+  async get(path) {
+    await this._ready_();
+    const on = this._mounted(path);
+    if (on) {
+      return this._onBackend(on, path, async (b, parts) => { const st = await b.stat(parts); return st && this._record(path, st); })
+        .catch(e => { if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return null; throw e; });
+    }
+    return new Promise((res, rej) => {
+      const r = this.db.transaction(['files'], 'readonly').objectStore('files').get(path);
+      r.onsuccess = () => res(r.result || null);
+      r.onerror   = () => rej(r.error);
+    });
+  }
+
+  async createFolder(parent, name) {
+    await this._ready_();
+    const path   = joinPath(parent, name);
+    const on     = this._mounted(parent, true);
+    if (on) {
+      const made = await this._onBackend(on, path, async (b, parts) => {
+        parts = [...parts, name];
+        if (await b.stat(parts)) throw new VfsError('EEXIST', path);
+        await b.mkdir(parts);
+        return this._record(path, await b.stat(parts));
+      });
+      this._emit({ type: 'create', path, item: made });
+      return made;
+    }
+    const folder = { path, name, type:'folder', parent, size:0, created:Date.now(), modified:Date.now(), ...this._owned('folder') };
+    await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      await requireDir(files, parent, this.user);
+      if (await req(files.get(path))) throw new VfsError('EEXIST', path);
+      files.add(folder);
+    });
+    this._emit({ type: 'create', path, item: folder });
+    return folder;
+  }
+
+  async createFile(parent, name, content = '', mime) {
+    await this._ready_();
+    const path = joinPath(parent, name);
+    const { bytes, ...data } = await encodeContent(content, name, mime);
+    const on   = this._mounted(parent, true);
+    const file = on ? await this._onBackend(on, path, async (b, parts) => {
+      parts = [...parts, name];
+      if (await b.stat(parts)) throw new VfsError('EEXIST', path);
+      return this._record(path, await b.write(parts, bytes));
+    }) : await this._save({ path, name, type:'file', parent, ...data, created:Date.now(), modified:Date.now(), ...this._owned('file') }, bytes);
+    this._emit({ type: 'create', path, item: file });
+    this.addToRecent(file);
+    return file;
+  }
+
+  async updateFile(path, updates) {
+    const item = await this.get(path);
+    if (!item) return null;
+    const on = this._mounted(path);
+    if (on) {
+      // Only the bytes can change on a backend; the other fields follow from them
+      if (!('content' in updates)) return item;
+      const { bytes } = await encodeContent(updates.content, item.name, updates.mime || item.mime);
+      const saved = await this._onBackend(on, path, async (b, parts) => this._record(path, await b.write(parts, bytes)));
+      this._emit({ type: 'modify', path, item: saved });
+      return saved;
+    }
+    // Mode and ownership only change through chmod() / chown()
+    const { content, permissions: _mode, owner: _owner, group: _group, ...rest } = updates;
+    let updated = { ...item, ...rest, modified: Date.now() };
+    if ('content' in updates) {
+      const { bytes, ...data } = await encodeContent(content, item.name, updates.mime || item.mime);
+      updated = await this._save({ ...updated, ...data }, bytes, true);
+    } else {
+      await this._write(['files'], async tx => {
+        await access(tx.objectStore('files'), path, this.user, 'w');
+        tx.objectStore('files').put(updated);
+      });
+    }
+    this._emit({ type: 'modify', path, item: updated });
+    return updated;
+  }
+
+  async delete(path) {
+    if (this.mounts.has(path)) return this.unmount(path);
+    const item = await this.get(path);
+    if (!item) return;
+    if (PROTECTED.has(path)) throw new VfsError('EPERM', path);
+    const on = this._mounted(path);
+    if (on) {
+      await this._onBackend(on, path, (b, parts) => b.remove(parts));
+      if (!this.db && parentOf(path) === TRASH_DIR) {
+        const { [path]: _gone, ...rest } = (await this.getMeta('trashed')) || {};
+        await this.setMeta('trashed', rest);
+      }
+      this._emit({ type: 'delete', path, item });
+      return;
+    }
+    await requireDir(this._files(), item.parent, this.user);
+    if (item.type === 'folder') {
+      const children = await this.list(path);
+      for (const c of children) await this.delete(c.path);
+    }
+    await this._write(['files', 'chunks', 'revisions', 'postings', 'docs'], async tx => {
+      tx.objectStore('files').delete(path);
+      if (item.dataId) tx.objectStore('chunks').delete(chunkRange(item.dataId));
+      if (item.ino) {
+        await dropRevisions(tx, item.ino);
+        await unindex(tx, item.ino);
+      }
+    });
+    this._emit({ type: 'delete', path, item });
+  }
+
+  /**
+   * Move `srcPath` (and, for a folder, its whole subtree) to `destPath` in one
+   * transaction: every descendant's path / parent is rewritten, and any failure
+   * rolls the lot back. File data is keyed by dataId, so no bytes are copied.
+   */
+  async _relocate(srcPath, destPath) {
+    await this._ready_();
+    if (this.mounts.has(srcPath)) throw new VfsError('EBUSY', srcPath);
+    const from = this._mounted(srcPath);
+    const to   = this._mounted(parentOf(destPath), true);
+    if (from || to) {
+      if (destPath === srcPath) return this.get(srcPath);
+      if (destPath.startsWith(`${srcPath}/`)) throw new VfsError('EINVAL', destPath);
+      if (PROTECTED.has(srcPath)) throw new VfsError('EPERM', srcPath);
+      if (await this.get(destPath)) throw new VfsError('EEXIST', destPath);
+      // Across devices a move is a copy and a delete, as with mv(1)
+      if (from?.root !== to?.root) {
+        const copy = await this._copyAcross(srcPath, parentOf(destPath), destPath.slice(destPath.lastIndexOf('/') + 1));
+        await this.delete(srcPath);
+        return copy;
+      }
+      const moved = await this._onBackend(from, srcPath, async (b, parts) => {
+        const dest = [...to.parts, destPath.slice(destPath.lastIndexOf('/') + 1)];
+        await b.rename(parts, dest);
+        return this._record(destPath, await b.stat(dest));
+      });
+      this._emit({ type: 'rename', oldPath: srcPath, path: destPath, item: moved });
+      return moved;
+    }
+    const moved = await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      const src   = await req(files.get(srcPath));
+      if (!src) throw new VfsError('ENOENT', srcPath);
+      if (srcPath === '/' || destPath.startsWith(`${srcPath}/`)) throw new VfsError('EINVAL', destPath);
+      if (destPath === srcPath) return src;
+      if (PROTECTED.has(srcPath)) throw new VfsError('EPERM', srcPath);
+      const parent = parentOf(destPath);
+      await requireDir(files, src.parent, this.user);
+      await requireDir(files, parent, this.user);
+      if (await req(files.get(destPath))) throw new VfsError('EEXIST', destPath);
+      return relocateIn(files, src, destPath);
+    });
+    if (moved.path !== srcPath) this._emit({ type: 'rename', oldPath: srcPath, path: moved.path, item: moved });
+    return moved;
+  }
+
+  async rename(oldPath, newName) {
+    if (!newName || newName.includes('/') || newName === '.' || newName === '..') throw new VfsError('EINVAL', newName);
+    return this._relocate(oldPath, joinPath(parentOf(oldPath), newName));
+  }
+
+  // `name` defaults to the source's own name; pass one to move and rename at once
+  async move(srcPath, destParent, name = srcPath.slice(srcPath.lastIndexOf('/') + 1)) {
+    return this._relocate(srcPath, joinPath(destParent, name));
+  }
+
+  /**
+   * Copy `srcPath` into `destParent` in one transaction — the subtree's records
+   * and every file's chunks. A clashing name becomes "name (1).ext", "name (2).ext", …
+   */
+  async copy(srcPath, destParent) {
+    await this._ready_();
+    if (this._mounted(srcPath, true) || this._mounted(destParent, true)) {
+      const src = await this.get(srcPath);
+      if (!src) throw new VfsError('ENOENT', srcPath);
+      return this._copyAcross(srcPath, destParent, await freeName(p => this.get(p), destParent, src.name));
+    }
+    const top = await this._write(INDEX_STORES, async tx => {
+      const files  = tx.objectStore('files');
+      const chunks = tx.objectStore('chunks');
+      const src    = await access(files, srcPath, this.user, 'r');
+      await requireDir(files, destParent, this.user);
+      if (src.type === 'folder' && (destParent === srcPath || destParent.startsWith(`${srcPath}/`))) throw new VfsError('EINVAL', destParent);
+
+      const name     = await freeName(p => req(files.get(p)), destParent, src.name);
+      const destPath = joinPath(destParent, name);
+
+      const now   = Date.now();
+      const kids  = src.type === 'folder' ? await req(files.getAll(subtreeKeys(srcPath))) : [];
+      const unreadable = [src, ...kids].find(k => !allowed(k, this.user, k.type === 'folder' ? 'rx' : 'r'));
+      if (unreadable) throw new VfsError('EACCES', unreadable.path);
+      // Copies keep their source's mode but belong to whoever made them
+      const mine  = { owner: this.user, group: USERS[this.user][0], created: now, modified: now };
+      const top   = { ...src, ...mine, path: destPath, name, parent: destParent };
+      const items = [[src, top], ...kids.map(k => [k, {
+        ...k, ...mine, path: destPath + k.path.slice(srcPath.length), parent: destPath + k.parent.slice(srcPath.length),
+      }])];
+      for (const [from, copy] of items) {
+        if (from.type === 'file') copy.ino = newDataId();  // a copy starts its own history
+        if (from.dataId) {
+          copy.dataId = newDataId();
+          await cloneChunks(chunks, from.dataId, copy.dataId);
+        }
+        files.add(copy);
+        if (copy.type === 'file') await reindex(tx, copy);
+      }
+      return top;
+    });
+    this._emit({ type: 'create', path: top.path, item: top });
+    return top;
+  }
+
+  // Move (or copy) each of `paths` into `destParent`, as a drag and drop does: a taken name
+  // gets a free one, and an item moved to where it already is stays put.
+  // Returns { done: [new paths], failed: ["path: reason"] }
+  async transfer(paths, destParent, { copy = false } = {}) {
+    const out = { done: [], failed: [] };
+    for (const p of paths) {
+      try {
+        if (copy) { out.done.push((await this.copy(p, destParent)).path); continue; }
+        if (parentOf(p) === destParent) continue;
+        const name = await freeName(async q => !!await this.get(q), destParent, p.slice(p.lastIndexOf('/') + 1));
+        out.done.push((await this.move(p, destParent, name)).path);
+      } catch (e) { out.failed.push(`${p}: ${e.message || e}`); }
+    }
+    return out;
+  }
+
+  /* ── Trash ──
+   * trash() moves an item (and its subtree) into TRASH_DIR in one transaction,
+   * recording where it came from and when; restore() puts it back. delete()
+   * stays permanent — it's what Empty Trash and Delete Permanently use.
+   * On a root backend the move is a rename and meta 'trashed' holds the rest.
+   */
+  async trash(path) {
+    await this._ready_();
+    if (this.mountOf(path)) throw new VfsError('EXDEV', path);  // the Trash is on the root filesystem
+    if (this.root) {
+      const src = await this.get(path);
+      if (!src) throw new VfsError('ENOENT', path);
+      if (path.startsWith(`${TRASH_DIR}/`)) throw new VfsError('EINVAL', path);
+      const fields = { trashedFrom: path, trashedAt: Date.now() };
+      const moved  = await this._relocate(path, joinPath(TRASH_DIR, await freeName(p => this.get(p), TRASH_DIR, src.name)));
+      await this.setMeta('trashed', { ...await this.getMeta('trashed'), [moved.path]: fields });
+      return { ...moved, ...fields };
+    }
+    const moved = await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      const src   = await req(files.get(path));
+      if (!src) throw new VfsError('ENOENT', path);
+      if (PROTECTED.has(path)) throw new VfsError('EPERM', path);
+      if (path.startsWith(`${TRASH_DIR}/`)) throw new VfsError('EINVAL', path);
+      await requireDir(files, src.parent, this.user);
+      await requireDir(files, TRASH_DIR, this.user);
+      const name = await freeName(p => req(files.get(p)), TRASH_DIR, src.name);
+      return relocateIn(files, src, joinPath(TRASH_DIR, name), { trashedFrom: path, trashedAt: Date.now() });
+    });
+    this._emit({ type: 'rename', oldPath: path, path: moved.path, item: moved });
+    return moved;
+  }
+
+  // Move a trashed item back to where it was deleted from
+  async restore(trashPath) {
+    await this._ready_();
+    if (this.root) {
+      const { [trashPath]: info, ...rest } = (await this.getMeta('trashed')) || {};
+      if (!info || parentOf(trashPath) !== TRASH_DIR) throw new VfsError('ENOENT', trashPath);
+      const moved = await this._relocate(trashPath, info.trashedFrom);
+      await this.setMeta('trashed', rest);
+      return moved;
+    }
+    const moved = await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      const item  = await req(files.get(trashPath));
+      if (!item?.trashedFrom || item.parent !== TRASH_DIR) throw new VfsError('ENOENT', trashPath);
+      const { trashedFrom, trashedAt: _trashedAt, ...rest } = item;
+      await requireDir(files, TRASH_DIR, this.user);
+      await requireDir(files, parentOf(trashedFrom), this.user);
+      if (await req(files.get(trashedFrom))) throw new VfsError('EEXIST', trashedFrom);
+      return relocateIn(files, rest, trashedFrom);
+    });
+    this._emit({ type: 'rename', oldPath: trashPath, path: moved.path, item: moved });
+    return moved;
+  }
+
+  listTrash() { return this.list(TRASH_DIR); }
+
+  async emptyTrash() {
+    const items = await this.listTrash();
+    for (const it of items) await this.delete(it.path);
+    return items.length;
+  }
+
+  // Permanently delete what has sat in the Trash longer than `days` — by default
+  // the Settings value (meta 'trashPurgeDays'; 0 / unset keeps everything)
+  async purgeTrash(days) {
+    days ??= await this.getMeta('trashPurgeDays');
+    if (!days) return 0;
+    const cutoff = Date.now() - days * DAY_MS;
+    const stale  = (await this.listTrash()).filter(it => (it.trashedAt || 0) < cutoff);
+    for (const it of stale) await this.delete(it.path);
+    return stale.length;
+  }
+
+  /* ── Revisions — past versions of a text file, newest first ── */
+  // How many / how old revisions are kept: meta 'revisionLimit' over REVISION_LIMIT
+  async revisionLimit() { return { ...REVISION_LIMIT, ...await this.getMeta('revisionLimit') }; }
+
+  async listRevisions(path) {
+    if (this._mounted(path)) return [];
+    const item = await this._file(path);
+    if (!item.ino) return [];
+    const revs = await req(this.db.transaction(['revisions'], 'readonly').objectStore('revisions').index('ino').getAll(item.ino));
+    return revs.sort((a, b) => b.at - a.at || b.id - a.id).map(revisionInfo);
+  }
+
+  async readRevision(path, id) {
+    await this._ready_();
+    if (this._mounted(path)) throw new VfsError('ENOENT', `${path}@${id}`);
+    const tx   = this.db.transaction(['files', 'chunks', 'revisions'], 'readonly');
+    const item = await access(tx.objectStore('files'), path, this.user, 'r');
+    const rev  = await req(tx.objectStore('revisions').get(id));
+    if (!rev || rev.ino !== item.ino) throw new VfsError('ENOENT', `${path}@${id}`);
+    return joinChunks(await req(tx.objectStore('chunks').getAll(chunkRange(rev.dataId))), rev.size);
+  }
+
+  async readRevisionText(path, id) {
+    return new TextDecoder().decode(await this.readRevision(path, id));
+  }
+
+  // Make revision `id` the current content; what it replaces becomes a revision in turn
+  async restoreRevision(path, id) {
+    await this._ready_();
+    if (this._mounted(path)) throw new VfsError('ENOENT', `${path}@${id}`);
+    const saved = await this._write(SAVE_STORES, async tx => {
+      const item = await access(tx.objectStore('files'), path, this.user, 'r');
+      const rev  = await req(tx.objectStore('revisions').get(id));
+      if (!rev || rev.ino !== item.ino) throw new VfsError('ENOENT', `${path}@${id}`);
+      const dataId = newDataId();
+      await cloneChunks(tx.objectStore('chunks'), rev.dataId, dataId);
+      return this._swap(tx, { ...item, size: rev.size, dataId, chunks: rev.chunks, mime: rev.mime, encoding: rev.encoding, modified: Date.now() }, true);
+    });
+    this._emit({ type: 'modify', path, item: saved });
+    return saved;
+  }
+
+  /* ── Snapshots — named copies of a folder tree that can be rolled back ── */
+  async createSnapshot(path, name) {
+    await this._ready_();
+    if (this._mounted(path, true)) throw new VfsError('ENOTSUP', path);
+    if (path === '/' || path === TRASH_DIR || path.startsWith(`${TRASH_DIR}/`)) throw new VfsError('EINVAL', path);
+    return this._write(['files', 'chunks', 'snapshots'], async tx => {
+      const files = tx.objectStore('files');
+      const root  = await access(files, path, this.user, '');
+      if (root.type !== 'folder') throw new VfsError('ENOTDIR', path);
+      const kids  = await req(files.getAll(subtreeKeys(path)));
+      const unreadable = [root, ...kids].find(k => !allowed(k, this.user, k.type === 'folder' ? 'rx' : 'r'));
+      if (unreadable) throw new VfsError('EACCES', unreadable.path);
+      const items = [];
+      for (const it of [root, ...kids]) {
+        const copy = { ...it };
+        if (it.dataId) {
+          copy.dataId = newDataId();
+          await cloneChunks(tx.objectStore('chunks'), it.dataId, copy.dataId);
+        }
+        items.push(copy);
+      }
+      const snap = { root: path, name: name || new Date().toLocaleString(), at: Date.now(), owner: this.user, items };
+      snap.id = await req(tx.objectStore('snapshots').add(snap));
+      return snapshotInfo(snap);
+    });
+  }
+
+  async listSnapshots(path) {
+    await this._ready_();
+    if (!this.db) return [];
+    const snaps = await req(this.db.transaction(['snapshots'], 'readonly').objectStore('snapshots').index('root').getAll(path));
+    return snaps.map(snapshotInfo).sort((a, b) => b.at - a.at);
+  }
+
+  /**
+   * Put a snapshot's folder tree back exactly as it was, in one transaction.
+   * Files that were in the snapshot keep their history (their current data
+   * becomes a revision); files added since are removed along with theirs.
+   */
+  async rollbackSnapshot(id) {
+    await this._ready_();
+    if (!this.db) throw new VfsError('ENOENT', `snapshot ${id}`);
+    const events = [];
+    const info = await this._write([...SAVE_STORES, 'snapshots'], async tx => {
+      const files  = tx.objectStore('files');
+      const chunks = tx.objectStore('chunks');
+      const snap   = await req(tx.objectStore('snapshots').get(id));
+      if (!snap) throw new VfsError('ENOENT', `snapshot ${id}`);
+      const root   = await req(files.get(snap.root));
+      if (root && root.type !== 'folder') throw new VfsError('ENOTDIR', snap.root);
+      await requireDir(files, parentOf(snap.root), this.user);
+
+      const current = root ? [root, ...await req(files.getAll(subtreeKeys(snap.root)))] : [];
+      const denied  = current.find(it => it.type === 'folder' && !allowed(it, this.user, 'wx'));
+      if (denied) throw new VfsError('EACCES', denied.path);
+      const paths   = new Set(snap.items.map(it => it.path));
+      const system  = current.find(it => PROTECTED.has(it.path) && !paths.has(it.path));
+      if (system) throw new VfsError('EPERM', system.path);
+
+      const inos = new Set(snap.items.map(it => it.ino).filter(Boolean));
+      const live = new Set();
+      for (const it of current) {
+        if (it.type !== 'file') continue;
+        if (inos.has(it.ino)) {
+          live.add(it.ino);
+          if (it.dataId) await retire(tx, it);
+          continue;
+        }
+        if (it.dataId) chunks.delete(chunkRange(it.dataId));
+        if (it.ino) {
+          await dropRevisions(tx, it.ino);
+          await unindex(tx, it.ino);
+        }
+      }
+      if (root) {
+        files.delete(snap.root);
+        files.delete(subtreeKeys(snap.root));
+      }
+      const before = new Set(current.map(it => it.path));
+      for (const it of current) if (!paths.has(it.path)) events.push({ type: 'delete', path: it.path, item: it });
+      for (const it of snap.items) {
+        const copy = { ...it };
+        // A file that has since left the tree (or been deleted) comes back as a new one
+        if (it.type === 'file' && !live.has(it.ino)) copy.ino = newDataId();
+        if (it.dataId) {
+          copy.dataId = newDataId();
+          await cloneChunks(chunks, it.dataId, copy.dataId);
+        }
+        files.put(copy);
+        if (copy.type === 'file') await reindex(tx, copy);
+        events.push({ type: before.has(copy.path) ? 'modify' : 'create', path: copy.path, item: copy });
+      }
+      return snapshotInfo(snap);
+    });
+    this._emit(...events);
+    return info;
+  }
+
+  // Only whoever took a snapshot (or root) may delete it
+  async deleteSnapshot(id) {
+    await this._ready_();
+    if (!this.db) throw new VfsError('ENOENT', `snapshot ${id}`);
+    return this._write(['chunks', 'snapshots'], async tx => {
+      const snaps = tx.objectStore('snapshots');
+      const snap  = await req(snaps.get(id));
+      if (!snap) throw new VfsError('ENOENT', `snapshot ${id}`);
+      if (this.user !== 'root' && snap.owner !== this.user) throw new VfsError('EPERM', snap.root);
+      for (const it of snap.items) if (it.dataId) tx.objectStore('chunks').delete(chunkRange(it.dataId));
+      snaps.delete(id);
+    });
+  }
+
+  async upload(parent, file) {
+    return this.createFile(parent, file.name, file, mimeFor(file.name, file.type));
+  }
+
+  /* ── Content I/O — file data is only reachable through these ── */
+  async _file(path) {
+    await this._ready_();
+    const item = await access(this._files(), path, this.user, 'r');
+    if (item.type !== 'file') throw new VfsError('EISDIR', path);
+    return item;
+  }
+
+  // Record and chunks are read in one transaction so a concurrent write can't tear them
+  async readBytes(path) {
+    await this._ready_();
+    const on = this._mounted(path);
+    if (on) return this._onBackend(on, path, async (b, parts) => new Uint8Array(await (await b.read(parts)).arrayBuffer()));
+    const tx   = this.db.transaction(['files', 'chunks'], 'readonly');
+    const item = await access(tx.objectStore('files'), path, this.user, 'r');
+    if (item.type !== 'file') throw new VfsError('EISDIR', path);
+    if (!item.dataId) return new Uint8Array(0);
+    return joinChunks(await req(tx.objectStore('chunks').getAll(chunkRange(item.dataId))), item.size);
+  }
+
+  async readText(path) {
+    return new TextDecoder().decode(await this.readBytes(path));
+  }
+
+  async _chunk(id, n) {
+    return new Promise((res, rej) => {
+      const r = this.db.transaction(['chunks'], 'readonly').objectStore('chunks').get([id, n]);
+      r.onsuccess = () => res(r.result);
+      r.onerror   = () => rej(r.error);
+    });
+  }
+
+  /**
+   * Stream a file (or the byte range [start, end)) one chunk at a time.
+   * Chunks are fetched as the consumer pulls, so large files never sit in memory whole.
+   */
+  async openReadStream(path, { start = 0, end } = {}) {
+    await this._ready_();
+    const on = this._mounted(path);
+    if (on) return (await this._onBackend(on, path, (b, parts) => b.read(parts))).slice(start, end).stream();
+    const item = await this._file(path);
+    const stop = Math.min(end ?? item.size, item.size);
+    let n = Math.floor(start / CHUNK_SIZE);
+    return new ReadableStream({
+      pull: async (ctrl) => {
+        const at = n * CHUNK_SIZE;
+        if (at >= stop) { ctrl.close(); return; }
+        const chunk = await this._chunk(item.dataId, n++);
+        if (!chunk) { ctrl.error(new VfsError('ENOENT', path)); return; }
+        ctrl.enqueue(new Uint8Array(chunk.data).subarray(Math.max(start - at, 0), stop - at));
+      },
+    });
+  }
+
+  /**
+   * Create or overwrite `path` from a stream of Uint8Array / ArrayBuffer / Blob /
+   * string pieces. Chunks are written as they fill; the file only changes on close().
+   */
+  async openWriteStream(path, { mime } = {}) {
+    await this._ready_();
+    if (this._mounted(parentOf(path), true)) throw new VfsError('ENOTSUP', path);  // writeBytes() works there
+    const cut  = path.lastIndexOf('/');
+    const name = path.slice(cut + 1);
+    const old  = await this.get(path);
+    if (old?.type === 'folder') throw new VfsError('EISDIR', path);
+    // Fail before any data is written; _swap checks again when the file is committed
+    if (old) await access(this._files(), path, this.user, 'w');
+    else await requireDir(this._files(), parentOf(path), this.user);
+    mime = mime || old?.mime || mimeFor(name);
+    const dataId = newDataId();
+    let buf = new Uint8Array(CHUNK_SIZE), fill = 0, n = 0, size = 0;
+
+    const flush = () => {
+      const chunk = { id: dataId, n: n++, data: fill === CHUNK_SIZE ? buf.buffer : buf.slice(0, fill).buffer };
+      buf = new Uint8Array(CHUNK_SIZE);
+      fill = 0;
+      return this._write(['chunks'], tx => { tx.objectStore('chunks').put(chunk); });
+    };
+    const discard = () => this._write(['chunks'], tx => { tx.objectStore('chunks').delete(chunkRange(dataId)); });
+
+    return new WritableStream({
+      write: async (data) => {
+        if (data instanceof Blob) data = await data.arrayBuffer();
+        const bytes = typeof data === 'string' ? utf8Encoder.encode(data)
+          : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+          : new Uint8Array(data);
+        size += bytes.length;
+        for (let at = 0; at < bytes.length;) {
+          const take = Math.min(CHUNK_SIZE - fill, bytes.length - at);
+          buf.set(bytes.subarray(at, at + take), fill);
+          fill += take;
+          at   += take;
+          if (fill === CHUNK_SIZE) await flush();
+        }
+      },
+      close: async () => {
+        if (fill) await flush();
+        const now  = Date.now();
+        const base = old || { path, name, type:'file', parent: path.slice(0, cut) || '/', created: now, ...this._owned('file') };
+        const file = { ...base, mime, encoding: isTextMime(mime) ? 'utf8' : 'binary', size, dataId, chunks: n, modified: now };
+        let saved;
+        try { saved = await this._write(SAVE_STORES, tx => this._swap(tx, file, !!old)); }
+        catch (e) { await discard(); throw e; }
+        this._emit({ type: old ? 'modify' : 'create', path, item: saved });
+        if (!old) this.addToRecent(file);
+      },
+      abort: discard,
+    });
+  }
+
+  /** Create or overwrite `path` with binary data (Uint8Array, ArrayBuffer or Blob). */
+  async writeBytes(path, data, { mime } = {}) {
+    if (await this.get(path)) return this.updateFile(path, { content: data, ...(mime && { mime }) });
+    const cut = path.lastIndexOf('/');
+    return this.createFile(path.slice(0, cut) || '/', path.slice(cut + 1), data, mime);
+  }
+
+  async exportZip(path) {
+    const zip = new JSZip();
+    const item = await this.get(path);
+    if (!item) return;
+    if (item.type === 'folder') { const ch = await this.list(path); for (const c of ch) await this._zipAdd(zip, c.path); }
+    else zip.file(item.name, await this.readBytes(path));
+    const blob = await zip.generateAsync({ type: 'blob' });
+    saveAs(blob, `${item.name}.zip`);
+  }
+
+  async _zipAdd(zf, path) {
+    const it = await this.get(path);
+    if (it.type === 'file') { zf.file(it.name, await this.readBytes(path), { date: new Date(it.modified) }); }
+    else { const f = zf.folder(it.name); const ch = await this.list(path); for (const c of ch) await this._zipAdd(f, c.path); }
+  }
+
+  /* ── Archives ── */
+  // Zip `paths` into a new archive in `parent`: "<name>.zip" for one item, "Archive.zip" for several
+  async compress(paths, parent, name) {
+    const zip = new JSZip();
+    for (const p of paths) await this._zipAdd(zip, p);
+    name ||= paths.length === 1 ? `${paths[0].slice(paths[0].lastIndexOf('/') + 1)}.zip` : 'Archive.zip';
+    name = await freeName(async p => !!await this.get(p), parent, name);
+    return this.createFile(parent, name, await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' }), MIME_TYPES.zip);
+  }
+
+  // The entries of an archive — a VFS path, or a Blob / File not stored yet (see readArchive)
+  async openArchive(source) {
+    if (typeof source !== 'string') return readArchive(new Uint8Array(await source.arrayBuffer()), source.name || '');
+    return readArchive(await this.readBytes(source), source.slice(source.lastIndexOf('/') + 1));
+  }
+
+  /**
+   * Unpack an archive (as for openArchive, or entries it returned) into a new folder named
+   * after it in `parent` — unless it holds a single top-level item, which is unpacked as is —
+   * or, given `paths` inside the archive, just those entries and what's under them straight
+   * into `parent`. Taken names get a free one; folders are merged into.
+   * Returns { path (the new folder or single item, else `parent`), extracted (top-level paths), files, folders }.
+   */
+  async extractArchive(source, parent, { paths } = {}) {
+    const entries = source instanceof Map ? source : await this.openArchive(source);
+    const exists  = async p => !!await this.get(p);
+    const out     = { path: parent, extracted: [], files: 0, folders: 0 };
+    const single  = [...entries.keys()].filter(k => !k.includes('/'));
+    const tops    = paths || (single.length === 1 ? single : ['']);
+    if (!paths && single.length !== 1) {
+      const name = archiveStem(typeof source === 'string' ? source.slice(source.lastIndexOf('/') + 1) : source.name || 'Archive');
+      out.path = (await this.createFolder(parent, await freeName(exists, parent, name))).path;
+      out.extracted.push(out.path);
+      out.folders++;
+    }
+    for (const top of tops) {
+      const cut = top.lastIndexOf('/') + 1;  // entries land relative to the selected entry's folder
+      const picked = [...entries.values()]
+        .filter(e => !top || e.path === top || e.path.startsWith(`${top}/`))
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+      const dest = new Map();  // entry path → where it went, so a renamed top carries its children
+      for (const e of picked) {
+        const inner = e.path.slice(cut);
+        const dir   = inner.includes('/') ? dest.get(parentOf(`/${e.path}`).slice(1)) : out.path;
+        if (!dir) continue;
+        let target = joinPath(dir, e.name);
+        const cur  = await this.get(target);
+        if (cur && !(e.type === 'folder' && cur.type === 'folder')) target = joinPath(dir, await freeName(exists, dir, e.name));
+        dest.set(e.path, target);
+        if (tops[0] && !inner.includes('/')) out.extracted.push(target);
+        if (cur?.path === target) continue;  // a folder already here, merged into
+        if (e.type === 'folder') { await this.createFolder(dir, target.slice(target.lastIndexOf('/') + 1)); out.folders++; }
+        else { await this.writeBytes(target, await e.read()); out.files++; }
+      }
+    }
+    if (!paths && single.length === 1) out.path = out.extracted[0];
+    return out;
+  }
+
+  /* ── Backup & restore ──
+   * A backup is a ZIP holding vfs/manifest.json — { version, exported, items: [{ path, type,
+   * size, mime, permissions, owner, group, created, modified }], favorites, recent (paths) } — and
+   * every file's bytes at vfs/files/<path>; the session ZIP adds this next to state.json.
+   * Mounted storage, the Trash, BACKUP_DIR, revisions and snapshots are left out.
+   */
+  async backupTree(zip) {
+    const manifest = { version: 1, exported: Date.now(), items: [], favorites: [...this.favorites], recent: this.recentFiles.map(f => f.path) };
+    for (const it of await this._visible('/')) {
+      if (this.mountOf(it.path) || it.path === BACKUP_DIR || it.path.startsWith(`${BACKUP_DIR}/`)) continue;
+      if (it.type === 'file') {
+        const bytes = await this.readBytes(it.path).catch(() => null);
+        if (!bytes) continue;  // not readable by this user
+        zip.file(`vfs/files${it.path}`, bytes);
+      }
+      const { path, type, size, mime, permissions, owner, group, created, modified } = it;
+      manifest.items.push({ path, type, size, mime, permissions, owner, group, created, modified });
+    }
+    zip.file('vfs/manifest.json', JSON.stringify(manifest));
+    return manifest;
+  }
+
+  // The manifest of a backup ZIP (null if it has none), each item marked with `exists` (the
+  // type already at its path) and `conflict`: false for a folder meeting a folder, or a file
+  // meeting the same bytes, since restoring those changes nothing
+  async readBackup(zip) {
+    const f = zip.file('vfs/manifest.json');
+    if (!f) return null;
+    const manifest = JSON.parse(await f.async('text'));
+    for (const it of manifest.items) {
+      const cur   = await this.get(it.path).catch(() => null);
+      it.exists   = cur?.type || null;
+      it.same     = cur?.type === it.type && (it.type === 'folder' || (cur.size === it.size
+        && sameBytes(await this.readBytes(it.path).catch(() => []), await zip.file(`vfs/files${it.path}`)?.async('uint8array') || [])));
+      it.conflict = !!cur && !it.same;
+    }
+    return manifest;
+  }
+
+  /**
+   * Put a backup's files back, merging into the folders already here. An item whose path is
+   * taken follows `choices[path]`, else `policy`: 'overwrite' (a file of another type goes to
+   * the Trash first), 'skip', or 'keep' both under a free name. Returns
+   * { restored, overwritten, kept, skipped, failed: ["path: reason"] }.
+   */
+  async restoreBackup(zip, { policy = 'keep', choices = {} } = {}) {
+    const manifest = await this.readBackup(zip);
+    if (!manifest) throw new VfsError('EINVAL', 'vfs/manifest.json');
+    const out  = { restored: 0, overwritten: 0, kept: 0, skipped: 0, failed: [] };
+    const dest = new Map();  // backup path → where it went (a parent kept under a new name moves its children)
+    const exists = async p => !!await this.get(p);
+    for (const it of manifest.items) {
+      const dir  = dest.get(parentOf(it.path)) || parentOf(it.path);
+      let target = joinPath(dir, it.path.slice(it.path.lastIndexOf('/') + 1));
+      dest.set(it.path, target);
+      try {
+        const cur = await this.get(target);
+        if (cur?.type === 'folder' && it.type === 'folder' || (it.same && target === it.path)) continue;
+        let how = 'restored';
+        if (cur) {
+          how = { overwrite: 'overwritten', skip: 'skipped', keep: 'kept' }[choices[it.path] || policy];
+          if (how === 'skipped') { out.skipped++; continue; }
+          if (how === 'kept') dest.set(it.path, target = joinPath(dir, await freeName(exists, dir, cur.name)));
+          else if (cur.type !== it.type) await this.trash(target);
+        }
+        if (it.type === 'folder') await this.createFolder(dir, target.slice(target.lastIndexOf('/') + 1));
+        else {
+          const data = zip.file(`vfs/files${it.path}`);
+          if (!data) throw new Error('missing from the backup');
+          await this.writeBytes(target, await data.async('uint8array'), { mime: it.mime });
+        }
+        await this._restoreAttrs(target, it);
+        out[how]++;
+      } catch (e) { out.failed.push(`${it.path}: ${e.message || e}`); }
+    }
+    const moved = p => dest.get(p) || p;
+    for (const p of manifest.favorites || []) if (await exists(moved(p))) this.favorites.add(moved(p));
+    await this._saveMeta('favorites', [...this.favorites]);
+    const recent = (await Promise.all((manifest.recent || []).map(p => this.get(moved(p))))).filter(Boolean);
+    this.recentFiles = [...this.recentFiles, ...recent.filter(r => !this.recentFiles.some(f => f.path === r.path))].slice(0, 20);
+    await this._saveMeta('recent', this.recentFiles);
+    return out;
+  }
+
+  // Owner, mode and timestamps from a backup; backends keep none of these
+  async _restoreAttrs(path, { permissions, owner, group, created, modified }) {
+    if (this._mounted(path)) return;
+    const attrs = Object.fromEntries(Object.entries({ permissions, owner, group, created, modified }).filter(([, v]) => v !== undefined));
+    const item  = await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      const restored = { ...await req(files.get(path)), ...attrs };
+      files.put(restored);
+      return restored;
+    });
+    this._emit({ type: 'modify', path, item });
+  }
+
+  /* ── Search ── */
+  // Every record below `root` the current user can see, read in one range scan.
+  // Folders they can't read hide their subtree, and the Trash is left out.
+  // On a backend it's a walk instead, which doesn't go into other mounts.
+  async _visible(root = '/') {
+    await this._ready_();
+    if (this._mounted(root, true)) {
+      const out  = [];
+      const walk = async (dir) => {
+        for (const it of await this.list(dir).catch(() => [])) {
+          if (it.path === TRASH_DIR) continue;
+          out.push(it);
+          if (it.type === 'folder' && !this.mounts.has(it.path)) await walk(it.path);
+        }
+      };
+      await walk(root);
+      return out;
+    }
+    const files = this._files();
+    const top   = await access(files, root, this.user, 'rx').catch(() => null);
+    if (top?.type !== 'folder') return [];
+    const all    = await req(files.getAll(root === '/' ? IDBKeyRange.lowerBound('/', true) : subtreeKeys(root)));
+    const hidden = new Set();  // a parent always sorts before its children
+    return all.filter(it => {
+      if (hidden.has(it.parent) || it.path === TRASH_DIR) {
+        if (it.type === 'folder') hidden.add(it.path);
+        return false;
+      }
+      if (it.type === 'folder' && !allowed(it, this.user, 'rx')) hidden.add(it.path);
+      return true;
+    });
+  }
+
+  // Records below `root` whose name contains `query` (case-insensitive)
+  async search(query, root = '/') {
+    const q = query.toLowerCase();
+    return (await this._visible(root)).filter(it => it.name.toLowerCase().includes(q));
+  }
+
+  /**
+   * Ranked full-text search over names and file contents (see parseQuery for the
+   * syntax). Resolves with matching records, best first, each with a `score` and,
+   * for text files, a `snippet` ({ text, hits: [[start, end], …] }) around the match.
+   * Only the database is indexed: elsewhere terms and phrases match names, and
+   * regexes read the files.
+   */
+  async searchContent(query, { root = '/', limit = 50 } = {}) {
+    const q = parseQuery(query);
+    const items = (await this._visible(root)).filter(it =>
+      (it.modified || 0) >= q.after && (it.modified || 0) < q.before
+      && (!q.exts.length || (it.type === 'file' && q.exts.includes(it.name.split('.').pop().toLowerCase()))));
+    // Contents only count for files the user may read; names are visible regardless
+    const byIno = new Map(items.filter(it => it.ino && allowed(it, this.user, 'r')).map(it => [it.ino, it]));
+
+    const store   = name => this.db.transaction([name], 'readonly').objectStore(name);
+    const total   = this.db ? Math.max(1, await req(store('docs').count())) : 1;
+    const lookup  = async (word, prefix) => (!this.db ? []
+      : req(store('postings').getAll(IDBKeyRange.bound([word, ''], [prefix ? `${word}\uffff` : word, '\uffff']))));
+    const nameHas = (it, word, prefix) => wordsOf(it.name).some(w => (prefix ? w.startsWith(word) : w === word));
+
+    // Every term and phrase must match, in the name or the contents
+    const scores = new Map(items.map(it => [it.path, 0]));
+    const keep   = (hit) => { for (const path of scores.keys()) if (!hit.has(path)) scores.delete(path); };
+    for (const { word, prefix } of q.terms) {
+      const found = await lookup(word, prefix);
+      const idf   = Math.log(1 + total / (new Set(found.map(p => p.ino)).size || 1));
+      const hit   = new Map();
+      for (const p of found) {
+        const it = byIno.get(p.ino);
+        if (it) hit.set(it.path, (hit.get(it.path) || 0) + idf * (1 + Math.log(p.tf)));
+      }
+      for (const it of items) if (nameHas(it, word, prefix)) hit.set(it.path, (hit.get(it.path) || 0) + 3 * idf);
+      keep(hit);
+      for (const [path, s] of hit) if (scores.has(path)) scores.set(path, scores.get(path) + s);
+    }
+    for (const words of q.phrases) {
+      const lists = await Promise.all(words.map(w => lookup(w, false)));
+      const at    = lists.map(list => new Map(list.map(p => [p.ino, new Set(p.pos)])));
+      const hit   = new Set();
+      for (const [ino, first] of at[0]) {
+        const it = byIno.get(ino);
+        if (it && [...first].some(n => at.every((m, k) => m.get(ino)?.has(n + k)))) hit.add(it.path);
+      }
+      const phrase = words.join(' ');
+      for (const it of items) if (wordsOf(it.name).join(' ').includes(phrase)) hit.add(it.path);
+      keep(hit);
+      for (const path of hit) if (scores.has(path)) scores.set(path, scores.get(path) + 5);
+    }
+
+    // Regexes need the text itself: test what's left (the whole scope when they're all there is)
+    const readText = async (it) => {
+      if (it.type !== 'file' || it.encoding !== 'utf8' || it.size > INDEX_MAX_BYTES || !allowed(it, this.user, 'r')) return null;
+      if (this._mounted(it.path)) return this.readText(it.path);
+      if (!it.dataId) return null;
+      return new TextDecoder().decode(joinChunks(await req(store('chunks').getAll(chunkRange(it.dataId))), it.size));
+    };
+    const byPath = new Map(items.map(it => [it.path, it]));
+    const texts  = new Map();
+    if (q.regexes.length) {
+      for (const path of [...scores.keys()]) {
+        const it   = byPath.get(path);
+        const text = await readText(it).catch(() => null);
+        texts.set(path, text);
+        if (!q.regexes.every(re => re.test(it.name) || (text != null && re.test(text)))) scores.delete(path);
+        else scores.set(path, scores.get(path) + q.regexes.length);
+      }
+    }
+
+    const ranked = [...scores].map(([path, score]) => ({ ...byPath.get(path), score }))
+      .sort((a, b) => b.score - a.score || (b.modified || 0) - (a.modified || 0))
+      .slice(0, limit);
+
+    // Snippets around the first match in each text result
+    const esc = w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [
+      ...q.terms.map(({ word, prefix }) => new RegExp(`(?<![\\p{L}\\p{N}_])${esc(word)}${prefix ? '[\\p{L}\\p{N}_]*' : '(?![\\p{L}\\p{N}_])'}`, 'iu')),
+      ...q.phrases.map(words => new RegExp(`(?<![\\p{L}\\p{N}_])${words.map(esc).join('[^\\p{L}\\p{N}_]+')}(?![\\p{L}\\p{N}_])`, 'iu')),
+      ...q.regexes,
+    ];
+    for (const it of ranked) {
+      if (!patterns.length) continue;
+      const text = texts.has(it.path) ? texts.get(it.path) : await readText(it).catch(() => null);
+      if (text && patterns.some(re => re.test(text))) it.snippet = snippetOf(text, patterns);
+    }
+    return ranked;
+  }
+
+  // Rebuild the full-text index from scratch — for databases that predate it
+  async rebuildIndex() {
+    await this._ready_();
+    if (!this.db) return 0;
+    await this._write(['postings', 'docs'], tx => {
+      tx.objectStore('postings').clear();
+      tx.objectStore('docs').clear();
+    });
+    const all = await req(this._files().index('type').getAll('file'));
+    for (const f of all) {
+      // Re-read inside the write: the file may have changed since the scan
+      await this._write(INDEX_STORES, async tx => {
+        const cur = await req(tx.objectStore('files').get(f.path));
+        if (cur?.ino) await reindex(tx, cur);
+      });
+    }
+    await this.setMeta('searchIndexed', true);
+    return all.length;
+  }
+
+  /* ── Storage accounting ── */
+  async dirSize(path) {
+    const item = await this.get(path);
+    if (!item) return 0;
+    if (item.type === 'file') return item.size || 0;
+    return (await this._visible(path)).reduce((n, it) => n + (it.type === 'file' ? it.size || 0 : 0), 0);
+  }
+
+  /**
+   * What is using space below `root`, from one scan: { size, count, children
+   * (each entry of `root` with its total size and file count, largest first),
+   * largest (the biggest files), kinds (bytes and files per FILE_KINDS kind) }
+   * plus what sits outside the tree: the Trash, revisions and snapshots.
+   */
+  async storageUsage(root = '/', { largest = 10 } = {}) {
+    const items    = await this._visible(root);
+    const children = new Map();
+    const kinds    = new Map();
+    const depth    = root === '/' ? 1 : root.split('/').length;
+    let size = 0;
+    for (const it of items) {
+      const top = it.path.split('/').slice(0, depth + 1).join('/');
+      if (it.path === top) children.set(top, { path: it.path, name: it.name, type: it.type, size: 0, count: 0 });
+      if (it.type !== 'file') continue;
+      const n    = it.size || 0;
+      const kind = kindOf(it);
+      size += n;
+      Object.assign(children.get(top), { size: children.get(top).size + n, count: children.get(top).count + 1 });
+      kinds.set(kind, { kind, size: (kinds.get(kind)?.size || 0) + n, count: (kinds.get(kind)?.count || 0) + 1 });
     }
+    const bySize = (a, b) => b.size - a.size;
+    const sum    = list => ({ size: list.reduce((n, it) => n + (it.size || 0), 0), count: list.length });
+    const tx     = this.db?.transaction(['files', 'revisions', 'snapshots'], 'readonly');
+    const [trashed, revs, snaps] = !tx ? [await this._visible(TRASH_DIR), [], []] : await Promise.all([
+      req(tx.objectStore('files').getAll(subtreeKeys(TRASH_DIR))),
+      req(tx.objectStore('revisions').getAll()),
+      req(tx.objectStore('snapshots').getAll()),
+    ]);
+    const trash = trashed.filter(it => it.type === 'file');
+    return {
+      size, count: items.filter(it => it.type === 'file').length,
+      children: [...children.values()].sort(bySize),
+      largest:  items.filter(it => it.type === 'file').sort(bySize).slice(0, largest),
+      kinds:    [...kinds.values()].sort(bySize),
+      trash:    sum(trash),
+      revisions: { ...sum(revs), oldest: revs.reduce((t, r) => Math.min(t, r.at), Infinity) },
+      snapshots: sum(snaps.map(snapshotInfo)),
+    };
+  }
 
-    // seed readme
-    const readmePath = '/Users/Admin/Documents/readme.txt';
-    await put({
-      path: readmePath, name: 'readme.txt', type: 'file',
-      parent: '/Users/Admin/Documents',
-      content: `Welcome to LynkOS v4!\n\nKeyboard Shortcuts (File Manager):\n  Ctrl+C  Copy\n  Ctrl+X  Cut\n  Ctrl+V  Paste\n  Ctrl+A  Select All\n  Del     Delete\n  F2      Rename\n  F5      Refresh\n  Ctrl+N  New Folder\n  Backspace  Go Up\n\nDesktop Shortcuts:\n  Ctrl+S        Save Session\n  Ctrl+Alt+S    Export ZIP\n  Ctrl+Alt+I    Import ZIP\n  Ctrl+A        Notifications\n  Ctrl+Ctrl     Start Menu\n  Ctrl+N        New Folder\n  Ctrl+Alt+N    New File`,
-      size: 500, created: now, modified: now, permissions: 'rw-', owner: 'admin',
-    });
-
-    return new Promise(res => { tx.oncomplete = res; });
+  /**
+   * Files below `root` with identical content, as [{ hash, size, items }] —
+   * the most space recoverable first. Only same-size files are hashed, and a
+   * hash is remembered for as long as the file's data is unchanged (database
+   * files only: a backend's files are hashed every time).
+   */
+  async findDuplicates(root = '/') {
+    const bySize = new Map();
+    for (const it of await this._visible(root)) {
+      if (it.type !== 'file' || !it.size || !allowed(it, this.user, 'r')) continue;
+      bySize.set(it.size, [...bySize.get(it.size) || [], it]);
+    }
+    const groups = new Map();
+    for (const same of bySize.values()) {
+      if (same.length < 2) continue;
+      for (const it of same) {
+        let hash = it.dataId && this._hashes.get(it.dataId);
+        if (!hash) {
+          const bytes = await this.readBytes(it.path).catch(() => null);
+          if (!bytes) continue;
+          hash = [...new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))].map(b => b.toString(16).padStart(2, '0')).join('');
+          if (it.dataId) this._hashes.set(it.dataId, hash);
+        }
+        groups.set(hash, [...groups.get(hash) || [], it]);
+      }
+    }
+    return [...groups]
+      .filter(([, items]) => items.length > 1)
+      .map(([hash, items]) => ({ hash, size: items[0].size, items }))
+      .sort((a, b) => b.size * (b.items.length - 1) - a.size * (a.items.length - 1));
   }
 
-  /* ── CRUD ── */
-  async list(parent) {
+  /**
+   * Drop revisions saved more than `days` ago (0 = all of them) of files this
+   * user may write, plus any left behind by files that no longer exist.
+   * Returns { count, size } of what was freed.
+   */
+  async clearRevisions(days = 0) {
     await this._ready_();
-    return new Promise((res, rej) => {
-      const tx = this.db.transaction(['files'], 'readonly');
-      const idx = tx.objectStore('files').index('parent');
-      const r   = idx.getAll(parent);
-      r.onsuccess = () => res(r.result || []);
-      r.onerror   = () => rej(r.error);
+    if (!this.db) return { count: 0, size: 0 };
+    const cutoff = days ? Date.now() - days * DAY_MS : Infinity;
+    return this._write(['files', 'chunks', 'revisions'], async tx => {
+      const revs  = tx.objectStore('revisions');
+      const owner = tx.objectStore('files').index('ino');
+      const freed = { count: 0, size: 0 };
+      for (const r of await req(revs.getAll())) {
+        if (r.at >= cutoff) continue;
+        const file = await req(owner.get(r.ino));
+        if (file && !allowed(file, this.user, 'w')) continue;
+        tx.objectStore('chunks').delete(chunkRange(r.dataId));
+        revs.delete(r.id);
+        freed.count++;
+        freed.size += r.size || 0;
+      }
+      return freed;
     });
   }
 
-  async get(path) {
-    await this._ready_();
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readonly').objectStore('files').get(path);
-      r.onsuccess = () => res(r.result || null);
-      r.onerror   = () => rej(r.error);
+  /* ── Permissions ── */
+  /** A view of this filesystem whose checks run as `user` — `vfs.as('root')` is sudo. */
+  as(user) {
+    if (!USERS[user]) throw new VfsError('EINVAL', user);
+    return new Proxy(this, { get: (fs, key) => (key === 'user' ? user : fs[key]) });
+  }
+
+  get users()  { return Object.keys(USERS); }
+  get groups() { return [...new Set(Object.values(USERS).flat())]; }
+  groupsOf(user = this.user) { return USERS[user] || []; }
+
+  // Normalised 'rwxr-xr-x' mode / group of a record, and whether the current user holds `want` on it
+  modeOf(item)  { return modeOf(item); }
+  groupOf(item) { return groupOf(item); }
+  can(item, want) { return allowed(item, this.user, want); }
+  isProtected(path) { return PROTECTED.has(path); }
+
+  // Rewrite `item` (and its subtree when `recursive`) with `change(record)` after `check(record)` passes
+  async _chattr(path, recursive, check, change) {
+    if (this._mounted(path)) throw new VfsError('ENOTSUP', path);  // backends keep no modes or owners
+    const out = await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      const item  = await access(files, path, this.user, '');
+      const kids  = recursive && item.type === 'folder' ? await req(files.getAll(subtreeKeys(path))) : [];
+      const all   = [item, ...kids].map(it => { check(it); return { ...it, ...change(it) }; });
+      all.forEach(it => files.put(it));
+      return all;
     });
+    this._emit(...out.map(it => ({ type: 'modify', path: it.path, item: it })));
+    return out[0];
   }
 
-  async createFolder(parent, name) {
+  /** Change the mode of `path`: octal ('644'), full ('rw-r--r--') or symbolic ('u+x,go-w'). Owner or root only. */
+  async chmod(path, mode, { recursive = false } = {}) {
     await this._ready_();
-    const path   = parent === '/' ? `/${name}` : `${parent}/${name}`;
-    const folder = { path, name, type:'folder', parent, size:0, created:Date.now(), modified:Date.now(), permissions:'rwx', owner:'admin' };
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readwrite').objectStore('files').add(folder);
-      r.onsuccess = () => res(folder);
-      r.onerror   = () => rej(r.error);
-    });
+    return this._chattr(path, recursive, (it) => {
+      if (this.user !== 'root' && (PROTECTED.has(it.path) || ownerOf(it) !== this.user)) throw new VfsError('EPERM', it.path);
+      if (!parseMode(mode, modeOf(it))) throw new VfsError('EINVAL', String(mode));
+    }, it => ({ permissions: parseMode(mode, modeOf(it)) }));
   }
 
-  async createFile(parent, name, content = '') {
+  /**
+   * Change the owner and / or group of `path` (pass null to keep either). Only root
+   * may give a file away; an owner may move their own file between their groups.
+   */
+  async chown(path, owner, group, { recursive = false } = {}) {
+    if (owner && !USERS[owner]) throw new VfsError('EINVAL', owner);
+    if (group && !this.groups.includes(group)) throw new VfsError('EINVAL', group);
     await this._ready_();
-    const path = parent === '/' ? `/${name}` : `${parent}/${name}`;
-    const file = { path, name, type:'file', parent, content, size:content.length, created:Date.now(), modified:Date.now(), permissions:'rw-', owner:'admin' };
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readwrite').objectStore('files').add(file);
-      r.onsuccess = () => { this.addToRecent(file); res(file); };
-      r.onerror   = () => rej(r.error);
-    });
+    return this._chattr(path, recursive, (it) => {
+      if (this.user === 'root') return;
+      if ((owner && owner !== ownerOf(it)) || PROTECTED.has(it.path) || ownerOf(it) !== this.user
+        || (group && !USERS[this.user].includes(group))) throw new VfsError('EPERM', it.path);
+    }, it => ({ owner: owner || ownerOf(it), group: group || groupOf(it) }));
   }
 
-  async updateFile(path, updates) {
-    const item = await this.get(path);
-    if (!item) return null;
-    const updated = { ...item, ...updates, modified: Date.now() };
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readwrite').objectStore('files').put(updated);
-      r.onsuccess = () => res(updated);
-      r.onerror   = () => rej(r.error);
+  /* ── Mount table ── */
+  // Rebuild the backends saved in meta 'mounts'. At start-up, mount points whose
+  // backend didn't survive the reload (memory ones) are dropped.
+  async _loadMounts(startup = false) {
+    const saved  = (await this.getMeta('mounts')) || [];
+    const mounts = new Map();
+    for (const { path, kind = 'handle', config, handle } of saved) {
+      try { mounts.set(path, await BACKENDS[kind](config || { handle })); }
+      catch (e) { console.error(`VFS: can't mount ${path}:`, e); }
+    }
+    this.mounts = mounts;
+    if (!startup) return;
+    await this._write(['files'], async tx => {
+      const files = tx.objectStore('files');
+      for (const it of await req(files.index('parent').getAll(MNT_DIR))) {
+        if (it.mount && !saved.some(m => m.path === it.path)) files.delete(it.path);
+      }
     });
   }
 
-  async delete(path) {
-    const item = await this.get(path);
-    if (!item) return;
-    if (item.type === 'folder') {
-      const children = await this.list(path);
-      for (const c of children) await this.delete(c.path);
+  // The mount point `path` is on or below, or null for paths on the root filesystem
+  mountOf(path) {
+    for (const root of this.mounts.keys()) if (path === root || path.startsWith(`${root}/`)) return root;
+    return null;
+  }
+
+  // [{ path, kind, label }] — "/" first, then every mount point
+  mountTable() {
+    return [
+      { path: '/', kind: this.root?.kind || 'indexeddb', label: this.root?.label || this.dbName },
+      ...[...this.mounts].map(([path, b]) => ({ path, kind: b.kind, label: b.label })),
+    ];
+  }
+
+  // { root, backend, parts } when `path` is on a backend: below a mount point (or one,
+  // with `point`), or anywhere else if "/" is a backend. Null for the database.
+  _mounted(path, point = false) {
+    const root = this.mountOf(path);
+    if (root && (path !== root || point)) {
+      return { root, backend: this.mounts.get(root), parts: path === root ? [] : path.slice(root.length + 1).split('/') };
     }
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readwrite').objectStore('files').delete(path);
-      r.onsuccess = () => res();
-      r.onerror   = () => rej(r.error);
-    });
+    return this.root && { root: '/', backend: this.root, parts: path.split('/').filter(Boolean) };
   }
 
-  async rename(oldPath, newName) {
-    const item  = await this.get(oldPath);
-    if (!item) return null;
-    const parts = oldPath.split('/');
-    parts[parts.length - 1] = newName;
-    const newPath = parts.join('/');
-    await this.delete(oldPath);
-    const newItem = { ...item, path: newPath, name: newName, modified: Date.now() };
-    return new Promise((res, rej) => {
-      const r = this.db.transaction(['files'], 'readwrite').objectStore('files').add(newItem);
-      r.onsuccess = () => res(newItem);
-      r.onerror   = () => rej(r.error);
-    });
+  // Run fn(backend, parts), with its failures as VfsErrors about `path`
+  async _onBackend({ root, backend, parts }, path, fn) {
+    if (!(await backend.permission().catch(() => false))) throw new VfsError('EACCES', root);
+    try { return await fn(backend, parts); }
+    catch (e) { throw backendError(e, path); }
   }
 
-  async copy(srcPath, destParent) {
+  // A backend's files and folders look like any other record, owned by whoever is looking
+  _record(path, st) {
+    const mime = st.type === 'file' ? mimeFor(path, st.mime) : null;
+    return {
+      path, name: path.slice(path.lastIndexOf('/') + 1) || '/', type: st.type, parent: path === '/' ? null : parentOf(path),
+      size: st.size || 0, created: st.modified || 0, modified: st.modified || 0,
+      ...(mime && { mime, encoding: isTextMime(mime) ? 'utf8' : 'binary' }),
+      ...this._owned(st.type),
+      ...(this.mounts.has(path) && { mount: this.mounts.get(path).label }),
+    };
+  }
+
+  // Copy between the database and a backend, or two backends, through the public calls
+  async _copyAcross(srcPath, destParent, name) {
     const src = await this.get(srcPath);
-    if (!src) return null;
-    let name = src.name, counter = 1;
-    let newPath = destParent === '/' ? `/${name}` : `${destParent}/${name}`;
-    while (await this.get(newPath)) {
-      const ext  = name.includes('.') ? '.' + name.split('.').pop() : '';
-      const base = ext ? name.slice(0, -ext.length) : name;
-      name    = `${base} (${counter++})${ext}`;
-      newPath = destParent === '/' ? `/${name}` : `${destParent}/${name}`;
-    }
-    const newItem = { ...src, path: newPath, name, parent: destParent, created: Date.now(), modified: Date.now() };
-    const tx = this.db.transaction(['files'], 'readwrite');
-    await new Promise((res, rej) => { const r = tx.objectStore('files').add(newItem); r.onsuccess = res; r.onerror = () => rej(r.error); });
-    if (src.type === 'folder') {
-      const children = await this.list(srcPath);
-      for (const c of children) await this.copy(c.path, newPath);
+    if (!src) throw new VfsError('ENOENT', srcPath);
+    if (destParent === srcPath || destParent.startsWith(`${srcPath}/`)) throw new VfsError('EINVAL', destParent);
+    if (src.type === 'file') return this.createFile(destParent, name, await this.readBytes(srcPath), src.mime);
+    const top = await this.createFolder(destParent, name);
+    for (const c of await this.list(srcPath)) await this._copyAcross(c.path, top.path, c.name);
+    return top;
+  }
+
+  /**
+   * Ask the user for a directory with showDirectoryPicker() and mount it at
+   * /mnt/<name> — the directory's own name by default, "name (1)" on a clash.
+   * Resolves with the mount point's record.
+   */
+  async mount(name) {
+    if (typeof globalThis.showDirectoryPicker !== 'function') throw new VfsError('ENOTSUP', MNT_DIR);
+    return this.attach(new HandleBackend(await globalThis.showDirectoryPicker({ id: 'lynkos-mount', mode: 'readwrite' })), name);
+  }
+
+  // Make a BACKENDS[kind] backend from `config` and mount it, e.g.
+  // mountBackend('http', { url: 'https://files.example.com/share' }, 'share')
+  async mountBackend(kind, config = {}, name) {
+    if (!BACKENDS[kind]) throw new VfsError('EINVAL', kind);
+    return this.attach(await BACKENDS[kind](config), name);
+  }
+
+  // Mount `backend` at /mnt/<name> — its label by default. Like a desktop
+  // automount this is open to every user, though /mnt itself is root's.
+  async attach(backend, name = backend.label.replaceAll('/', '-')) {
+    if (!name || name.includes('/') || name === '.' || name === '..') throw new VfsError('EINVAL', name);
+    await this._ready_();
+    const config = backend.config();
+    let point;
+    if (this.db) {
+      point = await this._write(['files', 'meta'], async tx => {
+        const files = tx.objectStore('files');
+        const meta  = tx.objectStore('meta');
+        const free  = await freeName(p => req(files.get(p)), MNT_DIR, name);
+        const now   = Date.now();
+        const point = { path: joinPath(MNT_DIR, free), name: free, type: 'folder', parent: MNT_DIR, size: 0, created: now, modified: now, ...this._owned('folder'), mount: backend.label };
+        files.add(point);
+        const saved = (await req(meta.get('mounts')))?.value || [];
+        if (config) meta.put({ key: 'mounts', value: [...saved, { path: point.path, kind: backend.kind, config }] });
+        return point;
+      });
+    } else {
+      const path = joinPath(MNT_DIR, await freeName(p => this.get(p), MNT_DIR, name));
+      point = await this._onBackend(this._mounted(path), path, async (b, parts) => {
+        await b.mkdir(parts);
+        return { ...this._record(path, await b.stat(parts)), mount: backend.label };
+      });
     }
-    return newItem;
+    this.mounts.set(point.path, backend);
+    this._emit({ type: 'create', path: point.path, item: point });
+    return point;
   }
 
-  async move(srcPath, destParent) {
-    const copied = await this.copy(srcPath, destParent);
-    await this.delete(srcPath);
-    return copied;
+  // Detach a mount point; nothing on the backend is touched
+  async unmount(path) {
+    await this._ready_();
+    if (!this.mounts.has(path)) throw new VfsError('EINVAL', path);
+    let point;
+    if (this.db) {
+      point = await this._write(['files', 'meta'], async tx => {
+        const files = tx.objectStore('files');
+        const meta  = tx.objectStore('meta');
+        const point = await req(files.get(path));
+        if (point && ownerOf(point) !== this.user && this.user !== 'root') throw new VfsError('EPERM', path);
+        files.delete(path);
+        const saved = (await req(meta.get('mounts')))?.value || [];
+        meta.put({ key: 'mounts', value: saved.filter(m => m.path !== path) });
+        return point;
+      });
+    } else {
+      point = await this.get(path);
+      await this._onBackend(this._mounted(path), path, (b, parts) => b.remove(parts));
+    }
+    this.mounts.delete(path);
+    this._emit({ type: 'delete', path, item: point });
   }
 
-  async upload(parent, file) {
-    const content = await file.text().catch(() => '');
-    return this.createFile(parent, file.name, content);
+  // Ask again for access to a mount the browser has forgotten about (call from a click)
+  async reconnect(path) {
+    const root = this.mountOf(path);
+    if (!root) throw new VfsError('EINVAL', path);
+    if (!(await this.mounts.get(root).permission(true))) throw new VfsError('EACCES', root);
   }
 
-  async exportZip(path) {
-    const zip = new JSZip();
-    const item = await this.get(path);
-    if (!item) return;
-    const add = async (p, zf) => {
-      const it = await this.get(p);
-      if (it.type === 'file') { zf.file(it.name, it.content || ''); }
-      else { const f = zf.folder(it.name); const ch = await this.list(p); for (const c of ch) await add(c.path, f); }
-    };
-    if (item.type === 'folder') { const ch = await this.list(path); for (const c of ch) await add(c.path, zip); }
-    else zip.file(item.name, item.content || '');
-    const blob = await zip.generateAsync({ type: 'blob' });
-    saveAs(blob, `${item.name}.zip`);
+  /* ── Change events ── */
+  /**
+   * Call `callback(event)` whenever `path` changes — or, for a folder, anything
+   * directly in it (anywhere below it with `recursive`) — from this tab or another.
+   * Events are { type: 'create' | 'modify' | 'delete' | 'rename', path, oldPath
+   * (rename only), item, remote (true when it came from another tab) }. A watcher
+   * also hears about a rename or delete of a folder above it. Returns an unwatch function.
+   */
+  watch(path, { recursive = false } = {}, callback) {
+    const watcher = { path, recursive, callback };
+    this._watchers.add(watcher);
+    return () => { this._watchers.delete(watcher); };
   }
 
-  async search(query, root = '/') {
-    const results = [];
-    const walk = async (p) => {
-      const items = await this.list(p);
-      for (const it of items) {
-        if (it.name.toLowerCase().includes(query.toLowerCase())) results.push(it);
-        if (it.type === 'folder') await walk(it.path);
-      }
-    };
-    await walk(root);
-    return results;
+  // Tell this tab's watchers, then every other tab's
+  _emit(...events) {
+    if (!events.length) return;
+    this._deliver(events);
+    this._channel?.postMessage(events);
   }
 
-  async dirSize(path) {
-    const item = await this.get(path);
-    if (!item) return 0;
-    if (item.type === 'file') return item.size || 0;
-    let total = 0;
-    const ch = await this.list(path);
-    for (const c of ch) total += await this.dirSize(c.path);
-    return total;
+  _deliver(events) {
+    for (const ev of events) {
+      for (const w of [...this._watchers]) {
+        if (!watches(w, ev.path) && !(ev.oldPath && watches(w, ev.oldPath))) continue;
+        try { w.callback(ev); }
+        catch (e) { console.error('VFS watcher failed:', e); }  // one bad watcher mustn't break the write that fired it
+      }
+    }
   }
 
   /* ── Favorites & Recents ── */
@@ -295,8 +2388,21 @@ export class VirtualFileSystem {
     this.recentFiles = [item, ...this.recentFiles.filter(f => f.path !== item.path)].slice(0, 20);
     await this._saveMeta('recent', this.recentFiles);
   }
+  /* ── App metadata (Terminal history, …) ── */
+  async getMeta(key) {
+    await this._ready_();
+    if (!this.db) return this._meta.get(key);
+    return new Promise(res => {
+      const r = this.db.transaction(['meta'], 'readonly').objectStore('meta').get(key);
+      r.onsuccess = () => res(r.result?.value);
+      r.onerror   = () => res(undefined);
+    });
+  }
+  setMeta(key, value) { return this._saveMeta(key, value); }
+
   async _saveMeta(key, value) {
     await this._ready_();
+    if (!this.db) { this._meta.set(key, value); return; }
     const tx = this.db.transaction(['meta'], 'readwrite');
     tx.objectStore('meta').put({ key, value });
   }
@@ -318,6 +2424,310 @@ export class VirtualFileSystem {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLOUD SYNC  (two-way sync of the home folder with the LynkOS server)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/*
+ * The server keeps one copy of the home folder per signed-in user (session cookie)
+ * and a revision — the ETag — for every file and folder in it. Paths are relative
+ * to SYNC_ROOT, with URL-encoded segments:
+ *   GET    <url>/changes?since=<cursor>  JSON { cursor, changes: [{ path, type, rev, deleted }] };
+ *                                        everything when `since` is empty
+ *   GET    <url>/files/<path>            the file's bytes, ETag: <rev>
+ *   PUT    <url>/files/<path>            create or replace a file         → JSON { rev }
+ *   PATCH  <url>/files/<path>            replace only the blocks listed in X-Blocks (indices of
+ *                                        X-Block-Size blocks, sent back to back in the body) and
+ *                                        cut the file to X-Size bytes     → JSON { rev }
+ *   POST   <url>/folders/<path>          create a folder and its parents  → JSON { rev }
+ *   DELETE <url>/files/<path>            remove a file or a whole folder
+ * Writes and deletes carry If-Match: <rev> (If-None-Match: * for a new file) and
+ * answer 412 when someone else changed the file first.
+ *
+ * What was last synced is kept in the `cloudSync` meta entry:
+ *   { cursor, files: { <path>: { type, rev, size, modified, blocks } } }
+ * A file whose size or modified time no longer match has changed locally. If the server
+ * changed it too, the server's version is saved beside it as a conflicted copy and the
+ * local one wins. A rename reaches the other side as a delete plus a create. The
+ * contents of a folder this user can't read are left alone on both sides.
+ */
+const SYNC_ROOT        = '/Users/Admin';
+const SYNC_URL         = `${API_BASE}/api/sync`;
+const SYNC_INTERVAL_MS = 60 * 1000;   // poll for remote changes
+const SYNC_DEBOUNCE_MS = 3000;        // after a local change
+const SYNC_LOCK        = 'lynkos-sync';  // one tab syncs at a time
+const SYNC_BLOCK       = 64 * 1024;
+
+// Scheduled backups hold the whole filesystem and stay on this machine, like in backupTree()
+const unsynced = rel => `${SYNC_ROOT}/${rel}` === BACKUP_DIR || `${SYNC_ROOT}/${rel}`.startsWith(`${BACKUP_DIR}/`);
+
+class SyncHttpError extends Error {
+  constructor(status, path) {
+    super(`Sync server answered ${status} for ${path}`);
+    this.status = status;
+  }
+}
+
+// Hash of every SYNC_BLOCK of `bytes`, to find which ones an edit touched
+const blockHashes = async bytes => {
+  const out = [];
+  for (let at = 0; at < bytes.length; at += SYNC_BLOCK) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes.subarray(at, at + SYNC_BLOCK));
+    out.push([...new Uint8Array(digest, 0, 16)].map(b => b.toString(16).padStart(2, '0')).join(''));
+  }
+  return out;
+};
+
+// "report.txt" → "report (conflicted copy 2026-10-19 1432).txt"
+const conflictName = name => {
+  const dot = name.lastIndexOf('.');
+  const tag = ` (conflicted copy ${format(new Date(), 'yyyy-MM-dd HHmm')})`;
+  return dot > 0 ? name.slice(0, dot) + tag + name.slice(dot) : name + tag;
+};
+
+export class CloudSync {
+  /**
+   * `onStatus` hears { state: 'idle' | 'syncing' | 'offline' | 'error', last, error,
+   * uploaded, downloaded, conflicts, skipped } after every change (skipped: local items
+   * that couldn't be read or sent this pass); `onConflict(path, copyPath)`
+   * once per conflicted copy it saves.
+   */
+  constructor(vfs, { url = SYNC_URL, onStatus, onConflict } = {}) {
+    this.vfs        = vfs;
+    this.url        = url;
+    this.onStatus   = onStatus;
+    this.onConflict = onConflict;
+    this.status     = { state: 'idle', last: null, error: null, uploaded: 0, downloaded: 0, conflicts: 0, skipped: 0 };
+    this._running   = null;
+  }
+
+  start() {
+    const soon = () => { clearTimeout(this._soon); this._soon = setTimeout(() => this.syncNow(), SYNC_DEBOUNCE_MS); };
+    this._unwatch = this.vfs.watch(SYNC_ROOT, { recursive: true }, ev => { if (!ev.remote) soon(); });
+    this._timer   = setInterval(() => this.syncNow(), SYNC_INTERVAL_MS);
+    this._online  = () => this.syncNow();
+    window.addEventListener('online', this._online);
+    return this.syncNow();
+  }
+
+  stop() {
+    this._unwatch?.();
+    clearTimeout(this._soon);
+    clearInterval(this._timer);
+    window.removeEventListener('online', this._online);
+    this._stopped = true;
+  }
+
+  _set(changes) {
+    this.status = { ...this.status, ...changes };
+    if (!this._stopped) this.onStatus?.(this.status);
+  }
+
+  /** Run one pass now, or join the one already running. */
+  syncNow() {
+    if (this._stopped) return Promise.resolve(this.status);
+    this._running ||= (async () => {
+      if (navigator.onLine === false) return this._set({ state: 'offline', error: null });
+      this._set({ state: 'syncing' });
+      try {
+        const pass = () => this._pass();
+        const totals = await (navigator.locks ? navigator.locks.request(SYNC_LOCK, pass) : pass());
+        this._set({ state: 'idle', last: Date.now(), error: null, ...totals });
+      } catch (e) {
+        // fetch() rejecting (rather than answering) means the server can't be reached
+        if (e instanceof TypeError) this._set({ state: 'offline', error: null });
+        else this._set({ state: 'error', error: e.status === 401 || e.status === 403 ? 'Sign in to sync' : e.message || String(e) });
+      }
+    })().finally(() => { this._running = null; });
+    return this._running.then(() => this.status);
+  }
+
+  async _fetch(path, init = {}, ok = []) {
+    const res = await fetch(`${this.url}/${path}`, { credentials: 'include', ...init });
+    if (!res.ok && !ok.includes(res.status)) throw new SyncHttpError(res.status, path);
+    return res;
+  }
+
+  _remote(rel, kind = 'files') { return `${kind}/${rel.split('/').map(encodeURIComponent).join('/')}`; }
+
+  async _pass() {
+    const vfs    = this.vfs;
+    const state  = await vfs.getMeta('cloudSync') || { cursor: '', files: {} };
+    const totals = { uploaded: 0, downloaded: 0, conflicts: 0, skipped: 0 };
+    const local  = new Map();
+    const hidden = [];  // folders this user can't read: _visible leaves their contents out
+    for (const it of await vfs._visible(SYNC_ROOT)) {
+      const rel = it.path.slice(SYNC_ROOT.length + 1);
+      if (unsynced(rel)) continue;
+      local.set(rel, it);
+      if (it.type === 'folder' && !allowed(it, vfs.user, 'rx')) hidden.push(rel);
+    }
+    const unseen  = rel => hidden.some(dir => rel.startsWith(`${dir}/`));
+    const changed = (it, known) => !known || known.type !== it.type
+      || (it.type === 'file' && (it.size !== known.size || it.modified !== known.modified));
+
+    try {
+      // 1. Bring in what changed on the server
+      const { cursor, changes } = await (await this._fetch(`changes?since=${encodeURIComponent(state.cursor)}`)).json();
+      for (const ch of changes) {
+        const known = state.files[ch.path];
+        const it    = local.get(ch.path);
+        if (!ch.deleted && known?.rev === ch.rev) continue;  // already have it (often our own upload)
+        if (unseen(ch.path) || unsynced(ch.path)) continue;  // can't be read or written here, or a backup
+        if (ch.deleted) {
+          if (!known) continue;
+          // What was edited or created here since keeps its folders and is sent again in step 2,
+          // and so does a folder we can't see into
+          const under = rel => rel === ch.path || rel.startsWith(`${ch.path}/`);
+          const keep  = new Set();
+          for (const [rel, item] of local) {
+            if (!under(rel) || !(hidden.includes(rel) || changed(item, state.files[rel]))) continue;
+            for (let at = rel; under(at); at = at.slice(0, Math.max(at.lastIndexOf('/'), 0))) keep.add(at);
+          }
+          this._forget(state, ch.path);
+          // Trash the rest, taking the topmost of each unchanged branch
+          const drop = [...local.keys()].filter(rel => under(rel) && !keep.has(rel)
+            && (rel === ch.path || keep.has(rel.slice(0, rel.lastIndexOf('/')))));
+          for (const rel of drop) {
+            await vfs.trash(`${SYNC_ROOT}/${rel}`);
+            for (const p of [...local.keys()]) if (p === rel || p.startsWith(`${rel}/`)) local.delete(p);
+          }
+          continue;
+        }
+        if (ch.type === 'folder') {
+          if (!it) local.set(ch.path, await this._mkdirs(local, ch.path));
+          if (!it || it.type === 'folder') state.files[ch.path] = { type: 'folder', rev: ch.rev };
+          continue;
+        }
+        if (it && (it.type !== 'file' || changed(it, known))) {
+          const remote = await this._get(ch.path);
+          if (it.type === 'file' && sameBytes(await vfs.readBytes(it.path), remote.bytes)) {
+            state.files[ch.path] = { type: 'file', rev: remote.rev, size: it.size, modified: it.modified, blocks: await blockHashes(remote.bytes) };
+            continue;
+          }
+          await this._conflict(local, ch.path, remote);
+          state.files[ch.path] = { ...known, type: 'file', rev: remote.rev, blocks: null };  // no longer a base for a delta
+          totals.conflicts++;
+          continue;
+        }
+        await this._download(state, local, ch.path);
+        totals.downloaded++;
+      }
+      state.cursor = cursor;
+
+      // 2. Send what changed here; a parent always comes before its children
+      for (const [rel, it] of [...local].sort(([a], [b]) => a.localeCompare(b))) {
+        const known = state.files[rel];
+        if (!changed(it, known)) continue;
+        try {
+          if (it.type === 'folder') {
+            const { rev } = await (await this._fetch(this._remote(rel, 'folders'), { method: 'POST' })).json();
+            state.files[rel] = { type: 'folder', rev };
+          } else {
+            totals.conflicts += await this._upload(state, local, rel, it);
+            totals.uploaded++;
+          }
+        } catch (e) {
+          // Offline or signed out stops the pass; one item we can't read or send is left for next time
+          if (e instanceof TypeError || e.status === 401 || e.status === 403) throw e;
+          totals.skipped++;
+        }
+      }
+
+      // 3. Remove on the server what's gone here; deleting a folder takes its contents with it.
+      // What an unreadable folder hides isn't in `local`, so only what's really missing counts
+      const gone = Object.keys(state.files).filter(rel => !local.has(rel) && !unseen(rel) && !unsynced(rel)).sort();
+      for (const rel of gone) {
+        if (!state.files[rel] || await vfs.get(`${SYNC_ROOT}/${rel}`)) continue;
+        const res = await this._fetch(this._remote(rel), { method: 'DELETE', headers: { 'If-Match': state.files[rel].rev } }, [404, 412]);
+        this._forget(state, rel);
+        // Changed on the server since: that edit wins, so fetch everything again next pass
+        if (res.status === 412) state.cursor = '';
+      }
+    } finally {
+      await vfs.setMeta('cloudSync', state);
+    }
+    return totals;
+  }
+
+  _forget(state, rel) {
+    for (const p of Object.keys(state.files)) if (p === rel || p.startsWith(`${rel}/`)) delete state.files[p];
+  }
+
+  // Create `rel` and any missing folders above it
+  async _mkdirs(local, rel) {
+    let at = '';
+    for (const name of rel.split('/')) {
+      const parent = at;
+      at = at ? `${at}/${name}` : name;
+      if (!local.has(at)) local.set(at, await this.vfs.createFolder(parent ? `${SYNC_ROOT}/${parent}` : SYNC_ROOT, name));
+    }
+    return local.get(rel);
+  }
+
+  async _get(rel) {
+    const res = await this._fetch(this._remote(rel));
+    return { bytes: new Uint8Array(await res.arrayBuffer()), rev: res.headers.get('ETag') };
+  }
+
+  async _download(state, local, rel) {
+    const { bytes, rev } = await this._get(rel);
+    if (rel.includes('/')) await this._mkdirs(local, parentOf(`/${rel}`).slice(1));
+    const item = await this.vfs.writeBytes(`${SYNC_ROOT}/${rel}`, bytes);
+    local.set(rel, item);
+    state.files[rel] = { type: 'file', rev, size: item.size, modified: item.modified, blocks: await blockHashes(bytes) };
+  }
+
+  // Save the server's version of `rel` (`bytes`, from _get) beside the local one
+  async _conflict(local, rel, { bytes }) {
+    const path = `${SYNC_ROOT}/${rel}`;
+    const dir  = parentOf(path);
+    const name = await freeName(async p => !!await this.vfs.get(p), dir, conflictName(path.slice(dir.length + 1)));
+    const copy = await this.vfs.createFile(dir, name, bytes);
+    local.set(copy.path.slice(SYNC_ROOT.length + 1), copy);
+    this.onConflict?.(path, joinPath(dir, name));
+  }
+
+  // Upload `rel`, as the blocks that changed when the server has the version we last
+  // synced; returns how many conflicts that took (0 or 1)
+  async _upload(state, local, rel, it) {
+    const bytes  = await this.vfs.readBytes(`${SYNC_ROOT}/${rel}`);
+    const blocks = await blockHashes(bytes);
+    const known  = state.files[rel];
+    let base      = known?.type === 'file' ? known.rev : null;
+    let conflicts = 0;
+    const send = async () => {
+      const cond  = base ? { 'If-Match': base } : { 'If-None-Match': '*' };
+      const dirty = known?.blocks && base === known.rev ? blocks.flatMap((h, i) => h === known.blocks[i] ? [] : [i]) : null;
+      if (dirty && dirty.length < blocks.length) {
+        const res = await this._fetch(this._remote(rel), {
+          method: 'PATCH',
+          headers: { ...cond, 'X-Block-Size': String(SYNC_BLOCK), 'X-Blocks': dirty.join(','), 'X-Size': String(bytes.length) },
+          body: new Blob(dirty.map(i => bytes.subarray(i * SYNC_BLOCK, (i + 1) * SYNC_BLOCK))),
+        }, [404, 405, 412, 501]);
+        if (res.ok || res.status === 412) return res;  // otherwise the server can't patch: send it whole
+      }
+      return this._fetch(this._remote(rel), { method: 'PUT', headers: cond, body: bytes }, [412]);
+    };
+    let res = await send();
+    if (res.status === 412) {
+      const remote = await this._get(rel);
+      base = remote.rev;
+      if (sameBytes(bytes, remote.bytes)) {
+        state.files[rel] = { type: 'file', rev: base, size: it.size, modified: it.modified, blocks };
+        return 0;
+      }
+      await this._conflict(local, rel, remote);
+      conflicts++;
+      res = await send();
+      if (!res.ok) throw new SyncHttpError(res.status, rel);
+    }
+    const { rev } = await res.json();
+    state.files[rel] = { type: 'file', rev, size: it.size, modified: it.modified, blocks };
+    return conflicts;
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -327,6 +2737,7 @@ const DARK_GLASS   = 'rgba(12,12,20,0.90)';
 const SESSION_KEY  = 'lynkos_v4_session';
 const NOTIF_KEY    = 'lynkos_v4_notifs';
 const AUTO_SAVE_MS = 30_000;
+const BACKUP_SCHEDULE = { days:0, keep:5 };  // Settings → System; days: 0 = no scheduled backups
 const TASKBAR_H    = 48;
 const TASKBAR_W    = 56;
 
@@ -357,10 +2768,11 @@ const APP_REGISTRY = {
 
 const EXT_MAP = {
   mp3:'musicplayer', wav:'musicplayer', ogg:'musicplayer', flac:'musicplayer', aac:'musicplayer',
+  m4a:'musicplayer', opus:'musicplayer', m3u:'musicplayer', m3u8:'musicplayer', pls:'musicplayer',
   jpg:'imageviewer', jpeg:'imageviewer', png:'imageviewer', gif:'imageviewer', webp:'imageviewer', svg:'imageviewer',
   txt:'texteditor',  md:'texteditor',   js:'texteditor',  jsx:'texteditor', ts:'texteditor',
   json:'texteditor', html:'texteditor', css:'texteditor', py:'texteditor',  java:'texteditor',
-  pdf:'pdf',
+  pdf:'pdf',         sh:'terminal',
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -386,8 +2798,15 @@ const defaultIcons = () => [
   { id:'pdf',         label:'PDF Viewer',  x:120, y:130 },
   { id:'imageviewer', label:'Images',      x:120, y:240 },
   { id:'terminal',    label:'Terminal',    x:120, y:350 },
+  { id:'trash',       label:'Trash',       x:120, y:460 },
 ];
 
+// The desktop Trash icon opens the File Manager here
+const TRASH_FOLDER = { type:'folder', path:TRASH_DIR, name:'Trash' };
+
+// Folder behind the desktop: items dropped there move in and get an icon
+const DESKTOP_DIR = '/Users/Admin/Desktop';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SHARED UI ATOMS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -435,6 +2854,92 @@ const InlineDialog = ({ title, placeholder, defaultValue = '', confirmLabel = 'C
   );
 };
 
+/* ── Restore dialog: what an imported backup holds, and what to do where it meets existing files ── */
+const RESTORE_POLICIES = [
+  { value:'overwrite', label:'Overwrite' },
+  { value:'skip',      label:'Skip'      },
+  { value:'keep',      label:'Keep both' },
+];
+
+const RestoreDialog = ({ backup, onRestore, onCancel }) => {
+  const { name, metadata, state, manifest } = backup;
+  const [settings, setSettings] = useState(!!state);
+  const [files,    setFiles]    = useState(!!manifest);
+  const [policy,   setPolicy]   = useState('keep');
+  const [choices,  setChoices]  = useState({});
+  const items     = manifest?.items || [];
+  const conflicts = items.filter(it => it.conflict);
+  const added     = items.filter(it => !it.exists).length;
+  const check = (on, set, label, sub, disabled) => (
+    <label style={{ display:'flex', alignItems:'flex-start', gap:9, padding:'7px 0', cursor:disabled?'default':'pointer', opacity:disabled?0.4:1 }}>
+      <input type="checkbox" checked={on} disabled={disabled} onChange={e => set(e.target.checked)} style={{ accentColor:ACCENT, marginTop:2 }}/>
+      <span><div style={{ fontSize:13 }}>{label}</div><div style={{ fontSize:11, opacity:0.5 }}>{sub}</div></span>
+    </label>
+  );
+
+  return (
+    <div
+      style={{ position:'fixed', inset:0, background:'rgba(0,0,0,0.65)', backdropFilter:'blur(8px)',
+        display:'flex', alignItems:'center', justifyContent:'center', zIndex:99998 }}
+      onClick={onCancel}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{ background:'rgba(16,16,26,0.98)', backdropFilter:'blur(24px)',
+          border:'1px solid rgba(255,255,255,0.14)', borderRadius:12, color:'white',
+          padding:'26px 24px', width:460, maxHeight:'80vh', display:'flex', flexDirection:'column', boxShadow:'0 24px 64px rgba(0,0,0,0.75)' }}
+      >
+        <div style={{ fontWeight:700, fontSize:15, marginBottom:4 }}>Restore Backup</div>
+        <div style={{ fontSize:11, opacity:0.45, marginBottom:12 }}>
+          {name}{metadata?.date && ` · ${format(new Date(metadata.date),'dd MMM yyyy, HH:mm')}`}{metadata?.user && ` · ${metadata.user}`}
+        </div>
+        {check(settings, setSettings, 'Desktop settings', state ? 'Wallpaper, theme, taskbar, pinned apps and icon positions' : 'Not in this backup', !state)}
+        {check(files, setFiles, 'Files', manifest
+          ? `${items.length} item(s) · ${added} new · ${conflicts.length} already here`
+          : 'This backup has no files — export with Ctrl+Alt+Shift+S to include them', !manifest)}
+        {files && conflicts.length > 0 && (
+          <>
+            <div style={{ display:'flex', alignItems:'center', gap:6, margin:'10px 0 8px', fontSize:12 }}>
+              <span style={{ opacity:0.6, marginRight:4 }}>Where an item exists:</span>
+              {RESTORE_POLICIES.map(p => (
+                <button key={p.value} onClick={() => { setPolicy(p.value); setChoices({}); }}
+                  style={{ padding:'4px 10px', borderRadius:12, cursor:'pointer', fontSize:11,
+                    background:policy===p.value?'rgba(79,172,254,0.22)':'rgba(255,255,255,0.06)',
+                    border:`1px solid ${policy===p.value?'rgba(79,172,254,0.45)':'rgba(255,255,255,0.1)'}`,
+                    color:policy===p.value?ACCENT:'rgba(255,255,255,0.7)' }}>{p.label}</button>
+              ))}
+            </div>
+            <div style={{ flex:1, minHeight:60, maxHeight:220, overflowY:'auto', border:'1px solid rgba(255,255,255,0.08)', borderRadius:7 }}>
+              {conflicts.map(it => (
+                <div key={it.path} style={{ display:'flex', alignItems:'center', gap:8, padding:'5px 9px', fontSize:12, borderBottom:'1px solid rgba(255,255,255,0.04)' }}>
+                  {it.type === 'folder' ? <Folder size={12} style={{ flexShrink:0, opacity:0.6 }}/> : <FileText size={12} style={{ flexShrink:0, opacity:0.6 }}/>}
+                  <span title={it.path} style={{ flex:1, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{it.path}</span>
+                  <select value={choices[it.path] || policy} onChange={e => setChoices(c => ({ ...c, [it.path]:e.target.value }))}
+                    style={{ background:'rgba(255,255,255,0.08)', border:'1px solid rgba(255,255,255,0.12)', borderRadius:5, color:'white', fontSize:11, padding:'2px 4px' }}>
+                    {RESTORE_POLICIES.map(p => <option key={p.value} value={p.value} style={{ background:'#1a1a26' }}>{p.label}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        <div style={{ display:'flex', gap:9, justifyContent:'flex-end', marginTop:16 }}>
+          <button onClick={onCancel}
+            style={{ padding:'7px 18px', borderRadius:6, cursor:'pointer', fontSize:13, fontWeight:500,
+              background:'rgba(255,255,255,0.08)', border:'1px solid rgba(255,255,255,0.14)', color:'white' }}>
+            Cancel
+          </button>
+          <button disabled={!settings && !files} onClick={() => onRestore({ settings, files, policy, choices })}
+            style={{ padding:'7px 18px', borderRadius:6, cursor:'pointer', fontSize:13, fontWeight:600, opacity:!settings && !files ? 0.4 : 1,
+              background:`linear-gradient(135deg,${ACCENT},${ACCENT2})`, border:'none', color:'#000' }}>
+            Restore
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 /* ── Context Menu ── */
 const CtxMenu = ({ items, x, y, onClose }) => {
   const ref = useRef(null);
@@ -705,14 +3210,49 @@ const PowerMenu = ({ onClose }) => (
 );
 
 /* ── Search Overlay ── */
-const SearchOverlay = ({ onClose, openApp }) => {
+// Snippet text with its match ranges highlighted
+const Snippet = ({ snippet }) => {
+  const parts = [];
+  let at = 0;
+  for (const [a, b] of snippet.hits) {
+    if (a < at) continue;
+    parts.push(snippet.text.slice(at, a), <mark key={a} style={{ background:'rgba(79,172,254,0.35)', color:'white', borderRadius:2 }}>{snippet.text.slice(a, b)}</mark>);
+    at = b;
+  }
+  parts.push(snippet.text.slice(at));
+  return <>{parts}</>;
+};
+
+const SearchOverlay = ({ vfs, onClose, openApp, openFile }) => {
   const [q, setQ] = useState('');
+  const [hits, setHits] = useState([]);
   const inputRef  = useRef(null);
   useEffect(() => { setTimeout(() => inputRef.current?.focus(), 50); }, []);
-  const results = useMemo(() => {
+  const apps = useMemo(() => {
     const all = Object.values(APP_REGISTRY);
     return q.trim() ? all.filter(a => a.title.toLowerCase().includes(q.toLowerCase())) : all;
   }, [q]);
+
+  // Files and folders from the full-text index, once typing pauses; a stale reply is dropped
+  useEffect(() => {
+    if (!vfs || !q.trim()) return;
+    let live = true;
+    const t = setTimeout(() => vfs.searchContent(q, { limit: 8 })
+      .then(r => { if (live) setHits(r); })
+      .catch(() => { if (live) setHits([]); }), 150);
+    return () => { live = false; clearTimeout(t); };
+  }, [q, vfs]);
+
+  const results = [
+    ...apps.slice(0, q.trim() ? 5 : 8).map(app => ({ key:app.id, kind:'app', app })),
+    ...(q.trim() ? hits : []).map(item => ({ key:item.path, kind:'file', item })),
+  ];
+  const choose = r => {
+    if (r.kind === 'app') openApp(r.app.id);
+    else if (r.item.type === 'folder') openApp('filemanager', r.item, true);
+    else openFile(r.item);
+    onClose();
+  };
   return (
     <div style={{ position:'fixed', inset:0, background:'rgba(0,0,0,0.70)', backdropFilter:'blur(12px)',
       display:'flex', flexDirection:'column', alignItems:'center', paddingTop:100, zIndex:99997 }}
@@ -724,25 +3264,44 @@ const SearchOverlay = ({ onClose, openApp }) => {
           padding:'13px 18px', marginBottom:8, boxShadow:'0 24px 64px rgba(0,0,0,0.7)' }}>
           <Search size={17} style={{ opacity:0.4, flexShrink:0 }}/>
           <input ref={inputRef} value={q} onChange={e => setQ(e.target.value)}
-            placeholder="Search apps…"
+            placeholder="Search apps and files…"
+            title={'Words match names and contents. Also: "exact phrase", prefix*, /regex/, ext:md,txt, modified:7d / 2024-05 / >2024-05-01'}
             style={{ flex:1, background:'transparent', border:'none', outline:'none', color:'white', fontSize:15 }}
-            onKeyDown={e => { if(e.key==='Escape') onClose(); if(e.key==='Enter'&&results[0]){ openApp(results[0].id); onClose(); } }}/>
+            onKeyDown={e => { if(e.key==='Escape') onClose(); if(e.key==='Enter'&&results[0]) choose(results[0]); }}/>
           <kbd style={{ fontSize:10, opacity:0.3, border:'1px solid rgba(255,255,255,0.18)', borderRadius:4, padding:'2px 6px' }}>ESC</kbd>
         </div>
         <div style={{ background:'rgba(14,14,24,0.99)', backdropFilter:'blur(20px)',
           border:'1px solid rgba(255,255,255,0.08)', borderRadius:11, overflow:'hidden',
-          boxShadow:'0 18px 52px rgba(0,0,0,0.6)' }}>
-          {results.slice(0,8).map((app,i) => (
-            <div key={app.id} onClick={() => { openApp(app.id); onClose(); }}
+          boxShadow:'0 18px 52px rgba(0,0,0,0.6)', maxHeight:'60vh', overflowY:'auto' }}>
+          {results.map((r,i) => (
+            <div key={r.key} onClick={() => choose(r)}
               style={{ display:'flex', alignItems:'center', gap:11, padding:'11px 15px',
                 cursor:'pointer', fontSize:13,
                 borderBottom:i<results.length-1?'1px solid rgba(255,255,255,0.04)':'none',
                 transition:'background 0.1s' }}
               onMouseEnter={e => e.currentTarget.style.background='rgba(79,172,254,0.14)'}
               onMouseLeave={e => e.currentTarget.style.background='transparent'}>
-              <span style={{ fontSize:20 }}>{app.emoji}</span>
-              <span>{app.title}</span>
-              <span style={{ marginLeft:'auto', fontSize:10, opacity:0.26 }}>App</span>
+              {r.kind === 'app' ? (
+                <>
+                  <span style={{ fontSize:20 }}>{r.app.emoji}</span>
+                  <span>{r.app.title}</span>
+                  <span style={{ marginLeft:'auto', fontSize:10, opacity:0.26 }}>App</span>
+                </>
+              ) : (
+                <>
+                  {r.item.type === 'folder' ? <Folder size={18} style={{ opacity:0.6, flexShrink:0 }}/> : <FileText size={18} style={{ opacity:0.6, flexShrink:0 }}/>}
+                  <div style={{ minWidth:0, flex:1 }}>
+                    <div>{r.item.name}</div>
+                    {r.item.snippet && (
+                      <div style={{ fontSize:11, opacity:0.55, marginTop:2, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                        <Snippet snippet={r.item.snippet}/>
+                      </div>
+                    )}
+                    <div style={{ fontSize:10, opacity:0.3, marginTop:1 }}>{r.item.parent}</div>
+                  </div>
+                  <span style={{ marginLeft:'auto', fontSize:10, opacity:0.26 }}>{r.item.type === 'folder' ? 'Folder' : 'File'}</span>
+                </>
+              )}
             </div>
           ))}
           {results.length === 0 && <div style={{ padding:'18px', textAlign:'center', opacity:0.28, fontSize:13 }}>No results</div>}
@@ -855,7 +3414,8 @@ const TL = ({ color, title, onClick }) => {
 };
 
 /* ── Window Frame ── */
-const WindowFrame = ({ win, isActive, onFocus, onClose, onMin, onMax, children, taskbarPos, onCtxMenu, onMoved, onResized }) => {
+// onDropPaths, when given, opens VFS items dropped anywhere on the window in its app
+const WindowFrame = ({ win, isActive, onFocus, onClose, onMin, onMax, children, taskbarPos, onCtxMenu, onMoved, onResized, onDropPaths }) => {
   const maxW = (taskbarPos==='left'||taskbarPos==='right') ? window.innerWidth  - TASKBAR_W : window.innerWidth;
   const maxH = (taskbarPos==='top' ||taskbarPos==='bottom')? window.innerHeight - TASKBAR_H : window.innerHeight;
   const maxX = taskbarPos==='left' ? TASKBAR_W : 0;
@@ -876,6 +3436,13 @@ const WindowFrame = ({ win, isActive, onFocus, onClose, onMin, onMax, children,
       onResizeStop={(_,__,ref,___,pos) => { if (!win.isMax) onResized(parseInt(ref.style.width), parseInt(ref.style.height), pos.x, pos.y); }}
     >
       <div onClick={onFocus} onContextMenu={onCtxMenu}
+        onDragOver={e => { if (onDropPaths && isVfsDrag(e)) { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; } }}
+        onDrop={e => {
+          if (!onDropPaths || !isVfsDrag(e)) return;
+          e.preventDefault();
+          onFocus();
+          onDropPaths(getDragPaths(e));
+        }}
         style={{ width:'100%', height:'100%', display:'flex', flexDirection:'column',
           background:DARK_GLASS, backdropFilter:'blur(26px) saturate(180%)',
           borderRadius:win.isMax?0:11,
@@ -908,24 +3475,40 @@ const WindowFrame = ({ win, isActive, onFocus, onClose, onMin, onMax, children,
 };
 
 /* ── Desktop Icon ── */
-const DesktopIcon = ({ ic, selected, size, onSingleClick, onDoubleClick, onContextMenu, onDragStop }) => {
+// Dragged VFS items can be dropped on an icon: into its folder, to the Trash, or opened by its app
+const DesktopIcon = ({ ic, selected, size, onSingleClick, onDoubleClick, onContextMenu, onDragStop, onDropPaths }) => {
+  const [over, setOver] = useState(false);
   const app  = APP_REGISTRY[ic.id];
   const px   = { small:54, medium:68, large:84 }[size];
   const emsz = { small:22, medium:30, large:40 }[size];
   const fsz  = { small:10, medium:11, large:13 }[size];
+  const lit  = selected || over;
   return (
     <Rnd position={{ x:ic.x, y:ic.y }} size={{ width:px, height:px+28 }}
       enableResizing={false} bounds="parent" dragHandleClassName="ihdl"
       onDragStop={(_,d) => onDragStop(d.x, d.y)}>
       <div className="ihdl" onClick={onSingleClick} onDoubleClick={onDoubleClick} onContextMenu={onContextMenu}
+        onDragOver={e => {
+          if (!isVfsDrag(e)) return;
+          e.preventDefault(); e.stopPropagation();
+          e.dataTransfer.dropEffect = app ? 'copy' : dropEffect(e);
+          setOver(true);
+        }}
+        onDragLeave={e => { if (!e.currentTarget.contains(e.relatedTarget)) setOver(false); }}
+        onDrop={e => {
+          if (!isVfsDrag(e)) return;
+          e.preventDefault(); e.stopPropagation();
+          setOver(false);
+          onDropPaths(getDragPaths(e), dropEffect(e) === 'copy');
+        }}
         style={{ width:'100%', height:'100%', display:'flex', flexDirection:'column',
           alignItems:'center', justifyContent:'center', gap:4, cursor:'pointer',
           padding:4, borderRadius:7, userSelect:'none',
-          background:selected?'rgba(79,172,254,0.24)':'transparent',
-          border:`1px solid ${selected?'rgba(79,172,254,0.48)':'transparent'}`,
+          background:lit?'rgba(79,172,254,0.24)':'transparent',
+          border:`1px solid ${lit?'rgba(79,172,254,0.48)':'transparent'}`,
           transition:'background 0.1s' }}>
         <span style={{ fontSize:emsz, lineHeight:1, filter:'drop-shadow(0 2px 7px rgba(0,0,0,0.75))' }}>
-          {app?.emoji || (ic.isFolder ? '📁' : '📄')}
+          {app?.emoji || (ic.id === 'trash' ? '🗑️' : ic.isFolder ? '📁' : '📄')}
         </span>
         <span style={{ fontSize:fsz, textAlign:'center', lineHeight:1.25, maxWidth:'100%',
           textShadow:'0 1px 5px rgba(0,0,0,0.95)', wordBreak:'break-word',
@@ -937,6 +3520,30 @@ const DesktopIcon = ({ ic, selected, size, onSingleClick, onDoubleClick, onConte
   );
 };
 
+/* ── Cloud Sync tray icon (hidden while sync is off) ── */
+const SYNC_TRAY = {
+  idle:    { Icon:Cloud,      color:'rgba(255,255,255,0.6)' },
+  syncing: { Icon:RefreshCw,  color:ACCENT, spin:true },
+  offline: { Icon:CloudOff,   color:'rgba(255,255,255,0.35)' },
+  error:   { Icon:CloudAlert, color:'#ff5f56' },
+};
+const syncTitle = s => ({
+  idle:    `Cloud Sync — up to date${s.last ? ` (${format(s.last,'HH:mm')})` : ''}${s.conflicts ? ` · ${s.conflicts} conflicted cop${s.conflicts>1?'ies':'y'}` : ''}${s.skipped ? ` · ${s.skipped} item(s) not synced` : ''}`,
+  syncing: 'Cloud Sync — syncing…',
+  offline: 'Cloud Sync — server unreachable, will retry',
+  error:   `Cloud Sync — ${s.error}`,
+}[s.state]) + '\nClick to sync now';
+
+const SyncTray = ({ status, onClick, style }) => {
+  if (!status) return null;
+  const { Icon, color, spin } = SYNC_TRAY[status.state];
+  return (
+    <div onClick={onClick} title={syncTitle(status)} style={{ display:'flex', alignItems:'center', cursor:'pointer', color, ...style }}>
+      <Icon size={13} style={spin ? { animation:'spin 1s linear infinite' } : undefined}/>
+    </div>
+  );
+};
+
 /* ── Taskbar ── */
 const Taskbar = ({
   position, windows, activeId,
@@ -945,7 +3552,11 @@ const Taskbar = ({
   onQuickSettings, onPower,
   pinnedApps, openApp, onWindowClick,
   unreadCount, onNotifPanel,
+  syncStatus, onSyncNow,
+  onDropPaths,
 }) => {
+  const [dropOn, setDropOn] = useState(null);  // app button under a VFS drag
+  const spring = useRef(null);
   const isVert = position === 'left' || position === 'right';
   const barStyle = {
     position:'fixed', background:'rgba(5,5,13,0.94)', backdropFilter:'blur(22px)',
@@ -995,6 +3606,12 @@ const Taskbar = ({
           const wins  = windows.filter(w => w.appId === appId);
           const isAct = wins.some(w => w.id === activeId && !w.isMin);
           const hasWin= wins.length > 0;
+          const lit   = isAct || dropOn === appId;
+          // Resting a drag on a running app's button brings its window up to drop into
+          const springOpen = () => {
+            const w = wins[0];
+            if (w && (w.isMin || w.id !== activeId)) onWindowClick(w.id);
+          };
           return (
             <div key={appId} title={app.title}
               onClick={() => {
@@ -1003,10 +3620,29 @@ const Taskbar = ({
                 if (w.isMin || w.id !== activeId) onWindowClick(w.id);
                 else onWindowClick(w.id);
               }}
+              onDragEnter={e => {
+                if (!isVfsDrag(e) || dropOn === appId) return;
+                setDropOn(appId);
+                clearTimeout(spring.current);
+                spring.current = setTimeout(springOpen, SPRING_MS);
+              }}
+              onDragOver={e => { if (isVfsDrag(e)) { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; } }}
+              onDragLeave={e => {
+                if (e.currentTarget.contains(e.relatedTarget)) return;
+                clearTimeout(spring.current);
+                setDropOn(null);
+              }}
+              onDrop={e => {
+                if (!isVfsDrag(e)) return;
+                e.preventDefault();
+                clearTimeout(spring.current);
+                setDropOn(null);
+                onDropPaths(appId, getDragPaths(e));
+              }}
               style={{ position:'relative', display:'flex', alignItems:'center', gap:6,
                 padding:isVert?'7px':'4px 10px', borderRadius:7, cursor:'pointer', flexShrink:0,
-                background:isAct?'rgba(79,172,254,0.17)':'transparent',
-                border:`1px solid ${isAct?'rgba(79,172,254,0.34)':'transparent'}`,
+                background:lit?'rgba(79,172,254,0.17)':'transparent',
+                border:`1px solid ${lit?'rgba(79,172,254,0.34)':'transparent'}`,
                 maxWidth:isVert?undefined:150, transition:'all 0.12s' }}
               onMouseEnter={e => { if(!isAct) e.currentTarget.style.background='rgba(255,255,255,0.07)'; }}
               onMouseLeave={e => { if(!isAct) e.currentTarget.style.background='transparent'; }}>
@@ -1035,6 +3671,7 @@ const Taskbar = ({
               </div>
             )}
           </div>
+          <SyncTray status={syncStatus} onClick={onSyncNow}/>
           <div onClick={onQuickSettings} style={{ display:'flex', alignItems:'center', gap:6, cursor:'pointer', opacity:0.6 }}>
             <Wifi size={13}/>
             {volume===0?<VolumeX size={13}/>:volume<50?<Volume size={13}/>:<Volume2 size={13}/>}
@@ -1059,6 +3696,7 @@ const Taskbar = ({
             <Bell size={14}/>
             {unreadCount > 0 && <div style={{ position:'absolute', top:1, right:1, width:8, height:8, borderRadius:'50%', background:'#ff5f56' }}/>}
           </div>
+          <SyncTray status={syncStatus} onClick={onSyncNow} style={{ padding:5 }}/>
           <button onClick={onClockClick} style={{ background:'transparent', border:'none',
             color:'rgba(255,255,255,0.44)', cursor:'pointer', fontSize:10, padding:3, lineHeight:1.3, textAlign:'center' }}>
             {format(time,'HH')}<br/>{format(time,'mm')}
@@ -1100,6 +3738,7 @@ export default function Desktop() {
   // ── Dialogs ─────────────────────────────────────────────────────────────────
   const [newFolderDlg, setNewFolderDlg] = useState(false);
   const [newFileDlg,   setNewFileDlg]   = useState(false);
+  const [restoreDlg,   setRestoreDlg]   = useState(null);   // backup ZIP being previewed
 
   // ── Notifications ────────────────────────────────────────────────────────────
   const [liveToasts,   setLiveToasts]   = useState([]);
@@ -1113,6 +3752,7 @@ export default function Desktop() {
   const [brightness, setBrightness] = useState(100);
   const [wifi,       setWifi]       = useState(true);
   const [cloudSync,  setCloudSync]  = useState(true);
+  const [syncStatus, setSyncStatus] = useState(null);   // CloudSync status while sync is on
   const [time,       setTime]       = useState(new Date());
 
   const [user] = useState({ name:'LynkOS User', email:'user@lynkos.com', role:'Administrator' });
@@ -1124,6 +3764,15 @@ export default function Desktop() {
     fs.initializeFileSystem().then(() => setVfs(fs));
   }, []);
 
+  // Trash auto-purge (Settings → System): once at boot, then hourly
+  useEffect(() => {
+    if (!vfs) return;
+    const purge = () => vfs.purgeTrash().catch(() => {});
+    purge();
+    const t = setInterval(purge, 60 * 60 * 1000);
+    return () => clearInterval(t);
+  }, [vfs]);
+
   const topZ        = useRef(100);
   const autoSaveRef = useRef(null);
   const lastCtrl    = useRef(0);      // double-ctrl detection
@@ -1177,6 +3826,43 @@ export default function Desktop() {
     setStartOpen(false); setShowCal(false); setShowQS(false);
   }, []);
 
+  // Cloud Sync (Quick Settings toggle): two-way sync of the home folder with the server
+  const syncRef = useRef(null);
+  useEffect(() => {
+    if (!vfs || !cloudSync) return;
+    const sync = new CloudSync(vfs, {
+      onStatus:   s => setSyncStatus(s),
+      onConflict: (path, copy) => notify('warning','Sync Conflict', `${path} changed here and on the server — the server's version was saved as ${copy.slice(copy.lastIndexOf('/') + 1)}`),
+    });
+    syncRef.current = sync;
+    sync.start();
+    return () => { sync.stop(); syncRef.current = null; setSyncStatus(null); };
+  }, [vfs, cloudSync, notify]);
+  const syncNow = useCallback(() => syncRef.current?.syncNow(), []);
+
+  // ── Delete desktop icons ──────────────────────────────────────────────────────
+  // Folders go to the Trash along with their icon; app shortcuts are only hidden.
+  // The Trash icon itself always stays.
+  const deleteIcons = useCallback(ids => {
+    const gone = desktopIcons.filter(ic => ids.includes(ic.id) && ic.id !== 'trash');
+    const goneIds = new Set(gone.map(ic => ic.id));
+    setDesktopIcons(p => p.filter(ic => !goneIds.has(ic.id)));
+    setSelectedIcons([]);
+    const folders = gone.filter(ic => ic.isFolder || ic.path);
+    if (!vfs || !folders.length) return;
+    Promise.allSettled(folders.map(ic => vfs.trash(ic.path || `${DESKTOP_DIR}/${ic.label}`))).then(rs => {
+      const failed = rs.filter(r => r.status === 'rejected');
+      if (failed.length) notify('error','Delete Failed', failed.map(r => r.reason?.message || String(r.reason)).join('\n'));
+      if (failed.length < rs.length) notify('info','Moved to Trash', `${rs.length - failed.length} item(s) — restore them from the Trash`);
+    });
+  }, [desktopIcons, vfs, notify]);
+
+  const emptyTrash = useCallback(async () => {
+    if (!vfs || !confirm('Permanently delete everything in the Trash?')) return;
+    try { notify('info','Trash Emptied', `${await vfs.emptyTrash()} item(s) deleted`); }
+    catch (e) { notify('error','Empty Trash', e.message || String(e)); }
+  }, [vfs, notify]);
+
   // ── Keyboard shortcuts ────────────────────────────────────────────────────────
   useEffect(() => {
     const handler = async (e) => {
@@ -1200,8 +3886,7 @@ export default function Desktop() {
       // ── Delete (no modifier) ──
       if (e.key === 'Delete' && !inField && !e.ctrlKey && selectedIcons.length > 0) {
         e.preventDefault();
-        setDesktopIcons(p => p.filter(i => !selectedIcons.includes(i.id)));
-        setSelectedIcons([]);
+        deleteIcons(selectedIcons);
         return;
       }
 
@@ -1228,6 +3913,10 @@ export default function Desktop() {
       if (e.key === 's' && e.altKey && !e.shiftKey) {
         e.preventDefault(); await exportZip(); return;
       }
+      // ── Ctrl+Alt+Shift+S → Export ZIP with every file ──
+      if (e.key === 'S' && e.altKey && e.shiftKey) {
+        e.preventDefault(); await exportZip(true); return;
+      }
       // ── Ctrl+Alt+I → Import ZIP ──
       if (e.key === 'i' && e.altKey && !e.shiftKey) {
         e.preventDefault(); document.getElementById('lynkos-import')?.click(); return;
@@ -1252,7 +3941,7 @@ export default function Desktop() {
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeId, desktopIcons, selectedIcons, closeAllPanels, openNotifPanel]);
+  }, [activeId, desktopIcons, selectedIcons, closeAllPanels, openNotifPanel, deleteIcons]);
 
   // ── Window management ─────────────────────────────────────────────────────────
   const openApp = useCallback((appId, initialFile = null, forceNew = false) => {
@@ -1336,14 +4025,74 @@ export default function Desktop() {
     openApp(EXT_MAP[ext] || 'texteditor', file, true);
   }, [openApp]);
 
+  // ── Drag and drop ─────────────────────────────────────────────────────────────
+  // Open VFS items in `appId` (dropped on its window or taskbar button), else as a
+  // double-click would. Folders always open in the File Manager, which shows a file's folder.
+  const openPaths = useCallback(async (paths, appId) => {
+    const items = await Promise.all(paths.map(p => vfs.get(p).catch(() => null)));
+    if (items.some(it => !it)) notify('error','Not Found', paths.filter((_, i) => !items[i]).join('\n'));
+    for (const it of items.filter(Boolean)) {
+      if (it.type === 'folder') openApp('filemanager', it, true);
+      else if (appId === 'filemanager') openApp('filemanager', { type:'folder', path:parentOf(it.path), name:'' }, true);
+      else if (appId) openApp(appId, it, true);
+      else openFile(it);
+    }
+  }, [vfs, notify, openApp, openFile]);
+
+  // Move (Ctrl: copy) items into a folder; returns the paths they ended up at
+  const dropInto = useCallback(async (paths, dest, copy) => {
+    paths = paths.filter(p => p !== dest && !dest.startsWith(`${p}/`));  // not into itself
+    const out = await vfs.transfer(paths, dest, { copy });
+    if (out.failed.length) notify('error', copy ? 'Copy Failed' : 'Move Failed', out.failed.join('\n'));
+    return [...paths.filter(p => !copy && parentOf(p) === dest), ...out.done];
+  }, [vfs, notify]);
+
+  // Items dropped on the desktop land in DESKTOP_DIR with an icon where they were let go
+  const dropOnDesktop = useCallback(async e => {
+    if (!isVfsDrag(e)) return;
+    e.preventDefault();
+    const box = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - box.left - 30, y = e.clientY - box.top - 30;
+    const landed = await Promise.all((await dropInto(getDragPaths(e), DESKTOP_DIR, dropEffect(e) === 'copy')).map(p => vfs.get(p)));
+    setDesktopIcons(prev => landed.filter(Boolean).reduce((icons, it, i) => {
+      const at = { x:Math.max(x + i * 24, 0), y:Math.max(y + i * 24, 0) };
+      return icons.some(ic => ic.path === it.path)
+        ? icons.map(ic => ic.path === it.path ? { ...ic, ...at } : ic)
+        : [...icons, { id:`file_${uid()}`, label:it.name, path:it.path, isFolder:it.type === 'folder', ...at }];
+    }, prev));
+  }, [vfs, dropInto]);
+
+  const dropOnIcon = useCallback(async (ic, paths, copy) => {
+    if (ic.id === 'trash') {
+      const rs = await Promise.allSettled(paths.map(p => vfs.trash(p)));
+      const failed = rs.filter(r => r.status === 'rejected');
+      if (failed.length) notify('error','Delete Failed', failed.map(r => r.reason?.message || String(r.reason)).join('\n'));
+      if (failed.length < rs.length) notify('info','Moved to Trash', `${rs.length - failed.length} item(s) — restore them from the Trash`);
+    }
+    else if (ic.isFolder && ic.path) await dropInto(paths, ic.path, copy);
+    else if (APP_REGISTRY[ic.id]) await openPaths(paths, ic.id);
+  }, [vfs, notify, dropInto, openPaths]);
+
+  // Icons follow their items when renamed on the desktop, and go when moved off it or deleted
+  useEffect(() => {
+    if (!vfs) return;
+    return vfs.watch(DESKTOP_DIR, {}, ev => {
+      const gone = ev.oldPath ?? (ev.type === 'delete' ? ev.path : null);
+      if (!gone) return;
+      const kept = ev.type === 'rename' && parentOf(ev.path) === DESKTOP_DIR;
+      setDesktopIcons(p => p.flatMap(ic => ic.path !== gone ? [ic]
+        : kept ? [{ ...ic, path:ev.path, label:ev.path.slice(DESKTOP_DIR.length + 1) }] : []));
+    });
+  }, [vfs]);
+
   // ── Desktop new folder/file ────────────────────────────────────────────────────
   const createDesktopFolder = useCallback(name => {
     if (!name) return;
     const newId = `folder_${uid()}`;
-    setDesktopIcons(p => [...p, { id:newId, label:name, x:230, y:22, isFolder:true }]);
+    setDesktopIcons(p => [...p, { id:newId, label:name, x:230, y:22, isFolder:true, path:`${DESKTOP_DIR}/${name}` }]);
     notify('success','Folder Created', `"${name}" added to desktop`);
     // Also create in VFS
-    if (vfs) vfs.createFolder('/Users/Admin/Desktop', name).catch(() => {});
+    if (vfs) vfs.createFolder('/Users/Admin/Desktop', name).catch(e => notify('error','Create Failed', e.message || String(e)));
     setNewFolderDlg(false);
   }, [notify, vfs]);
 
@@ -1353,7 +4102,10 @@ export default function Desktop() {
       vfs.createFile('/Users/Admin/Desktop', name, '').then(file => {
         openApp('texteditor', { ...file, vfsFile:true }, true);
         notify('success','New File', `"${name}" created and opened`);
-      }).catch(() => openApp('texteditor', null, true));
+      }).catch(e => {
+        notify('error','Create Failed', e.message || String(e));
+        openApp('texteditor', null, true);
+      });
     } else {
       openApp('texteditor', null, true);
       notify('success','New File', 'Text Editor opened');
@@ -1364,63 +4116,120 @@ export default function Desktop() {
   // ── Session persistence ────────────────────────────────────────────────────────
   const getState = useCallback(() => ({
     version:'4.0', ts:Date.now(),
-    wallpaper, theme, taskbarPos, iconSize, pinnedApps,
-    desktopIcons: desktopIcons.map(({ id,label,x,y }) => ({ id,label,x,y })),
-  }), [wallpaper, theme, taskbarPos, iconSize, pinnedApps, desktopIcons]);
+    wallpaper, theme, taskbarPos, iconSize, pinnedApps, cloudSync,
+    desktopIcons: desktopIcons.map(({ id,label,x,y,path,isFolder }) => ({ id,label,x,y,path,isFolder })),
+  }), [wallpaper, theme, taskbarPos, iconSize, pinnedApps, cloudSync, desktopIcons]);
 
   const saveState = useCallback(() => {
     try { localStorage.setItem(SESSION_KEY, JSON.stringify(getState())); }
     catch(e) { console.warn('save failed', e); }
   }, [getState]);
 
+  // Settings and icons from a saved state (getState), at start-up or from a backup ZIP
+  const applyState = useCallback(s => {
+    if (s.wallpaper)    setWallpaper(s.wallpaper);
+    if (s.theme)        setTheme(s.theme);
+    if (s.taskbarPos)   setTaskbarPos(s.taskbarPos);
+    if (s.iconSize)     setIconSize(s.iconSize);
+    if (s.pinnedApps)   setPinnedApps(s.pinnedApps);
+    if ('cloudSync' in s) setCloudSync(s.cloudSync);
+    if (s.desktopIcons) {
+      const map = Object.fromEntries(s.desktopIcons.map(ic => [ic.id, ic]));
+      // Icons of dropped items are only in the state; the built-in ones are already here
+      setDesktopIcons(prev => [...prev.map(ic => map[ic.id] ? { ...ic, ...map[ic.id] } : ic),
+        ...s.desktopIcons.filter(ic => ic.path && !prev.some(p => p.id === ic.id))]);
+    }
+  }, []);
+
   const loadState = useCallback(() => {
     try {
       const raw = localStorage.getItem(SESSION_KEY);
       if (!raw) return;
-      const s = JSON.parse(raw);
-      if (s.wallpaper)    setWallpaper(s.wallpaper);
-      if (s.theme)        setTheme(s.theme);
-      if (s.taskbarPos)   setTaskbarPos(s.taskbarPos);
-      if (s.iconSize)     setIconSize(s.iconSize);
-      if (s.pinnedApps)   setPinnedApps(s.pinnedApps);
-      if (s.desktopIcons) {
-        const map = Object.fromEntries(s.desktopIcons.map(ic => [ic.id, ic]));
-        setDesktopIcons(prev => prev.map(ic => map[ic.id] ? { ...ic, ...map[ic.id] } : ic));
-      }
+      applyState(JSON.parse(raw));
       notify('info','Welcome back','Session restored');
     } catch(e) { console.warn('load failed', e); }
-  }, [notify]);
+  }, [notify, applyState]);
+
+  // The session ZIP: state.json and metadata.json, plus the whole file system with `withFiles`
+  const sessionZip = useCallback(async withFiles => {
+    const zip = new JSZip();
+    zip.file('state.json',    JSON.stringify(getState(), null, 2));
+    zip.file('metadata.json', JSON.stringify({ date:new Date().toISOString(), user:user.name, version:'4.0', files:withFiles }, null, 2));
+    if (withFiles) await vfs.backupTree(zip);
+    return zip.generateAsync({ type:'blob' });
+  }, [getState, user, vfs]);
 
-  const exportZip = useCallback(async () => {
+  const exportZip = useCallback(async (withFiles = false) => {
     try {
-      const zip = new JSZip();
-      zip.file('state.json',    JSON.stringify(getState(), null, 2));
-      zip.file('metadata.json', JSON.stringify({ date:new Date().toISOString(), user:user.name, version:'4.0' }, null, 2));
-      const blob = await zip.generateAsync({ type:'blob' });
-      saveAs(blob, `lynkos-${format(new Date(),'yyyy-MM-dd-HHmmss')}.zip`);
-      notify('success','Exported','Session backup downloaded');
+      saveAs(await sessionZip(withFiles), `lynkos-${format(new Date(),'yyyy-MM-dd-HHmmss')}.zip`);
+      notify('success','Exported', withFiles ? 'Session and files backup downloaded' : 'Session backup downloaded');
     } catch(e) { notify('error','Export Failed', String(e)); }
-  }, [getState, user, notify]);
+  }, [sessionZip, notify]);
 
+  // Open a backup ZIP in the restore dialog, which previews it before anything changes
   const importZip = useCallback(async file => {
     try {
-      const zip = await (new JSZip()).loadAsync(file);
-      const f   = zip.file('state.json');
-      if (f) {
-        const s = JSON.parse(await f.async('text'));
-        if (s.wallpaper)    setWallpaper(s.wallpaper);
-        if (s.theme)        setTheme(s.theme);
-        if (s.taskbarPos)   setTaskbarPos(s.taskbarPos);
-        if (s.iconSize)     setIconSize(s.iconSize);
-        if (s.pinnedApps)   setPinnedApps(s.pinnedApps);
-        if (s.desktopIcons) {
-          const map = Object.fromEntries(s.desktopIcons.map(ic => [ic.id, ic]));
-          setDesktopIcons(prev => prev.map(ic => map[ic.id] ? { ...ic, ...map[ic.id] } : ic));
-        }
-        notify('success','Imported','Session restored from backup');
-      } else { notify('warning','Import','No state.json found in ZIP'); }
+      const zip  = await (new JSZip()).loadAsync(file);
+      const read = async name => { const f = zip.file(name); return f ? JSON.parse(await f.async('text')) : null; };
+      const state    = await read('state.json');
+      const manifest = vfs ? await vfs.readBackup(zip) : null;
+      if (!state && !manifest) { notify('warning','Import','No LynkOS backup found in ZIP'); return; }
+      setRestoreDlg({ name:file.name, zip, state, manifest, metadata:await read('metadata.json') });
     } catch(e) { notify('error','Import Failed', String(e)); }
-  }, [notify]);
+  }, [vfs, notify]);
+
+  const applyRestore = useCallback(async ({ settings, files, policy, choices }) => {
+    const { zip, state:s } = restoreDlg;
+    setRestoreDlg(null);
+    if (settings && s) {
+      applyState(s);
+      if (!files) notify('success','Imported','Session restored from backup');
+    }
+    if (!files) return;
+    try {
+      const r = await vfs.restoreBackup(zip, { policy, choices });
+      const done = [
+        r.restored    && `${r.restored} restored`,
+        r.overwritten && `${r.overwritten} overwritten`,
+        r.kept        && `${r.kept} kept as copies`,
+        r.skipped     && `${r.skipped} skipped`,
+      ].filter(Boolean).join(', ') || 'nothing to restore';
+      notify(r.failed.length ? 'warning' : 'success', 'Backup Restored', `Files: ${done}`
+        + (r.failed.length ? `\n${r.failed.length} failed — ${r.failed.slice(0, 3).join('; ')}${r.failed.length > 3 ? '…' : ''}` : ''));
+    } catch(e) { notify('error','Restore Failed', e.message || String(e)); }
+  }, [restoreDlg, vfs, notify, applyState]);
+
+  // A full backup into BACKUP_DIR, dropping the oldest beyond the `keep` set in Settings → System
+  const backupBusy = useRef(false);
+  const backupNow = useCallback(async () => {
+    if (!vfs || backupBusy.current) return;
+    backupBusy.current = true;
+    try {
+      const { keep } = { ...BACKUP_SCHEDULE, ...await vfs.getMeta('backupSchedule') };
+      if (!await vfs.get(BACKUP_DIR)) await vfs.createFolder(parentOf(BACKUP_DIR), BACKUP_DIR.slice(BACKUP_DIR.lastIndexOf('/') + 1));
+      const name = `lynkos-${format(new Date(),'yyyy-MM-dd-HHmmss')}.zip`;
+      await vfs.writeBytes(`${BACKUP_DIR}/${name}`, await sessionZip(true), { mime:'application/zip' });
+      const old = (await vfs.list(BACKUP_DIR)).filter(f => /^lynkos-.*\.zip$/.test(f.name)).sort((a, b) => b.name.localeCompare(a.name)).slice(keep);
+      for (const f of old) await vfs.delete(f.path);
+      await vfs.setMeta('lastBackup', Date.now());
+      return name;
+    } finally { backupBusy.current = false; }
+  }, [vfs, sessionZip]);
+
+  // Scheduled backups: checked at boot, then hourly
+  useEffect(() => {
+    if (!vfs) return;
+    const check = async () => {
+      const { days } = { ...BACKUP_SCHEDULE, ...await vfs.getMeta('backupSchedule') };
+      const last = await vfs.getMeta('lastBackup') || 0;
+      if (!days || Date.now() - last < days * 24 * 60 * 60 * 1000) return;
+      backupNow().then(name => name && notify('success','Backup Complete', `Saved ${BACKUP_DIR}/${name}`))
+        .catch(e => notify('error','Backup Failed', e.message || String(e)));
+    };
+    check();
+    const t = setInterval(check, 60 * 60 * 1000);
+    return () => clearInterval(t);
+  }, [vfs, backupNow, notify]);
 
   // ── Context menus ─────────────────────────────────────────────────────────────
   const closeCtx = useCallback(() => setCtxMenu(null), []);
@@ -1439,7 +4248,8 @@ export default function Desktop() {
       { icon:<FilePlus size={13}/>,     label:'New Text File',     kbd:'Ctrl+Alt+N', action:() => setNewFileDlg(true) },
       'sep',
       { icon:<Save size={13}/>,         label:'Save Session',      kbd:'Ctrl+S',     action:() => { saveState(); notify('success','Saved',''); } },
-      { icon:<DownloadCloud size={13}/>,label:'Export ZIP',        kbd:'Ctrl+Alt+S', action:exportZip },
+      { icon:<DownloadCloud size={13}/>,label:'Export ZIP',        kbd:'Ctrl+Alt+S', action:() => exportZip() },
+      { icon:<DownloadCloud size={13}/>,label:'Export ZIP with Files', kbd:'Ctrl+Alt+Shift+S', action:() => exportZip(true) },
       { icon:<UploadCloud size={13}/>,  label:'Import Backup',     kbd:'Ctrl+Alt+I', action:() => document.getElementById('lynkos-import')?.click() },
     ]});
   }, [iconSize, openApp, showDesktop, saveState, exportZip, notify]);
@@ -1447,17 +4257,26 @@ export default function Desktop() {
   const iconCtx = useCallback((e, iconId) => {
     e.preventDefault(); e.stopPropagation();
     if (!selectedIcons.includes(iconId)) setSelectedIcons([iconId]);
+    if (iconId === 'trash') {
+      setCtxMenu({ x:e.clientX, y:e.clientY, items:[
+        { icon:<FolderOpen size={13}/>, label:'Open',        action:() => { openApp('filemanager', TRASH_FOLDER, true); setSelectedIcons([]); } },
+        'sep',
+        { icon:<Trash2 size={13}/>,     label:'Empty Trash', danger:true, action:emptyTrash },
+      ]});
+      return;
+    }
+    const path = desktopIcons.find(ic => ic.id === iconId)?.path;  // a dropped or new item, not an app
     setCtxMenu({ x:e.clientX, y:e.clientY, items:[
-      { icon:<FolderOpen size={13}/>, label:'Open',      action:() => { openApp(iconId); setSelectedIcons([]); } },
+      { icon:<FolderOpen size={13}/>, label:'Open',      action:() => { path ? openPaths([path]) : openApp(iconId); setSelectedIcons([]); } },
       'sep',
       { icon:<Edit3 size={13}/>,      label:'Rename',    action:() => notify('info','Rename','Double-click to rename') },
       { icon:<Copy size={13}/>,       label:'Copy',      action:() => notify('info','Copied','') },
       { icon:<Trash2 size={13}/>,     label:'Delete',    danger:true,
-        action:() => { setDesktopIcons(p=>p.filter(ic=>!selectedIcons.includes(ic.id))); setSelectedIcons([]); } },
+        action:() => deleteIcons(selectedIcons.includes(iconId) ? selectedIcons : [iconId]) },
       'sep',
       { icon:<Info size={13}/>,       label:'Properties',action:() => notify('info','Properties',`App: ${APP_REGISTRY[iconId]?.title||iconId}`) },
     ]});
-  }, [selectedIcons, openApp, notify]);
+  }, [selectedIcons, desktopIcons, openApp, openPaths, notify, deleteIcons, emptyTrash]);
 
   const windowCtx = useCallback((e, winId) => {
     e.preventDefault(); e.stopPropagation();
@@ -1485,13 +4304,21 @@ export default function Desktop() {
     // User & system
     user,
     notify,
+    volume,                       // Quick Settings system volume, 0–100 (Music Player output)
+    syncStatus,                   // CloudSync status, null while Cloud Sync is off
+    onSyncNow:  syncNow,
+    onBackupNow: backupNow,       // Settings → System backups
     // Inter-app communication
     onOpenFile: openFile,
     onOpenApp:  openApp,
     onClose:    () => closeWin(win.id),
+    // Window management (Terminal ps / kill / launch)
+    apps:          APP_REGISTRY,
+    windows,
+    onCloseWindow: closeWin,
     // File payload (e.g. double-clicking a file in File Manager)
     initialFile: win.initialFile,
-  }), [vfs, wallpaper, theme, taskbarPos, iconSize, pinnedApps, user, notify, openFile, openApp, closeWin]);
+  }), [vfs, wallpaper, theme, taskbarPos, iconSize, pinnedApps, user, notify, volume, syncStatus, syncNow, backupNow, openFile, openApp, closeWin, windows]);
 
   // ── Background ────────────────────────────────────────────────────────────────
   const bgStyle = useMemo(() => {
@@ -1547,7 +4374,9 @@ export default function Desktop() {
         right: taskbarPos==='right'  ? TASKBAR_W : 0,
         overflow:'hidden', pointerEvents:'none',
       }}>
-        <div style={{ position:'relative', width:'100%', height:'100%', pointerEvents:'all' }}>
+        <div style={{ position:'relative', width:'100%', height:'100%', pointerEvents:'all' }}
+          onDragOver={e => { if (isVfsDrag(e)) { e.preventDefault(); e.dataTransfer.dropEffect = dropEffect(e); } }}
+          onDrop={dropOnDesktop}>
           {desktopIcons.map(ic => (
             <DesktopIcon
               key={ic.id} ic={ic} size={iconSize}
@@ -1557,9 +4386,10 @@ export default function Desktop() {
                 if (e.ctrlKey||e.metaKey) setSelectedIcons(p => p.includes(ic.id)?p.filter(x=>x!==ic.id):[...p,ic.id]);
                 else setSelectedIcons([ic.id]);
               }}
-              onDoubleClick={() => openApp(ic.id)}
+              onDoubleClick={() => ic.id === 'trash' ? openApp('filemanager', TRASH_FOLDER, true) : ic.path ? openPaths([ic.path]) : openApp(ic.id)}
               onContextMenu={e => iconCtx(e, ic.id)}
               onDragStop={(x,y) => setDesktopIcons(p => p.map(i => i.id===ic.id?{...i,x,y}:i))}
+              onDropPaths={(paths, copy) => dropOnIcon(ic, paths, copy)}
             />
           ))}
         </div>
@@ -1582,6 +4412,7 @@ export default function Desktop() {
             onCtxMenu={e => windowCtx(e, win.id)}
             onMoved={(x,y)        => moveWin(win.id, x, y)}
             onResized={(w,h,x,y)  => resizeWin(win.id, w, h, x, y)}
+            onDropPaths={win.appId === 'filemanager' ? undefined : paths => openPaths(paths, win.appId)}
           >
             <Comp {...makeAppProps(win)}/>
           </WindowFrame>
@@ -1611,6 +4442,9 @@ export default function Desktop() {
         }}
         unreadCount={unreadCount}
         onNotifPanel={openNotifPanel}
+        syncStatus={syncStatus}
+        onSyncNow={syncNow}
+        onDropPaths={(appId, paths) => openPaths(paths, appId)}
       />
 
       {/* ── Overlays ── */}
@@ -1641,7 +4475,7 @@ export default function Desktop() {
 
       {powerOpen && <PowerMenu onClose={() => setPowerOpen(false)}/>}
 
-      {searchOpen && <SearchOverlay onClose={() => setSearchOpen(false)} openApp={openApp}/>}
+      {searchOpen && <SearchOverlay vfs={vfs} onClose={() => setSearchOpen(false)} openApp={openApp} openFile={openFile}/>}
 
       {/* Android-style Notification Panel */}
       {showNotifPanel && (
@@ -1682,6 +4516,8 @@ export default function Desktop() {
           onConfirm={createDesktopFile} onCancel={() => setNewFileDlg(false)}/>
       )}
 
+      {restoreDlg && <RestoreDialog backup={restoreDlg} onRestore={applyRestore} onCancel={() => setRestoreDlg(null)}/>}
+
       {/* Hidden ZIP import input */}
       <input id="lynkos-import" type="file" accept=".zip" style={{ display:'none' }}
         onChange={e => { const f=e.target.files[0]; if(f) importZip(f); e.target.value=''; }}/>
@@ -1690,6 +4526,7 @@ export default function Desktop() {
       <style>{`
         @keyframes toastIn   { from{opacity:0;transform:translateX(16px)}  to{opacity:1;transform:translateX(0)} }
         @keyframes panelSlide{ from{opacity:0;transform:translateY(-14px)} to{opacity:1;transform:translateY(0)} }
+        @keyframes spin      { to{transform:rotate(360deg)} }
         *,*::before,*::after { box-sizing:border-box; }
         ::-webkit-scrollbar       { width:5px; height:5px; }
         ::-webkit-scrollbar-track { background:rgba(255,255,255,0.02); }
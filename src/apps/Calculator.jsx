@@ -1,20 +1,871 @@
 /**
- * Calculator.jsx
- * ─────────────────
- * Full implementation goes here.
- * Props received from Desktop.jsx:
- *   vfs, setVfs, theme, notify, onOpenFile, onOpenApp, onClose, initialFile, user
- *   (SettingsApp also: currentWallpaper, setWallpaper, setTheme, setTaskbarPos, setIconSize, wallpapers, pinnedApps, setPinnedApps)
+ * Calculator.jsx — LynkOS Calculator v4.0
+ * =========================================
+ * Features:
+ *   • Expression entry — type or click, live result preview, ans = last result
+ *   • Standard mode   — + − × ÷, %, 1/x, x², √x, ±, memory register (MC MR M+ M− MS)
+ *   • Scientific mode — trig / inverse / hyperbolic, ln, log, log2, x^y, n!, π, e,
+ *                       parentheses, implicit multiplication (2π, 3(4+1)), DEG/RAD
+ *   • Programmer mode — HEX / DEC / OCT / BIN entry and views, AND OR XOR NOT,
+ *                       << >>, mod, 8/16/32/64-bit two's complement word sizes
+ *   • Converter       — length, mass, temperature, data sizes (SI and binary),
+ *                       time, epoch timestamps, area, speed and number bases;
+ *                       all tables are bundled, so it works offline
+ *   • Tape            — every evaluation is recorded; click an entry to reuse it,
+ *                       export the tape to a text file in ~/Documents
+ *   • Keyboard driven:
+ *       Enter / =  evaluate        Esc  clear        Del  clear entry
+ *       Alt+1–4    standard / scientific / programmer / converter
+ *       Ctrl+M MS  Ctrl+R MR  Ctrl+P M+  Ctrl+Q M−  Ctrl+L MC
+ *       F3 / F4    degrees / radians (scientific)
+ *       F5–F8      HEX / DEC / OCT / BIN;  F12 F2 F3 F4  64/32/16/8-bit (programmer)
+ *       Ctrl+H     toggle tape       Ctrl+S  export tape
+ * No eval(): expressions go through a small tokenizer + recursive-descent parser.
  */
 
-import React from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { format } from 'date-fns';
+import { History, Download, Trash2, X, ArrowUpDown } from 'lucide-react';
+
+const ACCENT  = '#4facfe';
+const ACCENT2 = '#00f2fe';
+const RED     = '#ff5f56';
+const MONO    = "'Cascadia Code','JetBrains Mono','Fira Code',Consolas,monospace";
+const TAPE_DIR = '/Users/Admin/Documents';
+
+const MODES = [
+  { id:'standard',   label:'Standard'   },
+  { id:'scientific', label:'Scientific' },
+  { id:'programmer', label:'Programmer' },
+  { id:'converter',  label:'Convert'    },
+];
+const BASES = [
+  { base:16, label:'HEX', key:'F5' },
+  { base:10, label:'DEC', key:'F6' },
+  { base:8,  label:'OCT', key:'F7' },
+  { base:2,  label:'BIN', key:'F8' },
+];
+const WORD_SIZES = [
+  { bits:64, label:'QWORD', key:'F12' },
+  { bits:32, label:'DWORD', key:'F2'  },
+  { bits:16, label:'WORD',  key:'F3'  },
+  { bits:8,  label:'BYTE',  key:'F4'  },
+];
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   Floating-point engine (standard + scientific)
+   expr    → term (('+' | '-') term)*
+   term    → unary (('*' | '/' | 'mod' | implicit ×) unary)*
+   unary   → ('-' | '+') unary | power
+   power   → postfix ('^' unary)?                 right-associative, -2^2 = -4
+   postfix → primary ('!' | '%' | '²')*
+   primary → number | constant | function power | '√' power | '(' expr ')'
+   ═══════════════════════════════════════════════════════════════════════════ */
+const NUM_TOKEN = /(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-zπ][a-z0-9]*)|(\*\*|[-+*/^%!()×÷−²√])/iy;
+const SYMBOLS   = { '×':'*', '÷':'/', '−':'-', '**':'^' };
+
+const invalid = () => new Error('Invalid input');
+const real    = v => { if (Number.isNaN(v)) throw invalid(); return v; };
+// Trig results this close to zero are rounding noise (sin 180°, cos 90°)
+const snap    = v => Math.abs(v) < 1e-12 ? 0 : v;
+
+const FUNCTIONS = {
+  sin:   (x, c) => snap(Math.sin(c.toRad(x))),
+  cos:   (x, c) => snap(Math.cos(c.toRad(x))),
+  tan:   (x, c) => {
+    if (c.deg && Math.abs(x % 180) === 90) throw invalid();
+    return snap(Math.tan(c.toRad(x)));
+  },
+  asin:  (x, c) => c.fromRad(real(Math.asin(x))),
+  acos:  (x, c) => c.fromRad(real(Math.acos(x))),
+  atan:  (x, c) => c.fromRad(Math.atan(x)),
+  sinh:  Math.sinh,
+  cosh:  Math.cosh,
+  tanh:  Math.tanh,
+  ln:    x => { if (x <= 0) throw invalid(); return Math.log(x); },
+  log:   x => { if (x <= 0) throw invalid(); return Math.log10(x); },
+  log2:  x => { if (x <= 0) throw invalid(); return Math.log2(x); },
+  sqrt:  x => real(Math.sqrt(x)),
+  cbrt:  Math.cbrt,
+  abs:   Math.abs,
+  exp:   Math.exp,
+  floor: Math.floor,
+  ceil:  Math.ceil,
+  round: Math.round,
+};
+const CONSTANTS = { pi:Math.PI, 'π':Math.PI, e:Math.E };
+
+const factorial = n => {
+  if (n < 0 || !Number.isInteger(n)) throw invalid();
+  if (n > 170) throw new Error('Overflow');
+  let r = 1;
+  for (let i = 2; i <= n; i++) r *= i;
+  return r;
+};
+
+const tokenize = src => {
+  const tokens = [];
+  let at = 0;
+  for (;;) {
+    while (at < src.length && /\s/.test(src[at])) at++;
+    if (at >= src.length) return tokens;
+    NUM_TOKEN.lastIndex = at;
+    const m = NUM_TOKEN.exec(src);
+    if (!m) throw new Error(`Unexpected "${src[at]}"`);
+    if (m[1])      tokens.push({ type:'num',  n:parseFloat(m[1]) });
+    else if (m[2]) tokens.push({ type:'name', v:m[2].toLowerCase() });
+    else           tokens.push({ type:'op',   v:SYMBOLS[m[3]] || m[3] });
+    at = NUM_TOKEN.lastIndex;
+  }
+};
+
+const evaluate = (src, { angle = 'deg', ans = 0 } = {}) => {
+  const tokens = tokenize(src);
+  if (!tokens.length) throw new Error('Empty expression');
+  const deg = angle === 'deg';
+  const ctx = {
+    deg,
+    toRad:   x => deg ? x * Math.PI / 180 : x,
+    fromRad: x => deg ? x * 180 / Math.PI : x,
+  };
+  let i = 0;
+  const peek = () => tokens[i];
+  const eat  = v => {
+    if (tokens[i]?.v !== v || tokens[i].type === 'num') return false;
+    i++;
+    return true;
+  };
+  const startsOperand = t => t && (t.type === 'num' || (t.type === 'name' && t.v !== 'mod') || t.v === '(' || t.v === '√');
+  const divide = (a, b) => { if (b === 0) throw new Error('Cannot divide by zero'); return a / b; };
+
+  const expr = () => {
+    let v = term();
+    for (;;) {
+      if (eat('+'))      v += term();
+      else if (eat('-')) v -= term();
+      else return v;
+    }
+  };
+  const term = () => {
+    let v = unary();
+    for (;;) {
+      if (eat('*'))                  v *= unary();
+      else if (eat('/'))             v = divide(v, unary());
+      else if (eat('mod')) {
+        const d = unary();
+        if (d === 0) throw new Error('Cannot divide by zero');
+        v %= d;
+      }
+      else if (startsOperand(peek())) v *= unary();
+      else return v;
+    }
+  };
+  const unary   = () => eat('-') ? -unary() : eat('+') ? unary() : power();
+  const power   = () => {
+    const b = postfix();
+    return eat('^') ? real(Math.pow(b, unary())) : b;
+  };
+  const postfix = () => {
+    let v = primary();
+    for (;;) {
+      if (eat('!'))      v = factorial(v);
+      else if (eat('%')) v /= 100;
+      else if (eat('²')) v *= v;
+      else return v;
+    }
+  };
+  const primary = () => {
+    const t = tokens[i++];
+    if (!t) throw new Error('Incomplete expression');
+    if (t.type === 'num') return t.n;
+    if (t.v === '(') {
+      const v = expr();
+      // A missing ")" at the very end is closed implicitly, like most calculators
+      if (!eat(')') && i < tokens.length) throw new Error('Missing )');
+      return v;
+    }
+    if (t.v === '√') return real(Math.sqrt(power()));
+    if (t.type === 'name') {
+      if (t.v === 'ans') return ans;
+      if (t.v in CONSTANTS) return CONSTANTS[t.v];
+      if (FUNCTIONS[t.v]) return FUNCTIONS[t.v](power(), ctx);
+      throw new Error(`Unknown name "${t.v}"`);
+    }
+    throw new Error(`Unexpected "${t.v}"`);
+  };
+
+  const v = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].v ?? tokens[i].n}"`);
+  return v;
+};
+
+const formatNumber = n => {
+  if (Number.isNaN(n))     throw invalid();
+  if (!Number.isFinite(n)) throw new Error('Overflow');
+  if (n === 0) return '0';
+  const abs = Math.abs(n);
+  if (abs >= 1e15 || abs < 1e-9) return n.toExponential(10).replace(/\.?0+e/, 'e');
+  return String(parseFloat(n.toPrecision(14)));
+};
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   Integer engine (programmer) — BigInt, wrapped to the word size after every
+   operation. C precedence: | below ^ below & below << >> below + - below * / %
+   ═══════════════════════════════════════════════════════════════════════════ */
+const INT_TOKEN   = /(0x[0-9a-f]+|0b[01]+|0o[0-7]+)(?![0-9a-z])|([0-9a-z]+)|(<<|>>|[-+*/%&|^~()×÷−])/iy;
+const INT_ALIASES = { and:'&', or:'|', xor:'^', not:'~', mod:'%', lsh:'<<', rsh:'>>' };
+const BASE_PREFIX = { 16:'0x', 8:'0o', 2:'0b', 10:'' };
+
+const parseInBase = (word, base) => {
+  const digits = '0123456789abcdef'.slice(0, base);
+  if (![...word.toLowerCase()].every(c => digits.includes(c))) {
+    throw new Error(`"${word}" is not a ${BASES.find(b => b.base === base).label} number`);
+  }
+  return BigInt(BASE_PREFIX[base] + word);
+};
+
+const tokenizeInt = (src, base) => {
+  const tokens = [];
+  let at = 0;
+  for (;;) {
+    while (at < src.length && /\s/.test(src[at])) at++;
+    if (at >= src.length) return tokens;
+    INT_TOKEN.lastIndex = at;
+    const m = INT_TOKEN.exec(src);
+    if (!m) throw new Error(`Unexpected "${src[at]}"`);
+    // In hex, 0b… and 0o… are digits (0B1 is 0xB1), so only 0x counts as a prefix there
+    const prefixed = m[1] && (base !== 16 || /^0x/i.test(m[1]));
+    const word = (prefixed ? undefined : m[1] || m[2])?.toLowerCase();
+    if (prefixed)                tokens.push({ type:'num', n:BigInt(m[1].toLowerCase()) });
+    else if (INT_ALIASES[word])  tokens.push({ type:'op',  v:INT_ALIASES[word] });
+    else if (word)               tokens.push({ type:'num', n:parseInBase(word, base) });
+    else                         tokens.push({ type:'op',  v:SYMBOLS[m[3]] || m[3] });
+    at = INT_TOKEN.lastIndex;
+  }
+};
+
+const evaluateInt = (src, { base = 10, bits = 64 } = {}) => {
+  const tokens = tokenizeInt(src, base);
+  if (!tokens.length) throw new Error('Empty expression');
+  const wrap = v => BigInt.asIntN(bits, v);
+  let i = 0;
+  const eat = v => {
+    if (tokens[i]?.type !== 'op' || tokens[i].v !== v) return false;
+    i++;
+    return true;
+  };
+  // Left-associative binary level: ops maps symbol → (a, b) => result
+  const level = (next, ops) => () => {
+    let v = next();
+    for (;;) {
+      const op = Object.keys(ops).find(eat);
+      if (!op) return v;
+      v = wrap(ops[op](v, next()));
+    }
+  };
+  const nonZero = b => { if (b === 0n) throw new Error('Cannot divide by zero'); return b; };
+  const shiftBy = b => BigInt(Math.min(Number(b < 0n ? 0n : b), bits));
+
+  const unary = () => {
+    if (eat('-')) return wrap(-unary());
+    if (eat('~')) return wrap(~unary());
+    if (eat('+')) return unary();
+    const t = tokens[i++];
+    if (!t) throw new Error('Incomplete expression');
+    if (t.type === 'num') return wrap(t.n);
+    if (t.v === '(') {
+      const v = or();
+      if (!eat(')') && i < tokens.length) throw new Error('Missing )');
+      return v;
+    }
+    throw new Error(`Unexpected "${t.v}"`);
+  };
+  const mul   = level(unary, { '*':(a, b) => a * b, '/':(a, b) => a / nonZero(b), '%':(a, b) => a % nonZero(b) });
+  const add   = level(mul,   { '+':(a, b) => a + b, '-':(a, b) => a - b });
+  const shift = level(add,   { '<<':(a, b) => a << shiftBy(b), '>>':(a, b) => a >> shiftBy(b) });
+  const and   = level(shift, { '&':(a, b) => a & b });
+  const xor   = level(and,   { '^':(a, b) => a ^ b });
+  const or    = level(xor,   { '|':(a, b) => a | b });
+
+  const v = or();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].v ?? tokens[i].n}"`);
+  return v;
+};
+
+// DEC is shown signed; HEX / OCT / BIN show the raw two's complement bits
+const formatInt = (v, base, bits) =>
+  base === 10 ? BigInt.asIntN(bits, v).toString() : BigInt.asUintN(bits, v).toString(base).toUpperCase();
+const groupDigits = (s, n) => s.replace(new RegExp(`\\B(?=(.{${n}})+$)`, 'g'), ' ');
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   Unit converter — every table is bundled here so conversion works offline.
+   A unit parses the typed text into the category's base unit and formats a
+   base value back; linear units are just a factor to the base.
+   ═══════════════════════════════════════════════════════════════════════════ */
+// Conversions round to 12 significant digits so a swap round-trips cleanly
+const tidy = n => formatNumber(Number.isFinite(n) ? parseFloat(n.toPrecision(12)) : n);
+
+const linear = (id, label, factor) => ({
+  id, label,
+  parse:  s => evaluate(s) * factor,
+  format: b => tidy(b / factor),
+});
+
+const KELVIN = 273.15;
+const kelvin = k => { if (k < 0) throw new Error('Below absolute zero'); return k; };
+
+const radix = (id, label, base) => ({
+  id, label,
+  parse: s => {
+    const t = s.trim().replace(/[\s_]/g, '');
+    const neg = t.startsWith('-');
+    const digits = t.replace(/^[-+]/, '').replace(base === 16 ? /^0x/i : base === 8 ? /^0o/i : base === 2 ? /^0b/i : /^$/, '');
+    if (!digits) throw new Error('Empty expression');
+    const v = parseInBase(digits, base);
+    return neg ? -v : v;
+  },
+  format: b => (b < 0n ? '-' : '') + (b < 0n ? -b : b).toString(base).toUpperCase(),
+});
+
+const parseDate = s => {
+  const t = Date.parse(s.trim());
+  if (Number.isNaN(t)) throw new Error('Unrecognised date');
+  return t;
+};
+const validDate = ms => { if (!Number.isFinite(ms) || Math.abs(ms) > 8.64e15) throw new Error('Date out of range'); return ms; };
+
+const CONVERSIONS = [
+  { id:'length', label:'Length', pair:['m', 'ft'], units:[
+    linear('nm', 'Nanometres', 1e-9), linear('um', 'Micrometres', 1e-6), linear('mm', 'Millimetres', 1e-3),
+    linear('cm', 'Centimetres', 1e-2), linear('m', 'Metres', 1), linear('km', 'Kilometres', 1e3),
+    linear('in', 'Inches', 0.0254), linear('ft', 'Feet', 0.3048), linear('yd', 'Yards', 0.9144),
+    linear('mi', 'Miles', 1609.344), linear('nmi', 'Nautical miles', 1852),
+  ]},
+  { id:'mass', label:'Mass', pair:['kg', 'lb'], units:[
+    linear('mg', 'Milligrams', 1e-6), linear('g', 'Grams', 1e-3), linear('kg', 'Kilograms', 1),
+    linear('t', 'Tonnes', 1e3), linear('oz', 'Ounces', 0.028349523125), linear('lb', 'Pounds', 0.45359237),
+    linear('st', 'Stone', 6.35029318),
+  ]},
+  { id:'temperature', label:'Temp', pair:['c', 'f'], units:[
+    { id:'c', label:'Celsius',    parse:s => kelvin(evaluate(s) + KELVIN),               format:k => tidy(k - KELVIN) },
+    { id:'f', label:'Fahrenheit', parse:s => kelvin((evaluate(s) - 32) * 5 / 9 + KELVIN), format:k => tidy((k - KELVIN) * 9 / 5 + 32) },
+    { id:'k', label:'Kelvin',     parse:s => kelvin(evaluate(s)),                        format:k => tidy(k) },
+    { id:'r', label:'Rankine',    parse:s => kelvin(evaluate(s) * 5 / 9),                format:k => tidy(k * 9 / 5) },
+  ]},
+  { id:'data', label:'Data', pair:['b', 'mib'],
+    note:'File Manager sizes are binary: its KB / MB / GB are KiB / MiB / GiB here.', units:[
+    linear('bit', 'Bits', 1 / 8), linear('b', 'Bytes', 1),
+    linear('kb', 'Kilobytes (KB)', 1e3),  linear('kib', 'Kibibytes (KiB)', 2 ** 10),
+    linear('mb', 'Megabytes (MB)', 1e6),  linear('mib', 'Mebibytes (MiB)', 2 ** 20),
+    linear('gb', 'Gigabytes (GB)', 1e9),  linear('gib', 'Gibibytes (GiB)', 2 ** 30),
+    linear('tb', 'Terabytes (TB)', 1e12), linear('tib', 'Tebibytes (TiB)', 2 ** 40),
+  ]},
+  { id:'time', label:'Time', pair:['s', 'h'],
+    note:'Months and years are Gregorian averages (30.436 and 365.2425 days).', units:[
+    linear('ms', 'Milliseconds', 1e-3), linear('s', 'Seconds', 1), linear('min', 'Minutes', 60),
+    linear('h', 'Hours', 3600), linear('d', 'Days', 86400), linear('wk', 'Weeks', 604800),
+    linear('mo', 'Months', 2629746), linear('yr', 'Years', 31556952),
+  ]},
+  { id:'epoch', label:'Epoch', pair:['unix', 'local'],
+    note:'Dates accept ISO 8601 or anything Date.parse understands.', units:[
+    { id:'unix',  label:'Unix seconds',      parse:s => validDate(evaluate(s) * 1000), format:ms => String(Math.floor(ms / 1000)) },
+    { id:'unixms',label:'Unix milliseconds', parse:s => validDate(evaluate(s)),        format:ms => String(Math.round(ms)) },
+    { id:'iso',   label:'ISO 8601 (UTC)',    parse:parseDate,                          format:ms => new Date(ms).toISOString() },
+    { id:'local', label:'Local time',        parse:parseDate,                          format:ms => format(new Date(ms), 'yyyy-MM-dd HH:mm:ss') },
+  ]},
+  { id:'area', label:'Area', pair:['m2', 'ft2'], units:[
+    linear('mm2', 'Square millimetres', 1e-6), linear('cm2', 'Square centimetres', 1e-4),
+    linear('m2', 'Square metres', 1), linear('ha', 'Hectares', 1e4), linear('km2', 'Square kilometres', 1e6),
+    linear('in2', 'Square inches', 0.00064516), linear('ft2', 'Square feet', 0.09290304),
+    linear('yd2', 'Square yards', 0.83612736), linear('ac', 'Acres', 4046.8564224),
+    linear('mi2', 'Square miles', 2589988.110336),
+  ]},
+  { id:'speed', label:'Speed', pair:['kmh', 'mph'], units:[
+    linear('ms', 'Metres / second', 1), linear('kmh', 'Kilometres / hour', 1 / 3.6),
+    linear('mph', 'Miles / hour', 0.44704), linear('kn', 'Knots', 1852 / 3600),
+    linear('fts', 'Feet / second', 0.3048), linear('mach', 'Mach (sea level)', 340.29),
+  ]},
+  { id:'base', label:'Base', pair:['dec', 'hex'], units:[
+    radix('bin', 'Binary', 2), radix('oct', 'Octal', 8), radix('dec', 'Decimal', 10), radix('hex', 'Hexadecimal', 16),
+  ]},
+];
+
+// The current time expressed in one of the epoch units
+const nowIn = (cat, unit) => cat.units.find(u => u.id === unit).format(Date.now());
+
+const convert = (cat, from, text) => {
+  const base = cat.units.find(u => u.id === from).parse(text);
+  return Object.fromEntries(cat.units.map(u => {
+    try { return [u.id, u.format(base)]; } catch (e) { return [u.id, e.message]; }
+  }));
+};
+
+/* ── Entry editing helpers ── */
+// The operand at the end of the expression: a number, a constant or ans
+const TRAILING_NUM = /(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|π|pi|e|ans)$/i;
+const TRAILING_INT = /[0-9a-f]+$/i;
+
+const applyToEntry = (expr, wrapFn) => {
+  const m = expr.match(TRAILING_NUM);
+  if (m) return expr.slice(0, m.index) + wrapFn(m[1]);
+  return expr.trim() ? wrapFn(`(${expr})`) : expr;
+};
+
+const toggleSign = (expr, re) => {
+  const neg = expr.match(new RegExp(`\\(-(${re.source.slice(0, -1)})\\)$`, re.flags));
+  if (neg) return expr.slice(0, neg.index) + neg[1];
+  const m = expr.match(re);
+  return m ? `${expr.slice(0, m.index)}(-${m[0]})` : expr.trim() ? `-(${expr})` : '-';
+};
+
+/* ── Keypad button ── */
+const KIND_BG = {
+  num: 'rgba(255,255,255,0.10)',
+  op:  'rgba(255,255,255,0.05)',
+  fn:  'rgba(255,255,255,0.035)',
+  eq:  `linear-gradient(135deg,${ACCENT},${ACCENT2})`,
+};
+
+const Key = ({ label, onPress, kind = 'num', disabled, title, active }) => (
+  <button onMouseDown={e => e.preventDefault()} onClick={onPress} disabled={disabled} title={title}
+    style={{ border:'none', borderRadius:6, cursor:disabled?'default':'pointer',
+      background:active ? 'rgba(79,172,254,0.25)' : KIND_BG[kind],
+      color:kind==='eq' ? '#000' : disabled ? 'rgba(255,255,255,0.2)' : kind==='num' ? 'white' : 'rgba(255,255,255,0.8)',
+      fontSize:kind==='num' || kind==='eq' ? 17 : 13, fontWeight:kind==='eq' ? 700 : 500,
+      minHeight:0, padding:0, transition:'filter 0.1s' }}
+    onMouseEnter={e => { if (!disabled) e.currentTarget.style.filter = 'brightness(1.35)'; }}
+    onMouseLeave={e => { e.currentTarget.style.filter = ''; }}>
+    {label}
+  </button>
+);
+
+const Pad = ({ cols, children }) => (
+  <div style={{ flex:1, display:'grid', gridTemplateColumns:`repeat(${cols},1fr)`,
+    gridAutoRows:'1fr', gap:4, padding:'4px 8px 8px', minHeight:0 }}>
+    {children}
+  </div>
+);
+
+const iconBtn = active => ({
+  display:'flex', alignItems:'center', justifyContent:'center', gap:5,
+  background:active ? 'rgba(79,172,254,0.18)' : 'transparent', border:'none', borderRadius:5,
+  color:active ? ACCENT : 'rgba(255,255,255,0.6)', cursor:'pointer', padding:'4px 7px', fontSize:11,
+});
+
+const fieldStyle = {
+  background:'rgba(255,255,255,0.06)', border:'1px solid rgba(255,255,255,0.12)', borderRadius:6,
+  color:'white', outline:'none', fontSize:12, padding:'6px 8px',
+};
+
+/* ── Converter panel ── */
+const Converter = ({ conv, setConv }) => {
+  const cat = CONVERSIONS.find(c => c.id === conv.cat);
+  const result = useMemo(() => {
+    if (!conv.value.trim()) return { values:{} };
+    try { return { values:convert(cat, conv.from, conv.value) }; }
+    catch (e) { return { values:{}, error:e.message }; }
+  }, [cat, conv.from, conv.value]);
+
+  const pickCategory = c => {
+    if (c.id === conv.cat) return;
+    setConv({ cat:c.id, from:c.pair[0], to:c.pair[1],
+      value:c.id === 'epoch' ? nowIn(c, c.pair[0]) : '1' });
+  };
+  const swap = () => setConv({ ...conv, from:conv.to, to:conv.from });
+  const unitSelect = (value, onChange) => (
+    <select value={value} onChange={e => onChange(e.target.value)} style={{ ...fieldStyle, cursor:'pointer', width:'100%' }}>
+      {cat.units.map(u => <option key={u.id} value={u.id} style={{ background:'#1a1a24' }}>{u.label}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{ flex:1, display:'flex', flexDirection:'column', gap:8, padding:'8px 10px', minHeight:0 }}>
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(5,1fr)', gap:2 }}>
+        {CONVERSIONS.map(c => (
+          <button key={c.id} onClick={() => pickCategory(c)} style={{ ...iconBtn(conv.cat === c.id), padding:'5px 2px' }}>
+            {c.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:4 }}>
+        <input value={conv.value} autoFocus spellCheck={false} autoComplete="off"
+          onChange={e => setConv({ ...conv, value:e.target.value })}
+          style={{ ...fieldStyle, fontFamily:MONO, fontSize:18, textAlign:'right', borderColor:result.error ? RED : 'rgba(255,255,255,0.12)' }}/>
+        <div style={{ display:'flex', gap:4 }}>
+          {unitSelect(conv.from, from => setConv({ ...conv, from }))}
+          {conv.cat === 'epoch' && (
+            <button onClick={() => setConv({ ...conv, value:nowIn(cat, conv.from) })}
+              title="Current time" style={{ ...iconBtn(false), border:'1px solid rgba(255,255,255,0.12)' }}>Now</button>
+          )}
+        </div>
+      </div>
+
+      <div style={{ display:'flex', justifyContent:'center' }}>
+        <button onClick={swap} title="Swap units" style={iconBtn(false)}><ArrowUpDown size={14}/></button>
+      </div>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:4 }}>
+        <div style={{ ...fieldStyle, fontFamily:MONO, fontSize:18, textAlign:'right', minHeight:22, userSelect:'text',
+          color:result.error ? RED : ACCENT, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+          {result.error || result.values[conv.to] || ' '}
+        </div>
+        {unitSelect(conv.to, to => setConv({ ...conv, to }))}
+      </div>
+
+      {cat.note && <div style={{ fontSize:10.5, color:'rgba(255,255,255,0.4)' }}>{cat.note}</div>}
+
+      {/* Every unit at once — click a row to make it the target */}
+      <div style={{ flex:1, overflowY:'auto', borderTop:'1px solid rgba(255,255,255,0.06)', minHeight:0 }}>
+        {cat.units.filter(u => u.id !== conv.from).map(u => (
+          <div key={u.id} onClick={() => setConv({ ...conv, to:u.id })}
+            style={{ display:'flex', gap:8, padding:'4px 4px', fontSize:11, cursor:'pointer', borderRadius:4,
+              background:u.id === conv.to ? 'rgba(79,172,254,0.08)' : 'transparent' }}>
+            <span style={{ flex:1, color:'rgba(255,255,255,0.5)', whiteSpace:'nowrap' }}>{u.label}</span>
+            <span style={{ fontFamily:MONO, color:'rgba(255,255,255,0.85)', userSelect:'text', textAlign:'right', wordBreak:'break-all' }}>
+              {result.values[u.id] ?? ''}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+export default function Calculator({ vfs, notify }) {
+  const [mode,     setMode]     = useState('standard');
+  const [input,    setInput]    = useState('');
+  const [error,    setError]    = useState(null);
+  const [angle,    setAngle]    = useState('deg');
+  const [base,     setBase]     = useState(10);
+  const [bits,     setBits]     = useState(64);
+  const [memory,   setMemory]   = useState(null);
+  const [ans,      setAns]      = useState(0);
+  const [tape,     setTape]     = useState([]);
+  const [showTape, setShowTape] = useState(false);
+  const [conv,     setConv]     = useState({ cat:'data', from:'b', to:'mib', value:'1048576' });
+
+  const inputRef = useRef(null);
+  const nextId   = useRef(1);
+
+  const prog = mode === 'programmer';
+  const converting = mode === 'converter';
+
+  useEffect(() => { inputRef.current?.focus(); }, [mode, showTape]);
+
+  // ── Evaluation ──
+  const evalIn = (expr, m = mode) => m === 'programmer'
+    ? evaluateInt(expr, { base, bits })
+    : evaluate(expr, { angle, ans });
+
+  const preview = useMemo(() => {
+    if (!input.trim()) return null;
+    try {
+      return prog ? evaluateInt(input, { base, bits }) : evaluate(input, { angle, ans });
+    } catch { return null; }
+  }, [input, prog, base, bits, angle, ans]);
+
+  const show = v => prog ? formatInt(v, base, bits) : formatNumber(v);
+
+  const previewText = (() => {
+    if (preview === null) return '';
+    try { return show(preview); } catch { return ''; }
+  })();
+
+  // Value on screen right now: the expression's value, else the last result
+  const currentValue = () => {
+    try { return input.trim() ? evalIn(input) : prog ? BigInt(Math.trunc(ans)) : ans; }
+    catch { return null; }
+  };
+
+  const calculate = () => {
+    if (!input.trim()) return;
+    try {
+      const v = evalIn(input);
+      const result = show(v);
+      setTape(t => [...t, {
+        id:nextId.current++, mode, expr:input, result,
+        note:prog ? `${BASES.find(b => b.base === base).label} ${bits}-bit` : mode === 'scientific' ? angle.toUpperCase() : '',
+      }]);
+      if (!prog) setAns(v);
+      setInput(result);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // ── Editing ──
+  const edit = next => { setInput(next); setError(null); };
+
+  const insert = text => {
+    const el = inputRef.current;
+    const start = el?.selectionStart ?? input.length;
+    const end   = el?.selectionEnd ?? input.length;
+    const next  = input.slice(0, start) + text + input.slice(end);
+    edit(next);
+    requestAnimationFrame(() => {
+      el?.focus();
+      el?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const backspace  = () => edit(input.slice(0, -1));
+  const clearAll   = () => edit('');
+  const clearEntry = () => edit(input.replace(prog ? TRAILING_INT : TRAILING_NUM, ''));
+  const entryFn    = fn => edit(applyToEntry(input, fn));
+  const negate     = () => edit(toggleSign(input, prog ? TRAILING_INT : TRAILING_NUM));
+
+  // ── Memory (standard / scientific) ──
+  const memOp = op => {
+    if (op === 'MC') { setMemory(null); return; }
+    if (op === 'MR') { if (memory !== null) insert(formatNumber(memory)); return; }
+    const v = currentValue();
+    if (v === null || typeof v !== 'number') { setError('Invalid input'); return; }
+    setMemory(m => op === 'MS' ? v : op === 'M+' ? (m ?? 0) + v : (m ?? 0) - v);
+  };
+
+  // ── Mode / base / word size switches carry the current value across ──
+  const switchMode = next => {
+    if (next === mode) return;
+    if (next === 'converter' || converting) { setMode(next); return; }
+    const v = currentValue();
+    if (v !== null && input.trim()) {
+      if (next === 'programmer' && !prog)      edit(Number.isFinite(v) ? formatInt(BigInt(Math.trunc(v)), base, bits) : '');
+      else if (next !== 'programmer' && prog)  edit(BigInt.asIntN(bits, v).toString());
+    } else if ((next === 'programmer') !== prog) edit('');
+    setMode(next);
+  };
+
+  const switchBase = next => {
+    const v = currentValue();
+    if (v !== null && input.trim()) edit(formatInt(v, next, bits));
+    setBase(next);
+  };
+
+  const switchBits = next => {
+    const v = currentValue();
+    if (v !== null && input.trim()) edit(formatInt(BigInt.asIntN(next, v), base, next));
+    setBits(next);
+  };
+
+  // ── Tape ──
+  const exportTape = async () => {
+    if (!vfs || !tape.length) { notify?.('warning', 'Calculator', 'The tape is empty'); return; }
+    const name  = `calculator-tape-${format(new Date(), 'yyyyMMdd-HHmmss')}.txt`;
+    const width = Math.max(...tape.map(t => t.expr.length));
+    const text  = [
+      `LynkOS Calculator tape — ${format(new Date(), 'yyyy-MM-dd HH:mm:ss')}`,
+      '',
+      ...tape.map(t => `${t.expr.padEnd(width)}  =  ${t.result}${t.note ? `   (${t.note})` : ''}`),
+      '',
+    ].join('\n');
+    try {
+      await vfs.createFile(TAPE_DIR, name, text);
+      notify?.('success', 'Tape Exported', `Saved to Documents/${name}`);
+    } catch (e) {
+      notify?.('error', 'Calculator', String(e.message || e));
+    }
+  };
+
+  // ── Keyboard ──
+  const onKeyDown = e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    const k = e.key;
+    const handled = () => e.preventDefault();
+
+    if (e.altKey && MODES[Number(k) - 1]) { handled(); switchMode(MODES[Number(k) - 1].id); return; }
+    if (converting) return;
+
+    if (k === 'Enter' || k === '=')   { handled(); calculate(); return; }
+    if (k === 'Escape')               { handled(); if (showTape) setShowTape(false); else clearAll(); return; }
+    if (k === 'Delete' && !input.slice(inputRef.current?.selectionStart ?? input.length)) { handled(); clearEntry(); return; }
+    if (ctrl && k === 'h')            { handled(); setShowTape(s => !s); return; }
+    if (ctrl && k === 's')            { handled(); exportTape(); return; }
+
+    if (!prog) {
+      const mem = { m:'MS', r:'MR', p:'M+', q:'M-', l:'MC' }[k.toLowerCase()];
+      if (ctrl && mem)                               { handled(); memOp(mem); return; }
+      if (mode === 'scientific' && (k === 'F3' || k === 'F4')) { handled(); setAngle(k === 'F3' ? 'deg' : 'rad'); return; }
+    } else {
+      const b = BASES.find(x => x.key === k);
+      if (b) { handled(); switchBase(b.base); return; }
+      const w = WORD_SIZES.find(x => x.key === k);
+      if (w) { handled(); switchBits(w.bits); return; }
+    }
+  };
+
+  // ── Keypads ──
+  const digit = d => <Key key={d} label={d} onPress={() => insert(d)}
+    disabled={prog && parseInt(d, 16) >= base}/>;
+  const op = (label, text = label, title) => <Key key={label} label={label} kind="op" title={title} onPress={() => insert(text)}/>;
+  const fn = (label, onPress, title) => <Key key={label} label={label} kind="fn" title={title} onPress={onPress}/>;
+  const common = {
+    back:  fn('⌫', backspace, 'Backspace'),
+    clear: fn('C', clearAll, 'Clear (Esc)'),
+    ce:    fn('CE', clearEntry, 'Clear entry (Del)'),
+    eq:    <Key key="=" label="=" kind="eq" title="Evaluate (Enter)" onPress={calculate}/>,
+    neg:   fn('±', negate, 'Negate'),
+  };
+
+  const standardPad = (
+    <Pad cols={4}>
+      {fn('%', () => insert('%'), 'Percent')}{common.ce}{common.clear}{common.back}
+      {fn('¹⁄ₓ', () => entryFn(x => `1/${x}`), 'Reciprocal')}
+      {fn('x²', () => entryFn(x => `${x}²`), 'Square')}
+      {fn('√x', () => entryFn(x => `√${x}`), 'Square root')}
+      {op('÷', '/')}
+      {digit('7')}{digit('8')}{digit('9')}{op('×', '*')}
+      {digit('4')}{digit('5')}{digit('6')}{op('−', '-')}
+      {digit('1')}{digit('2')}{digit('3')}{op('+')}
+      {common.neg}{digit('0')}{op('.', '.')}{common.eq}
+    </Pad>
+  );
+
+  const scientificPad = (
+    <Pad cols={5}>
+      {fn('sin', () => insert('sin('))}{fn('cos', () => insert('cos('))}{fn('tan', () => insert('tan('))}
+      {fn('π', () => insert('π'))}{fn('e', () => insert('e'))}
+      {fn('sin⁻¹', () => insert('asin('))}{fn('cos⁻¹', () => insert('acos('))}{fn('tan⁻¹', () => insert('atan('))}
+      {fn('ln', () => insert('ln('))}{fn('log', () => insert('log('))}
+      {fn('x²', () => insert('²'), 'Square')}{fn('xʸ', () => insert('^'), 'Power')}
+      {fn('√', () => insert('√'), 'Square root')}{fn('n!', () => insert('!'), 'Factorial')}
+      {fn('¹⁄ₓ', () => entryFn(x => `1/${x}`), 'Reciprocal')}
+      {op('(')}{op(')')}{fn('mod', () => insert(' mod '))}{common.clear}{common.back}
+      {digit('7')}{digit('8')}{digit('9')}{op('÷', '/')}{fn('eˣ', () => insert('exp('))}
+      {digit('4')}{digit('5')}{digit('6')}{op('×', '*')}{fn('10ˣ', () => insert('10^'))}
+      {digit('1')}{digit('2')}{digit('3')}{op('−', '-')}{common.neg}
+      {digit('0')}{op('.', '.')}{fn('ans', () => insert('ans'), 'Last result')}{op('+')}{common.eq}
+    </Pad>
+  );
+
+  const programmerPad = (
+    <Pad cols={5}>
+      {op('AND', ' & ')}{op('OR', ' | ')}{op('XOR', ' ^ ')}{op('NOT', '~')}{common.ce}
+      {digit('A')}{op('<<', ' << ', 'Shift left')}{op('>>', ' >> ', 'Shift right (arithmetic)')}{common.clear}{common.back}
+      {digit('B')}{op('(')}{op(')')}{op('%', ' % ', 'Modulo')}{op('÷', '/')}
+      {digit('C')}{digit('7')}{digit('8')}{digit('9')}{op('×', '*')}
+      {digit('D')}{digit('4')}{digit('5')}{digit('6')}{op('−', '-')}
+      {digit('E')}{digit('1')}{digit('2')}{digit('3')}{op('+')}
+      {digit('F')}{common.neg}{digit('0')}<Key label="." disabled/>{common.eq}
+    </Pad>
+  );
+
+  const progValue = prog ? (preview ?? (input.trim() ? null : 0n)) : null;
 
-export default function Calculator(props) {
   return (
-    <div style={{ height:'100%', display:'flex', alignItems:'center', justifyContent:'center', background:'#0d0d14', color:'rgba(255,255,255,0.5)', flexDirection:'column', gap:12 }}>
-      <span style={{ fontSize:48 }}>🧮</span>
-      <span style={{ fontSize:14 }}>Calculator — implementation pending</span>
-      <span style={{ fontSize:11, opacity:0.4 }}>See apps/Calculator.jsx</span>
+    <div onKeyDown={onKeyDown}
+      style={{ height:'100%', display:'flex', flexDirection:'column', background:'#0d0d14',
+        color:'white', userSelect:'none', position:'relative' }}>
+
+      {/* ── Mode bar ── */}
+      <div style={{ display:'flex', alignItems:'center', gap:2, padding:'6px 8px',
+        borderBottom:'1px solid rgba(255,255,255,0.06)', flexShrink:0 }}>
+        {MODES.map((m, i) => (
+          <button key={m.id} onClick={() => switchMode(m.id)} title={`${m.label} (Alt+${i + 1})`}
+            style={{ ...iconBtn(mode === m.id), fontWeight:mode === m.id ? 600 : 400 }}>
+            {m.label}
+          </button>
+        ))}
+        <div style={{ flex:1 }}/>
+        <button onClick={() => setShowTape(s => !s)} title="Tape (Ctrl+H)" style={iconBtn(showTape)}>
+          <History size={14}/>{tape.length > 0 && tape.length}
+        </button>
+      </div>
+
+      {/* ── Display ── */}
+      {!converting && <div style={{ padding:'8px 12px 4px', flexShrink:0 }}>
+        <div style={{ display:'flex', justifyContent:'space-between', fontSize:11, minHeight:16,
+          color:'rgba(255,255,255,0.45)' }}>
+          <span>
+            {mode === 'scientific' && angle.toUpperCase()}
+            {!prog && memory !== null && <span title={`Memory: ${formatNumber(memory)}`} style={{ marginLeft:6, color:ACCENT }}>M</span>}
+          </span>
+          <span style={{ color:error ? RED : undefined, fontFamily:MONO, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+            {error || (previewText && previewText !== input.trim() ? `= ${previewText}` : '')}
+          </span>
+        </div>
+        <input ref={inputRef} value={input} autoFocus spellCheck={false} autoComplete="off"
+          onChange={e => edit(e.target.value)} placeholder="0"
+          style={{ width:'100%', boxSizing:'border-box', background:'transparent', border:'none', outline:'none',
+            color:'white', fontFamily:MONO, fontSize:input.length > 16 ? 18 : 28, textAlign:'right',
+            padding:'2px 0', caretColor:ACCENT }}/>
+      </div>}
+
+      {/* ── Mode extras ── */}
+      {(mode === 'standard' || mode === 'scientific') && (
+        <div style={{ display:'grid', gridTemplateColumns:`repeat(${mode === 'scientific' ? 7 : 5},1fr)`, gap:2, padding:'0 8px', flexShrink:0 }}>
+          {mode === 'scientific' && ['deg', 'rad'].map(a => (
+            <button key={a} onClick={() => setAngle(a)} title={a === 'deg' ? 'Degrees (F3)' : 'Radians (F4)'}
+              style={iconBtn(angle === a)}>{a.toUpperCase()}</button>
+          ))}
+          {[['MC', 'Ctrl+L'], ['MR', 'Ctrl+R'], ['M+', 'Ctrl+P'], ['M-', 'Ctrl+Q'], ['MS', 'Ctrl+M']].map(([m, kbd]) => (
+            <button key={m} onClick={() => memOp(m)} title={`${m} (${kbd})`}
+              disabled={(m === 'MC' || m === 'MR') && memory === null}
+              style={{ ...iconBtn(false), opacity:(m === 'MC' || m === 'MR') && memory === null ? 0.3 : 1 }}>
+              {m.replace('-', '−')}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {prog && (
+        <div style={{ padding:'0 8px', flexShrink:0 }}>
+          {BASES.map(b => (
+            <div key={b.base} onClick={() => switchBase(b.base)} title={`${b.label} (${b.key})`}
+              style={{ display:'flex', gap:10, padding:'2px 6px', borderRadius:4, cursor:'pointer', fontSize:11,
+                borderLeft:`2px solid ${base === b.base ? ACCENT : 'transparent'}`,
+                background:base === b.base ? 'rgba(79,172,254,0.08)' : 'transparent' }}>
+              <span style={{ width:28, color:base === b.base ? ACCENT : 'rgba(255,255,255,0.45)', fontWeight:600 }}>{b.label}</span>
+              <span style={{ fontFamily:MONO, color:'rgba(255,255,255,0.8)', wordBreak:'break-all' }}>
+                {progValue === null ? '' : groupDigits(formatInt(progValue, b.base, bits), b.base === 10 ? 3 : b.base === 8 ? 3 : 4)}
+              </span>
+            </div>
+          ))}
+          <div style={{ display:'flex', gap:2, marginTop:4 }}>
+            {WORD_SIZES.map(w => (
+              <button key={w.bits} onClick={() => switchBits(w.bits)} title={`${w.bits}-bit (${w.key})`}
+                style={{ ...iconBtn(bits === w.bits), flex:1 }}>{w.label}</button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {mode === 'standard'   && standardPad}
+      {mode === 'scientific' && scientificPad}
+      {prog                  && programmerPad}
+      {converting            && <Converter conv={conv} setConv={setConv}/>}
+
+      {/* ── Tape ── */}
+      {showTape && (
+        <div style={{ position:'absolute', left:0, right:0, bottom:0, top:40, display:'flex', flexDirection:'column',
+          background:'rgba(13,13,20,0.97)', borderTop:'1px solid rgba(255,255,255,0.08)' }}>
+          <div style={{ display:'flex', alignItems:'center', gap:4, padding:'6px 10px',
+            borderBottom:'1px solid rgba(255,255,255,0.06)' }}>
+            <span style={{ fontSize:12, fontWeight:600, flex:1 }}>Tape</span>
+            <button onClick={exportTape} title="Export to Documents (Ctrl+S)" style={iconBtn(false)}>
+              <Download size={13}/>Export
+            </button>
+            <button onClick={() => setTape([])} title="Clear tape" style={iconBtn(false)}><Trash2 size={13}/></button>
+            <button onClick={() => setShowTape(false)} title="Close (Esc)" style={iconBtn(false)}><X size={13}/></button>
+          </div>
+          <div style={{ flex:1, overflowY:'auto', padding:'6px 10px', fontFamily:MONO, userSelect:'text' }}>
+            {!tape.length && <div style={{ fontSize:12, opacity:0.4, textAlign:'center', marginTop:30 }}>No calculations yet</div>}
+            {[...tape].reverse().map(t => (
+              <div key={t.id} onClick={() => { if (t.mode === mode) { edit(t.result); setShowTape(false); } }}
+                title={t.mode === mode ? 'Use this result' : `Calculated in ${t.mode} mode`}
+                style={{ padding:'6px 4px', borderBottom:'1px solid rgba(255,255,255,0.05)', textAlign:'right',
+                  cursor:t.mode === mode ? 'pointer' : 'default' }}>
+                <div style={{ fontSize:11, color:'rgba(255,255,255,0.45)', wordBreak:'break-all' }}>
+                  {t.expr} ={t.note && <span style={{ marginLeft:6, color:ACCENT }}>{t.note}</span>}
+                </div>
+                <div style={{ fontSize:16, wordBreak:'break-all' }}>{t.result}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -4,16 +4,23 @@
  * Props from Desktop.jsx makeAppProps():
  *   vfs        — VirtualFileSystem instance (IndexedDB)
  *   onOpenFile — open a VFS file in the appropriate app
+ *   onOpenApp  — open a file in a specific app (Run in Terminal, Edit)
+ *   initialFile — a folder to start in (e.g. `open ~/Documents` in the Terminal)
  *   notify     — show OS notification
  *   onClose    — close this window
  *
  * Keyboard Shortcuts (when focused inside File Manager):
  *   Ctrl+C  Copy          Ctrl+X  Cut      Ctrl+V  Paste
- *   Ctrl+A  Select All    Del     Delete   F2      Rename
+ *   Ctrl+A  Select All    Del     Move to Trash (Shift+Del deletes permanently)
+ *   F2      Rename
  *   F5      Refresh       Ctrl+N  New Folder
  *   Ctrl+Shift+N  New File
  *   Backspace  Go Up      Alt+←  Back     Alt+→  Forward
  *   ↑↓  Navigate items    Enter  Open
+ *
+ * Drag items onto folders, the sidebar, other File Manager windows, the desktop or an
+ * app (window or taskbar button) to move them there or open them; hold Ctrl to copy.
+ * Resting a drag on a folder springs it open.
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
@@ -23,10 +30,24 @@ import {
   Download, Upload, Copy, Scissors, Trash2, Edit3,
   FolderPlus, FilePlus, RefreshCw, Search, Grid, List,
   ArrowUp, Info, FolderOpen, Star, Clock, AlertCircle,
-  Check, Eye, EyeOff, X, MoreVertical, Package,
+  Check, Eye, EyeOff, X, MoreVertical, Package, PackageOpen, Terminal, Play, ListMusic, RotateCcw,
 } from 'lucide-react';
+import { setDragPaths, isVfsDrag, getDragPaths, dropEffect, SPRING_MS } from '../dnd';
 
 const ACCENT = '#4facfe';
+const TRASH  = '/.Trash';
+const MNT    = '/mnt';
+// Archives open as read-only folders; their entries are extracted to be used
+const ARCHIVES = /\.(zip|tar|tgz|tar\.gz|gz)$/i;
+
+// What the mount bar says about each kind of mounted storage
+const MOUNT_NOTES = {
+  handle: 'A folder on this computer — changes are saved straight to disk, and deleted items skip the Trash.',
+  opfs:   "The browser's private storage for this site — deleted items skip the Trash.",
+  idb:    'A separate browser database — deleted items skip the Trash.',
+  http:   'A folder on a web server — changes are sent straight to it, and deleted items skip the Trash.',
+  memory: 'Kept in memory only — everything here is gone when the page is closed.',
+};
 
 /* ── Helpers ── */
 const formatSize = bytes => {
@@ -36,29 +57,33 @@ const formatSize = bytes => {
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return (bytes / Math.pow(k, i)).toFixed(1) + ' ' + u[Math.min(i, 3)];
 };
-const formatDate = ts => new Date(ts).toLocaleString(undefined, { dateStyle:'short', timeStyle:'short' });
+const formatDate = ts => ts ? new Date(ts).toLocaleString(undefined, { dateStyle:'short', timeStyle:'short' }) : '—';
 
 const getExt = name => (name||'').split('.').pop().toLowerCase();
+const dirOf  = path => path.slice(0, path.lastIndexOf('/')) || '/';
 
 const FileIcon = ({ item, size=18 }) => {
   if (item.type === 'folder') return <Folder size={size} color="#fbc531"/>;
   const ext = getExt(item.name);
   if (['jpg','jpeg','png','gif','webp','svg'].includes(ext)) return <Image size={size} color="#00d2d3"/>;
-  if (['mp3','wav','ogg','flac','aac'].includes(ext))         return <Music size={size} color="#e84118"/>;
+  if (['mp3','wav','ogg','flac','aac','m4a','opus'].includes(ext)) return <Music size={size} color="#e84118"/>;
+  if (['m3u','m3u8','pls'].includes(ext))                     return <ListMusic size={size} color="#e84118"/>;
   if (['mp4','avi','mkv','mov'].includes(ext))                return <Video size={size} color="#9c88ff"/>;
-  if (['zip','rar','7z','tar','gz'].includes(ext))            return <Archive size={size} color="#f79f1f"/>;
+  if (['zip','rar','7z','tar','gz','tgz'].includes(ext))      return <Archive size={size} color="#f79f1f"/>;
   if (['txt','md','log'].includes(ext))                       return <FileText size={size} color="#dcdde1"/>;
   if (['js','jsx','ts','tsx','py','html','css','json'].includes(ext)) return <FileText size={size} color="#74b9ff"/>;
   if (ext === 'pdf')                                          return <File size={size} color="#a29bfe"/>;
+  if (ext === 'sh')                                           return <Terminal size={size} color="#27c93f"/>;
   return <File size={size} color="#95afc0"/>;
 };
 
-/* ── Sidebar link ── */
-const SideItem = ({ icon, label, active, onClick }) => (
-  <div onClick={onClick}
+/* ── Sidebar link (`drop`: drag-and-drop handlers, `over` while a drag is on it) ── */
+const SideItem = ({ icon, label, active, onClick, drop, over }) => (
+  <div onClick={onClick} {...drop}
     style={{ display:'flex', alignItems:'center', gap:9, padding:'8px 14px',
       cursor:'pointer', fontSize:12, borderRadius:5, margin:'1px 6px',
-      background:active?'rgba(79,172,254,0.15)':'transparent',
+      background:active||over?'rgba(79,172,254,0.15)':'transparent',
+      outline:over?'1px solid rgba(79,172,254,0.5)':'none',
       color:active?ACCENT:'rgba(255,255,255,0.7)', transition:'background 0.1s' }}
     onMouseEnter={e=>{ if(!active) e.currentTarget.style.background='rgba(255,255,255,0.05)'; }}
     onMouseLeave={e=>{ if(!active) e.currentTarget.style.background='transparent'; }}>
@@ -101,64 +126,228 @@ const CtxMenu = ({ x, y, children, onClose }) => {
   );
 };
 
+/* ── Search result snippet, matches highlighted ── */
+const Snippet = ({ snippet }) => {
+  const parts = [];
+  let at = 0;
+  for (const [a, b] of snippet.hits) {
+    if (a < at) continue;
+    parts.push(snippet.text.slice(at, a), <mark key={a} style={{ background:'rgba(79,172,254,0.35)', color:'white', borderRadius:2 }}>{snippet.text.slice(a, b)}</mark>);
+    at = b;
+  }
+  parts.push(snippet.text.slice(at));
+  return <>{parts}</>;
+};
+
 /* ── Properties dialog ── */
-const PropsDialog = ({ item, onClose }) => (
-  <div style={{ position:'fixed', inset:0, background:'rgba(0,0,0,0.65)', backdropFilter:'blur(6px)',
-    display:'flex', alignItems:'center', justifyContent:'center', zIndex:99998 }}
-    onClick={onClose}>
-    <div onClick={e=>e.stopPropagation()}
-      style={{ background:'rgba(18,18,28,0.98)', backdropFilter:'blur(20px)',
-        border:'1px solid rgba(255,255,255,0.12)', borderRadius:12,
-        width:420, maxHeight:'80vh', overflow:'auto', boxShadow:'0 12px 48px rgba(0,0,0,0.7)' }}>
-      <div style={{ padding:'16px 18px', borderBottom:'1px solid rgba(255,255,255,0.08)',
-        display:'flex', justifyContent:'space-between', alignItems:'center' }}>
-        <div style={{ fontWeight:700, fontSize:14 }}>Properties — {item.name}</div>
-        <X size={16} style={{ cursor:'pointer', opacity:0.45 }} onClick={onClose}/>
-      </div>
-      <div style={{ padding:'18px' }}>
-        <div style={{ display:'flex', alignItems:'center', gap:14, marginBottom:20 }}>
-          <div style={{ fontSize:44 }}><FileIcon item={item} size={44}/></div>
-          <div>
-            <div style={{ fontSize:16, fontWeight:600 }}>{item.name}</div>
-            <div style={{ fontSize:11, opacity:0.45, marginTop:2 }}>{item.type === 'folder' ? 'Folder' : getExt(item.name).toUpperCase() + ' File'}</div>
+const PERM_CLASSES = ['Owner', 'Group', 'Others'];
+const PERM_BITS    = [['r','Read'], ['w','Write'], ['x', 'Execute']];
+const selectStyle  = { background:'rgba(255,255,255,0.06)', border:'1px solid rgba(255,255,255,0.12)',
+  borderRadius:5, color:'inherit', fontSize:12, padding:'3px 6px', outline:'none' };
+
+const miniBtn = { background:'rgba(255,255,255,0.07)', border:'1px solid rgba(255,255,255,0.12)',
+  borderRadius:5, color:'inherit', fontSize:11, padding:'2px 8px', cursor:'pointer' };
+
+// Versions of a text file, or snapshots of a folder tree, with restore / rollback
+const HistorySection = ({ item, vfs, notify, version, onRestored }) => {
+  const [entries, setEntries] = useState([]);
+  const [snapName, setSnapName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const isFolder = item.type === 'folder';
+
+  const load = useCallback(() => (isFolder ? vfs.listSnapshots(item.path) : vfs.listRevisions(item.path))
+    .then(setEntries).catch(() => setEntries([])), [isFolder, item.path, vfs]);
+  useEffect(() => { load(); }, [load, version]);
+
+  const run = async (fn, title, msg) => {
+    setBusy(true);
+    try { await fn(); notify?.('success', title, msg); onRestored?.(); await load(); }
+    catch(e) { notify?.('error', title, e.message||String(e)); }
+    finally { setBusy(false); }
+  };
+  const restore  = rev  => run(() => vfs.restoreRevision(item.path, rev.id), 'Version Restored', `${item.name} — ${formatDate(rev.at)}`);
+  const take     = ()   => run(async () => { await vfs.createSnapshot(item.path, snapName.trim()); setSnapName(''); }, 'Snapshot Taken', item.name);
+  const rollback = snap => confirm(`Roll "${item.name}" back to "${snap.name}"? Files added since will be removed.`)
+    && run(() => vfs.rollbackSnapshot(snap.id), 'Rolled Back', `${item.name} — ${snap.name}`);
+  const remove   = snap => run(() => vfs.deleteSnapshot(snap.id), 'Snapshot Deleted', snap.name);
+
+  return (
+    <div style={{ marginTop:14, paddingTop:14, borderTop:'1px solid rgba(255,255,255,0.08)', fontSize:12 }}>
+      <div style={{ opacity:0.55, marginBottom:8 }}>{isFolder ? 'Snapshots' : 'Versions'}:</div>
+      {entries.length === 0 && (
+        <div style={{ opacity:0.35, fontSize:11, marginBottom:8 }}>{isFolder ? 'No snapshots of this folder' : 'No earlier versions'}</div>
+      )}
+      <div style={{ maxHeight:140, overflowY:'auto' }}>
+        {entries.map(e => (
+          <div key={e.id} style={{ display:'flex', alignItems:'center', gap:8, padding:'4px 0' }}>
+            <div style={{ flex:1, minWidth:0 }}>
+              <div style={{ overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{isFolder ? e.name : formatDate(e.at)}</div>
+              <div style={{ fontSize:10, opacity:0.4 }}>
+                {isFolder ? `${formatDate(e.at)} · ${e.count} item(s) · ${formatSize(e.size)}` : formatSize(e.size)}
+              </div>
+            </div>
+            {isFolder ? (
+              <>
+                <button disabled={busy} onClick={() => rollback(e)} style={miniBtn}>Rollback</button>
+                <button disabled={busy} onClick={() => remove(e)} style={{ ...miniBtn, color:'#ff8a80' }}>Delete</button>
+              </>
+            ) : (
+              <button disabled={busy} onClick={() => restore(e)} style={miniBtn}>Restore</button>
+            )}
           </div>
+        ))}
+      </div>
+      {isFolder && (
+        <div style={{ display:'flex', gap:6, marginTop:8 }}>
+          <input value={snapName} onChange={e => setSnapName(e.target.value)} placeholder="Snapshot name"
+            onKeyDown={e => { if (e.key === 'Enter') take(); }}
+            style={{ ...selectStyle, flex:1 }}/>
+          <button disabled={busy} onClick={take} style={miniBtn}>Take Snapshot</button>
         </div>
-        {[
-          ['Location',    item.parent||'/'],
-          ['Size',        item.type==='file' ? formatSize(item.size) : 'Folder'],
-          ['Created',     formatDate(item.created)],
-          ['Modified',    formatDate(item.modified)],
-          ['Permissions', item.permissions||'rw-'],
-          ['Owner',       item.owner||'admin'],
-          ['Full Path',   item.path],
-        ].map(([k,v]) => (
-          <div key={k} style={{ display:'flex', marginBottom:10 }}>
-            <div style={{ width:110, fontSize:12, opacity:0.55, flexShrink:0 }}>{k}:</div>
-            <div style={{ flex:1, fontSize:12, wordBreak:'break-all' }}>{v}</div>
+      )}
+    </div>
+  );
+};
+
+const PropsDialog = ({ item, vfs, notify, onChanged, onClose }) => {
+  const [preview, setPreview] = useState('');
+  const [mode,    setMode]    = useState(() => vfs.modeOf(item));
+  const [owner,   setOwner]   = useState(item.owner || 'admin');
+  const [group,   setGroup]   = useState(() => vfs.groupOf(item));
+  const [recursive, setRecursive] = useState(false);
+  const [saving,  setSaving]  = useState(false);
+  const [version, setVersion] = useState(0);  // bumped when a restore / rollback changes the content
+  useEffect(() => {
+    if (item.type !== 'file' || item.encoding === 'binary') return;
+    vfs.readText(item.path).then(setPreview).catch(() => {});
+  }, [item, vfs, version]);
+
+  // Same rules chmod / chown enforce; the VFS has the final say on Apply
+  const isRoot   = vfs.user === 'root';
+  const canChmod = isRoot || ((item.owner || 'admin') === vfs.user && !vfs.isProtected(item.path));
+  const groups   = isRoot ? vfs.groups : vfs.groupsOf();
+  const changed  = mode !== vfs.modeOf(item) || owner !== (item.owner || 'admin') || group !== vfs.groupOf(item);
+  const toggle   = at => setMode(m => m.slice(0, at) + (m[at] === '-' ? 'rwx'[at % 3] : '-') + m.slice(at + 1));
+
+  const apply = async () => {
+    setSaving(true);
+    try {
+      if (mode !== vfs.modeOf(item)) await vfs.chmod(item.path, mode, { recursive });
+      if (owner !== (item.owner || 'admin') || group !== vfs.groupOf(item)) await vfs.chown(item.path, owner, group, { recursive });
+      notify?.('success','Permissions Updated', item.name);
+      onChanged?.();
+      onClose();
+    } catch(e) { notify?.('error','Permissions', e.message||String(e)); }
+    finally { setSaving(false); }
+  };
+  return (
+    <div style={{ position:'fixed', inset:0, background:'rgba(0,0,0,0.65)', backdropFilter:'blur(6px)',
+      display:'flex', alignItems:'center', justifyContent:'center', zIndex:99998 }}
+      onClick={onClose}>
+      <div onClick={e=>e.stopPropagation()}
+        style={{ background:'rgba(18,18,28,0.98)', backdropFilter:'blur(20px)',
+          border:'1px solid rgba(255,255,255,0.12)', borderRadius:12,
+          width:420, maxHeight:'80vh', overflow:'auto', boxShadow:'0 12px 48px rgba(0,0,0,0.7)' }}>
+        <div style={{ padding:'16px 18px', borderBottom:'1px solid rgba(255,255,255,0.08)',
+          display:'flex', justifyContent:'space-between', alignItems:'center' }}>
+          <div style={{ fontWeight:700, fontSize:14 }}>Properties — {item.name}</div>
+          <X size={16} style={{ cursor:'pointer', opacity:0.45 }} onClick={onClose}/>
+        </div>
+        <div style={{ padding:'18px' }}>
+          <div style={{ display:'flex', alignItems:'center', gap:14, marginBottom:20 }}>
+            <div style={{ fontSize:44 }}><FileIcon item={item} size={44}/></div>
+            <div>
+              <div style={{ fontSize:16, fontWeight:600 }}>{item.name}</div>
+              <div style={{ fontSize:11, opacity:0.45, marginTop:2 }}>{item.type === 'folder' ? 'Folder' : getExt(item.name).toUpperCase() + ' File'}</div>
+            </div>
           </div>
-        ))}
-        {item.content && (
-          <div style={{ marginTop:10 }}>
-            <div style={{ fontSize:12, opacity:0.55, marginBottom:6 }}>Preview:</div>
-            <div style={{ background:'rgba(0,0,0,0.3)', padding:10, borderRadius:6,
-              fontSize:11, fontFamily:'monospace', maxHeight:120, overflow:'auto',
-              whiteSpace:'pre-wrap', wordBreak:'break-word' }}>
-              {item.content.slice(0, 600)}{item.content.length>600?'…':''}
+          {[
+            ['Location',    item.parent||'/'],
+            ['Size',        item.type==='file' ? formatSize(item.size) : 'Folder'],
+            ...(item.type==='file' ? [['Type', `${item.mime||'application/octet-stream'} (${item.encoding==='binary' ? 'binary' : 'text'})`]] : []),
+            ['Created',     formatDate(item.created)],
+            ['Modified',    formatDate(item.modified)],
+            ['Full Path',   item.path],
+          ].map(([k,v]) => (
+            <div key={k} style={{ display:'flex', marginBottom:10 }}>
+              <div style={{ width:110, fontSize:12, opacity:0.55, flexShrink:0 }}>{k}:</div>
+              <div style={{ flex:1, fontSize:12, wordBreak:'break-all' }}>{v}</div>
             </div>
+          ))}
+          <div style={{ marginTop:14, paddingTop:14, borderTop:'1px solid rgba(255,255,255,0.08)' }}>
+            <div style={{ display:'flex', justifyContent:'space-between', fontSize:12, marginBottom:8 }}>
+              <span style={{ opacity:0.55 }}>Permissions:</span>
+              <span style={{ fontFamily:'monospace' }}>{item.type==='folder' ? 'd' : '-'}{mode}</span>
+            </div>
+            <div style={{ display:'grid', gridTemplateColumns:'110px repeat(3,1fr)', rowGap:6, fontSize:12 }}>
+              <div/>
+              {PERM_BITS.map(([, label]) => <div key={label} style={{ opacity:0.55, textAlign:'center' }}>{label}</div>)}
+              {PERM_CLASSES.map((cls, c) => (
+                <React.Fragment key={cls}>
+                  <div style={{ opacity:0.55 }}>{cls}</div>
+                  {PERM_BITS.map(([bit], b) => (
+                    <label key={bit} style={{ textAlign:'center' }}>
+                      <input type="checkbox" checked={mode[c*3+b] === bit} disabled={!canChmod}
+                        onChange={() => toggle(c*3+b)}/>
+                    </label>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+            <div style={{ display:'flex', gap:16, marginTop:12, fontSize:12, alignItems:'center' }}>
+              <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+                <span style={{ opacity:0.55 }}>Owner</span>
+                <select value={owner} disabled={!isRoot} onChange={e=>setOwner(e.target.value)} style={selectStyle}>
+                  {vfs.users.map(u => <option key={u} value={u}>{u}</option>)}
+                </select>
+              </label>
+              <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+                <span style={{ opacity:0.55 }}>Group</span>
+                <select value={group} disabled={!canChmod} onChange={e=>setGroup(e.target.value)} style={selectStyle}>
+                  {[...new Set([group, ...groups])].map(g => <option key={g} value={g}>{g}</option>)}
+                </select>
+              </label>
+            </div>
+            {item.type === 'folder' && canChmod && (
+              <label style={{ display:'flex', gap:6, alignItems:'center', marginTop:10, fontSize:12 }}>
+                <input type="checkbox" checked={recursive} onChange={e=>setRecursive(e.target.checked)}/>
+                Apply to enclosed items
+              </label>
+            )}
+            {!canChmod && (
+              <div style={{ marginTop:10, fontSize:11, opacity:0.45 }}>
+                {vfs.isProtected(item.path) ? 'System folder — permissions are locked.' : `Owned by ${item.owner || 'admin'} — only the owner or root can change this.`}
+              </div>
+            )}
           </div>
-        )}
-        <button onClick={onClose}
-          style={{ marginTop:18, width:'100%', padding:'9px', borderRadius:7,
-            background:`linear-gradient(135deg,${ACCENT},#00f2fe)`, border:'none',
-            color:'#000', fontWeight:700, cursor:'pointer', fontSize:13 }}>OK</button>
+          {!vfs.mountOf(item.path) && (item.type === 'folder' || item.encoding !== 'binary') && (
+            <HistorySection item={item} vfs={vfs} notify={notify} version={version}
+              onRestored={() => { setVersion(v => v + 1); onChanged?.(); }}/>
+          )}
+          {preview && (
+            <div style={{ marginTop:10 }}>
+              <div style={{ fontSize:12, opacity:0.55, marginBottom:6 }}>Preview:</div>
+              <div style={{ background:'rgba(0,0,0,0.3)', padding:10, borderRadius:6,
+                fontSize:11, fontFamily:'monospace', maxHeight:120, overflow:'auto',
+                whiteSpace:'pre-wrap', wordBreak:'break-word' }}>
+                {preview.slice(0, 600)}{preview.length>600?'…':''}
+              </div>
+            </div>
+          )}
+          <button onClick={changed ? apply : onClose} disabled={saving}
+            style={{ marginTop:18, width:'100%', padding:'9px', borderRadius:7,
+              background:`linear-gradient(135deg,${ACCENT},#00f2fe)`, border:'none',
+              color:'#000', fontWeight:700, cursor:'pointer', fontSize:13 }}>{changed ? 'Apply' : 'OK'}</button>
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 /* ═══════════════════════════════════════════════════════════════════════ */
-export default function FileManager({ vfs, onOpenFile, notify }) {
-  const [currentPath, setCurrentPath] = useState('/Users/Admin/Desktop');
+export default function FileManager({ vfs, onOpenFile, onOpenApp, notify, initialFile }) {
+  const startPath = initialFile?.type === 'folder' ? initialFile.path : '/Users/Admin/Desktop';
+  const [currentPath, setCurrentPath] = useState(startPath);
   const [items,        setItems]       = useState([]);
   const [selected,     setSelected]    = useState(new Set());
   const [viewMode,     setViewMode]    = useState('grid');
@@ -167,36 +356,50 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
   const [sortOrder,    setSortOrder]   = useState('asc');
   const [searchQ,      setSearchQ]     = useState('');
   const [searchResults,setSearchResults] = useState(null);
-  const [history,      setHistory]     = useState(['/Users/Admin/Desktop']);
+  const [history,      setHistory]     = useState([startPath]);
   const [histIdx,      setHistIdx]     = useState(0);
   const [ctxMenu,      setCtxMenu]     = useState(null);
   const [propsItem,    setPropsItem]   = useState(null);
   const [renameItem,   setRenameItem]  = useState(null);
   const [loading,      setLoading]     = useState(false);
+  const [archiveRoots, setArchiveRoots] = useState([]);  // archives opened as folders this session
+  const [dropTarget,   setDropTarget]  = useState(null); // folder under a drag
 
   const fileInputRef  = useRef(null);
   const renameRef     = useRef(null);
   const containerRef  = useRef(null);
+  const archives      = useRef(new Map());  // archive path → its entries (vfs.openArchive)
+  const spring        = useRef(null);       // { path, timer } of a folder a drag is resting on
 
   /* ── VFS must be ready ── */
   const ready = !!vfs;
 
   /* ── Load directory ── */
+  // Inside an opened archive the listing comes from its entries, tagged with `archive` / `entry`
+  const listDir = useCallback(async path => {
+    const root = [...archives.current.keys()].find(a => path === a || path.startsWith(a + '/'));
+    if (!root) return vfs.list(path);
+    const inner = path.slice(root.length + 1);
+    return [...archives.current.get(root).values()]
+      .filter(e => e.path.slice(0, Math.max(e.path.lastIndexOf('/'), 0)) === inner)
+      .map(e => ({ ...e, path: `${root}/${e.path}`, parent: path, archive: root, entry: e.path }));
+  }, [vfs]);
+
   const loadDir = useCallback(async path => {
     if (!ready) return;
     setLoading(true);
     try {
-      const raw = await vfs.list(path);
+      const raw = await listDir(path);
       setItems(sort(raw));
       setCurrentPath(path);
       setSelected(new Set());
       setSearchResults(null);
     } catch(e) {
-      notify?.('error','File Manager', String(e));
+      notify?.('error','File Manager', e.message||String(e));
     } finally { setLoading(false); }
-  }, [ready, vfs, notify]); // eslint-disable-line
+  }, [ready, listDir, notify]); // eslint-disable-line
 
-  useEffect(() => { if (ready) loadDir('/Users/Admin/Desktop'); }, [ready]); // eslint-disable-line
+  useEffect(() => { if (ready) loadDir(startPath); }, [ready]); // eslint-disable-line
 
   /* ── Sorting ── */
   const sort = useCallback(arr => {
@@ -215,6 +418,37 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
   /* re-sort when sort changes */
   useEffect(() => { setItems(p => sort(p)); }, [sortBy, sortOrder, sort]);
 
+  /* ── Live updates: follow changes made by other windows and tabs ── */
+  useEffect(() => {
+    if (!ready) return;
+    let timer = null, live = true;
+    const relist = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        try {
+          const raw  = await listDir(currentPath);
+          if (!live) return;  // navigated away while listing
+          const here = new Set(raw.map(i => i.path));
+          setItems(sort(raw));
+          setSelected(s => new Set([...s].filter(p => here.has(p))));
+        } catch { /* the folder itself went away — its own event moves us on */ }
+      }, 100);
+    };
+    const unwatch = vfs.watch(currentPath, {}, ev => {
+      const gone = ev.oldPath ?? (ev.type === 'delete' ? ev.path : null);
+      if (gone && (currentPath === gone || currentPath.startsWith(gone + '/'))) {
+        // This folder (or one above it) was renamed, moved or deleted
+        clearTimeout(timer);
+        // An opened archive that moves is closed, leaving to where it was
+        const trashed = ev.type !== 'rename' || ev.path.startsWith(TRASH + '/') || archives.current.delete(gone);
+        loadDir(trashed ? gone.slice(0, gone.lastIndexOf('/')) || '/' : ev.path + currentPath.slice(gone.length));
+        return;
+      }
+      relist();
+    });
+    return () => { live = false; clearTimeout(timer); unwatch(); };
+  }, [ready, vfs, currentPath, sort, loadDir, listDir]);
+
   /* ── Navigation ── */
   const navTo = path => {
     loadDir(path);
@@ -255,79 +489,251 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
 
   const openItem = async item => {
     if (item.type === 'folder') { navTo(item.path); return; }
+    if (item.archive) {
+      // Apps open VFS files, so an entry is extracted next to the archive first
+      if (!confirm(`Extract "${item.name}" next to ${item.archive.split('/').pop()} to open it?`)) return;
+      const out  = await extract(item.archive, [item]);
+      const file = out && await vfs.get(out.extracted[0]);
+      if (file) onOpenFile?.(file);
+      return;
+    }
+    if (ARCHIVES.test(item.name)) { browseArchive(item); return; }
     if (vfs) await vfs.addToRecent(item);
     onOpenFile?.(item);
   };
 
+  /* ── Archives ── */
+  const browseArchive = async item => {
+    setLoading(true);
+    try {
+      archives.current.set(item.path, await vfs.openArchive(item.path));  // read again on every open
+      setArchiveRoots(r => r.includes(item.path) ? r : [...r, item.path]);
+      navTo(item.path);
+    } catch(e) {
+      notify?.('error','Open Archive', e.message||String(e));
+      setLoading(false);
+    }
+  };
+
+  // A whole archive file into a folder named after it, or `entries` picked inside an opened one;
+  // next to the archive, or wherever the user says with `ask`
+  const extract = async (source, entries, ask) => {
+    setCtxMenu(null);
+    const here = dirOf(source);
+    const dest = ask ? prompt('Extract to folder:', here)?.trim() : here;
+    if (!dest) return null;
+    try {
+      const out = entries
+        ? await vfs.extractArchive(archives.current.get(source), dest, { paths: entries.map(e => e.entry) })
+        : await vfs.extractArchive(source, dest);
+      notify?.('success','Extracted', `${out.files} file(s) to ${out.path}`);
+      return out;
+    } catch(e) { notify?.('error','Extract Failed', e.message||String(e)); return null; }
+  };
+
+  // Compress the selection into a ZIP beside it
+  const compressSelected = async () => {
+    setCtxMenu(null);
+    const paths = [...selected];
+    if (!paths.length) return;
+    try {
+      const zip = await vfs.compress(paths, dirOf(paths[0]));
+      notify?.('success','Compressed', `${paths.length} item(s) to ${zip.name}`);
+    } catch(e) { notify?.('error','Compress Failed', e.message||String(e)); }
+  };
+
+  // Nothing inside an archive can be changed in place
+  const readOnly = () => {
+    if (archiveRoot) notify?.('info','Read-only', 'Extract items from the archive to change them');
+    return !!archiveRoot;
+  };
+
+  /* ── Drag and drop ── */
+  const dragStart = (e, item) => {
+    const paths = selected.has(item.path) ? [...selected] : [item.path];
+    if (!selected.has(item.path)) setSelected(new Set(paths));
+    setDragPaths(e, paths);
+  };
+
+  const cancelSpring = () => { clearTimeout(spring.current?.timer); spring.current = null; };
+
+  // Items dropped on `dest` move there (Ctrl: copy), or go to the Trash
+  const dropPaths = async (paths, dest, copy) => {
+    paths = paths.filter(p => p !== dest && !dest.startsWith(p + '/'));  // not into itself
+    if (!paths.length) return;
+    if (dest === TRASH) {
+      const failed = [];
+      for (const p of paths) { try { await vfs.trash(p); } catch(e) { failed.push(e.message||String(e)); } }
+      if (failed.length) notify?.('error','Delete Failed',failed.join('\n'));
+      if (failed.length < paths.length) notify?.('info','Moved to Trash',`${paths.length - failed.length} item(s) — restore from the Trash`);
+      return;
+    }
+    const out = await vfs.transfer(paths, dest, { copy });
+    if (out.failed.length) notify?.('error', copy ? 'Copy Failed' : 'Move Failed', out.failed.join('\n'));
+    if (out.done.length) notify?.('success', copy ? 'Copied' : 'Moved', `${out.done.length} item(s) to ${dest.split('/').pop() || '/'}`);
+  };
+
+  // Handlers making folder `path` a drop target; one that isn't open springs open after SPRING_MS
+  const dropProps = path => ({
+    onDragEnter: e => {
+      if (!isVfsDrag(e)) return;
+      e.stopPropagation();
+      setDropTarget(path);
+      if (spring.current?.path === path || path === currentPath || path === TRASH) return;
+      cancelSpring();
+      spring.current = { path, timer: setTimeout(() => { spring.current = null; setDropTarget(null); navTo(path); }, SPRING_MS) };
+    },
+    onDragOver: e => {
+      if (!isVfsDrag(e)) return;
+      e.preventDefault(); e.stopPropagation();
+      e.dataTransfer.dropEffect = path === TRASH ? 'move' : dropEffect(e);
+    },
+    onDragLeave: e => {
+      if (e.currentTarget.contains(e.relatedTarget)) return;  // onto one of its own children
+      if (spring.current?.path === path) cancelSpring();
+      setDropTarget(t => t === path ? null : t);
+    },
+    onDrop: e => {
+      if (!isVfsDrag(e)) return;
+      e.preventDefault(); e.stopPropagation();
+      cancelSpring();
+      setDropTarget(null);
+      dropPaths(getDragPaths(e), path, dropEffect(e) === 'copy');
+    },
+  });
+
   /* ── CRUD operations ── */
   const refresh = () => loadDir(currentPath);
 
   const newFolder = async () => {
+    if (readOnly()) return;
     const name = prompt('Folder name:', 'New Folder');
     if (!name?.trim()) return;
     try { await vfs.createFolder(currentPath, name.trim()); refresh(); notify?.('success','Created','Folder "'+name+'"'); }
-    catch(e) { notify?.('error','Create Failed',String(e)); }
+    catch(e) { notify?.('error','Create Failed',e.message||String(e)); }
   };
 
   const newFile = async () => {
+    if (readOnly()) return;
     const name = prompt('File name:', 'untitled.txt');
     if (!name?.trim()) return;
     try { await vfs.createFile(currentPath, name.trim(), ''); refresh(); notify?.('success','Created','File "'+name+'"'); }
-    catch(e) { notify?.('error','Create Failed',String(e)); }
+    catch(e) { notify?.('error','Create Failed',e.message||String(e)); }
   };
 
-  const deleteSelected = async () => {
-    if (!selected.size) return;
-    if (!confirm(`Delete ${selected.size} item(s)?`)) return;
-    for (const p of selected) { try { await vfs.delete(p); } catch{} }
+  // Delete moves to the Trash; inside the Trash (or with Shift) it is permanent and asks first
+  const deleteSelected = async (permanent = inTrash) => {
+    if (!selected.size || readOnly()) return;
+    // Mounted storage has no Trash: deleting there is for good, and a mount point just unmounts
+    permanent ||= [...selected].some(p => vfs.mountOf(p) && !vfs.mounts.has(p));
+    if (permanent && !confirm(`Permanently delete ${selected.size} item(s)? This can't be undone.`)) return;
+    const failed = [];
+    for (const p of selected) {
+      try { await (vfs.mounts.has(p) ? vfs.unmount(p) : permanent ? vfs.delete(p) : vfs.trash(p)); }
+      catch(e) { failed.push(e.message||String(e)); }
+    }
     setSelected(new Set());
     refresh();
-    notify?.('info','Deleted',`${selected.size} item(s) removed`);
+    const done = selected.size - failed.length;
+    if (failed.length) notify?.('error','Delete Failed',failed.join('\n'));
+    if (done) notify?.('info', permanent ? 'Deleted' : 'Moved to Trash', `${done} item(s) ${permanent ? 'removed' : '— restore from the Trash'}`);
+  };
+
+  /* ── Host folders under /mnt ── */
+  const mountFolder = async () => {
+    setCtxMenu(null);
+    try {
+      const point = await vfs.mount();
+      notify?.('success','Folder Mounted', `${point.mount} is at ${point.path}`);
+      navTo(point.path);
+    } catch(e) {
+      if (e.name !== 'AbortError') notify?.('error','Mount Failed', e.message||String(e));  // AbortError: picker cancelled
+    }
+  };
+
+  const unmount = async path => {
+    setCtxMenu(null);
+    try { await vfs.unmount(path); notify?.('info','Unmounted', path); }  // the watcher re-lists or leaves the folder
+    catch(e) { notify?.('error','Unmount Failed', e.message||String(e)); }
+  };
+
+  const reconnect = async () => {
+    try { await vfs.reconnect(currentPath); refresh(); }
+    catch(e) { notify?.('error','Reconnect Failed', e.message||String(e)); }
+  };
+
+  const restoreSelected = async () => {
+    const failed = [];
+    for (const p of selected) { try { await vfs.restore(p); } catch(e) { failed.push(e.message||String(e)); } }
+    setSelected(new Set());
+    refresh();
+    if (failed.length) notify?.('error','Restore Failed',failed.join('\n'));
+    if (failed.length < selected.size) notify?.('success','Restored',`${selected.size - failed.length} item(s)`);
+  };
+
+  const emptyTrash = async () => {
+    setCtxMenu(null);
+    if (!confirm('Permanently delete everything in the Trash?')) return;
+    try { notify?.('info','Trash Emptied',`${await vfs.emptyTrash()} item(s) deleted`); }
+    catch(e) { notify?.('error','Empty Trash',e.message||String(e)); }
+    refresh();
   };
 
-  const startRename = item => { setRenameItem(item); setCtxMenu(null); };
+  const startRename = item => { setCtxMenu(null); if (!readOnly()) setRenameItem(item); };
 
   const doRename = async newName => {
     if (!renameItem || !newName.trim() || newName === renameItem.name) { setRenameItem(null); return; }
     try { await vfs.rename(renameItem.path, newName.trim()); refresh(); notify?.('success','Renamed',newName); }
-    catch(e) { notify?.('error','Rename Failed',String(e)); }
+    catch(e) { notify?.('error','Rename Failed',e.message||String(e)); }
     finally { setRenameItem(null); }
   };
 
   const copyItem = () => {
-    const item = items.find(i => selected.has(i.path));
+    const item = !readOnly() && items.find(i => selected.has(i.path));
     if (item) { vfs.clipboard=item; vfs.clipboardOperation='copy'; notify?.('info','Copied',item.name); }
     setCtxMenu(null);
   };
   const cutItem = () => {
-    const item = items.find(i => selected.has(i.path));
+    const item = !readOnly() && items.find(i => selected.has(i.path));
     if (item) { vfs.clipboard=item; vfs.clipboardOperation='cut'; notify?.('info','Cut',item.name); }
     setCtxMenu(null);
   };
   const paste = async () => {
-    if (!vfs.clipboard) return;
+    if (!vfs.clipboard || readOnly()) return;
     try {
       if (vfs.clipboardOperation==='copy') await vfs.copy(vfs.clipboard.path, currentPath);
       else { await vfs.move(vfs.clipboard.path, currentPath); vfs.clipboard=null; }
       refresh();
-    } catch(e) { notify?.('error','Paste Failed',String(e)); }
+    } catch(e) { notify?.('error','Paste Failed',e.message||String(e)); }
     setCtxMenu(null);
   };
 
   const download = async item => {
-    if (item.type==='file') {
-      const blob = new Blob([item.content||''], { type:'text/plain' });
-      const a = document.createElement('a');
-      a.href = URL.createObjectURL(blob); a.download=item.name; a.click();
-    } else { await vfs.exportZip(item.path); }
     setCtxMenu(null);
+    try {
+      if (item.type==='file') {
+        const blob = new Blob([await vfs.readBytes(item.path)], { type:item.mime||'application/octet-stream' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob); a.download=item.name; a.click();
+      } else { await vfs.exportZip(item.path); }
+    } catch(e) { notify?.('error','Download Failed',e.message||String(e)); }
   };
 
-  const uploadFiles = () => { fileInputRef.current?.click(); setCtxMenu(null); };
+  const uploadFiles = () => { setCtxMenu(null); if (!readOnly()) fileInputRef.current?.click(); };
+  // Archives are unpacked into a folder named after them rather than stored as they are
   const handleUpload = async e => {
-    for (const f of Array.from(e.target.files||[])) { await vfs.upload(currentPath, f); }
-    refresh(); e.target.value='';
-    notify?.('success','Uploaded',`${e.target.files?.length} file(s)`);
+    const files = Array.from(e.target.files||[]);
+    e.target.value='';
+    let unpacked = 0;
+    try {
+      for (const f of files) {
+        if (ARCHIVES.test(f.name)) { await vfs.extractArchive(f, currentPath); unpacked++; }
+        else await vfs.upload(currentPath, f);
+      }
+      notify?.('success','Uploaded', [files.length - unpacked && `${files.length - unpacked} file(s)`,
+        unpacked && `${unpacked} archive(s) extracted`].filter(Boolean).join(' · '));
+    } catch(err) { notify?.('error','Upload Failed',err.message||String(err)); }
+    refresh();
   };
 
   const toggleFav = async item => {
@@ -338,8 +744,10 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
   const doSearch = async () => {
     if (!searchQ.trim()) { setSearchResults(null); return; }
     setLoading(true);
-    try { const r = await vfs.search(searchQ, '/'); setSearchResults(sort(r)); }
-    catch{} finally { setLoading(false); }
+    // Ranked by the index — best match first, not by the folder sort order
+    try { setSearchResults(await vfs.searchContent(searchQ, { limit: 200 })); }
+    catch(e) { notify?.('error','Search', e.message||String(e)); }
+    finally { setLoading(false); }
   };
 
   const changeSortBy = by => {
@@ -370,7 +778,7 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
       if (inField) return;
 
       if (e.key==='Backspace') { e.preventDefault(); goUp(); }
-      else if (e.key==='Delete') { e.preventDefault(); deleteSelected(); }
+      else if (e.key==='Delete') { e.preventDefault(); deleteSelected(inTrash || e.shiftKey); }
       else if (e.key==='F2' && selected.size===1) {
         const item=display.find(i=>selected.has(i.path)); if(item) startRename(item);
       }
@@ -403,6 +811,17 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
 
   /* ── Computed display items ── */
   const display = (searchResults || items).filter(i=>showHidden||!i.name.startsWith('.'));
+  const inTrash = currentPath===TRASH && !searchResults;
+  const archiveRoot = searchResults ? null : archiveRoots.find(a => currentPath === a || currentPath.startsWith(a + '/'));
+  const movable = !inTrash && !archiveRoot;   // items can be dragged out, and folders dropped into
+  const itemDrag = item => ({
+    draggable: movable && renameItem?.path !== item.path,
+    onDragStart: e => dragStart(e, item),
+    onDragEnd: cancelSpring,
+    ...(movable && item.type === 'folder' && dropProps(item.path)),
+  });
+  const mountRoot = searchResults ? null : vfs.mountOf(currentPath);
+  const mountKind = mountRoot && vfs.mounts.get(mountRoot)?.kind;
 
   /* ── Breadcrumb ── */
   const pathParts = currentPath.split('/').filter(Boolean);
@@ -447,11 +866,20 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
           ].map(([icon,label,path]) => (
             <SideItem key={path} icon={icon} label={label}
               active={currentPath===path && !searchResults}
-              onClick={() => navTo(path)}/>
+              onClick={() => navTo(path)} drop={dropProps(path)} over={dropTarget===path}/>
           ))}
           <div style={{ height:1, background:'rgba(255,255,255,0.07)', margin:'7px 10px' }}/>
           <SideItem icon={<HardDrive size={14}/>} label="This PC"
             active={currentPath==='/' && !searchResults} onClick={() => navTo('/')}/>
+          <SideItem icon={<Trash2 size={14}/>} label="Trash"
+            active={inTrash} onClick={() => navTo(TRASH)} drop={dropProps(TRASH)} over={dropTarget===TRASH}/>
+          <div style={{ padding:'8px 14px 4px', fontSize:10, opacity:0.38, textTransform:'uppercase', letterSpacing:'0.08em' }}>Mounted</div>
+          {[...vfs.mounts.keys()].map(path => (
+            <SideItem key={path} icon={<HardDrive size={14}/>} label={path.slice(MNT.length + 1)}
+              active={currentPath===path && !searchResults} onClick={() => navTo(path)}
+              drop={dropProps(path)} over={dropTarget===path}/>
+          ))}
+          <SideItem icon={<FolderPlus size={14}/>} label="Mount Folder…" onClick={mountFolder}/>
           {vfs.favorites.size > 0 && (
             <>
               <div style={{ padding:'8px 14px 4px', fontSize:10, opacity:0.38, textTransform:'uppercase', letterSpacing:'0.08em' }}>Favorites</div>
@@ -486,7 +914,7 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
                 <ChevronRight size={10} style={{ margin:'0 3px', opacity:0.4, flexShrink:0 }}/>
                 <span style={{ cursor:'pointer', whiteSpace:'nowrap', opacity:0.85 }}
                   onClick={() => navTo('/'+pathParts.slice(0,i+1).join('/'))}>
-                  {part}
+                  {i===0 && '/'+part===TRASH ? 'Trash' : part}
                 </span>
               </React.Fragment>
             ))}
@@ -509,7 +937,8 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
             <Search size={12} style={{ opacity:0.45 }}/>
             <input value={searchQ} onChange={e=>setSearchQ(e.target.value)}
               onKeyDown={e=>{ if(e.key==='Enter') doSearch(); if(e.key==='Escape'){ setSearchQ(''); setSearchResults(null); }}}
-              placeholder="Search files…"
+              placeholder="Search names and contents…"
+              title={'Words match names and contents. Also: "exact phrase", prefix*, /regex/, ext:md,txt, modified:7d / 2024-05 / >2024-05-01'}
               style={{ flex:1, background:'transparent', border:'none', outline:'none', color:'white', fontSize:12 }}/>
           </div>
           <Btn onClick={doSearch} title="Search">Search</Btn>
@@ -538,14 +967,72 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
           </div>
         </div>
 
-        {/* File area */}
-        <div style={{ flex:1, overflow:'auto', padding:10 }}>
+        {/* Mount bar */}
+        {(mountRoot || (currentPath===MNT && !searchResults)) && (
+          <div style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 12px', fontSize:12,
+            background:'rgba(79,172,254,0.06)', borderBottom:'1px solid rgba(255,255,255,0.06)', flexShrink:0 }}>
+            <HardDrive size={13} style={{ opacity:0.6 }}/>
+            <span style={{ flex:1, opacity:0.65 }}>
+              {mountRoot ? MOUNT_NOTES[mountKind] || 'Mounted storage — deleted items skip the Trash.'
+                : 'Folders from this computer and other storage, mounted to open and edit in place.'}
+            </span>
+            {mountRoot ? <>
+              {mountKind === 'handle' && (
+                <Btn onClick={reconnect} title="Grant access again after a reload">
+                  <RefreshCw size={13}/><span style={{ marginLeft:5, fontSize:11 }}>Reconnect</span>
+                </Btn>
+              )}
+              <Btn onClick={() => unmount(mountRoot)} title="Detach — nothing stored there is touched">
+                <span style={{ fontSize:11 }}>Unmount</span>
+              </Btn>
+            </> : (
+              <Btn onClick={mountFolder} title="Mount a folder from this computer">
+                <FolderPlus size={13}/><span style={{ marginLeft:5, fontSize:11 }}>Mount Folder…</span>
+              </Btn>
+            )}
+          </div>
+        )}
+
+        {/* Trash bar */}
+        {inTrash && (
+          <div style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 12px', fontSize:12,
+            background:'rgba(255,59,48,0.06)', borderBottom:'1px solid rgba(255,255,255,0.06)', flexShrink:0 }}>
+            <Trash2 size={13} style={{ opacity:0.6 }}/>
+            <span style={{ flex:1, opacity:0.65 }}>Items in the Trash can be restored to where they were deleted from.</span>
+            <Btn onClick={restoreSelected} disabled={!selected.size} title="Restore selected">
+              <RotateCcw size={13}/><span style={{ marginLeft:5, fontSize:11 }}>Restore</span>
+            </Btn>
+            <Btn onClick={emptyTrash} disabled={!items.length} title="Empty Trash">
+              <span style={{ fontSize:11, color:'#ff5f56' }}>Empty Trash</span>
+            </Btn>
+          </div>
+        )}
+
+        {/* Archive bar */}
+        {archiveRoot && (
+          <div style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 12px', fontSize:12,
+            background:'rgba(247,159,31,0.06)', borderBottom:'1px solid rgba(255,255,255,0.06)', flexShrink:0 }}>
+            <Archive size={13} style={{ opacity:0.6 }}/>
+            <span style={{ flex:1, opacity:0.65 }}>Inside {archiveRoot.split('/').pop()} — read-only. Extract items to open or change them.</span>
+            <Btn onClick={() => extract(archiveRoot, display.filter(i => selected.has(i.path)))} disabled={!selected.size} title="Extract selected next to the archive">
+              <PackageOpen size={13}/><span style={{ marginLeft:5, fontSize:11 }}>Extract</span>
+            </Btn>
+            <Btn onClick={() => extract(archiveRoot)} title="Extract everything into a folder next to the archive">
+              <span style={{ fontSize:11 }}>Extract All</span>
+            </Btn>
+          </div>
+        )}
+
+        {/* File area — a drop here lands in the folder shown */}
+        <div style={{ flex:1, overflow:'auto', padding:10,
+          boxShadow:dropTarget===currentPath ? 'inset 0 0 0 2px rgba(79,172,254,0.45)' : 'none' }}
+          {...(movable && !searchResults && dropProps(currentPath))}>
           {display.length===0 && !loading && (
             <div style={{ display:'flex', flexDirection:'column', alignItems:'center',
               justifyContent:'center', height:'100%', opacity:0.3 }}>
               <Folder size={60}/>
               <p style={{ marginTop:12, fontSize:13 }}>
-                {searchResults ? 'No results found' : 'This folder is empty'}
+                {searchResults ? 'No results found' : inTrash ? 'The Trash is empty' : 'This folder is empty'}
               </p>
             </div>
           )}
@@ -553,14 +1040,16 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
           {viewMode==='grid' ? (
             <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill,minmax(96px,1fr))', gap:10 }}>
               {display.map(item => (
-                <div key={item.path} data-fmitem="1"
+                <div key={item.path} data-fmitem="1" {...itemDrag(item)}
+                  title={item.trashedFrom ? `From ${item.trashedFrom}\nDeleted ${formatDate(item.trashedAt)}`
+                    : searchResults ? [item.path, item.snippet?.text].filter(Boolean).join('\n') : undefined}
                   onClick={e => clickItem(item, e)}
                   onDoubleClick={() => openItem(item)}
                   onContextMenu={e => itemCtx(e, item)}
                   style={{ display:'flex', flexDirection:'column', alignItems:'center',
                     padding:'10px 6px', borderRadius:7, cursor:'pointer',
-                    background:selected.has(item.path)?'rgba(79,172,254,0.2)':'transparent',
-                    border:`1px solid ${selected.has(item.path)?'rgba(79,172,254,0.5)':'transparent'}`,
+                    background:selected.has(item.path)||dropTarget===item.path?'rgba(79,172,254,0.2)':'transparent',
+                    border:`1px solid ${selected.has(item.path)||dropTarget===item.path?'rgba(79,172,254,0.5)':'transparent'}`,
                     transition:'all 0.12s', position:'relative' }}
                   onMouseEnter={e=>{ if(!selected.has(item.path)) e.currentTarget.style.background='rgba(255,255,255,0.06)'; }}
                   onMouseLeave={e=>{ if(!selected.has(item.path)) e.currentTarget.style.background='transparent'; }}>
@@ -596,7 +1085,7 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
             <table style={{ width:'100%', borderCollapse:'collapse', fontSize:12 }}>
               <thead>
                 <tr style={{ borderBottom:'1px solid rgba(255,255,255,0.1)', textAlign:'left' }}>
-                  {[['Name','name'],['Size','size'],['Modified','date'],['Type','type']].map(([lbl,by]) => (
+                  {[['Name','name'],['Size','size'],[inTrash?'Deleted':'Modified','date'],[inTrash?'Original Location':'Type','type']].map(([lbl,by]) => (
                     <th key={by} onClick={() => changeSortBy(by)}
                       style={{ padding:'7px 10px', fontWeight:500, cursor:'pointer', opacity:0.75,
                         userSelect:'none', whiteSpace:'nowrap' }}>
@@ -607,10 +1096,10 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
               </thead>
               <tbody>
                 {display.map(item => (
-                  <tr key={item.path} data-fmitem="1"
+                  <tr key={item.path} data-fmitem="1" {...itemDrag(item)}
                     onClick={e=>clickItem(item,e)} onDoubleClick={()=>openItem(item)}
                     onContextMenu={e=>itemCtx(e,item)}
-                    style={{ background:selected.has(item.path)?'rgba(79,172,254,0.18)':'transparent',
+                    style={{ background:selected.has(item.path)||dropTarget===item.path?'rgba(79,172,254,0.18)':'transparent',
                       cursor:'pointer', borderBottom:'1px solid rgba(255,255,255,0.04)', transition:'background 0.1s' }}
                     onMouseEnter={e=>{ if(!selected.has(item.path)) e.currentTarget.style.background='rgba(255,255,255,0.05)'; }}
                     onMouseLeave={e=>{ if(!selected.has(item.path)) e.currentTarget.style.background='transparent'; }}>
@@ -628,15 +1117,22 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
                           {vfs.favorites.has(item.path) && <Star size={9} fill="#fbc531" color="#fbc531"/>}
                         </div>
                       )}
+                      {searchResults && renameItem?.path!==item.path && (
+                        <div style={{ marginLeft:24, marginTop:2, fontSize:11, opacity:0.5, maxWidth:420,
+                          overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                          {item.snippet ? <Snippet snippet={item.snippet}/> : item.parent}
+                        </div>
+                      )}
                     </td>
                     <td style={{ padding:'7px 10px', opacity:0.55 }}>
                       {item.type==='file' ? formatSize(item.size) : '—'}
                     </td>
                     <td style={{ padding:'7px 10px', opacity:0.55, whiteSpace:'nowrap' }}>
-                      {formatDate(item.modified)}
+                      {formatDate(inTrash ? item.trashedAt : item.modified)}
                     </td>
                     <td style={{ padding:'7px 10px', opacity:0.55 }}>
-                      {item.type==='folder' ? 'Folder' : getExt(item.name).toUpperCase()}
+                      {inTrash ? (item.trashedFrom||'').replace(/\/[^/]*$/, '') || '/'
+                        : item.type==='folder' ? 'Folder' : getExt(item.name).toUpperCase()}
                     </td>
                   </tr>
                 ))}
@@ -649,14 +1145,45 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
       {/* ── Context Menu ── */}
       {ctxMenu && (
         <CtxMenu x={ctxMenu.x} y={ctxMenu.y} onClose={() => setCtxMenu(null)}>
-          {ctxMenu.type==='item' && ctxMenu.item ? (
+          {ctxMenu.type==='item' && ctxMenu.item && inTrash ? (
+            <>
+              <CItem icon={<RotateCcw size={13}/>} label="Restore"
+                onClick={() => { setCtxMenu(null); restoreSelected(); }}/>
+              <CItem icon={<Trash2 size={13}/>}    label="Delete Permanently" shortcut="Del" danger
+                onClick={() => { setCtxMenu(null); deleteSelected(true); }}/>
+              <CDivider/>
+              <CItem icon={<Info size={13}/>}      label="Properties" onClick={() => { setPropsItem(ctxMenu.item); setCtxMenu(null); }}/>
+            </>
+          ) : ctxMenu.type==='item' && ctxMenu.item?.archive ? (
+            <>
+              <CItem icon={<FolderOpen size={13}/>}  label="Open"
+                onClick={() => { openItem(ctxMenu.item); setCtxMenu(null); }}/>
+              <CDivider/>
+              <CItem icon={<PackageOpen size={13}/>} label="Extract Here"
+                onClick={() => extract(ctxMenu.item.archive, display.filter(i => selected.has(i.path)))}/>
+              <CItem icon={<FolderOpen size={13}/>}  label="Extract To…"
+                onClick={() => extract(ctxMenu.item.archive, display.filter(i => selected.has(i.path)), true)}/>
+            </>
+          ) : ctxMenu.type==='item' && ctxMenu.item ? (
             <>
               <CItem icon={<FolderOpen size={13}/>} label="Open"
                 onClick={() => { openItem(ctxMenu.item); setCtxMenu(null); }}/>
+              {ctxMenu.item.type==='file' && getExt(ctxMenu.item.name)==='sh' && <>
+                <CItem icon={<Play size={13}/>}  label="Run in Terminal"
+                  onClick={() => { onOpenApp?.('terminal', ctxMenu.item, true); setCtxMenu(null); }}/>
+                <CItem icon={<Edit3 size={13}/>} label="Edit"
+                  onClick={() => { onOpenApp?.('texteditor', ctxMenu.item, true); setCtxMenu(null); }}/>
+              </>}
               <CDivider/>
               <CItem icon={<Star size={13} fill={vfs.favorites.has(ctxMenu.item.path)?'#fbc531':undefined} color="#fbc531"/>}
                 label={vfs.favorites.has(ctxMenu.item.path)?'Remove Favourite':'Add Favourite'}
                 onClick={() => { toggleFav(ctxMenu.item); setCtxMenu(null); }}/>
+              {ctxMenu.item.type==='file' && ARCHIVES.test(ctxMenu.item.name) && <>
+                <CItem icon={<PackageOpen size={13}/>} label="Extract Here" onClick={() => extract(ctxMenu.item.path)}/>
+                <CItem icon={<FolderOpen size={13}/>}  label="Extract To…"  onClick={() => extract(ctxMenu.item.path, null, true)}/>
+              </>}
+              <CItem icon={<Archive size={13}/>} label={selected.size > 1 ? `Compress ${selected.size} Items to ZIP` : 'Compress to ZIP'}
+                onClick={compressSelected}/>
               <CItem icon={<Package size={13}/>} label="Export as ZIP"
                 onClick={() => { vfs.exportZip(ctxMenu.item.path); setCtxMenu(null); }}/>
               <CItem icon={<Download size={13}/>} label="Download"
@@ -664,13 +1191,32 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
               <CDivider/>
               <CItem icon={<Scissors size={13}/>} label="Cut"   shortcut="Ctrl+X" onClick={cutItem}/>
               <CItem icon={<Copy size={13}/>}     label="Copy"  shortcut="Ctrl+C" onClick={copyItem}/>
-              <CItem icon={<Trash2 size={13}/>}   label="Delete" shortcut="Del"  danger onClick={() => { setCtxMenu(null); deleteSelected(); }}/>
+              {vfs.mounts.has(ctxMenu.item.path)
+                ? <CItem icon={<HardDrive size={13}/>} label="Unmount" onClick={() => unmount(ctxMenu.item.path)}/>
+                : <CItem icon={<Trash2 size={13}/>}   label={vfs.mountOf(ctxMenu.item.path) ? 'Delete Permanently' : 'Move to Trash'} shortcut="Del" danger
+                    onClick={() => { setCtxMenu(null); deleteSelected(false); }}/>}
               <CDivider/>
               <CItem icon={<Edit3 size={13}/>}    label="Rename" shortcut="F2"   onClick={() => startRename(ctxMenu.item)}/>
               <CItem icon={<Info size={13}/>}     label="Properties"              onClick={() => { setPropsItem(ctxMenu.item); setCtxMenu(null); }}/>
             </>
+          ) : inTrash ? (
+            <>
+              <CItem icon={<Trash2 size={13}/>}    label="Empty Trash" danger disabled={!items.length} onClick={emptyTrash}/>
+              <CItem icon={<RefreshCw size={13}/>} label="Refresh" shortcut="F5" onClick={() => { setCtxMenu(null); refresh(); }}/>
+            </>
+          ) : archiveRoot ? (
+            <>
+              <CItem icon={<PackageOpen size={13}/>} label="Extract All"    onClick={() => extract(archiveRoot)}/>
+              <CItem icon={<FolderOpen size={13}/>}  label="Extract All To…" onClick={() => extract(archiveRoot, null, true)}/>
+              <CDivider/>
+              <CItem icon={<RefreshCw size={13}/>}   label="Refresh" shortcut="F5" onClick={() => { setCtxMenu(null); refresh(); }}/>
+            </>
           ) : (
             <>
+              {currentPath===MNT && <>
+                <CItem icon={<HardDrive size={13}/>} label="Mount Folder…" onClick={mountFolder}/>
+                <CDivider/>
+              </>}
               <CItem icon={<Upload size={13}/>}    label="Upload Files"  onClick={uploadFiles}/>
               <CItem icon={<Copy size={13}/>}      label="Paste" shortcut="Ctrl+V" disabled={!vfs.clipboard} onClick={paste}/>
               <CDivider/>
@@ -687,7 +1233,7 @@ export default function FileManager({ vfs, onOpenFile, notify }) {
       )}
 
       {/* Properties Dialog */}
-      {propsItem && <PropsDialog item={propsItem} onClose={() => setPropsItem(null)}/>}
+      {propsItem && <PropsDialog item={propsItem} vfs={vfs} notify={notify} onChanged={refresh} onClose={() => setPropsItem(null)}/>}
 
       {/* Hidden file input */}
       <input ref={fileInputRef} type="file" multiple style={{ display:'none' }} onChange={handleUpload}/>
@@ -3,7 +3,8 @@
  * =============================================
  * Features:
  *   • Open image from local file (drag & drop OR picker) or VFS
- *   • Gallery mode — browse all images in VFS or opened folder
+ *   • Gallery mode — browse all images in VFS or opened folder; VFS images are
+ *     streamed in lazily (current + neighbours) rather than all up front
  *   • Pan (click+drag), Zoom (scroll wheel, pinch, Ctrl+= / Ctrl+-)
  *   • Fit-to-window / actual-size / fill-window modes
  *   • Rotate 90° CW/CCW, Flip horizontal/vertical
@@ -27,6 +28,7 @@ import {
   Copy, Grid, Image as ImageIcon, RefreshCw, Sun,
   Crop, AlignCenter,
 } from 'lucide-react';
+import { isVfsDrag } from '../dnd';
 
 const ACCENT  = '#4facfe';
 const ACCENT2 = '#00f2fe';
@@ -72,10 +74,18 @@ const FilterSlider = ({ label, value, min, max, step = 1, unit = '', onChange, o
   </div>
 );
 
+// VFS entries start without a src; the bytes are streamed in on demand
+const vfsEntry = f => ({ name: f.name, size: f.size || 0, path: f.path, mime: f.mime, src: null });
+
+// The gallery entry for the file the window was opened with (fixed for the window's life)
+const openedEntry = f => (f.src || !f.path
+  ? { name: f.name || 'image', src: f.src || '', size: f.size || 0, path: null }
+  : vfsEntry(f));
+
 /* ═══════════════════════════════════════════════════════════════════════════ */
 export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
   // Image data
-  const [images,       setImages]       = useState([]);    // gallery array { name, src, size }
+  const [images,       setImages]       = useState(() => (initialFile ? [openedEntry(initialFile)] : []));  // gallery array { name, src, size }
   const [currentIdx,   setCurrentIdx]   = useState(0);
   const [imgError,     setImgError]     = useState(false);
 
@@ -115,25 +125,48 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
 
   const currentImage = images[currentIdx] || null;
 
-  // ── Load initial file ───────────────────────────────────────────────────────
-  useEffect(() => {
-    if (!initialFile) return;
-    const src  = initialFile.src || dataUriFromContent(initialFile.content, initialFile.name);
-    const name = initialFile.name || 'image';
-    const size = initialFile.size || 0;
-    setImages([{ name, src, size, path: initialFile.path }]);
+  // ── Transform helpers ───────────────────────────────────────────────────────
+  const resetTransform = () => {
+    setZoom(1); setPanX(0); setPanY(0);
+    setRotation(0); setFlipH(false); setFlipV(false);
+    setFitMode('fit');
+  };
+
+  // ── Gallery — Blob URLs we create are revoked when it is replaced ────────────
+  const urlsRef    = useRef(new Set());
+  const loadingRef = useRef(new Set());
+
+  const showGallery = imgs => {
+    urlsRef.current.forEach(u => URL.revokeObjectURL(u));
+    urlsRef.current.clear();
+    setImages(imgs);
     setCurrentIdx(0);
+    setImgError(false);
     resetTransform();
-  }, [initialFile]); // eslint-disable-line
-
-  const dataUriFromContent = (content, name) => {
-    if (!content) return '';
-    const ext = (name||'').split('.').pop().toLowerCase();
-    const mime = { png:'image/png', jpg:'image/jpeg', jpeg:'image/jpeg', gif:'image/gif', webp:'image/webp', svg:'image/svg+xml', bmp:'image/bmp' }[ext] || 'image/png';
-    if (content.startsWith('data:')) return content;
-    return `data:${mime};base64,${content}`;
   };
 
+  useEffect(() => () => urlsRef.current.forEach(u => URL.revokeObjectURL(u)), []);
+
+  // ── Lazy loading: the current image and its neighbours ──────────────────────
+  useEffect(() => {
+    if (!vfs || !images.length) return;
+    const around = [currentIdx, currentIdx + 1, currentIdx - 1].map(i => images[(i + images.length) % images.length]);
+    for (const img of around) {
+      if (!img.path || img.src || img.failed || loadingRef.current.has(img.path)) continue;
+      loadingRef.current.add(img.path);
+      vfs.openReadStream(img.path)
+        .then(stream => new Response(stream, { headers: { 'Content-Type': img.mime || '' } }).blob())
+        .then(blob => {
+          const src = URL.createObjectURL(blob);
+          urlsRef.current.add(src);
+          return { src };
+        })
+        .catch(() => ({ failed: true }))
+        .then(patch => setImages(list => list.map(p => (p.path === img.path && !p.src ? { ...p, ...patch } : p))))
+        .finally(() => loadingRef.current.delete(img.path));
+    }
+  }, [vfs, images, currentIdx]);
+
   // ── Open local files ────────────────────────────────────────────────────────
   const handleFileInput = async e => {
     const files = Array.from(e.target.files || []);
@@ -144,12 +177,11 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
       reader.onload = ev => res({ name: f.name, src: ev.target.result, size: f.size, path: null });
       reader.readAsDataURL(f);
     })));
-    setImages(imgs);
-    setCurrentIdx(0);
-    resetTransform();
+    showGallery(imgs);
   };
 
   const handleDrop = async e => {
+    if (isVfsDrag(e)) return;  // items from the File Manager: the window opens them
     e.preventDefault();
     const files = Array.from(e.dataTransfer.files).filter(f => {
       const ext = f.name.split('.').pop().toLowerCase();
@@ -161,9 +193,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
       reader.onload = ev => res({ name: f.name, src: ev.target.result, size: f.size, path: null });
       reader.readAsDataURL(f);
     })));
-    setImages(imgs);
-    setCurrentIdx(0);
-    resetTransform();
+    showGallery(imgs);
   };
 
   // ── Load from VFS ───────────────────────────────────────────────────────────
@@ -173,24 +203,11 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
       const all  = await vfs.search('', '/');
       const imgs = all.filter(f => f.type === 'file' && IMAGE_EXTS.includes(f.name.split('.').pop().toLowerCase()));
       if (!imgs.length) { notify?.('info', 'No Images', 'No image files found in VFS'); return; }
-      const mapped = imgs.map(f => ({
-        name: f.name, size: f.size || 0, path: f.path,
-        src: dataUriFromContent(f.content || '', f.name),
-      }));
-      setImages(mapped);
-      setCurrentIdx(0);
-      resetTransform();
-      notify?.('success', 'Gallery Loaded', `${mapped.length} image(s) from VFS`);
+      showGallery(imgs.map(vfsEntry));
+      notify?.('success', 'Gallery Loaded', `${imgs.length} image(s) from VFS`);
     } catch (e) { notify?.('error', 'Load Failed', String(e)); }
   };
 
-  // ── Transform helpers ───────────────────────────────────────────────────────
-  const resetTransform = () => {
-    setZoom(1); setPanX(0); setPanY(0);
-    setRotation(0); setFlipH(false); setFlipV(false);
-    setFitMode('fit');
-  };
-
   const resetFilters = () => {
     setBrightness(100); setContrast(100); setSaturation(100);
     setBlur(0); setInvert(false); setGrayscale(false); setSepia(false);
@@ -222,6 +239,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
     isPanning.current = true;
     panStart.current  = { x: e.clientX - panX, y: e.clientY - panY };
     e.currentTarget.style.cursor = 'grabbing';
+    if (imgRef.current) imgRef.current.style.transition = 'none';  // follow the pointer exactly
   };
   const onMouseMove = e => {
     if (!isPanning.current) return;
@@ -231,6 +249,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
   const onMouseUp = e => {
     isPanning.current = false;
     if (e.currentTarget) e.currentTarget.style.cursor = 'grab';
+    if (imgRef.current) imgRef.current.style.transition = 'transform 0.05s';
   };
 
   // ── Scroll to zoom ──────────────────────────────────────────────────────────
@@ -291,7 +310,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
 
   // ── Download ─────────────────────────────────────────────────────────────────
   const downloadImage = () => {
-    if (!currentImage) return;
+    if (!currentImage?.src) return;
     const a = document.createElement('a');
     a.href = currentImage.src;
     a.download = currentImage.name;
@@ -300,7 +319,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
 
   // ── Copy to clipboard ────────────────────────────────────────────────────────
   const copyImage = async () => {
-    if (!currentImage) return;
+    if (!currentImage?.src) return;
     try {
       const res  = await fetch(currentImage.src);
       const blob = await res.blob();
@@ -326,7 +345,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
     transform: `translate(${panX}px,${panY}px) scale(${zoom}) rotate(${rotation}deg) scaleX(${flipH?-1:1}) scaleY(${flipV?-1:1})`,
     filter: filterStyle,
     transformOrigin: 'center center',
-    transition: isPanning.current ? 'none' : 'transform 0.05s',
+    transition: 'transform 0.05s',  // off while panning — see onMouseDown
     maxWidth: 'none', maxHeight: 'none',
     userSelect: 'none', WebkitUserDrag: 'none',
     borderRadius: 2,
@@ -531,7 +550,7 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
           )}
 
           {/* Image */}
-          {currentImage && !imgError && (
+          {currentImage && !imgError && currentImage.src && (
             <img
               ref={imgRef}
               src={currentImage.src}
@@ -543,7 +562,13 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
             />
           )}
 
-          {imgError && (
+          {currentImage && !currentImage.src && !currentImage.failed && (
+            <div style={{ position:'relative', zIndex:1, display:'flex', alignItems:'center', gap:8, opacity:0.5, fontSize:13 }}>
+              <RefreshCw size={16}/>Loading {currentImage.name}…
+            </div>
+          )}
+
+          {(imgError || currentImage?.failed) && (
             <div style={{ position:'relative', zIndex:1, display:'flex', flexDirection:'column',
               alignItems:'center', gap:12, color:'#ff5f56', padding:30 }}>
               <ImageIcon size={48}/>
@@ -658,8 +683,12 @@ export default function ImageViewer({ vfs, notify, initialFile, onClose }) {
                 boxShadow:i===currentIdx?`0 0 0 2px ${ACCENT}44`:'none',
                 transition:'all 0.12s', background:'rgba(0,0,0,0.3)',
               }}>
-              <img src={img.src} alt={img.name}
-                style={{ width:'100%', height:'100%', objectFit:'cover', display:'block' }}/>
+              {img.src
+                ? <img src={img.src} alt={img.name}
+                    style={{ width:'100%', height:'100%', objectFit:'cover', display:'block' }}/>
+                : <div style={{ width:'100%', height:'100%', display:'flex', alignItems:'center', justifyContent:'center', opacity:0.3 }}>
+                    <ImageIcon size={20}/>
+                  </div>}
             </div>
           ))}
         </div>
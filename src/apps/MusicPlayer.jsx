@@ -1,20 +1,1331 @@
 /**
- * MusicPlayer.jsx
- * ─────────────────
- * Full implementation goes here.
- * Props received from Desktop.jsx:
- *   vfs, setVfs, theme, notify, onOpenFile, onOpenApp, onClose, initialFile, user
- *   (SettingsApp also: currentWallpaper, setWallpaper, setTheme, setTaskbarPos, setIconSize, wallpapers, pinnedApps, setPinnedApps)
+ * MusicPlayer.jsx — LynkOS Music Player v4.0
+ * =============================================
+ * Features:
+ *   • Plays audio files stored in the VFS (mp3, wav, ogg, flac, aac, m4a, opus)
+ *     — file bytes (vfs.readBytes) become a Blob URL, revoked when the track changes
+ *   • Opens with initialFile from File Manager; the queue is the containing folder
+ *   • Play / pause, seek bar, previous / next, volume + mute
+ *   • Shuffle and repeat (off → all → one)
+ *   • Queue panel — click a track to play it
+ *   • Library — scans ~/Music recursively; title / artist / album / duration and
+ *     cover art come from ID3v1/v2, FLAC and Ogg Vorbis/Opus tags; browse by album
+ *   • Playlists — save the queue as .m3u in ~/Music/Playlists, open .m3u / .m3u8 /
+ *     .pls files from the VFS or import them from the computer
+ *   • Web Audio graph — 10-band equaliser with presets, spectrum / waveform
+ *     visualiser, crossfade between tracks, playback speed; output follows the
+ *     system volume from Quick Settings
+ *   • Media keys and OS media controls via navigator.mediaSession
+ *   • Keyboard: Space play/pause, ←/→ seek 5s, ↑/↓ volume, N / P next / previous,
+ *               S shuffle, R repeat, M mute
  */
 
-import React from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+  Play, Pause, SkipBack, SkipForward, Shuffle, Repeat, Repeat1,
+  Volume2, VolumeX, Volume1, ListMusic, ListPlus, FolderOpen, Music,
+  Disc3, ChevronLeft, RefreshCw, Save, Upload, SlidersHorizontal,
+} from 'lucide-react';
+
+const ACCENT  = '#4facfe';
+const ACCENT2 = '#00f2fe';
+const MUSIC_DIR = '/Users/Admin/Music';
+
+const AUDIO_MIME = {
+  mp3:'audio/mpeg', wav:'audio/wav', ogg:'audio/ogg', oga:'audio/ogg', opus:'audio/ogg',
+  flac:'audio/flac', aac:'audio/aac', m4a:'audio/mp4', weba:'audio/webm',
+};
+
+/* ─── Sound ─────────────────────────────────────────────────────────────────── */
+const AudioCtx     = typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null;
+const SETTINGS_KEY = 'music_settings';
+const EQ_BANDS     = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_RANGE     = 12;                                  // ± dB
+const EQ_PRESETS   = {
+  'Flat':         [ 0,  0,  0,  0,  0,  0,  0,  0,  0,  0],
+  'Bass Boost':   [ 7,  6,  5,  3,  1,  0,  0,  0,  0,  0],
+  'Treble Boost': [ 0,  0,  0,  0,  0,  1,  3,  5,  6,  7],
+  'Vocal':        [-2, -2, -1,  1,  3,  4,  3,  1,  0, -1],
+  'Rock':         [ 5,  4,  2, -1, -2, -1,  2,  4,  5,  5],
+  'Pop':          [-1,  1,  3,  4,  3,  0, -1, -1,  1,  2],
+  'Jazz':         [ 3,  2,  1,  2, -1, -1,  0,  1,  2,  3],
+  'Classical':    [ 4,  3,  2,  1, -1, -1,  0,  2,  3,  4],
+  'Electronic':   [ 5,  4,  1,  0, -2,  1,  0,  1,  4,  5],
+  'Loudness':     [ 6,  4,  0,  0, -2,  0, -1, -4,  4,  2],
+};
+const RATES        = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const fmtHz        = hz => (hz >= 1000 ? `${hz / 1000}k` : String(hz));
+
+/* ─── helpers ─────────────────────────────────────────────────────────────── */
+const extOf    = name => (name || '').split('.').pop().toLowerCase();
+const isAudio  = item => item?.type === 'file' && extOf(item.name) in AUDIO_MIME;
+const baseName = name => (name || '').replace(/\.[^.]+$/, '');
+const fmtTime  = s => {
+  if (!Number.isFinite(s) || s < 0) return '0:00';
+  const m = Math.floor(s / 60), sec = Math.floor(s % 60);
+  return `${m}:${String(sec).padStart(2, '0')}`;
+};
+const byName   = (a, b) => a.name.localeCompare(b.name, undefined, { numeric:true, sensitivity:'base' });
+
+// Fisher–Yates, with the playing track pinned first so shuffle never jumps away from it
+const shuffled = (count, first) => {
+  const rest = [...Array(count).keys()].filter(i => i !== first);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return first >= 0 ? [first, ...rest] : rest;
+};
+
+/* ─── Tag parsing ─────────────────────────────────────────────────────────────
+   readTags(head, tail) → { title, artist, album, albumArtist, track, year, genre,
+                            duration, picture: { mime, data } }
+   Understands ID3v2.2–2.4 and ID3v1 (mp3 / aac), FLAC metadata blocks and
+   Vorbis comments in Ogg Vorbis / Opus. `head` holds the tag blocks at the
+   start of the file, `tail` its end (ID3v1, the last Ogg page). Missing
+   fields are simply absent.
+   ─────────────────────────────────────────────────────────────────────────── */
+const latin1 = new TextDecoder('latin1');
+const utf8   = new TextDecoder('utf-8');
+const ascii  = (b, at, len) => latin1.decode(b.subarray(at, at + len));
+const u32be  = (b, at) => ((b[at] << 24) >>> 0) + (b[at + 1] << 16) + (b[at + 2] << 8) + b[at + 3];
+const u32le  = (b, at) => ((b[at + 3] << 24) >>> 0) + (b[at + 2] << 16) + (b[at + 1] << 8) + b[at];
+const u24be  = (b, at) => (b[at] << 16) + (b[at + 1] << 8) + b[at + 2];
+const syncsafe = (b, at) => (b[at] << 21) | (b[at + 1] << 14) | (b[at + 2] << 7) | b[at + 3];
+const clean  = s => s.replace(/\0+$/, '').split('\0').filter(Boolean).join(' / ').trim();
+
+// Undo ID3 unsynchronisation: every 0xFF 0x00 pair was written for a plain 0xFF
+const unsync = b => {
+  const out = new Uint8Array(b.length);
+  let n = 0;
+  for (let i = 0; i < b.length; i++) {
+    out[n++] = b[i];
+    if (b[i] === 0xff && b[i + 1] === 0) i++;
+  }
+  return out.subarray(0, n);
+};
+
+const ID3_TEXT_DECODERS = [
+  b => latin1.decode(b),
+  b => new TextDecoder(b[0] === 0xfe ? 'utf-16be' : 'utf-16le').decode(b[0] === 0xfe || b[0] === 0xff ? b.subarray(2) : b),
+  b => new TextDecoder('utf-16be').decode(b),
+  b => utf8.decode(b),
+];
+const id3Text = data => clean((ID3_TEXT_DECODERS[data[0]] || ID3_TEXT_DECODERS[0])(data.subarray(1)));
+
+// End of a terminated string starting at `at` — UTF-16 encodings end with a double NUL
+const id3StringEnd = (data, at, enc) => {
+  const wide = enc === 1 || enc === 2;
+  for (let i = at; i < data.length; i += wide ? 2 : 1) {
+    if (data[i] === 0 && (!wide || data[i + 1] === 0)) return i + (wide ? 2 : 1);
+  }
+  return data.length;
+};
+
+const ID3_FIELDS = {
+  TIT2:'title', TT2:'title', TPE1:'artist', TP1:'artist', TALB:'album', TAL:'album',
+  TPE2:'albumArtist', TP2:'albumArtist', TRCK:'track', TRK:'track', TYER:'year', TYE:'year',
+  TDRC:'year', TCON:'genre', TCO:'genre', TLEN:'lengthMs', TLE:'lengthMs',
+};
+
+const parseId3v2 = b => {
+  if (b.length < 10 || ascii(b, 0, 3) !== 'ID3') return null;
+  const ver = b[3], flags = b[5];
+  let body = b.subarray(10, 10 + syncsafe(b, 6));
+  if (flags & 0x80 && ver < 4) body = unsync(body);
+  let pos = 0;
+  if (flags & 0x40 && ver >= 3) pos = ver === 4 ? syncsafe(body, 0) : u32be(body, 0) + 4;
+
+  const tags = {};
+  const pictures = [];
+  const idLen = ver === 2 ? 3 : 4, headLen = ver === 2 ? 6 : 10;
+  while (pos + headLen <= body.length) {
+    const id = ascii(body, pos, idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break;                      // reached the padding
+    const size  = ver === 2 ? u24be(body, pos + 3) : ver === 4 ? syncsafe(body, pos + 4) : u32be(body, pos + 4);
+    const fflag = ver >= 3 ? body[pos + 9] : 0;
+    let data = body.subarray(pos + headLen, pos + headLen + size);
+    pos += headLen + size;
+    if (ver === 4 && fflag & 0x02) data = unsync(data);
+    if (ver === 4 && fflag & 0x01) data = data.subarray(4);  // data length indicator
+    if (!data.length) continue;
+
+    if (ID3_FIELDS[id]) {
+      tags[ID3_FIELDS[id]] = id3Text(data);
+    } else if (id === 'APIC' || id === 'PIC') {
+      const enc = data[0];
+      let at, mime;
+      if (id === 'PIC') {
+        mime = `image/${ascii(data, 1, 3).toLowerCase().replace('jpg', 'jpeg')}`;
+        at = 4;
+      } else {
+        const end = id3StringEnd(data, 1, 0);
+        mime = ascii(data, 1, end - 2) || 'image/jpeg';
+        at = end;
+      }
+      const type = data[at];
+      at = id3StringEnd(data, at + 1, enc);                   // skip the description
+      pictures.push({ type, mime:mime.includes('/') ? mime : `image/${mime}`, data:data.slice(at) });
+    }
+  }
+  if (tags.lengthMs) { tags.duration = parseInt(tags.lengthMs, 10) / 1000 || undefined; delete tags.lengthMs; }
+  const picture = pictures.find(p => p.type === 3) || pictures[0];
+  if (picture) tags.picture = { mime:picture.mime, data:picture.data };
+  return tags;
+};
+
+const parseId3v1 = b => {
+  if (b.length < 128) return null;
+  const t = b.subarray(b.length - 128);
+  if (ascii(t, 0, 3) !== 'TAG') return null;
+  const field = (at, len) => clean(latin1.decode(t.subarray(at, at + len)));
+  return {
+    title: field(3, 30), artist: field(33, 30), album: field(63, 30), year: field(93, 4),
+    track: t[125] === 0 && t[126] ? String(t[126]) : undefined,
+  };
+};
+
+// FLAC METADATA_BLOCK_PICTURE — also used base64-encoded inside Vorbis comments
+const parseFlacPicture = b => {
+  let at = 4;
+  const mimeLen = u32be(b, at);                  at += 4;
+  const mime    = ascii(b, at, mimeLen);         at += mimeLen;
+  at += 4 + u32be(b, at) + 16;                   // description, width, height, depth, colours
+  const len = u32be(b, at);                      at += 4;
+  return { type:u32be(b, 0), mime:mime || 'image/jpeg', data:b.slice(at, at + len) };
+};
+
+const VORBIS_FIELDS = {
+  TITLE:'title', ARTIST:'artist', ALBUM:'album', ALBUMARTIST:'albumArtist',
+  TRACKNUMBER:'track', DATE:'year', YEAR:'year', GENRE:'genre',
+};
+
+const parseVorbisComment = (b, tags = {}) => {
+  let at = 4 + u32le(b, 0);                      // vendor string
+  const count = u32le(b, at); at += 4;
+  for (let i = 0; i < count && at + 4 <= b.length; i++) {
+    const len = u32le(b, at); at += 4;
+    const entry = utf8.decode(b.subarray(at, at + len)); at += len;
+    const eq = entry.indexOf('=');
+    if (eq < 0) continue;
+    const key = entry.slice(0, eq).toUpperCase(), value = entry.slice(eq + 1);
+    if (VORBIS_FIELDS[key] && !tags[VORBIS_FIELDS[key]]) tags[VORBIS_FIELDS[key]] = value.trim();
+    else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+      try {
+        const bin = atob(value);
+        const { mime, data } = parseFlacPicture(Uint8Array.from(bin, c => c.charCodeAt(0)));
+        tags.picture = { mime, data };
+      } catch { /* malformed picture block */ }
+    }
+  }
+  return tags;
+};
+
+const parseFlac = b => {
+  if (ascii(b, 0, 4) !== 'fLaC') return null;
+  const tags = {};
+  for (let at = 4, last = false; !last && at + 4 <= b.length;) {
+    last = !!(b[at] & 0x80);
+    const type = b[at] & 0x7f, len = u24be(b, at + 1);
+    const block = b.subarray(at + 4, at + 4 + len);
+    at += 4 + len;
+    if (type === 0 && block.length >= 18) {
+      const rate  = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+      const total = (block[13] & 0x0f) * 2 ** 32 + u32be(block, 14);
+      if (rate && total) tags.duration = total / rate;
+    } else if (type === 4) {
+      parseVorbisComment(block, tags);
+    } else if (type === 6 && !tags.picture) {
+      const { mime, data } = parseFlacPicture(block);
+      tags.picture = { mime, data };
+    }
+  }
+  return tags;
+};
+
+// Reassemble the first `max` Ogg packets from their page segments
+const oggPackets = (b, max) => {
+  const packets = [];
+  let parts = [];
+  for (let pos = 0; pos + 27 <= b.length && packets.length < max;) {
+    if (ascii(b, pos, 4) !== 'OggS') break;
+    const segments = b[pos + 26];
+    let data = pos + 27 + segments;
+    for (let s = 0; s < segments && packets.length < max; s++) {
+      const len = b[pos + 27 + s];
+      parts.push(b.subarray(data, data + len));
+      data += len;
+      if (len < 255) {
+        const packet = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        parts.reduce((off, p) => { packet.set(p, off); return off + p.length; }, 0);
+        packets.push(packet);
+        parts = [];
+      }
+    }
+    pos = data;
+  }
+  return packets;
+};
+
+const parseOgg = (b, tail) => {
+  if (ascii(b, 0, 4) !== 'OggS') return null;
+  const [head, comments] = oggPackets(b, 2);
+  if (!head || !comments) return {};
+  const opus = ascii(head, 0, 8) === 'OpusHead';
+  const tags = {};
+  if (opus && ascii(comments, 0, 8) === 'OpusTags') parseVorbisComment(comments.subarray(8), tags);
+  else if (ascii(comments, 1, 6) === 'vorbis') parseVorbisComment(comments.subarray(7), tags);
+
+  // Duration: granule position of the last page over the sample rate (Opus always runs at 48 kHz)
+  const rate = opus ? 48000 : u32le(head, 12);
+  for (let at = tail.length - 14; at >= 0; at--) {
+    if (tail[at] === 0x4f && ascii(tail, at, 4) === 'OggS') {
+      const granule = u32le(tail, at + 6) + u32le(tail, at + 10) * 2 ** 32;
+      const preSkip = opus ? head[10] | (head[11] << 8) : 0;
+      if (rate && granule > preSkip) tags.duration = (granule - preSkip) / rate;
+      break;
+    }
+  }
+  return tags;
+};
+
+const readTags = (head, tail = head) => {
+  const found = parseFlac(head) || parseOgg(head, tail) || parseId3v2(head) || {};
+  const v1 = parseId3v1(tail);
+  if (v1) for (const [k, v] of Object.entries(v1)) if (v && !found[k]) found[k] = v;
+  for (const k of Object.keys(found)) if (found[k] === '' || found[k] === undefined) delete found[k];
+  return found;
+};
+
+const OGG_PAGE_MAX = 27 + 255 + 255 * 255;
+const ID3V1_FIELDS = ['title', 'artist', 'album', 'year', 'track'];
+
+// Tags of a VFS audio item, reading only the blocks that hold them rather than the
+// whole track: the header walk sizes the head, the tail is read for Ogg durations
+// and for ID3v1 when ID3v2 left fields out
+const readFileTags = async (vfs, item) => {
+  const read = async (start, end) =>
+    new Uint8Array(await new Response(await vfs.openReadStream(item.path, { start:Math.max(start, 0), end })).arrayBuffer());
+  const size = item.size ?? (await vfs.get(item.path))?.size ?? 0;
+  let head = await read(0, 10), end = 0;
+  if (ascii(head, 0, 3) === 'ID3') {
+    end = 10 + syncsafe(head, 6) + (head[5] & 0x10 ? 10 : 0);   // footer
+  } else if (ascii(head, 0, 4) === 'fLaC') {
+    for (let at = 4, last = false; !last;) {
+      const block = await read(at, at + 4);
+      if (block.length < 4) break;
+      last = !!(block[0] & 0x80);
+      end = at += 4 + u24be(block, 1);
+    }
+  } else if (ascii(head, 0, 4) === 'OggS') {
+    // Pages up to the end of the second packet (the comment header)
+    for (let pos = 0, packets = 0; packets < 2;) {
+      const page = await read(pos, pos + 27 + 255);
+      if (page.length < 27 || ascii(page, 0, 4) !== 'OggS') break;
+      let len = 0;
+      for (let s = 0; s < page[26]; s++) { len += page[27 + s]; if (page[27 + s] < 255) packets++; }
+      end = pos += 27 + page[26] + len;
+    }
+  }
+  if (end > head.length) head = await read(0, end);
+
+  if (ascii(head, 0, 4) === 'OggS') return readTags(head, await read(size - OGG_PAGE_MAX, size));
+  const tags = readTags(head, new Uint8Array(0));
+  if (ascii(head, 0, 4) === 'fLaC' || !ID3V1_FIELDS.some(k => !tags[k])) return tags;
+  return readTags(head, await read(size - 128, size));
+};
+
+/* ─── Playlists (.m3u / .m3u8 / .pls) ─────────────────────────────────────── */
+const PLAYLIST_EXTS = ['m3u', 'm3u8', 'pls'];
+const PLAYLIST_DIR  = `${MUSIC_DIR}/Playlists`;
+const isPlaylist    = item => item?.type === 'file' && PLAYLIST_EXTS.includes(extOf(item.name));
+
+// → [{ location, title, duration }]
+const parsePlaylist = (text, name) => {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).map(l => l.trim());
+  if (extOf(name) === 'pls') {
+    const entries = {};
+    for (const line of lines) {
+      const m = line.match(/^(File|Title|Length)(\d+)=(.*)$/i);
+      if (!m) continue;
+      const e = entries[m[2]] ||= {};
+      if (/file/i.test(m[1]))  e.location = m[3];
+      if (/title/i.test(m[1])) e.title = m[3];
+      if (/length/i.test(m[1]) && parseFloat(m[3]) > 0) e.duration = parseFloat(m[3]);
+    }
+    return Object.keys(entries).sort((a, b) => a - b).map(k => entries[k]).filter(e => e.location);
+  }
+  const out = [];
+  let info = null;
+  for (const line of lines) {
+    const ext = line.match(/^#EXTINF:(-?[\d.]+)\s*(?:[^,]*)?,(.*)$/);
+    if (ext) { info = { duration:parseFloat(ext[1]) > 0 ? parseFloat(ext[1]) : undefined, title:ext[2].trim() }; continue; }
+    if (!line || line.startsWith('#')) continue;
+    out.push({ location:line, ...info });
+    info = null;
+  }
+  return out;
+};
+
+// Where a playlist entry may live: the path as written, then relative to the
+// playlist's folder. `name` is the fallback for lists made on another machine.
+const entryPaths = (location, dir) => {
+  const loc = decodeURI(location.replace(/^file:\/\//, '')).replace(/\\/g, '/');
+  const parts = [];
+  for (const seg of (loc.startsWith('/') ? loc : `${dir}/${loc}`).split('/')) {
+    if (seg === '..') parts.pop();
+    else if (seg && seg !== '.') parts.push(seg);
+  }
+  return { paths:[...new Set([loc, `/${parts.join('/')}`])], name:loc.split('/').pop().toLowerCase() };
+};
+
+const buildM3u = tracks => ['#EXTM3U', ...tracks.flatMap(t => [
+  `#EXTINF:${Math.round(t.duration || -1)},${t.artist ? `${t.artist} - ` : ''}${t.title || baseName(t.name)}`,
+  t.path,
+])].join('\n') + '\n';
+
+/* ─── Small round control button ──────────────────────────────────────────── */
+const Ctl = ({ onClick, title, active, disabled, size = 34, primary, children }) => (
+  <button onClick={onClick} title={title} disabled={disabled}
+    style={{
+      width:size, height:size, borderRadius:'50%', border:'none', flexShrink:0,
+      display:'flex', alignItems:'center', justifyContent:'center',
+      background: primary ? `linear-gradient(135deg,${ACCENT},${ACCENT2})` : 'transparent',
+      color: primary ? '#000' : disabled ? 'rgba(255,255,255,0.2)' : active ? ACCENT : 'rgba(255,255,255,0.75)',
+      cursor: disabled ? 'default' : 'pointer', transition:'all 0.12s',
+      boxShadow: primary ? '0 4px 18px rgba(79,172,254,0.35)' : 'none',
+    }}
+    onMouseEnter={e => { if (!disabled && !primary) e.currentTarget.style.background = 'rgba(255,255,255,0.08)'; }}
+    onMouseLeave={e => { if (!primary) e.currentTarget.style.background = 'transparent'; }}>
+    {children}
+  </button>
+);
+
+/* ─── Range slider with a filled track ────────────────────────────────────── */
+const Slider = ({ value, max, onChange, title, disabled, style }) => {
+  const pct = max > 0 ? Math.min(100, (value / max) * 100) : 0;
+  return (
+    <input type="range" min={0} max={max || 0} step="any" value={Math.min(value, max || 0)} title={title}
+      disabled={disabled} onChange={e => onChange(parseFloat(e.target.value))}
+      style={{
+        appearance:'none', WebkitAppearance:'none', height:4, borderRadius:2, outline:'none',
+        cursor:disabled ? 'default' : 'pointer', accentColor:ACCENT,
+        background:`linear-gradient(to right,${ACCENT} ${pct}%,rgba(255,255,255,0.15) ${pct}%)`,
+        ...style,
+      }}/>
+  );
+};
+
+/* ─── Album card / track row ──────────────────────────────────────────────── */
+const Cover = ({ src, size, radius = 6 }) => (
+  <div style={{ width:size, height:size, borderRadius:radius, flexShrink:0, overflow:'hidden',
+    display:'flex', alignItems:'center', justifyContent:'center',
+    background:'linear-gradient(135deg,rgba(79,172,254,0.25),rgba(0,242,254,0.08))',
+    border:'1px solid rgba(255,255,255,0.08)' }}>
+    {src
+      ? <img src={src} alt="" style={{ width:'100%', height:'100%', objectFit:'cover' }}/>
+      : <Disc3 size={size * 0.45} color={ACCENT} style={{ opacity:0.6 }}/>}
+  </div>
+);
+
+const Row = ({ current, onClick, children }) => (
+  <div onClick={onClick}
+    style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 8px', borderRadius:6, cursor:'pointer',
+      background:current ? 'rgba(79,172,254,0.12)' : 'transparent' }}
+    onMouseEnter={e => { if (!current) e.currentTarget.style.background = 'rgba(255,255,255,0.05)'; }}
+    onMouseLeave={e => { if (!current) e.currentTarget.style.background = 'transparent'; }}>
+    {children}
+  </div>
+);
+
+const trackNo = t => parseInt(t.track, 10) || 0;
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+export default function MusicPlayer({ vfs, notify, initialFile, volume:systemVolume = 100 }) {
+  const [queue,     setQueue]     = useState([]);      // [{ path, name, size }]
+  const [index,     setIndex]     = useState(-1);
+  const [source,    setSource]    = useState(null);    // what the queue came from: folder, album or playlist
+  const [playing,   setPlaying]   = useState(false);
+  const [time,      setTime]      = useState(0);
+  const [duration,  setDuration]  = useState(0);
+  const [volume,    setVolume]    = useState(0.8);
+  const [muted,     setMuted]     = useState(false);
+  const [shuffle,   setShuffle]   = useState(false);
+  const [order,     setOrder]     = useState([]);      // play order while shuffling
+  const [repeat,    setRepeat]    = useState('off');   // off | all | one
+  const [loading,   setLoading]   = useState(false);
+  const [error,     setError]     = useState(null);
+  const [view,      setView]      = useState('queue'); // queue | albums | playlists | sound
+  const [library,   setLibrary]   = useState({ tracks:[], playlists:[] });
+  const [meta,      setMeta]      = useState({});      // path → parsed tags (+ cover Blob URL)
+  const [scanning,  setScanning]  = useState(true);
+  const [album,     setAlbum]     = useState(null);    // key of the album being browsed
+  const [listName,  setListName]  = useState('');
+  const [eq,        setEq]        = useState(EQ_PRESETS.Flat);
+  const [preset,    setPreset]    = useState('Flat');  // preset name, or 'Custom' once a band is moved
+  const [visualiser, setVisualiser] = useState('spectrum'); // spectrum | wave | off
+  const [crossfade, setCrossfade] = useState(0);       // seconds; 0 hands over at 'ended'
+  const [rate,      setRate]      = useState(1);
+
+  // Two <audio> decks so one track can fade out while the next fades in
+  const deckRef     = useRef([null, null]);
+  const activeRef   = useRef(0);
+  const urlsRef     = useRef([null, null]);
+  const graphRef    = useRef(null);                    // Web Audio graph, built on first play
+  const levelsRef   = useRef({ eq:EQ_PRESETS.Flat, level:0.8 });
+  const fadeRef     = useRef(null);                    // { path, timer } while crossfading
+  const canvasRef   = useRef(null);
+  const savedRef    = useRef(false);
+  const rootRef     = useRef(null);
+  const autoplayRef = useRef(true);
+  const actionsRef  = useRef({});
+  const tagCache    = useRef(new Map());               // path → { modified, tags }
+  const libraryRef  = useRef(library);
+  const importRef   = useRef(null);
+
+  const track = queue[index] || null;
+  const info  = t => (t ? { ...t, ...meta[t.path] } : null);
+  const titleOf = t => t?.title || baseName(t?.name);
+  const now   = info(track);
+
+  // ── Tags ────────────────────────────────────────────────────────────────────
+  // Parse (or reuse) the tags of a VFS audio item; cover art becomes a Blob URL
+  const describe = useCallback(async item => {
+    const hit = tagCache.current.get(item.path);
+    if (hit && hit.modified === item.modified) return hit.tags;
+    let tags = {};
+    try {
+      tags = await readFileTags(vfs, item);
+    } catch { /* unreadable tags — fall back to the file name */ }
+    const { picture, ...rest } = tags;
+    if (hit?.tags.cover) URL.revokeObjectURL(hit.tags.cover);
+    if (picture?.data.length) rest.cover = URL.createObjectURL(new Blob([picture.data], { type:picture.mime }));
+    tagCache.current.set(item.path, { modified:item.modified, tags:rest });
+    return rest;
+  }, [vfs]);
+
+  // ── Library scan ────────────────────────────────────────────────────────────
+  const scanLibrary = useCallback(async () => {
+    if (!vfs) return;
+    const tracks = [], playlists = [];
+    const walk = async dir => {
+      for (const it of await vfs.list(dir)) {
+        if (it.type === 'folder') await walk(it.path);
+        else if (isAudio(it))    tracks.push(it);
+        else if (isPlaylist(it)) playlists.push({ path:it.path, name:it.name });
+      }
+    };
+    try {
+      await walk(MUSIC_DIR);
+      const found = {};
+      for (const it of tracks) found[it.path] = await describe(it);
+      const lib = {
+        tracks:    tracks.map(({ path, name, size }) => ({ path, name, size })).sort(byName),
+        playlists: playlists.sort(byName),
+      };
+      libraryRef.current = lib;
+      setMeta(m => ({ ...m, ...found }));
+      setLibrary(lib);
+    } catch (e) {
+      notify?.('error', 'Music Library', String(e.message || e));
+    } finally {
+      setScanning(false);
+    }
+  }, [vfs, notify, describe]);
+
+  const rescan = () => { setScanning(true); scanLibrary(); };
+
+  useEffect(() => { scanLibrary(); }, [scanLibrary]);
+
+  // Cover art URLs live as long as the window
+  useEffect(() => () => {
+    for (const { tags } of tagCache.current.values()) if (tags.cover) URL.revokeObjectURL(tags.cover);
+  }, []);
+
+  const albums = useMemo(() => {
+    const map = new Map();
+    for (const t of library.tracks) {
+      const m = { ...t, ...meta[t.path] };
+      const name   = m.album || 'Unknown Album';
+      const artist = m.albumArtist || m.artist || '';
+      const key    = `${name}\u0000${artist}`;
+      if (!map.has(key)) map.set(key, { key, name, artist, tracks:[] });
+      map.get(key).tracks.push(t);
+    }
+    return [...map.values()].map(a => {
+      const tracks = a.tracks.sort((x, y) => trackNo(meta[x.path] || {}) - trackNo(meta[y.path] || {}) || byName(x, y));
+      return { ...a, tracks, cover:tracks.map(t => meta[t.path]?.cover).find(Boolean), year:meta[tracks[0].path]?.year };
+    }).sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity:'base' }));
+  }, [library, meta]);
+
+  const openAlbum = albums.find(a => a.key === album) || null;
+
+  // ── Queue loading ───────────────────────────────────────────────────────────
+  const startQueue = useCallback((tracks, start, label, autoplay) => {
+    setSource(label);
+    setQueue(tracks);
+    setOrder(shuffled(tracks.length, start));
+    autoplayRef.current = autoplay;
+    setIndex(start);
+    setView('queue');
+  }, []);
+
+  const readFolder = useCallback(async (dir, startPath) => {
+    const items  = (await vfs.list(dir)).filter(isAudio).sort(byName);
+    const tracks = items.map(({ path, name, size }) => ({ path, name, size }));
+    let start = tracks.findIndex(t => t.path === startPath);
+    if (start < 0 && startPath) {
+      // The file isn't a sibling in the VFS listing (e.g. it was just created) — play it anyway
+      const item = await vfs.get(startPath);
+      if (item) { tracks.unshift({ path:item.path, name:item.name, size:item.size }); start = 0; }
+    }
+    return { tracks, start:Math.max(start, 0) };
+  }, [vfs]);
+
+  const loadFolder = useCallback((dir, startPath, quiet = false) => {
+    if (!vfs) return;
+    readFolder(dir, startPath).then(({ tracks, start }) => {
+      if (!tracks.length) { if (!quiet) notify?.('info', 'Music Player', `No audio files in ${dir}`); return; }
+      startQueue(tracks, start, dir.split('/').pop() || '/', !!startPath);
+    }).catch(e => notify?.('error', 'Music Player', String(e.message || e)));
+  }, [vfs, notify, readFolder, startQueue]);
+
+  // Resolve a playlist's entries to VFS tracks and queue them
+  const loadPlaylist = useCallback(async (item, text) => {
+    if (text == null) text = await vfs.readText(item.path);
+    const dir = item.path ? item.path.replace(/\/[^/]+$/, '') || '/' : MUSIC_DIR;
+    const byName = new Map(libraryRef.current.tracks.map(t => [t.name.toLowerCase(), t]));
+    const tracks = [];
+    let missing = 0;
+    for (const entry of parsePlaylist(text, item.name)) {
+      const { paths, name } = entryPaths(entry.location, dir);
+      let found = null;
+      for (const p of paths) {
+        const it = await vfs.get(p);
+        if (isAudio(it)) { found = it; break; }
+      }
+      found ||= byName.get(name);
+      if (found) tracks.push({ path:found.path, name:found.name, size:found.size });
+      else missing++;
+    }
+    if (missing) notify?.('warning', 'Playlist', `${missing} entr${missing === 1 ? 'y' : 'ies'} in ${item.name} could not be found`);
+    if (tracks.length) startQueue(tracks, 0, baseName(item.name), true);
+    else if (!missing) notify?.('info', 'Playlist', `${item.name} is empty`);
+  }, [vfs, notify, startQueue]);
+
+  useEffect(() => {
+    if (isPlaylist(initialFile)) {
+      loadPlaylist(initialFile).catch(e => notify?.('error', 'Playlist', String(e.message || e)));
+    } else if (initialFile?.path) {
+      loadFolder(initialFile.parent || initialFile.path.replace(/\/[^/]+$/, '') || '/', initialFile.path);
+    } else {
+      loadFolder(MUSIC_DIR, null, true);
+    }
+  }, [initialFile, loadFolder, loadPlaylist, notify]);
+
+  // ── Playlists ───────────────────────────────────────────────────────────────
+  const writeFile = async (dir, name, content) => {
+    if (!(await vfs.get(dir))) await vfs.createFolder(dir.replace(/\/[^/]+$/, ''), dir.split('/').pop());
+    const path = `${dir}/${name}`;
+    if (await vfs.get(path)) await vfs.updateFile(path, { content });
+    else await vfs.createFile(dir, name, content);
+    return path;
+  };
+
+  const savePlaylist = async () => {
+    const name = listName.trim().replace(/[/\\]/g, '-').replace(/\.m3u8?$/i, '');
+    if (!name || !queue.length) return;
+    try {
+      await writeFile(PLAYLIST_DIR, `${name}.m3u`, buildM3u(queue.map(info)));
+      notify?.('success', 'Playlist Saved', `${name}.m3u · ${queue.length} track${queue.length === 1 ? '' : 's'}`);
+      setListName('');
+      rescan();
+    } catch (e) {
+      notify?.('error', 'Playlist', String(e.message || e));
+    }
+  };
+
+  // Import a playlist from the computer: keep a copy in ~/Music/Playlists and play it
+  const importPlaylist = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const path = await writeFile(PLAYLIST_DIR, file.name, text);
+      await loadPlaylist({ path, name:file.name }, text);
+      rescan();
+    } catch (err) {
+      notify?.('error', 'Playlist', String(err.message || err));
+    }
+  };
+
+  const openPlaylist = async p => {
+    try {
+      await loadPlaylist(p);
+    } catch (e) {
+      notify?.('error', 'Playlist', String(e.message || e));
+    }
+  };
+
+  // ── Audio graph ─────────────────────────────────────────────────────────────
+  // decks → deck gains (crossfade) → 10 EQ filters → analyser → master → speakers.
+  // Built lazily because createMediaElementSource may only run once per element
+  // and the AudioContext should start from a user gesture.
+  const deck  = () => deckRef.current[activeRef.current];
+  const level = muted ? 0 : volume * Math.min(1, Math.max(0, systemVolume / 100));
+
+  const ensureGraph = useCallback(() => {
+    if (graphRef.current || !AudioCtx) {
+      graphRef.current?.ctx.resume().catch(() => {});
+      return graphRef.current;
+    }
+    try {
+      const ctx = new AudioCtx();
+      const { eq: gains, level: master0 } = levelsRef.current;
+      const filters = EQ_BANDS.map((hz, i) => {
+        const f = ctx.createBiquadFilter();
+        f.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+        f.frequency.value = hz;
+        f.Q.value = 1.41;
+        f.gain.value = gains[i];
+        return f;
+      });
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0.8;
+      const master = ctx.createGain();
+      master.gain.value = master0;
+      filters.reduce((a, b) => { a.connect(b); return b; }).connect(analyser);
+      analyser.connect(master);
+      master.connect(ctx.destination);
+      const deckGains = deckRef.current.map((el, n) => {
+        const g = ctx.createGain();
+        g.gain.value = n === activeRef.current ? 1 : 0;
+        ctx.createMediaElementSource(el).connect(g);
+        g.connect(filters[0]);
+        el.volume = 1;
+        return g;
+      });
+      graphRef.current = { ctx, filters, analyser, master, deckGains };
+      ctx.resume().catch(() => {});
+    } catch {
+      graphRef.current = null;                        // fall back to plain <audio> volume
+    }
+    return graphRef.current;
+  }, []);
+
+  useEffect(() => () => {
+    graphRef.current?.ctx.close().catch(() => {});
+    graphRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    levelsRef.current = { eq, level };
+    const g = graphRef.current;
+    if (g) {
+      const t = g.ctx.currentTime;
+      g.filters.forEach((f, i) => f.gain.setTargetAtTime(eq[i], t, 0.02));
+      g.master.gain.setTargetAtTime(level, t, 0.02);
+    }
+    for (const el of deckRef.current) if (el) el.volume = g ? 1 : level;
+  }, [eq, level]);
+
+  useEffect(() => {
+    for (const el of deckRef.current) if (el) { el.defaultPlaybackRate = rate; el.playbackRate = rate; }
+  }, [rate]);
+
+  // Finish (or abandon) a crossfade: only the active deck keeps playing
+  const settleDecks = useCallback(() => {
+    if (fadeRef.current?.timer) clearTimeout(fadeRef.current.timer);
+    fadeRef.current = null;
+    const active = activeRef.current;
+    deckRef.current.forEach((el, n) => { if (n !== active && el && !el.paused) el.pause(); });
+    const g = graphRef.current;
+    if (g) {
+      const t = g.ctx.currentTime;
+      g.deckGains.forEach((gain, n) => { gain.gain.cancelScheduledValues(t); gain.gain.setValueAtTime(n === active ? 1 : 0, t); });
+    }
+  }, []);
+
+  const audioBlob = useCallback(async item => item &&
+    new Blob([await vfs.readBytes(item.path)], { type:item.mime || AUDIO_MIME[extOf(item.name)] || 'audio/*' }), [vfs]);
+
+  const loadDeck = useCallback((n, blob) => {
+    if (!blob?.size) throw new Error('File is empty');
+    if (urlsRef.current[n]) URL.revokeObjectURL(urlsRef.current[n]);
+    urlsRef.current[n] = URL.createObjectURL(blob);
+    const el = deckRef.current[n];
+    el.src = urlsRef.current[n];
+    return el;
+  }, []);
+
+  // ── Settings (EQ, visualiser, crossfade, speed, volume) persist in VFS meta ──
+  useEffect(() => {
+    vfs?.getMeta(SETTINGS_KEY).then(saved => {
+      savedRef.current = true;
+      if (!saved) return;
+      if (Array.isArray(saved.eq) && saved.eq.length === EQ_BANDS.length) setEq(saved.eq);
+      if (saved.preset)               setPreset(saved.preset);
+      if (saved.visualiser)           setVisualiser(saved.visualiser);
+      if (saved.crossfade >= 0)       setCrossfade(saved.crossfade);
+      if (RATES.includes(saved.rate)) setRate(saved.rate);
+      if (saved.volume >= 0)          setVolume(saved.volume);
+    }).catch(() => { savedRef.current = true; });
+  }, [vfs]);
+
+  useEffect(() => {
+    if (!savedRef.current || !vfs) return;
+    const t = setTimeout(() => vfs.setMeta(SETTINGS_KEY, { eq, preset, visualiser, crossfade, rate, volume }), 400);
+    return () => clearTimeout(t);
+  }, [vfs, eq, preset, visualiser, crossfade, rate, volume]);
+
+  const setBand = (i, db) => { setEq(e => e.map((v, n) => (n === i ? db : v))); setPreset('Custom'); };
+  const applyPreset = name => { setPreset(name); if (EQ_PRESETS[name]) setEq(EQ_PRESETS[name]); };
+
+  // ── Decode the current track into a Blob URL ──────────────────────────────────
+  useEffect(() => {
+    if (!track || !vfs) return;
+    // A crossfade already loaded this track on the other deck and started it
+    if (fadeRef.current?.path === track.path) return;
+    let cancelled = false;
+    (async () => {
+      const item = await vfs.get(track.path);
+      const blob = await audioBlob(item);
+      if (cancelled) return;
+      setLoading(true);
+      setError(null);
+      setTime(0);
+      setDuration(0);
+      settleDecks();
+      const audio = loadDeck(activeRef.current, blob);
+      // Tracks from outside the library get their tags read on the way in
+      describe(item).then(tags => { if (!cancelled) setMeta(m => (m[item.path] ? m : { ...m, [item.path]:tags })); });
+      if (autoplayRef.current) { ensureGraph(); await audio.play(); }
+    })().catch(e => {
+      if (cancelled) return;
+      setPlaying(false);
+      setError(e.name === 'NotAllowedError' ? null : `Can't play ${track.name}: ${e.message || 'unsupported data'}`);
+    }).finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [track, vfs, describe, settleDecks, audioBlob, loadDeck, ensureGraph]);
+
+  // Release Blob URLs when the window closes
+  useEffect(() => () => {
+    if (fadeRef.current?.timer) clearTimeout(fadeRef.current.timer);
+    for (const el of deckRef.current) el?.pause();
+    for (const url of urlsRef.current) if (url) URL.revokeObjectURL(url);
+  }, []);
+
+  // Files without a duration tag learn it from the decoder
+  const onMetadata = e => {
+    const d = e.currentTarget.duration;
+    setDuration(d);
+    if (track && Number.isFinite(d) && !meta[track.path]?.duration) {
+      setMeta(m => ({ ...m, [track.path]:{ ...m[track.path], duration:d } }));
+    }
+  };
+
+  // ── Transport ───────────────────────────────────────────────────────────────
+  const play = () => {
+    const audio = deck();
+    if (!audio || !track) return;
+    autoplayRef.current = true;
+    ensureGraph();
+    audio.play().catch(e => setError(`Can't play ${track.name}: ${e.message}`));
+  };
+  const pause  = () => { autoplayRef.current = false; settleDecks(); deck()?.pause(); };
+  const toggle = () => (playing ? pause() : play());
+
+  const seek = t => {
+    const audio = deck();
+    if (!audio || !Number.isFinite(audio.duration)) return;
+    audio.currentTime = Math.max(0, Math.min(t, audio.duration));
+    setTime(audio.currentTime);
+  };
+
+  // Position of a track in the effective play order
+  const sequence = shuffle ? order : queue.map((_, i) => i);
+
+  const step = (dir, auto = false) => {
+    if (!queue.length) return;
+    const pos  = sequence.indexOf(index);
+    let   next = pos + dir;
+    if (next >= sequence.length || next < 0) {
+      if (auto && repeat === 'off') { setPlaying(false); autoplayRef.current = false; return; }
+      next = (next + sequence.length) % sequence.length;
+    }
+    autoplayRef.current = auto || playing;
+    if (sequence[next] === index) seek(0);
+    else setIndex(sequence[next]);
+  };
+
+  const previous = () => {
+    // Like most players: restart the track unless we're right at its start
+    if (deck()?.currentTime > 3) seek(0);
+    else step(-1);
+  };
+
+  const playAt = i => {
+    if (i === index) { seek(0); play(); return; }
+    autoplayRef.current = true;
+    setIndex(i);
+  };
+
+  const onEnded = () => {
+    if (repeat === 'one') { seek(0); play(); return; }
+    step(1, true);
+  };
+
+  // ── Crossfade ───────────────────────────────────────────────────────────────
+  // In the last `crossfade` seconds the next track starts on the idle deck and
+  // the two deck gains ramp past each other; the old deck stops once silent.
+  const crossfadeTo = async i => {
+    const next = queue[i];
+    const g = graphRef.current;
+    const from = activeRef.current, to = 1 - from;
+    fadeRef.current = { path:next.path };
+    try {
+      const el = loadDeck(to, await audioBlob(await vfs.get(next.path)));
+      const t = g.ctx.currentTime;
+      g.deckGains[from].gain.cancelScheduledValues(t);
+      g.deckGains[from].gain.setValueAtTime(1, t);
+      g.deckGains[from].gain.linearRampToValueAtTime(0, t + crossfade);
+      g.deckGains[to].gain.cancelScheduledValues(t);
+      g.deckGains[to].gain.setValueAtTime(0, t);
+      g.deckGains[to].gain.linearRampToValueAtTime(1, t + crossfade);
+      activeRef.current = to;
+      await el.play();
+      autoplayRef.current = true;
+      setIndex(i);
+      setDuration(el.duration || 0);
+      fadeRef.current.timer = setTimeout(settleDecks, crossfade * 1000);
+    } catch {
+      // Couldn't start the next track early — the normal hand-over at 'ended' still applies
+      activeRef.current = from;
+      settleDecks();
+    }
+  };
+
+  const onTimeUpdate = e => {
+    const el = e.currentTarget;
+    setTime(el.currentTime);
+    if (!crossfade || fadeRef.current || !graphRef.current || repeat === 'one' || el.paused) return;
+    const left = el.duration - el.currentTime;
+    if (!Number.isFinite(left) || left > crossfade || el.duration < crossfade * 2) return;
+    let pos = sequence.indexOf(index) + 1;
+    if (pos >= sequence.length) {
+      if (repeat === 'off') return;
+      pos = 0;
+    }
+    if (sequence[pos] !== index) crossfadeTo(sequence[pos]);
+  };
+
+  // ── Visualiser ──────────────────────────────────────────────────────────────
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const g = graphRef.current;
+    if (!canvas || !g || visualiser === 'off' || !playing) return;
+    const ctx  = canvas.getContext('2d');
+    const freq = new Uint8Array(g.analyser.frequencyBinCount);
+    const wave = new Uint8Array(g.analyser.fftSize);
+    let raf;
+    const draw = () => {
+      raf = requestAnimationFrame(draw);
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.round(canvas.clientWidth * dpr), h = Math.round(canvas.clientHeight * dpr);
+      if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+      ctx.clearRect(0, 0, w, h);
+      if (visualiser === 'spectrum') {
+        g.analyser.getByteFrequencyData(freq);
+        const bars = 48, bw = w / bars;
+        const grad = ctx.createLinearGradient(0, h, 0, 0);
+        grad.addColorStop(0, ACCENT);
+        grad.addColorStop(1, ACCENT2);
+        ctx.fillStyle = grad;
+        for (let i = 0; i < bars; i++) {
+          // Log-spaced bins, so bass and treble get a fair share of the bars
+          const lo = Math.floor(freq.length ** (i / bars));
+          const hi = Math.max(lo + 1, Math.floor(freq.length ** ((i + 1) / bars)));
+          let peak = 0;
+          for (let j = lo; j < hi; j++) peak = Math.max(peak, freq[j]);
+          const bh = Math.max(dpr, (peak / 255) * h);
+          ctx.fillRect(i * bw + dpr, h - bh, bw - 2 * dpr, bh);
+        }
+      } else {
+        g.analyser.getByteTimeDomainData(wave);
+        ctx.strokeStyle = ACCENT;
+        ctx.lineWidth = 2 * dpr;
+        ctx.beginPath();
+        for (let i = 0; i < wave.length; i++) {
+          const x = (i / (wave.length - 1)) * w, y = (wave[i] / 255) * h;
+          if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+        }
+        ctx.stroke();
+      }
+    };
+    draw();
+    return () => { cancelAnimationFrame(raf); ctx.clearRect(0, 0, canvas.width, canvas.height); };
+  }, [visualiser, playing]);
+
+  const toggleShuffle = () => {
+    if (!shuffle) setOrder(shuffled(queue.length, index));
+    setShuffle(s => !s);
+  };
+  const cycleRepeat = () => setRepeat(r => r === 'off' ? 'all' : r === 'all' ? 'one' : 'off');
+  const nudgeVolume = d => { setMuted(false); setVolume(v => Math.round(Math.min(1, Math.max(0, v + d)) * 100) / 100); };
+
+  // ── Media keys / OS media controls ──────────────────────────────────────────
+  useEffect(() => {
+    actionsRef.current = { play, pause, previous, next:() => step(1), seek };
+  });
+
+  useEffect(() => {
+    const ms = navigator.mediaSession;
+    if (!ms) return;
+    const run = name => details => actionsRef.current[name]?.(details);
+    const handlers = {
+      play:          run('play'),
+      pause:         run('pause'),
+      previoustrack: run('previous'),
+      nexttrack:     run('next'),
+      seekto:        d => actionsRef.current.seek?.(d.seekTime),
+      seekbackward:  d => actionsRef.current.seek?.((deckRef.current[activeRef.current]?.currentTime || 0) - (d.seekOffset || 5)),
+      seekforward:   d => actionsRef.current.seek?.((deckRef.current[activeRef.current]?.currentTime || 0) + (d.seekOffset || 5)),
+    };
+    for (const [action, fn] of Object.entries(handlers)) {
+      try { ms.setActionHandler(action, fn); } catch { /* action unsupported by this browser */ }
+    }
+    return () => {
+      for (const action of Object.keys(handlers)) {
+        try { ms.setActionHandler(action, null); } catch { /* ignore */ }
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    const ms = navigator.mediaSession;
+    if (!ms || !track) return;
+    if (typeof window.MediaMetadata === 'function') {
+      ms.metadata = new window.MediaMetadata({
+        title:   titleOf(now),
+        artist:  now.artist || '',
+        album:   now.album || source || '',
+        artwork: now.cover ? [{ src:now.cover, type:'image/jpeg' }] : [],
+      });
+    }
+    ms.playbackState = playing ? 'playing' : 'paused';
+  }, [track, now?.title, now?.artist, now?.album, now?.cover, source, playing]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Keyboard ────────────────────────────────────────────────────────────────
+  useEffect(() => { rootRef.current?.focus(); }, []);
+
+  const onKeyDown = e => {
+    if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const handled = () => e.preventDefault();
+    switch (e.key) {
+      case ' ': case 'MediaPlayPause': handled(); toggle(); break;
+      case 'MediaPlay':                handled(); play(); break;
+      case 'MediaPause': case 'MediaStop': handled(); pause(); break;
+      case 'MediaTrackNext':     case 'n': case 'N': handled(); step(1); break;
+      case 'MediaTrackPrevious': case 'p': case 'P': handled(); previous(); break;
+      case 'ArrowRight': handled(); seek(time + 5); break;
+      case 'ArrowLeft':  handled(); seek(time - 5); break;
+      case 'ArrowUp':    handled(); nudgeVolume(0.05); break;
+      case 'ArrowDown':  handled(); nudgeVolume(-0.05); break;
+      case 's': case 'S': handled(); toggleShuffle(); break;
+      case 'r': case 'R': handled(); cycleRepeat(); break;
+      case 'm': case 'M': handled(); setMuted(m => !m); break;
+      default:
+    }
+  };
+
+  const VolIcon = muted || volume === 0 ? VolumeX : volume < 0.5 ? Volume1 : Volume2;
 
-export default function MusicPlayer(props) {
   return (
-    <div style={{ height:'100%', display:'flex', alignItems:'center', justifyContent:'center', background:'#0d0d14', color:'rgba(255,255,255,0.5)', flexDirection:'column', gap:12 }}>
-      <span style={{ fontSize:48 }}>🎵</span>
-      <span style={{ fontSize:14 }}>MusicPlayer — implementation pending</span>
-      <span style={{ fontSize:11, opacity:0.4 }}>See apps/MusicPlayer.jsx</span>
+    <div ref={rootRef} tabIndex={0} onKeyDown={onKeyDown}
+      style={{ height:'100%', display:'flex', flexDirection:'column', background:'#0d0d14',
+        color:'white', outline:'none', userSelect:'none' }}>
+
+      <style>{'@keyframes spin{to{transform:rotate(360deg)}}'}</style>
+      {/* Only the active deck drives the UI; the other is idle or fading out */}
+      {[0, 1].map(n => {
+        const active = fn => e => { if (activeRef.current === n) fn(e); };
+        return (
+          <audio key={n} ref={el => { deckRef.current[n] = el; }} preload="metadata"
+            onPlay={active(() => setPlaying(true))}
+            onPause={active(() => setPlaying(false))}
+            onTimeUpdate={active(onTimeUpdate)}
+            onLoadedMetadata={active(onMetadata)}
+            onDurationChange={active(e => setDuration(e.currentTarget.duration))}
+            onEnded={active(onEnded)}
+            onError={active(e => { if (track && e.currentTarget.src) setError(`Can't decode ${track.name}`); setPlaying(false); })}/>
+        );
+      })}
+
+      {/* ── Now playing ── */}
+      <div style={{ padding:'16px 20px 10px', display:'flex', flexDirection:'column', alignItems:'center', gap:10, flexShrink:0 }}>
+        <div style={{ borderRadius:14, boxShadow:playing ? '0 8px 32px rgba(79,172,254,0.25)' : 'none', transition:'box-shadow 0.3s',
+          opacity:track ? 1 : 0.4 }}>
+          {now?.cover ? <Cover src={now.cover} size={120} radius={14}/> : (
+            <div style={{ width:120, height:120, borderRadius:14, display:'flex', alignItems:'center', justifyContent:'center',
+              background:'linear-gradient(135deg,rgba(79,172,254,0.25),rgba(0,242,254,0.08))',
+              border:'1px solid rgba(255,255,255,0.08)' }}>
+              <Music size={48} color={ACCENT} style={{ opacity:0.9 }}/>
+            </div>
+          )}
+        </div>
+        <div style={{ textAlign:'center', maxWidth:'100%' }}>
+          <div title={track?.name} style={{ fontSize:15, fontWeight:600, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>
+            {track ? titleOf(now) : 'Nothing playing'}
+          </div>
+          <div style={{ fontSize:11, marginTop:3, color:error ? '#ff5f56' : 'rgba(255,255,255,0.45)',
+            whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>
+            {error || (loading ? 'Loading…'
+              : now?.artist || now?.album ? [now.artist, now.album].filter(Boolean).join(' — ')
+              : source || 'Open an audio file from File Manager')}
+          </div>
+        </div>
+        {AudioCtx && visualiser !== 'off' && (
+          <canvas ref={canvasRef} onClick={() => setVisualiser(v => (v === 'spectrum' ? 'wave' : 'spectrum'))}
+            title="Visualiser — click to switch spectrum / waveform"
+            style={{ width:'100%', height:36, cursor:'pointer', opacity:playing ? 1 : 0.25 }}/>
+        )}
+      </div>
+
+      {/* ── Seek bar ── */}
+      <div style={{ padding:'0 20px', flexShrink:0 }}>
+        <Slider value={time} max={Number.isFinite(duration) ? duration : 0} onChange={seek} title="Seek (←/→)"
+          disabled={!track || !duration} style={{ width:'100%' }}/>
+        <div style={{ display:'flex', justifyContent:'space-between', fontSize:10.5, color:'rgba(255,255,255,0.45)', marginTop:2,
+          fontVariantNumeric:'tabular-nums' }}>
+          <span>{fmtTime(time)}</span><span>{fmtTime(duration)}</span>
+        </div>
+      </div>
+
+      {/* ── Transport ── */}
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'center', gap:10, padding:'6px 0', flexShrink:0 }}>
+        <Ctl onClick={toggleShuffle} title="Shuffle (S)" active={shuffle} disabled={queue.length < 2}><Shuffle size={16}/></Ctl>
+        <Ctl onClick={previous} title="Previous (P)" disabled={!track}><SkipBack size={18}/></Ctl>
+        <Ctl onClick={toggle} title={playing ? 'Pause (Space)' : 'Play (Space)'} primary size={48} disabled={!track}>
+          {playing ? <Pause size={22}/> : <Play size={22} style={{ marginLeft:2 }}/>}
+        </Ctl>
+        <Ctl onClick={() => step(1)} title="Next (N)" disabled={!track}><SkipForward size={18}/></Ctl>
+        <Ctl onClick={cycleRepeat} title={`Repeat: ${repeat} (R)`} active={repeat !== 'off'}>
+          {repeat === 'one' ? <Repeat1 size={16}/> : <Repeat size={16}/>}
+        </Ctl>
+      </div>
+
+      {/* ── Volume ── */}
+      <div style={{ display:'flex', alignItems:'center', gap:8, padding:'0 16px 8px', flexShrink:0 }}>
+        <Ctl onClick={() => setMuted(m => !m)} title="Mute (M)" size={28}><VolIcon size={15}/></Ctl>
+        <Slider value={muted ? 0 : volume} max={1} title={`Volume ${Math.round(volume * 100)}% (↑/↓)`}
+          onChange={v => { setVolume(v); setMuted(false); }} style={{ flex:1 }}/>
+        <Ctl onClick={() => loadFolder(MUSIC_DIR)} title="Play the Music folder" size={28}><FolderOpen size={15}/></Ctl>
+      </div>
+
+      {/* ── View tabs ── */}
+      <div style={{ display:'flex', alignItems:'center', gap:2, padding:'0 10px', flexShrink:0,
+        borderTop:'1px solid rgba(255,255,255,0.06)', borderBottom:'1px solid rgba(255,255,255,0.06)' }}>
+        {[['queue', 'Queue', <ListMusic size={13}/>], ['albums', 'Albums', <Disc3 size={13}/>], ['playlists', 'Playlists', <ListPlus size={13}/>], ['sound', 'Sound', <SlidersHorizontal size={13}/>]].map(([id, label, icon]) => (
+          <button key={id} onClick={() => { setView(id); if (id === 'albums') setAlbum(null); }}
+            style={{ display:'flex', alignItems:'center', gap:5, padding:'7px 10px', fontSize:11.5, cursor:'pointer',
+              background:'none', border:'none', borderBottom:`2px solid ${view === id ? ACCENT : 'transparent'}`,
+              color:view === id ? 'white' : 'rgba(255,255,255,0.5)', fontWeight:view === id ? 600 : 400 }}>
+            {icon}{label}
+          </button>
+        ))}
+        <div style={{ flex:1 }}/>
+        {view === 'queue' && source && (
+          <span style={{ fontSize:10.5, color:'rgba(255,255,255,0.35)', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{source}</span>
+        )}
+        {(view === 'albums' || view === 'playlists') && (
+          <Ctl onClick={rescan} title="Rescan ~/Music" size={26} disabled={scanning}>
+            <RefreshCw size={13} style={{ animation:scanning ? 'spin 1s linear infinite' : 'none' }}/>
+          </Ctl>
+        )}
+      </div>
+
+      <div style={{ flex:1, overflowY:'auto', padding:'4px 6px', minHeight:0 }}>
+
+        {/* ── Queue ── */}
+        {view === 'queue' && (<>
+          {!queue.length && <div style={{ fontSize:12, opacity:0.4, textAlign:'center', marginTop:24 }}>Queue is empty</div>}
+          {sequence.map((i, n) => {
+            const t = info(queue[i]);
+            const current = i === index;
+            return (
+              <Row key={`${t.path}:${i}`} current={current} onClick={() => playAt(i)}>
+                <span style={{ width:18, fontSize:10.5, textAlign:'right', color:current ? ACCENT : 'rgba(255,255,255,0.35)' }}>
+                  {current && playing ? '▶' : n + 1}
+                </span>
+                <span style={{ flex:1, minWidth:0 }}>
+                  <div style={{ fontSize:12.5, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis',
+                    color:current ? ACCENT : 'rgba(255,255,255,0.85)' }}>{titleOf(t)}</div>
+                  {t.artist && <div style={{ fontSize:10.5, color:'rgba(255,255,255,0.4)', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{t.artist}</div>}
+                </span>
+                <span style={{ fontSize:10, color:'rgba(255,255,255,0.3)', fontVariantNumeric:'tabular-nums' }}>
+                  {t.duration ? fmtTime(t.duration) : extOf(t.name).toUpperCase()}
+                </span>
+              </Row>
+            );
+          })}
+        </>)}
+
+        {/* ── Albums ── */}
+        {view === 'albums' && !openAlbum && (<>
+          {!albums.length && (
+            <div style={{ fontSize:12, opacity:0.4, textAlign:'center', marginTop:24 }}>
+              {scanning ? 'Scanning ~/Music…' : 'No music found in ~/Music'}
+            </div>
+          )}
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill,minmax(108px,1fr))', gap:10, padding:6 }}>
+            {albums.map(a => (
+              <div key={a.key} onClick={() => setAlbum(a.key)} title={`${a.name}${a.artist ? ` — ${a.artist}` : ''}`}
+                style={{ cursor:'pointer', minWidth:0 }}>
+                <Cover src={a.cover} size={108} radius={8}/>
+                <div style={{ fontSize:12, fontWeight:600, marginTop:5, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{a.name}</div>
+                <div style={{ fontSize:10.5, color:'rgba(255,255,255,0.45)', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>
+                  {a.artist || `${a.tracks.length} track${a.tracks.length === 1 ? '' : 's'}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>)}
+
+        {view === 'albums' && openAlbum && (<>
+          <div style={{ display:'flex', alignItems:'center', gap:10, padding:'6px 4px 10px' }}>
+            <Ctl onClick={() => setAlbum(null)} title="All albums" size={26}><ChevronLeft size={16}/></Ctl>
+            <Cover src={openAlbum.cover} size={52}/>
+            <div style={{ flex:1, minWidth:0 }}>
+              <div style={{ fontSize:13.5, fontWeight:600, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{openAlbum.name}</div>
+              <div style={{ fontSize:11, color:'rgba(255,255,255,0.45)' }}>
+                {[openAlbum.artist, openAlbum.year, `${openAlbum.tracks.length} track${openAlbum.tracks.length === 1 ? '' : 's'}`].filter(Boolean).join(' · ')}
+              </div>
+            </div>
+            <Ctl onClick={() => startQueue(openAlbum.tracks, 0, openAlbum.name, true)} title="Play album" primary size={32}>
+              <Play size={15} style={{ marginLeft:1 }}/>
+            </Ctl>
+          </div>
+          {openAlbum.tracks.map((raw, i) => {
+            const t = info(raw);
+            const current = track?.path === t.path;
+            return (
+              <Row key={t.path} current={current} onClick={() => startQueue(openAlbum.tracks, i, openAlbum.name, true)}>
+                <span style={{ width:18, fontSize:10.5, textAlign:'right', color:current ? ACCENT : 'rgba(255,255,255,0.35)' }}>
+                  {trackNo(t) || i + 1}
+                </span>
+                <span style={{ flex:1, fontSize:12.5, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis',
+                  color:current ? ACCENT : 'rgba(255,255,255,0.85)' }}>{titleOf(t)}</span>
+                <span style={{ fontSize:10, color:'rgba(255,255,255,0.3)', fontVariantNumeric:'tabular-nums' }}>
+                  {t.duration ? fmtTime(t.duration) : ''}
+                </span>
+              </Row>
+            );
+          })}
+        </>)}
+
+        {/* ── Playlists ── */}
+        {view === 'playlists' && (<>
+          <div style={{ display:'flex', gap:6, padding:'6px 4px 8px' }}>
+            <input value={listName} onChange={e => setListName(e.target.value)} placeholder="Save queue as…"
+              onKeyDown={e => { if (e.key === 'Enter') savePlaylist(); }}
+              style={{ flex:1, minWidth:0, background:'rgba(255,255,255,0.06)', border:'1px solid rgba(255,255,255,0.12)',
+                borderRadius:6, color:'white', outline:'none', fontSize:12, padding:'5px 8px' }}/>
+            <button onClick={savePlaylist} disabled={!listName.trim() || !queue.length} title="Save the queue as an .m3u playlist in ~/Music/Playlists"
+              style={{ display:'flex', alignItems:'center', gap:4, padding:'5px 10px', borderRadius:6, border:'none', fontSize:11.5,
+                background:listName.trim() && queue.length ? `linear-gradient(135deg,${ACCENT},${ACCENT2})` : 'rgba(255,255,255,0.06)',
+                color:listName.trim() && queue.length ? '#000' : 'rgba(255,255,255,0.3)', cursor:listName.trim() && queue.length ? 'pointer' : 'default' }}>
+              <Save size={13}/>Save
+            </button>
+            <button onClick={() => importRef.current?.click()} title="Import an .m3u / .pls playlist"
+              style={{ display:'flex', alignItems:'center', gap:4, padding:'5px 8px', borderRadius:6, fontSize:11.5, cursor:'pointer',
+                background:'transparent', border:'1px solid rgba(255,255,255,0.12)', color:'rgba(255,255,255,0.75)' }}>
+              <Upload size={13}/>Import
+            </button>
+            <input ref={importRef} type="file" accept=".m3u,.m3u8,.pls" onChange={importPlaylist} style={{ display:'none' }}/>
+          </div>
+          {!library.playlists.length && (
+            <div style={{ fontSize:12, opacity:0.4, textAlign:'center', marginTop:16 }}>
+              {scanning ? 'Scanning ~/Music…' : 'No playlists in ~/Music yet'}
+            </div>
+          )}
+          {library.playlists.map(p => (
+            <Row key={p.path} current={source === baseName(p.name)} onClick={() => openPlaylist(p)}>
+              <ListMusic size={15} color={ACCENT} style={{ flexShrink:0 }}/>
+              <span style={{ flex:1, minWidth:0 }}>
+                <div style={{ fontSize:12.5, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{baseName(p.name)}</div>
+                <div style={{ fontSize:10.5, color:'rgba(255,255,255,0.35)', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>
+                  {p.path.replace(`${MUSIC_DIR}/`, '')}
+                </div>
+              </span>
+            </Row>
+          ))}
+        </>)}
+
+        {/* ── Sound ── */}
+        {view === 'sound' && (
+          <div style={{ padding:'8px 8px 12px', display:'flex', flexDirection:'column', gap:12, fontSize:11.5 }}>
+            {!AudioCtx && (
+              <div style={{ color:'#ffbd2e' }}>Web Audio is unavailable in this browser — only speed applies.</div>
+            )}
+            <div style={{ display:'flex', alignItems:'center', gap:8 }}>
+              <span style={{ color:'rgba(255,255,255,0.5)', width:68 }}>Equaliser</span>
+              <select value={preset} onChange={e => applyPreset(e.target.value)} disabled={!AudioCtx}
+                style={{ flex:1, background:'rgba(255,255,255,0.06)', border:'1px solid rgba(255,255,255,0.12)', borderRadius:6,
+                  color:'white', outline:'none', fontSize:11.5, padding:'4px 6px', cursor:'pointer' }}>
+                {[...Object.keys(EQ_PRESETS), ...(preset === 'Custom' ? ['Custom'] : [])].map(name => (
+                  <option key={name} value={name} style={{ background:'#1a1a24' }}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ display:'flex', justifyContent:'space-between', gap:2, opacity:AudioCtx ? 1 : 0.35 }}>
+              {EQ_BANDS.map((hz, i) => (
+                <div key={hz} style={{ display:'flex', flexDirection:'column', alignItems:'center', gap:4, flex:1 }}>
+                  <span style={{ fontSize:9.5, color:eq[i] ? ACCENT : 'rgba(255,255,255,0.35)', fontVariantNumeric:'tabular-nums' }}>
+                    {eq[i] > 0 ? `+${eq[i]}` : eq[i]}
+                  </span>
+                  <input type="range" min={-EQ_RANGE} max={EQ_RANGE} step={1} value={eq[i]} disabled={!AudioCtx}
+                    onChange={e => setBand(i, parseInt(e.target.value, 10))} onDoubleClick={() => setBand(i, 0)}
+                    title={`${fmtHz(hz)}Hz ${eq[i] > 0 ? '+' : ''}${eq[i]} dB (double-click to reset)`}
+                    style={{ writingMode:'vertical-lr', direction:'rtl', height:90, width:18, accentColor:ACCENT, cursor:'pointer' }}/>
+                  <span style={{ fontSize:9.5, color:'rgba(255,255,255,0.45)' }}>{fmtHz(hz)}</span>
+                </div>
+              ))}
+            </div>
+            <div style={{ display:'flex', alignItems:'center', gap:8, opacity:AudioCtx ? 1 : 0.35 }}>
+              <span style={{ color:'rgba(255,255,255,0.5)', width:68 }}>Crossfade</span>
+              <Slider value={crossfade} max={12} onChange={v => setCrossfade(Math.round(v))} disabled={!AudioCtx}
+                title="Overlap the end of a track with the start of the next" style={{ flex:1 }}/>
+              <span style={{ width:30, textAlign:'right', fontVariantNumeric:'tabular-nums' }}>{crossfade ? `${crossfade}s` : 'Off'}</span>
+            </div>
+            <div style={{ display:'flex', alignItems:'center', gap:8 }}>
+              <span style={{ color:'rgba(255,255,255,0.5)', width:68 }}>Speed</span>
+              {RATES.map(r => (
+                <button key={r} onClick={() => setRate(r)}
+                  style={{ flex:1, padding:'4px 0', borderRadius:5, fontSize:11, cursor:'pointer',
+                    background:rate === r ? 'rgba(79,172,254,0.2)' : 'transparent',
+                    border:`1px solid ${rate === r ? 'rgba(79,172,254,0.4)' : 'rgba(255,255,255,0.1)'}`,
+                    color:rate === r ? ACCENT : 'rgba(255,255,255,0.7)' }}>{r}×</button>
+              ))}
+            </div>
+            <div style={{ display:'flex', alignItems:'center', gap:8, opacity:AudioCtx ? 1 : 0.35 }}>
+              <span style={{ color:'rgba(255,255,255,0.5)', width:68 }}>Visualiser</span>
+              {[['spectrum', 'Spectrum'], ['wave', 'Waveform'], ['off', 'Off']].map(([id, label]) => (
+                <button key={id} onClick={() => setVisualiser(id)} disabled={!AudioCtx}
+                  style={{ flex:1, padding:'4px 0', borderRadius:5, fontSize:11, cursor:'pointer',
+                    background:visualiser === id ? 'rgba(79,172,254,0.2)' : 'transparent',
+                    border:`1px solid ${visualiser === id ? 'rgba(79,172,254,0.4)' : 'rgba(255,255,255,0.1)'}`,
+                    color:visualiser === id ? ACCENT : 'rgba(255,255,255,0.7)' }}>{label}</button>
+              ))}
+            </div>
+            <div style={{ color:'rgba(255,255,255,0.35)', fontSize:10.5 }}>
+              System volume {Math.round(systemVolume)}% · player {Math.round(volume * 100)}%{muted ? ' (muted)' : ''}
+            </div>
+          </div>
+        )}
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
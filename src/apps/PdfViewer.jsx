@@ -10,7 +10,7 @@
  *   • Search in PDF (Ctrl+F) — highlights matches per page
  *   • Continuous scroll mode or single-page mode
  *   • Open local file (drag-and-drop OR file picker)
- *   • Open from VFS (IndexedDB)
+ *   • Open from VFS (IndexedDB) — streamed chunk by chunk with a progress readout
  *   • Print (window.print via hidden iframe)
  *   • Download original file
  *   • Rotation (90° steps)
@@ -27,6 +27,7 @@ import {
   Sidebar, AlignCenter, Printer, Moon, Sun, FileText,
   AlertCircle, Loader,
 } from 'lucide-react';
+import { isVfsDrag } from '../dnd';
 
 const ACCENT  = '#4facfe';
 const ACCENT2 = '#00f2fe';
@@ -256,6 +257,7 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
   const [fileName,    setFileName]    = useState('');
   const [fileSize,    setFileSize]    = useState(0);
   const [pdfJsReady,  setPdfJsReady]  = useState(false);
+  const [readProgress, setReadProgress] = useState(null); // 0…1 while streaming from the VFS
   const [continuousMode, setContinuousMode] = useState(true);
 
   const fileInputRef  = useRef(null);
@@ -272,15 +274,32 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
   // ── Load initial file ───────────────────────────────────────────────────────
   useEffect(() => {
     if (!pdfJsReady) return;
-    if (!initialFile) return;
-    if (initialFile.content) {
-      // It's a text-based PDF from VFS — try base64 or raw string
-      const content = initialFile.content;
-      setFileName(initialFile.name || 'document.pdf');
-      loadPdfFromString(content);
-    }
+    if (!initialFile?.path || !vfs) return;
+    readFromVfs(initialFile)
+      .then(bytes => loadPdfFromBytes(bytes, initialFile.name || 'document.pdf', bytes.length))
+      .catch(e => { setLoading(false); setError('Could not read file: ' + e.message); });
   }, [pdfJsReady, initialFile]); // eslint-disable-line
 
+  // Stream a VFS file chunk by chunk so large PDFs report progress while they load
+  const readFromVfs = async file => {
+    const reader = (await vfs.openReadStream(file.path)).getReader();
+    const parts  = [];
+    let got = 0;
+    setLoading(true);
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        got += value.length;
+        setReadProgress(file.size ? got / file.size : null);
+      }
+    } finally { setReadProgress(null); }
+    const bytes = new Uint8Array(got);
+    parts.reduce((at, p) => { bytes.set(p, at); return at + p.length; }, 0);
+    return bytes;
+  };
+
   const loadPdfFromBytes = useCallback(async (bytes, name = 'document.pdf', size = 0) => {
     if (!window.pdfjsLib) return;
     setLoading(true);
@@ -303,19 +322,6 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
     } finally { setLoading(false); }
   }, [notify]);
 
-  const loadPdfFromString = useCallback(async content => {
-    // Try to decode if it looks like base64
-    let bytes;
-    try {
-      const bin = atob(content.replace(/\s/g, ''));
-      bytes = new Uint8Array(bin.length);
-      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-    } catch {
-      bytes = new TextEncoder().encode(content);
-    }
-    await loadPdfFromBytes(bytes.buffer, fileName || 'document.pdf', bytes.length);
-  }, [loadPdfFromBytes, fileName]);
-
   // ── File input handler ──────────────────────────────────────────────────────
   const handleFileInput = async e => {
     const file = e.target.files?.[0];
@@ -327,6 +333,7 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
 
   // ── Drag and drop ───────────────────────────────────────────────────────────
   const handleDrop = async e => {
+    if (isVfsDrag(e)) return;  // items from the File Manager: the window opens them
     e.preventDefault();
     const file = e.dataTransfer.files?.[0];
     if (!file || !file.name.toLowerCase().endsWith('.pdf')) {
@@ -345,9 +352,9 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
       const pdfs = all.filter(f => f.type === 'file' && f.name.toLowerCase().endsWith('.pdf'));
       if (pdfs.length === 0) { notify?.('info', 'No PDFs', 'No PDF files found in VFS'); return; }
       const file = pdfs[0]; // Could show a picker — for now open first found
-      await loadPdfFromString(file.content || '');
-      setFileName(file.name);
-    } catch (e) { notify?.('error', 'Open Failed', String(e)); }
+      const bytes = await readFromVfs(file);
+      await loadPdfFromBytes(bytes, file.name, bytes.length);
+    } catch (e) { setLoading(false); notify?.('error', 'Open Failed', String(e)); }
   };
 
   // ── Page navigation ─────────────────────────────────────────────────────────
@@ -615,7 +622,9 @@ export default function PdfViewer({ vfs, notify, initialFile, onClose }) {
 
           {loading && (
             <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 12, minHeight: 300 }}>
-              <div style={{ fontSize: 13, opacity: 0.6 }}>Loading PDF…</div>
+              <div style={{ fontSize: 13, opacity: 0.6 }}>
+                Loading PDF…{readProgress != null && ` ${Math.round(readProgress * 100)}%`}
+              </div>
             </div>
           )}
 
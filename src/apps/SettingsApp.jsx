@@ -9,7 +9,7 @@ import {
   AlignVerticalJustifyStart as AlignTop,  // Fixed: Aliased modern icon
   Sliders, User,
   Keyboard, ToggleLeft, ToggleRight, Download, Upload,
-  Trash2, RefreshCw, Save, Shield,
+  Trash2, RefreshCw, Save, Shield, HardDrive, Search, ArrowUp, Folder, File,
 } from 'lucide-react';
 import { API_BASE } from '../tunnel'; // Integrated your Cloudflare tunnel logic
 
@@ -39,6 +39,62 @@ const TASKBAR_POSITIONS = [
   { value:'right',  label:'Right',  icon:<AlignLeft size={15} style={{transform: 'rotate(180deg)'}}/> },
 ];
 
+// Trash auto-purge choices, in days (0 = never)
+const TRASH_PURGE = [
+  { value:0,  label:'Never'   },
+  { value:7,  label:'7 days'  },
+  { value:30, label:'30 days' },
+  { value:90, label:'90 days' },
+];
+
+// Text file version history: revisions kept per file (0 = off) and maximum age in days (0 = forever)
+const REVISION_COUNTS = [
+  { value:0,  label:'Off' },
+  { value:10, label:'10'  },
+  { value:20, label:'20'  },
+  { value:50, label:'50'  },
+];
+const REVISION_AGES = [
+  { value:0,  label:'Forever' },
+  { value:7,  label:'7 days'  },
+  { value:30, label:'30 days' },
+  { value:90, label:'90 days' },
+];
+
+// Scheduled backups of every file to /Users/Admin/Backups: how often (days, 0 = never) and how many to keep
+const BACKUP_EVERY = [
+  { value:0, label:'Never'  },
+  { value:1, label:'Daily'  },
+  { value:7, label:'Weekly' },
+];
+const BACKUP_KEEP = [
+  { value:3,  label:'3'  },
+  { value:5,  label:'5'  },
+  { value:10, label:'10' },
+];
+
+// Storage page: colours for the vfs.storageUsage() kinds, and how much version history a cleanup drops
+const KIND_COLORS = {
+  Images:'#4facfe', Audio:'#a78bfa', Video:'#f472b6', Archives:'#fbbf24', Documents:'#34d399', Other:'rgba(255,255,255,0.35)',
+};
+const CLEANUP_AGES = [
+  { value:0,  label:'All'      },
+  { value:30, label:'> 30 days' },
+  { value:90, label:'> 90 days' },
+];
+const BROWSER_HISTORY_KEY = 'lynkos_browser_history';  // Browser.jsx keeps its history here
+
+const fmtBytes = b => {
+  if (!b) return '0 B';
+  const u = ['B','KB','MB','GB','TB'];
+  const i = Math.min(u.length - 1, Math.floor(Math.log(b) / Math.log(1024)));
+  return `${(b / 1024 ** i).toFixed(i ? 1 : 0)} ${u[i]}`;
+};
+
+const browserHistoryCount = () => {
+  try { return JSON.parse(localStorage.getItem(BROWSER_HISTORY_KEY) || '[]').length; } catch { return 0; }
+};
+
 const ICON_SIZES = [
   { value:'small',  label:'Small'  },
   { value:'medium', label:'Medium' },
@@ -51,6 +107,7 @@ const NAV = [
   { id:'taskbar',    label:'Taskbar',    icon:<Layout size={15}/> },
   { id:'account',    label:'Account',    icon:<User size={15}/> },
   { id:'system',     label:'System',     icon:<Sliders size={15}/> },
+  { id:'storage',    label:'Storage',    icon:<HardDrive size={15}/> },
   { id:'shortcuts',  label:'Shortcuts',  icon:<Keyboard size={15}/> },
   { id:'about',      label:'About',      icon:<Info size={15}/> },
 ];
@@ -101,19 +158,176 @@ const ActionBtn = ({ icon, label, danger, onClick }) => (
   }}>{icon}{label}</button>
 );
 
+// Horizontal bar split into coloured parts ({ value, color, label }) out of `total`
+const Meter = ({ parts, total, height = 10 }) => (
+  <div style={{ display:'flex', height, borderRadius:height / 2, overflow:'hidden', background:'rgba(255,255,255,0.07)' }}>
+    {parts.filter(p => p.value > 0).map(p => (
+      <div key={p.label} title={`${p.label} · ${fmtBytes(p.value)}`}
+        style={{ width:`${Math.max(0.5, p.value / (total || 1) * 100)}%`, background:p.color }}/>
+    ))}
+  </div>
+);
+
+const FileRow = ({ icon, name, sub, size, onClick, children }) => (
+  <div onClick={onClick} style={{ display:'flex', alignItems:'center', gap:9, padding:'7px 0',
+    borderBottom:'1px solid rgba(255,255,255,0.05)', cursor:onClick ? 'pointer' : 'default' }}>
+    <span style={{ opacity:0.5, display:'flex' }}>{icon}</span>
+    <div style={{ flex:1, minWidth:0 }}>
+      <div style={{ fontSize:12, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{name}</div>
+      {sub}
+    </div>
+    {children}
+    <span style={{ fontSize:11, opacity:0.55, flexShrink:0, minWidth:64, textAlign:'right' }}>{fmtBytes(size)}</span>
+  </div>
+);
+
+// One line for the Account page: where the last Cloud Sync pass left things
+const syncSummary = s => {
+  if (s.state === 'syncing') return 'Syncing your home folder…';
+  if (s.state === 'offline') return 'Server unreachable — will retry';
+  if (s.state === 'error')   return s.error;
+  if (!s.last) return 'Waiting for the first sync';
+  const moved = [s.uploaded && `${s.uploaded} up`, s.downloaded && `${s.downloaded} down`, s.conflicts && `${s.conflicts} conflicted`].filter(Boolean);
+  return `Up to date · last synced ${new Date(s.last).toLocaleTimeString()}${moved.length ? ` (${moved.join(', ')})` : ''}`;
+};
+
 /* ── Main ── */
 export default function SettingsApp({
   currentWallpaper, setWallpaper, wallpapers,
   theme, setTheme,
   taskbarPos, setTaskbarPos,
   iconSize, setIconSize,
-  user, notify,
+  user, notify, vfs,
+  syncStatus, onSyncNow, onBackupNow,
 }) {
   const [tab, setTab]               = useState('appearance');
   const [notifToasts, setNotifToasts] = useState(true);
   const [notifSound,  setNotifSound]  = useState(false);
   const [animations,  setAnimations]  = useState(true);
   const [accentColor, setAccentColor] = useState(ACCENT);
+  const [purgeDays,   setPurgeDays]   = useState(0);
+  const [trashCount,  setTrashCount]  = useState(0);
+  const [revLimit,    setRevLimit]    = useState({ count:20, days:0 });
+  const [backup,      setBackup]      = useState({ days:0, keep:5 });
+  const [lastBackup,  setLastBackup]  = useState(null);
+  const [backingUp,   setBackingUp]   = useState(false);
+  const [usageRoot,   setUsageRoot]   = useState('/');
+  const [usage,       setUsage]       = useState(null);   // vfs.storageUsage(usageRoot)
+  const [quota,       setQuota]       = useState(null);   // navigator.storage.estimate()
+  const [persisted,   setPersisted]   = useState(false);
+  const [storageRev,  setStorageRev]  = useState(0);      // bump to re-measure
+  const [dupes,       setDupes]       = useState(null);
+  const [scanning,    setScanning]    = useState(false);
+  const [cleanup,     setCleanup]     = useState({ trash:true, revisions:true, revDays:30, history:false });
+
+  useEffect(() => {
+    if (!vfs) return;
+    vfs.getMeta('trashPurgeDays').then(d => setPurgeDays(d || 0));
+    vfs.listTrash().then(t => setTrashCount(t.length)).catch(() => {});
+    vfs.revisionLimit().then(setRevLimit);
+    vfs.getMeta('backupSchedule').then(b => b && setBackup(p => ({ ...p, ...b })));
+    vfs.getMeta('lastBackup').then(t => setLastBackup(t || null));
+  }, [vfs]);
+
+  useEffect(() => {
+    if (!vfs || tab !== 'storage') return;
+    vfs.storageUsage(usageRoot).then(setUsage).catch(e => notify('error', 'Storage', e.message || String(e)));
+    navigator.storage?.estimate?.().then(setQuota).catch(() => {});
+    navigator.storage?.persisted?.().then(setPersisted).catch(() => {});
+  }, [vfs, tab, usageRoot, storageRev, notify]);
+
+  const requestPersist = async () => {
+    const ok = await navigator.storage?.persist?.().catch(() => false);
+    setPersisted(!!ok);
+    notify(ok ? 'success' : 'warning', 'Persistent Storage',
+      ok ? 'The browser will keep LynkOS data even when space runs low' : 'The browser declined — data may be cleared under storage pressure');
+  };
+
+  const findDuplicates = async () => {
+    setScanning(true);
+    try { setDupes(await vfs.findDuplicates(usageRoot)); }
+    catch (e) { notify('error', 'Duplicates', e.message || String(e)); }
+    finally { setScanning(false); }
+  };
+
+  const trashCopy = async (group, item) => {
+    try {
+      await vfs.trash(item.path);
+      const left = group.items.filter(it => it.path !== item.path);
+      setDupes(ds => ds.map(g => g === group ? { ...g, items:left } : g).filter(g => g.items.length > 1));
+      setStorageRev(n => n + 1);
+      setTrashCount(c => c + 1);
+    } catch (e) { notify('error', 'Move to Trash', e.message || String(e)); }
+  };
+
+  const runCleanup = async () => {
+    const steps = [
+      cleanup.trash     && 'empty the Trash',
+      cleanup.revisions && (cleanup.revDays ? `delete file versions older than ${cleanup.revDays} days` : 'delete all earlier file versions'),
+      cleanup.history   && 'clear browser history',
+    ].filter(Boolean);
+    if (!steps.length || !confirm(`This will ${steps.join(', ')}. Continue?`)) return;
+    const freed = [];
+    try {
+      if (cleanup.trash) {
+        const size = usage?.trash.size || 0;
+        freed.push(`${await vfs.emptyTrash()} item(s) from the Trash (${fmtBytes(size)})`);
+        setTrashCount(0);
+      }
+      if (cleanup.revisions) {
+        const { count, size } = await vfs.clearRevisions(cleanup.revDays);
+        freed.push(`${count} version(s) (${fmtBytes(size)})`);
+      }
+      if (cleanup.history) {
+        freed.push(`${browserHistoryCount()} history entries`);
+        localStorage.removeItem(BROWSER_HISTORY_KEY);
+      }
+      notify('success', 'Cleanup Complete', `Removed ${freed.join(', ')}`);
+    } catch (e) { notify('error', 'Cleanup', e.message || String(e)); }
+    setStorageRev(n => n + 1);
+  };
+
+  const chooseRevLimit = async patch => {
+    const next = { ...revLimit, ...patch };
+    setRevLimit(next);
+    await vfs.setMeta('revisionLimit', next);
+    notify('info', 'Version History', next.count
+      ? `Keeping up to ${next.count} versions${next.days ? ` from the last ${next.days} days` : ''} — applied as files are saved`
+      : 'Earlier versions are no longer kept');
+  };
+
+  const chooseBackup = async patch => {
+    const next = { ...backup, ...patch };
+    setBackup(next);
+    await vfs.setMeta('backupSchedule', next);
+    if ('days' in patch) notify('info', 'Backups', next.days
+      ? `Backing up every ${next.days === 1 ? 'day' : `${next.days} days`} to /Users/Admin/Backups`
+      : 'Scheduled backups off');
+  };
+
+  const runBackup = async () => {
+    setBackingUp(true);
+    try {
+      const name = await onBackupNow();
+      if (name) notify('success', 'Backup Complete', `Saved /Users/Admin/Backups/${name}`);
+      setLastBackup(await vfs.getMeta('lastBackup'));
+    } catch (e) { notify('error', 'Backup Failed', e.message || String(e)); }
+    finally { setBackingUp(false); }
+  };
+
+  const choosePurge = async days => {
+    setPurgeDays(days);
+    await vfs.setMeta('trashPurgeDays', days);
+    const n = await vfs.purgeTrash(days).catch(() => 0);
+    if (n) setTrashCount(c => c - n);
+    notify('info', 'Trash', days ? `Items older than ${days} days are deleted automatically` : 'Automatic emptying off');
+  };
+
+  const emptyTrash = async () => {
+    if (!confirm('Permanently delete everything in the Trash?')) return;
+    try { notify('info', 'Trash Emptied', `${await vfs.emptyTrash()} item(s) deleted`); setTrashCount(0); }
+    catch (e) { notify('error', 'Empty Trash', e.message || String(e)); }
+  };
 
   const activeWpName = (() => {
     if (!wallpapers || !currentWallpaper) return 'Vanta Waves';
@@ -205,6 +419,179 @@ export default function SettingsApp({
         </div>
       </Section>
     ),
+    system: () => (
+      <>
+        <Section title="Trash">
+          <Row label="Empty automatically" sub="Permanently delete items that have been in the Trash longer than this">
+            <div style={{ display:'flex', gap:7 }}>
+              {TRASH_PURGE.map(p => (
+                <Pill key={p.value} label={p.label} active={purgeDays === p.value} onClick={() => choosePurge(p.value)}/>
+              ))}
+            </div>
+          </Row>
+          <Row label="Trash" sub={`${trashCount} item(s)`}>
+            <ActionBtn icon={<Trash2 size={13}/>} label="Empty Trash" danger onClick={emptyTrash}/>
+          </Row>
+        </Section>
+        <Section title="Version History">
+          <Row label="Versions kept" sub="Earlier versions of each text file, restorable from the Text Editor or Properties">
+            <div style={{ display:'flex', gap:7 }}>
+              {REVISION_COUNTS.map(p => (
+                <Pill key={p.value} label={p.label} active={revLimit.count === p.value} onClick={() => chooseRevLimit({ count:p.value })}/>
+              ))}
+            </div>
+          </Row>
+          <Row label="Keep for" sub="Versions older than this are dropped the next time the file is saved">
+            <div style={{ display:'flex', gap:7 }}>
+              {REVISION_AGES.map(p => (
+                <Pill key={p.value} label={p.label} active={revLimit.days === p.value} onClick={() => chooseRevLimit({ days:p.value })}/>
+              ))}
+            </div>
+          </Row>
+        </Section>
+        <Section title="Backups">
+          <Row label="Back up automatically" sub="A ZIP of every file and your desktop settings, saved to /Users/Admin/Backups">
+            <div style={{ display:'flex', gap:7 }}>
+              {BACKUP_EVERY.map(p => (
+                <Pill key={p.value} label={p.label} active={backup.days === p.value} onClick={() => chooseBackup({ days:p.value })}/>
+              ))}
+            </div>
+          </Row>
+          <Row label="Backups kept" sub="The oldest are deleted after each new backup">
+            <div style={{ display:'flex', gap:7 }}>
+              {BACKUP_KEEP.map(p => (
+                <Pill key={p.value} label={p.label} active={backup.keep === p.value} onClick={() => chooseBackup({ keep:p.value })}/>
+              ))}
+            </div>
+          </Row>
+          <Row label="Last backup" sub={lastBackup ? new Date(lastBackup).toLocaleString() : 'None yet'}>
+            <ActionBtn icon={<Save size={13}/>} label={backingUp ? 'Backing Up…' : 'Back Up Now'} onClick={backingUp ? undefined : runBackup}/>
+          </Row>
+        </Section>
+      </>
+    ),
+    storage: () => {
+      const vfsBytes = usageRoot === '/' && usage ? usage.size + usage.trash.size + usage.revisions.size + usage.snapshots.size : 0;
+      const biggest  = usage?.children[0]?.size || 1;
+      const up       = usageRoot.slice(0, usageRoot.lastIndexOf('/')) || '/';
+      return (
+        <>
+          <Section title="Browser Storage">
+            {quota?.quota ? (
+              <div style={{ padding:'6px 0 12px' }}>
+                <Meter total={quota.quota} parts={vfsBytes ? [
+                  { label:'LynkOS files', value:Math.min(vfsBytes, quota.usage), color:ACCENT },
+                  { label:'Other site data', value:Math.max(0, quota.usage - vfsBytes), color:'rgba(255,255,255,0.35)' },
+                ] : [{ label:'Used', value:quota.usage, color:ACCENT }]}/>
+                <div style={{ fontSize:12, marginTop:7 }}>
+                  {fmtBytes(quota.usage)} used of {fmtBytes(quota.quota)}
+                  <span style={{ opacity:0.45 }}> · {(quota.usage / quota.quota * 100).toFixed(1)}%</span>
+                </div>
+              </div>
+            ) : (
+              <div style={{ fontSize:12, opacity:0.45, padding:'6px 0 12px' }}>This browser doesn't report its storage quota</div>
+            )}
+            <Row label="Persistent storage" sub={persisted
+              ? 'Granted — the browser won’t clear LynkOS data when space runs low'
+              : 'Without it the browser may clear LynkOS data when the device runs low on space'}>
+              {persisted
+                ? <Check size={16} color={ACCENT}/>
+                : <ActionBtn icon={<Shield size={13}/>} label="Request" onClick={requestPersist}/>}
+            </Row>
+          </Section>
+
+          <Section title={`Usage — ${usageRoot}`}>
+            {!usage ? <div style={{ fontSize:12, opacity:0.45 }}>Measuring…</div> : (
+              <>
+                <div style={{ display:'flex', alignItems:'center', gap:8, marginBottom:8 }}>
+                  {usageRoot !== '/' && <ActionBtn icon={<ArrowUp size={13}/>} label="Up" onClick={() => { setUsageRoot(up); setDupes(null); }}/>}
+                  <span style={{ fontSize:12, opacity:0.55 }}>{fmtBytes(usage.size)} in {usage.count} file(s)</span>
+                  <ActionBtn icon={<RefreshCw size={13}/>} label="Refresh" onClick={() => setStorageRev(n => n + 1)}/>
+                </div>
+                {usage.children.map(c => (
+                  <FileRow key={c.path} icon={c.type === 'folder' ? <Folder size={14}/> : <File size={14}/>} name={c.name} size={c.size}
+                    onClick={c.type === 'folder' ? () => { setUsageRoot(c.path); setDupes(null); } : undefined}
+                    sub={<div style={{ marginTop:4 }}><Meter height={4} total={biggest} parts={[{ label:c.name, value:c.size, color:ACCENT }]}/></div>}/>
+                ))}
+                {usageRoot === '/' && [
+                  ['Trash',            usage.trash],
+                  ['Earlier versions', usage.revisions],
+                  ['Snapshots',        usage.snapshots],
+                ].map(([label, u]) => (
+                  <FileRow key={label} icon={<HardDrive size={14}/>} name={label} size={u.size}
+                    sub={<div style={{ fontSize:10, opacity:0.4 }}>{u.count} item(s) outside the folder tree</div>}/>
+                ))}
+              </>
+            )}
+          </Section>
+
+          {usage && usage.kinds.length > 0 && (
+            <Section title="File Types">
+              <Meter height={14} total={usage.size} parts={usage.kinds.map(k => ({ label:k.kind, value:k.size, color:KIND_COLORS[k.kind] }))}/>
+              <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:'6px 18px', marginTop:12 }}>
+                {usage.kinds.map(k => (
+                  <div key={k.kind} style={{ display:'flex', alignItems:'center', gap:7, fontSize:12 }}>
+                    <span style={{ width:9, height:9, borderRadius:2, background:KIND_COLORS[k.kind], flexShrink:0 }}/>
+                    <span style={{ flex:1 }}>{k.kind} <span style={{ opacity:0.4 }}>· {k.count}</span></span>
+                    <span style={{ opacity:0.55 }}>{fmtBytes(k.size)}</span>
+                  </div>
+                ))}
+              </div>
+            </Section>
+          )}
+
+          {usage && usage.largest.length > 0 && (
+            <Section title="Largest Files">
+              {usage.largest.map(f => (
+                <FileRow key={f.path} icon={<File size={14}/>} name={f.name} size={f.size}
+                  sub={<div style={{ fontSize:10, opacity:0.4, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{f.parent}</div>}/>
+              ))}
+            </Section>
+          )}
+
+          <Section title="Duplicates">
+            <Row label="Identical files" sub={dupes
+              ? `${dupes.length} group(s) · ${fmtBytes(dupes.reduce((n, g) => n + g.size * (g.items.length - 1), 0))} in extra copies`
+              : `Compares the content of same-size files in ${usageRoot}`}>
+              <ActionBtn icon={<Search size={13}/>} label={scanning ? 'Scanning…' : 'Find Duplicates'} onClick={scanning ? undefined : findDuplicates}/>
+            </Row>
+            {dupes?.map(g => (
+              <div key={g.hash} style={{ padding:'8px 0', borderBottom:'1px solid rgba(255,255,255,0.05)' }}>
+                <div style={{ fontSize:11, opacity:0.45, marginBottom:2 }}>{g.items.length} copies · {fmtBytes(g.size)} each</div>
+                {g.items.map(it => (
+                  <FileRow key={it.path} icon={<File size={14}/>} name={it.path} size={it.size}>
+                    <button onClick={() => trashCopy(g, it)} title="Move this copy to the Trash"
+                      style={{ background:'transparent', border:'none', color:'rgba(255,255,255,0.45)', cursor:'pointer', display:'flex' }}>
+                      <Trash2 size={13}/>
+                    </button>
+                  </FileRow>
+                ))}
+              </div>
+            ))}
+          </Section>
+
+          <Section title="Clean Up">
+            <Row label="Empty the Trash" sub={usage ? `${usage.trash.count} file(s) · ${fmtBytes(usage.trash.size)}` : `${trashCount} item(s)`}>
+              <Toggle on={cleanup.trash} onChange={v => setCleanup(c => ({ ...c, trash:v }))}/>
+            </Row>
+            <Row label="Clear earlier versions" sub={usage ? `${usage.revisions.count} version(s) · ${fmtBytes(usage.revisions.size)}` : undefined}>
+              <div style={{ display:'flex', alignItems:'center', gap:7 }}>
+                {cleanup.revisions && CLEANUP_AGES.map(a => (
+                  <Pill key={a.value} label={a.label} active={cleanup.revDays === a.value} onClick={() => setCleanup(c => ({ ...c, revDays:a.value }))}/>
+                ))}
+                <Toggle on={cleanup.revisions} onChange={v => setCleanup(c => ({ ...c, revisions:v }))}/>
+              </div>
+            </Row>
+            <Row label="Clear browser history" sub={`${browserHistoryCount()} entries`}>
+              <Toggle on={cleanup.history} onChange={v => setCleanup(c => ({ ...c, history:v }))}/>
+            </Row>
+            <div style={{ display:'flex', justifyContent:'flex-end', paddingTop:12 }}>
+              <ActionBtn icon={<Trash2 size={13}/>} label="Clean Up" danger onClick={runCleanup}/>
+            </div>
+          </Section>
+        </>
+      );
+    },
     account: () => (
        <Section title="Profile">
           <div style={{ display:'flex', alignItems:'center', gap:16, padding:'14px 0' }}>
@@ -220,6 +607,9 @@ export default function SettingsApp({
           <Row label="Backend URL" sub="Current API connectivity">
              <code style={{fontSize: 10, color: ACCENT}}>{API_URL}</code>
           </Row>
+          <Row label="Cloud Sync" sub={syncStatus ? syncSummary(syncStatus) : 'Off — turn it on in Quick Settings'}>
+            {syncStatus && <ActionBtn icon={<RefreshCw size={13}/>} label="Sync Now" onClick={onSyncNow}/>}
+          </Row>
        </Section>
     ),
     about: () => (
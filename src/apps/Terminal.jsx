@@ -1,20 +1,1702 @@
 /**
- * Terminal.jsx
- * ─────────────────
- * Full implementation goes here.
- * Props received from Desktop.jsx:
- *   vfs, setVfs, theme, notify, onOpenFile, onOpenApp, onClose, initialFile, user
- *   (SettingsApp also: currentWallpaper, setWallpaper, setTheme, setTaskbarPos, setIconSize, wallpapers, pinnedApps, setPinnedApps)
+ * Terminal.jsx — LynkOS Terminal v4.0
+ * =====================================
+ * A small POSIX-flavoured shell that runs directly against the shared VFS.
+ *
+ * Built-in commands:
+ *   ls [-a] [-l] [path…]         cd [path]          pwd
+ *   mkdir [-p] path…             touch path…        cat path…
+ *   rm [-r] [-f] path…           cp [-r] src… dest  mv src… dest
+ *   chmod [-R] mode path…        chown [-R] owner[:group] path…
+ *   mount [-t kind [source] [name]]   umount path…
+ *   whoami                       sudo command [args…]
+ *   echo [-n] [text…]            find [path] [-name glob] [-type f|d]
+ *   grep [-i] [-v] [-n] [-c]     wc [-l] [-w] [-c]  head / tail [-n N]
+ *   sort [-r] [-n] [-u]          uniq [-c] [-d]
+ *   export NAME=value            unset NAME         env
+ *   test / [ expr ]              true  false        clear  help
+ *   sh script [args…]            source / . script  exit [n]
+ *   break [n]  continue [n]      shift [n]
+ *
+ * Command lines are lexed and parsed properly: 'single' and "double" quotes,
+ * $VAR / ${VAR} / $? expansion, * and ? globs (expanded against vfs.list()),
+ * pipelines (a | b), chaining (a && b, a || b, a ; b) and redirection
+ * (> file, >> file, < file). Filters read file content or their stdin.
+ * Paths may be absolute, relative to the working directory, or start with
+ * ~ (/Users/Admin). Each command maps onto the VirtualFileSystem API:
+ * list, get, createFolder, createFile, updateFile, delete, copy, move, search,
+ * chmod / chown, mountBackend / unmount, and readText / readBytes for file content. The VFS enforces
+ * permissions for its current user (admin); sudo runs one command as root.
+ *
+ * Scripts (.sh) use the same interpreter: newlines separate commands, # starts
+ * a comment, and if/elif/else/fi, for/in/do/done and while|until/do/done work
+ * as in sh. Positional parameters $0…$9, $#, $@ and $* are available inside a
+ * script. Running ./x.sh or any path runs it as a script; opening a .sh file
+ * from the File Manager starts a Terminal that runs it.
+ *
+ * Desktop control goes through the props Desktop.jsx passes to every app:
+ *   open path…                   → onOpenFile (folders open in the File Manager)
+ *   launch [-n] [appId [path]]   → onOpenApp (no id lists the installed apps)
+ *   notify [-t type] title [msg] → notify
+ *   wallpaper [name]             → setWallpaper (no name lists the wallpapers)
+ *   theme [dark|light]           → setTheme
+ *   ps / kill id…                → the windows list / onCloseWindow
+ *
+ * Sessions:
+ *   • Several shell tabs per window (Ctrl+Shift+T / Ctrl+Shift+W, Ctrl+PgUp/PgDn)
+ *   • Command history shared by all tabs, persisted with vfs.setMeta()
+ *   • ↑/↓ walk the history, Ctrl+R reverse search, Tab completes commands/paths
+ *   • Ctrl+C aborts the running job (exit status 130), Ctrl+L clears the screen
+ *   • ANSI SGR colours (echo -e '\e[32mok\e[0m'; ls colours folders and scripts)
  */
 
-import React from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { format } from 'date-fns';
+import { Plus, X, Terminal as TerminalIcon } from 'lucide-react';
+
+const ACCENT = '#4facfe';
+const GREEN  = '#27c93f';
+const RED    = '#ff5f56';
+const MONO   = "'Cascadia Code','JetBrains Mono','Fira Code',Consolas,monospace";
+const HOME   = '/Users/Admin';
+const NOTIFY_TYPES = ['info', 'success', 'warning', 'error'];
+const MOUNT_KINDS  = ['memory', 'opfs', 'idb', 'http', 'handle'];
+
+// ── Path helpers ──────────────────────────────────────────────────────────────
+const resolvePath = (cwd, p) => {
+  if (!p || p === '~') return HOME;
+  if (p.startsWith('~/')) p = HOME + p.slice(1);
+  const parts = p.startsWith('/') ? [] : cwd.split('/').filter(Boolean);
+  for (const seg of p.split('/')) {
+    if (!seg || seg === '.') continue;
+    if (seg === '..') parts.pop();
+    else parts.push(seg);
+  }
+  return '/' + parts.join('/');
+};
+const dirname  = p => p.split('/').slice(0, -1).join('/') || '/';
+const basename = p => p.split('/').pop() || '/';
+const joinPath = (dir, name) => dir === '/' ? `/${name}` : `${dir}/${name}`;
+const prettyPath = p => p === HOME ? '~' : p.startsWith(HOME + '/') ? '~' + p.slice(HOME.length) : p;
+
+const isScript   = f => f?.type === 'file' && /\.sh$/i.test(f.name || '');
+const shellQuote = s => /^[\w./~-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+
+// Glob → RegExp. A backslash makes the next character literal, which is how
+// quoted text inside a partly-quoted word is kept from matching.
+const escapeRe = c => c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const globToRegExp = glob => {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '\\' && i + 1 < glob.length) re += escapeRe(glob[++i]);
+    else if (c === '*') re += '.*';
+    else if (c === '?') re += '.';
+    else re += escapeRe(c);
+  }
+  return new RegExp('^' + re + '$');
+};
+const hasGlob      = s => /(^|[^\\])[*?]/.test(s);
+const unescapeGlob = s => s.replace(/\\(.)/g, '$1');
+
+// ── Lexer ─────────────────────────────────────────────────────────────────────
+// Produces { word:[{ text, q }] } and { op } tokens. A word keeps its quoting
+// per segment (q = '' unquoted, '"' double, "'" single/escaped) so that $VAR
+// and glob expansion can be applied later, at run time. Newlines become
+// { op:'\n' } separators so scripts lex exactly like typed command lines.
+const OPERATORS = ['&&', '||', '>>', '|', ';', '>', '<', '\n'];
+
+const lex = line => {
+  const tokens = [];
+  let word = null;
+  const add = (text, q) => {
+    if (!word) word = [];
+    const last = word[word.length - 1];
+    if (last && last.q === q) last.text += text;
+    else word.push({ text, q });
+  };
+  const flush = () => { if (word) tokens.push({ word }); word = null; };
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === "'") {
+      const end = line.indexOf("'", i + 1);
+      if (end === -1) throw new Error('unterminated quote');
+      add(line.slice(i + 1, end), "'");
+      i = end;
+    } else if (c === '"') {
+      add('', '"');
+      let j = i + 1;
+      for (; j < line.length && line[j] !== '"'; j++) {
+        if (line[j] === '\\' && '"\\$'.includes(line[j + 1])) add(line[++j], "'");
+        else add(line[j], '"');
+      }
+      if (j >= line.length) throw new Error('unterminated quote');
+      i = j;
+    } else if (c === '\\') {
+      if (line[i + 1] === '\n') i++;
+      else if (i + 1 < line.length) add(line[++i], "'");
+    } else if (c !== '\n' && /\s/.test(c)) {
+      flush();
+    } else if (c === '#' && !word) {
+      while (i + 1 < line.length && line[i + 1] !== '\n') i++;
+    } else {
+      const op = OPERATORS.find(o => line.startsWith(o, i));
+      if (op) { flush(); tokens.push({ op }); i += op.length - 1; }
+      else add(c, '');
+    }
+  }
+  flush();
+  return tokens;
+};
+
+// ── Parser ────────────────────────────────────────────────────────────────────
+// list     → and_or ((; | newline) and_or)*
+// and_or   → pipeline ((&& | ||) pipeline)*
+// pipeline → command (| command)*
+// command  → simple | if … fi | for … done | while … done | until … done
+// simple   → (word | redirect)+
+// A list is flat: [{ pipeline, op }] where op joins an item to the next one.
+// Reserved words are only recognised unquoted and in command position.
+const KEYWORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'do', 'done', 'while', 'until'];
+
+const syntaxError = tok => new Error(tok
+  ? `syntax error near unexpected token \`${tok}'`
+  : 'syntax error: unexpected end of file');
+
+const keyword = tok =>
+  tok?.word?.length === 1 && !tok.word[0].q && KEYWORDS.includes(tok.word[0].text) ? tok.word[0].text : null;
+
+const describe = tok =>
+  !tok ? null : tok.op ? (tok.op === '\n' ? 'newline' : tok.op) : tok.word.map(s => s.text).join('');
+
+const parse = tokens => {
+  let i = 0;
+  const isSep     = t => t?.op === ';' || t?.op === '\n';
+  const isRedir   = t => t?.op === '>' || t?.op === '>>' || t?.op === '<';
+  const skipLines = () => { while (tokens[i]?.op === '\n') i++; };
+  const expect    = kw => { if (keyword(tokens[i]) !== kw) throw syntaxError(describe(tokens[i])); i++; };
+
+  const parseList = (stops = []) => {
+    const list = [];
+    for (;;) {
+      skipLines();
+      if (!tokens[i] || stops.includes(keyword(tokens[i]))) return list;
+      let item = { pipeline:parsePipeline(), op:null };
+      list.push(item);
+      while (tokens[i]?.op === '&&' || tokens[i]?.op === '||') {
+        item.op = tokens[i++].op;
+        skipLines();
+        item = { pipeline:parsePipeline(), op:null };
+        list.push(item);
+      }
+      if (isSep(tokens[i])) { item.op = ';'; i++; }
+      else if (tokens[i] && !stops.includes(keyword(tokens[i]))) throw syntaxError(describe(tokens[i]));
+    }
+  };
+
+  // The body of a compound command must be non-empty and properly closed
+  const parseBody = stops => {
+    const list = parseList(stops);
+    if (!tokens[i]) throw syntaxError(null);
+    if (!list.length) throw syntaxError(describe(tokens[i]));
+    return list;
+  };
+
+  const parsePipeline = () => {
+    const pipeline = [parseCommand()];
+    while (tokens[i]?.op === '|') { i++; skipLines(); pipeline.push(parseCommand()); }
+    return pipeline;
+  };
+
+  const parseCommand = () => {
+    const kw = keyword(tokens[i]);
+    let cmd;
+    if (kw === 'if')                           cmd = parseIf();
+    else if (kw === 'for')                     cmd = parseFor();
+    else if (kw === 'while' || kw === 'until') cmd = parseWhile(kw);
+    else if (kw && kw !== 'in')                throw syntaxError(kw);
+    else                                       cmd = { words:[], redirects:[] };
+    for (let t = tokens[i]; t; t = tokens[i]) {
+      if (t.word && !cmd.type) { cmd.words.push(t.word); i++; continue; }
+      if (!isRedir(t)) break;
+      const target = tokens[i + 1];
+      if (!target?.word) throw syntaxError(describe(target));
+      cmd.redirects.push({ op:t.op, word:target.word });
+      i += 2;
+    }
+    if (!cmd.type && !cmd.words.length && !cmd.redirects.length) throw syntaxError(describe(tokens[i]));
+    return cmd;
+  };
+
+  const parseIf = () => {
+    const clauses = [];
+    let orelse = null;
+    for (let kw = 'if'; kw === 'if' || kw === 'elif'; ) {
+      i++;
+      const cond = parseBody(['then']);
+      expect('then');
+      clauses.push({ cond, body:parseBody(['elif', 'else', 'fi']) });
+      kw = keyword(tokens[i]);
+    }
+    if (keyword(tokens[i]) === 'else') { i++; orelse = parseBody(['fi']); }
+    expect('fi');
+    return { type:'if', clauses, orelse, redirects:[] };
+  };
+
+  // for NAME [in word…] ; do list done — without "in" the loop walks "$@"
+  const parseFor = () => {
+    i++;
+    const name = tokens[i]?.word?.length === 1 && !tokens[i].word[0].q && tokens[i].word[0].text;
+    if (!name || !/^[A-Za-z_]\w*$/.test(name)) throw syntaxError(describe(tokens[i]));
+    i++;
+    let words = null;
+    skipLines();
+    if (keyword(tokens[i]) === 'in') {
+      i++;
+      words = [];
+      while (tokens[i]?.word) words.push(tokens[i++].word);
+    }
+    if (isSep(tokens[i])) i++;
+    skipLines();
+    expect('do');
+    const body = parseBody(['done']);
+    expect('done');
+    return { type:'for', name, words, body, redirects:[] };
+  };
+
+  const parseWhile = kw => {
+    i++;
+    const cond = parseBody(['do']);
+    expect('do');
+    const body = parseBody(['done']);
+    expect('done');
+    return { type:'while', until:kw === 'until', cond, body, redirects:[] };
+  };
+
+  const list = parseList();
+  if (i < tokens.length) throw syntaxError(describe(tokens[i]));
+  return list;
+};
+
+// ── Expansion ─────────────────────────────────────────────────────────────────
+// $NAME, ${NAME}, positional $0…$9 / ${10}, $#, $@, $* and $?
+const VAR_RE = /\$(?:\{([A-Za-z_]\w*|\d+|[?#@*])\}|([A-Za-z_]\w*|\d|[?#@*]))/g;
+
+const lookupVar = (name, sh) => {
+  const args = sh.args || [];
+  if (/^\d+$/.test(name))         return args[Number(name)] ?? '';
+  if (name === '#')                return String(Math.max(args.length - 1, 0));
+  if (name === '@' || name === '*') return args.slice(1).join(' ');
+  return sh.env[name] ?? '';
+};
+
+// Expand a glob pattern against vfs.list(), one path segment at a time
+const expandGlob = async (pattern, sh) => {
+  let base = sh.cwd, shown = '';
+  let rest = pattern;
+  if (pattern.startsWith('/'))       { base = '/';  shown = '/'; }
+  else if (pattern.startsWith('~/')) { base = HOME; shown = '~'; rest = pattern.slice(1); }
+  const join = (a, b) => !a ? b : a.endsWith('/') ? a + b : `${a}/${b}`;
+
+  let cands = [{ path:base, shown }];
+  const segs = rest.split('/').filter(Boolean);
+  let mustExist = false;
+  for (const seg of segs) {
+    if (!hasGlob(seg)) {
+      const lit = unescapeGlob(seg);
+      cands = cands.map(c => ({ path:resolvePath(c.path, lit), shown:join(c.shown, lit) }));
+      mustExist = true;
+      continue;
+    }
+    const re   = globToRegExp(seg);
+    const next = [];
+    for (const c of cands) {
+      for (const child of await sh.vfs.list(c.path)) {
+        if (child.name.startsWith('.') && !seg.startsWith('.')) continue;
+        if (re.test(child.name)) next.push({ path:child.path, shown:join(c.shown, child.name) });
+      }
+    }
+    cands = next;
+    mustExist = false;
+  }
+  if (mustExist) {
+    const ok = await Promise.all(cands.map(c => sh.vfs.get(c.path)));
+    cands = cands.filter((_, i) => ok[i]);
+  }
+  return cands.map(c => c.shown).sort();
+};
+
+// word → list of argument strings. Unquoted expansions are split on blanks
+// (an empty one disappears) and globbed against the VFS; "$@" yields one
+// field per positional argument.
+const expandWord = async (word, sh) => {
+  const fields = [];
+  let cur = null;
+  const open  = () => (cur ??= { value:'', pattern:'', glob:false });
+  const close = () => { if (cur) fields.push(cur); cur = null; };
+  const add   = (t, quoted) => {
+    if (!t) return;
+    open().value += t;
+    if (quoted) cur.pattern += t.replace(/[*?\\]/g, '\\$&');
+    else { cur.pattern += t; cur.glob = cur.glob || /[*?]/.test(t); }
+  };
+
+  for (const { text, q } of word) {
+    if (q === "'") { open(); add(text, true); continue; }
+    let last = 0, spread = false;
+    for (const m of text.matchAll(VAR_RE)) {
+      add(text.slice(last, m.index), !!q);
+      last = m.index + m[0].length;
+      const name = m[1] ?? m[2];
+      if (q && name === '@') {
+        spread = true;
+        (sh.args || []).slice(1).forEach((a, i) => { if (i) close(); open(); add(a, true); });
+      } else if (q) add(lookupVar(name, sh), true);
+      else lookupVar(name, sh).split(/\s+/).forEach((part, i) => { if (i) close(); add(part, false); });
+    }
+    add(text.slice(last), !!q);
+    if (q && !spread) open();
+  }
+  close();
+
+  const out = [];
+  for (const f of fields) {
+    const matches = f.glob ? await expandGlob(f.pattern, sh) : [];
+    out.push(...(matches.length ? matches : [f.value]));
+  }
+  return out;
+};
+
+// Expand without field splitting or globbing (NAME=value assignments)
+const expandQuoted = async (word, sh) =>
+  (await expandWord(word.map(s => ({ ...s, q:s.q || '"' })), sh)).join(' ');
+
+// ── ANSI escapes ──────────────────────────────────────────────────────────────
+const ESC = '\x1b';
+const sgr = (code, text) => `${ESC}[${code}m${text}${ESC}[0m`;
+
+// echo -e: \n \t \r \\ \a, \e / \033 / \x1b (escape) and octal / hex bytes
+const ECHO_ESCAPES = { n:'\n', t:'\t', r:'\r', a:'\x07', e:ESC, '\\':'\\' };
+const unescapeEcho = s => s.replace(/\\(0[0-7]{1,3}|x[0-9a-fA-F]{1,2}|.)/g, (m, c) =>
+  c.length > 1 && c[0] === '0' ? String.fromCharCode(parseInt(c.slice(1), 8))
+  : c.length > 1 && c[0] === 'x' ? String.fromCharCode(parseInt(c.slice(1), 16))
+  : ECHO_ESCAPES[c] ?? m);
+
+// SGR colour state → inline style. 30–37/90–97 (and 40–47/100–107 for the
+// background), 256-colour 38;5;n and true-colour 38;2;r;g;b are understood.
+const ANSI_COLORS = ['#1e1e1e', '#ff5f56', '#27c93f', '#ffbd2e', '#4facfe', '#c678dd', '#56b6c2', '#d4d4d4'];
+const ANSI_BRIGHT = ['#6c7680', '#ff7b72', '#5af78e', '#f4f99d', '#79c0ff', '#ff92d0', '#9aedfe', '#ffffff'];
+const CUBE        = [0, 95, 135, 175, 215, 255];
+
+const xterm256 = n => {
+  if (n < 8)   return ANSI_COLORS[n];
+  if (n < 16)  return ANSI_BRIGHT[n - 8];
+  if (n < 232) { n -= 16; return `rgb(${CUBE[Math.floor(n / 36)]},${CUBE[Math.floor(n / 6) % 6]},${CUBE[n % 6]})`; }
+  const g = 8 + (n - 232) * 10;
+  return `rgb(${g},${g},${g})`;
+};
+
+const applySgr = (style, params) => {
+  const p = params ? params.split(';').map(Number) : [0];
+  let s = { ...style };
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i], key = c === 38 ? 'color' : 'background';
+    if (c === 0)                    s = {};
+    else if (c === 1)               s.fontWeight = 'bold';
+    else if (c === 2)               s.opacity = 0.6;
+    else if (c === 3)               s.fontStyle = 'italic';
+    else if (c === 4)               s.textDecoration = 'underline';
+    else if (c === 22)              { delete s.fontWeight; delete s.opacity; }
+    else if (c === 23)              delete s.fontStyle;
+    else if (c === 24)              delete s.textDecoration;
+    else if (c >= 30 && c <= 37)    s.color = ANSI_COLORS[c - 30];
+    else if (c >= 90 && c <= 97)    s.color = ANSI_BRIGHT[c - 90];
+    else if (c === 39)              delete s.color;
+    else if (c >= 40 && c <= 47)    s.background = ANSI_COLORS[c - 40];
+    else if (c >= 100 && c <= 107)  s.background = ANSI_BRIGHT[c - 100];
+    else if (c === 49)              delete s.background;
+    else if ((c === 38 || c === 48) && p[i + 1] === 5) { s[key] = xterm256(p[i + 2] || 0); i += 2; }
+    else if ((c === 38 || c === 48) && p[i + 1] === 2) { s[key] = `rgb(${p[i + 2]},${p[i + 3]},${p[i + 4]})`; i += 4; }
+  }
+  return s;
+};
+
+// Split one line into [{ text, style }] runs; other CSI sequences are dropped
+const parseAnsi = line => {
+  const [head, ...rest] = line.split(ESC);
+  const runs = head ? [{ text:head, style:{} }] : [];
+  let style = {};
+  for (const part of rest) {
+    const m = part.match(/^\[([\d;]*)([A-Za-z])/);
+    if (m?.[2] === 'm') style = applySgr(style, m[1]);
+    const text = m ? part.slice(m[0].length) : part;
+    if (text) runs.push({ text, style });
+  }
+  return runs;
+};
+
+// ── Text helpers for the filter commands ─────────────────────────────────────
+const toLines = t => !t ? [] : t.replace(/\n$/, '').split('\n');
+
+// Read each named file, or stdin when no files are given
+const readInputs = async (cmd, files, sh) => {
+  if (!files.length) return { inputs:[{ name:null, text:sh.stdin }], failed:false };
+  const inputs = [];
+  let failed = false;
+  for (const f of files) {
+    const item = await sh.vfs.get(resolvePath(sh.cwd, f));
+    if (!item) { sh.err(`${cmd}: ${f}: No such file or directory`); failed = true; }
+    else if (item.type === 'folder') { sh.err(`${cmd}: ${f}: Is a directory`); failed = true; }
+    else inputs.push({ name:f, text:await sh.vfs.readText(item.path) });
+  }
+  return { inputs, failed };
+};
+
+// head/tail style counts: -n N, -nN or -N
+const parseCount = (args, def = 10) => {
+  let n = def;
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '-n')              n = parseInt(args[++i], 10);
+    else if (/^-n\d+$/.test(a))  n = parseInt(a.slice(2), 10);
+    else if (/^-\d+$/.test(a))   n = parseInt(a.slice(1), 10);
+    else rest.push(a);
+  }
+  return { n, rest };
+};
+
+// Split leading "-abc" switches off an argument list
+const parseFlags = args => {
+  const flags = new Set(), rest = [];
+  let done = false;
+  for (const a of args) {
+    if (!done && a === '--') { done = true; continue; }
+    if (!done && a.length > 1 && a.startsWith('-')) [...a.slice(1)].forEach(f => flags.add(f));
+    else rest.push(a);
+  }
+  return { flags, rest };
+};
+
+// ── File helpers shared by several commands ──────────────────────────────────
+// "operand: reason" for a failed command; VFS errors lead with their own absolute path
+const reason = (operand, e) => `${operand}: ${e.code ? e.message.slice(String(e.path).length + 2) : e.message}`;
+
+// `content` is text, or raw bytes when copying
+const writeFile = async (vfs, path, content, append = false) => {
+  const existing = await vfs.get(path);
+  if (existing?.type === 'folder') throw new Error('Is a directory');
+  if (existing) {
+    const next = append ? (await vfs.readText(path)) + content : content;
+    return vfs.updateFile(path, { content: next });
+  }
+  const parent = await vfs.get(dirname(path));
+  if (!parent || parent.type !== 'folder') throw new Error('No such file or directory');
+  return vfs.createFile(dirname(path), basename(path), content);
+};
+
+const copyInto = async (vfs, srcPath, destPath) => {
+  const src = await vfs.get(srcPath);
+  if (src.type === 'file') return writeFile(vfs, destPath, await vfs.readBytes(srcPath));
+  await vfs.createFolder(dirname(destPath), basename(destPath));
+  for (const c of await vfs.list(srcPath)) await vfs.copy(c.path, destPath);
+};
+
+// ── test / [ expressions ─────────────────────────────────────────────────────
+// expr → and (-o and)* ;  and → not (-a not)* ;  not → ! not | ( expr ) | primary
+const toInt = s => {
+  if (!/^\s*-?\d+\s*$/.test(s)) throw new Error(`${s}: integer expression expected`);
+  return parseInt(s, 10);
+};
+
+const TEST_BINARY = {
+  '=':   (a, b) => a === b,
+  '==':  (a, b) => a === b,
+  '!=':  (a, b) => a !== b,
+  '-eq': (a, b) => toInt(a) === toInt(b),
+  '-ne': (a, b) => toInt(a) !== toInt(b),
+  '-lt': (a, b) => toInt(a) <   toInt(b),
+  '-le': (a, b) => toInt(a) <=  toInt(b),
+  '-gt': (a, b) => toInt(a) >   toInt(b),
+  '-ge': (a, b) => toInt(a) >=  toInt(b),
+};
+
+const lookup = (s, sh) => sh.vfs.get(resolvePath(sh.cwd, s));
+const TEST_UNARY = {
+  '-z': async s => s === '',
+  '-n': async s => s !== '',
+  '-e': async (s, sh) => !!await lookup(s, sh),
+  '-f': async (s, sh) => (await lookup(s, sh))?.type === 'file',
+  '-d': async (s, sh) => (await lookup(s, sh))?.type === 'folder',
+  '-s': async (s, sh) => ((await lookup(s, sh))?.size || 0) > 0,
+};
+
+const evalTest = async (args, sh) => {
+  let i = 0;
+  const expr = async () => {
+    let v = await and();
+    while (args[i] === '-o') { i++; const r = await and(); v = v || r; }
+    return v;
+  };
+  const and = async () => {
+    let v = await not();
+    while (args[i] === '-a') { i++; const r = await not(); v = v && r; }
+    return v;
+  };
+  const not = async () => {
+    if (args[i] === '!' && i + 1 < args.length) { i++; return !await not(); }
+    if (args[i] === '(' && i + 1 < args.length) {
+      i++;
+      const v = await expr();
+      if (args[i++] !== ')') throw new Error("missing `)'");
+      return v;
+    }
+    return primary();
+  };
+  const primary = async () => {
+    if (i >= args.length) throw new Error('argument expected');
+    const [a, op, b] = [args[i], args[i + 1], args[i + 2]];
+    if (TEST_BINARY[op] && b !== undefined) { i += 3; return TEST_BINARY[op](a, b); }
+    if (TEST_UNARY[a] && op !== undefined)  { i += 2; return TEST_UNARY[a](op, sh); }
+    i++;
+    return a !== '';
+  };
+
+  if (!args.length) return false;
+  const v = await expr();
+  if (i < args.length) throw new Error(`${args[i]}: unexpected operator`);
+  return v;
+};
+
+const runTest = async (name, args, sh) => {
+  try { return await evalTest(args, sh) ? 0 : 1; }
+  catch (e) { sh.err(`${name}: ${e.message}`); return 2; }
+};
+
+// ── Built-in commands ─────────────────────────────────────────────────────────
+// Each command is async (args, sh) → exit code. `sh` exposes the VFS, the
+// working directory and the out/err writers.
+const COMMANDS = {
+  help: async (_, sh) => {
+    sh.out('Built-in commands:\n' +
+      '  ls [-a] [-l] [path…]      cd [path]          pwd\n' +
+      '  mkdir [-p] path…          touch path…        cat path…\n' +
+      '  rm [-r] [-f] path…        cp [-r] src… dest  mv src… dest\n' +
+      '  chmod [-R] mode path…     chown [-R] owner[:group] path…\n' +
+      '  mount [-t kind [source] [name]]  umount path…\n' +
+      '  whoami                    sudo command [arg…]\n' +
+      '  echo [-n] [text…]         find [path] [-name glob] [-type f|d]\n' +
+      '  grep [-i] [-v] [-n] [-c] pattern [file…]\n' +
+      '  wc [-l] [-w] [-c] [file…] head [-n N] [file…]  tail [-n N] [file…]\n' +
+      '  sort [-r] [-n] [-u] [file…]  uniq [-c] [-d] [file…]\n' +
+      '  export NAME=value         unset NAME         env\n' +
+      '  test expr / [ expr ]      true  false        clear  help\n' +
+      '  sh script [arg…]          source script      exit [n]\n' +
+      '  break [n]  continue [n]   shift [n]          history [-c] [N]\n' +
+      'Desktop:\n' +
+      '  open path…                launch [-n] [appId [path]]\n' +
+      '  notify [-t type] title [message]\n' +
+      '  wallpaper [name]          theme [dark|light] ps                 kill id…\n' +
+      'Operators: cmd | cmd, cmd && cmd, cmd || cmd, cmd ; cmd, > file, >> file, < file.\n' +
+      'Words may be quoted; $VAR and ${VAR} are expanded, * and ? glob against the VFS.\n' +
+      'Control flow: if … then … elif … else … fi, for x in …; do … done, while/until … do … done.\n' +
+      'Keys: ↑/↓ history, Ctrl+R search, Tab complete, Ctrl+C abort, Ctrl+L clear,\n' +
+      '      Ctrl+Shift+T new tab, Ctrl+Shift+W close tab.');
+    return 0;
+  },
+
+  pwd: async (_, sh) => { sh.out(sh.cwd); return 0; },
+
+  cd: async (args, sh) => {
+    const path = resolvePath(sh.cwd, args[0]);
+    const item = await sh.vfs.get(path);
+    if (!item) { sh.err(`cd: ${args[0]}: No such file or directory`); return 1; }
+    if (item.type !== 'folder') { sh.err(`cd: ${args[0]}: Not a directory`); return 1; }
+    sh.setCwd(path);
+    return 0;
+  },
+
+  ls: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const targets = rest.length ? rest : ['.'];
+    let code = 0;
+    // Folders in bold blue and scripts in green, but only on the terminal itself
+    const paint = it => !sh.tty ? it.name
+      : it.type === 'folder' ? sgr('1;34', it.name)
+      : /\.sh$/.test(it.name) ? sgr('32', it.name) : it.name;
+    const fmt = it => flags.has('l')
+      ? `${it.type === 'folder' ? 'd' : '-'}${sh.vfs.modeOf(it)}  ${(it.owner || 'admin').padEnd(5)}  ${sh.vfs.groupOf(it).padEnd(5)}  ${String(it.size || 0).padStart(8)}  ${format(new Date(it.modified), 'MMM dd HH:mm')}  ${paint(it)}${it.type === 'folder' ? '/' : ''}`
+      : `${paint(it)}${it.type === 'folder' ? '/' : ''}`;
+    const files = [], dirs = [];
+    for (const t of targets) {
+      const item = await sh.vfs.get(resolvePath(sh.cwd, t));
+      if (!item) { sh.err(`ls: ${t}: No such file or directory`); code = 1; }
+      else (item.type === 'file' ? files : dirs).push({ t, item });
+    }
+    const join = list => flags.has('l') ? list.map(fmt).join('\n') : list.map(fmt).join('  ');
+    if (files.length) sh.out(join(files.map(f => ({ ...f.item, name:f.t }))));
+    for (const [i, { t, item }] of dirs.entries()) {
+      if (targets.length > 1) sh.out(`${files.length || i ? '\n' : ''}${t}:`);
+      const children = (await sh.vfs.list(item.path))
+        .filter(c => flags.has('a') || !c.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      if (children.length) sh.out(join(children));
+    }
+    return code;
+  },
+
+  mkdir: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    if (!rest.length) { sh.err('mkdir: missing operand'); return 1; }
+    let code = 0;
+    for (const a of rest) {
+      const path = resolvePath(sh.cwd, a);
+      if (flags.has('p')) {
+        let cur = '/';
+        for (const seg of path.split('/').filter(Boolean)) {
+          const next = joinPath(cur, seg);
+          const it   = await sh.vfs.get(next);
+          if (!it) {
+            try { await sh.vfs.createFolder(cur, seg); }
+            catch (e) { sh.err(`mkdir: ${reason(a, e)}`); code = 1; break; }
+          }
+          else if (it.type !== 'folder') { sh.err(`mkdir: ${a}: Not a directory`); code = 1; break; }
+          cur = next;
+        }
+        continue;
+      }
+      if (await sh.vfs.get(path)) { sh.err(`mkdir: ${a}: File exists`); code = 1; continue; }
+      const parent = await sh.vfs.get(dirname(path));
+      if (!parent || parent.type !== 'folder') { sh.err(`mkdir: ${a}: No such file or directory`); code = 1; continue; }
+      try { await sh.vfs.createFolder(dirname(path), basename(path)); }
+      catch (e) { sh.err(`mkdir: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  touch: async (args, sh) => {
+    if (!args.length) { sh.err('touch: missing file operand'); return 1; }
+    let code = 0;
+    for (const a of args) {
+      const path = resolvePath(sh.cwd, a);
+      try {
+        if (await sh.vfs.get(path)) await sh.vfs.updateFile(path, {});
+        else await writeFile(sh.vfs, path, '');
+      } catch (e) { sh.err(`touch: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  cat: async (args, sh) => {
+    if (!args.length) { if (sh.stdin) sh.out(sh.stdin, false); return 0; }
+    let code = 0;
+    for (const a of args) {
+      const item = await sh.vfs.get(resolvePath(sh.cwd, a));
+      if (!item) { sh.err(`cat: ${a}: No such file or directory`); code = 1; continue; }
+      if (item.type === 'folder') { sh.err(`cat: ${a}: Is a directory`); code = 1; continue; }
+      try { sh.out(await sh.vfs.readText(item.path), false); }
+      catch (e) { sh.err(`cat: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  rm: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const recursive = flags.has('r') || flags.has('R');
+    if (!rest.length) { if (!flags.has('f')) sh.err('rm: missing operand'); return flags.has('f') ? 0 : 1; }
+    let code = 0;
+    for (const a of rest) {
+      const path = resolvePath(sh.cwd, a);
+      const item = await sh.vfs.get(path);
+      if (!item) { if (!flags.has('f')) { sh.err(`rm: ${a}: No such file or directory`); code = 1; } continue; }
+      if (path === '/') { sh.err('rm: refusing to remove /'); code = 1; continue; }
+      if (item.type === 'folder' && !recursive) { sh.err(`rm: ${a}: is a directory`); code = 1; continue; }
+      try { await sh.vfs.delete(path); }
+      catch (e) { sh.err(`rm: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  cp: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const recursive = flags.has('r') || flags.has('R');
+    if (rest.length < 2) { sh.err('cp: missing destination operand'); return 1; }
+    const dest     = resolvePath(sh.cwd, rest.pop());
+    const destItem = await sh.vfs.get(dest);
+    if (rest.length > 1 && destItem?.type !== 'folder') { sh.err(`cp: ${prettyPath(dest)}: Not a directory`); return 1; }
+    let code = 0;
+    for (const a of rest) {
+      const path = resolvePath(sh.cwd, a);
+      const item = await sh.vfs.get(path);
+      if (!item) { sh.err(`cp: ${a}: No such file or directory`); code = 1; continue; }
+      if (item.type === 'folder' && !recursive) { sh.err(`cp: ${a}: is a directory (not copied)`); code = 1; continue; }
+      try {
+        if (destItem?.type === 'folder') await sh.vfs.copy(path, dest);
+        else if (destItem && item.type === 'folder') throw new Error('cannot overwrite non-directory with directory');
+        else await copyInto(sh.vfs, path, dest);
+      } catch (e) { sh.err(`cp: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  mv: async (args, sh) => {
+    if (args.length < 2) { sh.err('mv: missing destination operand'); return 1; }
+    const srcs     = args.slice(0, -1);
+    const dest     = resolvePath(sh.cwd, args[args.length - 1]);
+    const destItem = await sh.vfs.get(dest);
+    if (srcs.length > 1 && destItem?.type !== 'folder') { sh.err(`mv: ${prettyPath(dest)}: Not a directory`); return 1; }
+    let code = 0;
+    for (const a of srcs) {
+      const path = resolvePath(sh.cwd, a);
+      const item = await sh.vfs.get(path);
+      if (!item) { sh.err(`mv: ${a}: No such file or directory`); code = 1; continue; }
+      if (dest === path || dest.startsWith(path + '/')) { sh.err(`mv: cannot move ${a} into itself`); code = 1; continue; }
+      try {
+        if (destItem?.type === 'folder') await sh.vfs.move(path, dest);
+        else if (destItem) throw new Error('File exists');
+        else await sh.vfs.move(path, dirname(dest), basename(dest));
+      } catch (e) { sh.err(`mv: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  // Modes are octal (755), full (rwxr-xr-x) or symbolic (u+x,go-w) — a leading
+  // -w is a mode, not a flag, so only -R is taken as an option
+  chmod: async (args, sh) => {
+    const recursive = args[0] === '-R';
+    const [mode, ...paths] = recursive ? args.slice(1) : args;
+    if (!paths.length) { sh.err('chmod: usage: chmod [-R] mode path…'); return 1; }
+    let code = 0;
+    for (const a of paths) {
+      try { await sh.vfs.chmod(resolvePath(sh.cwd, a), mode, { recursive }); }
+      catch (e) { sh.err(`chmod: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  chown: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const [spec, ...paths] = rest;
+    if (!paths.length) { sh.err('chown: usage: chown [-R] owner[:group] path…'); return 1; }
+    const [owner, group] = spec.split(':');
+    let code = 0;
+    for (const a of paths) {
+      try { await sh.vfs.chown(resolvePath(sh.cwd, a), owner || null, group || null, { recursive:flags.has('R') }); }
+      catch (e) { sh.err(`chown: ${reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  // No arguments lists the mount table. idb and http take a source (database name /
+  // URL); every kind mounts at /mnt/<name>, named after the storage by default.
+  mount: async (args, sh) => {
+    if (!args.length) {
+      sh.out(sh.vfs.mountTable().map(m => `${m.label} on ${m.path} type ${m.kind}`).join('\n'));
+      return 0;
+    }
+    const [flag, kind, ...rest] = args;
+    const sourced = kind === 'idb' || kind === 'http';
+    const [source, name] = sourced ? rest : [null, rest[0]];
+    if (flag !== '-t' || !MOUNT_KINDS.includes(kind) || (sourced && !source)) {
+      sh.err(`mount: usage: mount [-t ${MOUNT_KINDS.join('|')} [source] [name]]`);
+      return 1;
+    }
+    try {
+      if (kind === 'handle') await sh.vfs.mount(name);
+      else await sh.vfs.mountBackend(kind, kind === 'idb' ? { dbName: source } : kind === 'http' ? { url: source } : {}, name);
+    } catch (e) { sh.err(`mount: ${reason(kind, e)}`); return 1; }
+    return 0;
+  },
+
+  umount: async (args, sh) => {
+    if (!args.length) { sh.err('umount: usage: umount path…'); return 1; }
+    let code = 0;
+    for (const a of args) {
+      try { await sh.vfs.unmount(resolvePath(sh.cwd, a)); }
+      catch (e) { sh.err(`umount: ${e.code === 'EINVAL' ? `${a}: not mounted` : reason(a, e)}`); code = 1; }
+    }
+    return code;
+  },
+
+  whoami: async (_, sh) => { sh.out(sh.vfs.user); return 0; },
+
+  // Run one command with the VFS acting as root. Redirections still run as the caller.
+  sudo: async (args, sh) => {
+    if (!args.length) { sh.err('sudo: usage: sudo command [arg…]'); return 1; }
+    const fn = COMMANDS[args[0]];
+    if (!fn) { sh.err(`sudo: ${args[0]}: command not found`); return 1; }
+    return fn(args.slice(1), { ...sh, vfs:sh.vfs.as('root') });
+  },
+
+  echo: async (args, sh) => {
+    let newline = true, escapes = false, i = 0;
+    for (; /^-[neE]+$/.test(args[i] || ''); i++) {
+      for (const f of args[i].slice(1)) { if (f === 'n') newline = false; else escapes = f === 'e'; }
+    }
+    const text = args.slice(i).join(' ');
+    sh.out((escapes ? unescapeEcho(text) : text) + (newline ? '\n' : ''), false);
+    return 0;
+  },
+
+  find: async (args, sh) => {
+    let root = '.', name = null, type = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '-name')      name = args[++i];
+      else if (args[i] === '-type') type = args[++i];
+      else if (!args[i].startsWith('-')) root = args[i];
+      else { sh.err(`find: unknown predicate '${args[i]}'`); return 1; }
+    }
+    const rootPath = resolvePath(sh.cwd, root);
+    const rootItem = await sh.vfs.get(rootPath);
+    if (!rootItem) { sh.err(`find: ${root}: No such file or directory`); return 1; }
+    const re    = name ? globToRegExp(name) : null;
+    const match = it => (!re || re.test(it.name)) &&
+      (!type || (type === 'd' ? it.type === 'folder' : it.type === 'file'));
+    const all   = [rootItem, ...(rootItem.type === 'folder' ? await sh.vfs.search('', rootPath) : [])];
+    const rel   = p => rootPath === '/' ? p : p.slice(rootPath.length);
+    const shown = p => p === rootPath ? root : root.replace(/\/+$/, '') + rel(p);
+    const lines = all.filter(match).map(it => shown(it.path)).sort();
+    if (lines.length) sh.out(lines.join('\n'));
+    return 0;
+  },
+
+  grep: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    if (!rest.length) { sh.err('grep: missing pattern'); return 2; }
+    const [pat, ...files] = rest;
+    let re;
+    try { re = new RegExp(pat, flags.has('i') ? 'i' : ''); }
+    catch { sh.err(`grep: invalid pattern '${pat}'`); return 2; }
+    const { inputs, failed } = await readInputs('grep', files, sh);
+    let any = false;
+    for (const { name, text } of inputs) {
+      const prefix = files.length > 1 ? `${name}:` : '';
+      const hits = toLines(text)
+        .map((l, i) => ({ l, n:i + 1 }))
+        .filter(({ l }) => re.test(l) !== flags.has('v'));
+      if (hits.length) any = true;
+      if (flags.has('c')) sh.out(prefix + hits.length);
+      else if (hits.length) sh.out(hits.map(({ l, n }) => prefix + (flags.has('n') ? `${n}:` : '') + l).join('\n'));
+    }
+    return failed ? 2 : any ? 0 : 1;
+  },
+
+  wc: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const all = !flags.has('l') && !flags.has('w') && !flags.has('c');
+    const { inputs, failed } = await readInputs('wc', rest, sh);
+    const total = { l:0, w:0, c:0 };
+    const row = (counts, name) => [
+      (all || flags.has('l')) && counts.l,
+      (all || flags.has('w')) && counts.w,
+      (all || flags.has('c')) && counts.c,
+    ].filter(v => v !== false).map(v => String(v).padStart(7)).join(' ') + (name ? ` ${name}` : '');
+    for (const { name, text } of inputs) {
+      const counts = {
+        l: (text.match(/\n/g) || []).length,
+        w: text.trim() ? text.trim().split(/\s+/).length : 0,
+        c: text.length,
+      };
+      total.l += counts.l; total.w += counts.w; total.c += counts.c;
+      sh.out(row(counts, name));
+    }
+    if (inputs.length > 1) sh.out(row(total, 'total'));
+    return failed ? 1 : 0;
+  },
+
+  head: async (args, sh) => {
+    const { n, rest } = parseCount(args);
+    if (Number.isNaN(n)) { sh.err('head: invalid number of lines'); return 1; }
+    const { inputs, failed } = await readInputs('head', rest, sh);
+    inputs.forEach(({ name, text }, i) => {
+      if (inputs.length > 1) sh.out(`${i ? '\n' : ''}==> ${name} <==`);
+      const out = toLines(text).slice(0, n);
+      if (out.length) sh.out(out.join('\n'));
+    });
+    return failed ? 1 : 0;
+  },
+
+  tail: async (args, sh) => {
+    const { n, rest } = parseCount(args);
+    if (Number.isNaN(n)) { sh.err('tail: invalid number of lines'); return 1; }
+    const { inputs, failed } = await readInputs('tail', rest, sh);
+    inputs.forEach(({ name, text }, i) => {
+      if (inputs.length > 1) sh.out(`${i ? '\n' : ''}==> ${name} <==`);
+      const out = n ? toLines(text).slice(-n) : [];
+      if (out.length) sh.out(out.join('\n'));
+    });
+    return failed ? 1 : 0;
+  },
+
+  sort: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const { inputs, failed } = await readInputs('sort', rest, sh);
+    let out = inputs.flatMap(({ text }) => toLines(text));
+    out.sort(flags.has('n') ? (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0) : (a, b) => a.localeCompare(b));
+    if (flags.has('r')) out.reverse();
+    if (flags.has('u')) out = out.filter((l, i) => i === 0 || l !== out[i - 1]);
+    if (out.length) sh.out(out.join('\n'));
+    return failed ? 2 : 0;
+  },
+
+  uniq: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const { inputs, failed } = await readInputs('uniq', rest.slice(0, 1), sh);
+    const groups = [];
+    for (const l of toLines(inputs[0]?.text)) {
+      const last = groups[groups.length - 1];
+      if (last && last.l === l) last.n++;
+      else groups.push({ l, n:1 });
+    }
+    const out = groups
+      .filter(g => !flags.has('d') || g.n > 1)
+      .map(g => flags.has('c') ? `${String(g.n).padStart(7)} ${g.l}` : g.l);
+    if (out.length) sh.out(out.join('\n'));
+    return failed ? 1 : 0;
+  },
+
+  export: async (args, sh) => {
+    if (!args.length) return COMMANDS.env([], sh);
+    for (const a of args) {
+      const m = a.match(/^(\w+)(?:=(.*))?$/s);
+      if (!m) { sh.err(`export: \`${a}': not a valid identifier`); return 1; }
+      if (m[2] !== undefined) sh.env[m[1]] = m[2];
+      else sh.env[m[1]] ??= '';
+    }
+    return 0;
+  },
+
+  unset: async (args, sh) => { args.forEach(a => delete sh.env[a]); return 0; },
+
+  env: async (_, sh) => {
+    const vars = Object.entries(sh.env).filter(([k]) => /^\w+$/.test(k));
+    if (vars.length) sh.out(vars.map(([k, v]) => `${k}=${v}`).join('\n'));
+    return 0;
+  },
+
+  test: async (args, sh) => runTest('test', args, sh),
+
+  '[': async (args, sh) => {
+    if (args[args.length - 1] !== ']') { sh.err("[: missing `]'"); return 2; }
+    return runTest('[', args.slice(0, -1), sh);
+  },
+
+  true:  async () => 0,
+  false: async () => 1,
+
+  // ── Desktop control ──
+  open: async (args, sh) => {
+    if (!args.length) { sh.err('open: missing operand'); return 2; }
+    let code = 0;
+    for (const a of args) {
+      const item = await sh.vfs.get(resolvePath(sh.cwd, a));
+      if (!item) { sh.err(`open: ${a}: No such file or directory`); code = 1; }
+      else if (item.type === 'folder') sh.desktop.onOpenApp?.('filemanager', item, true);
+      else sh.desktop.onOpenFile?.(item);
+    }
+    return code;
+  },
+
+  launch: async (args, sh) => {
+    const { flags, rest } = parseFlags(args);
+    const apps = sh.desktop.apps || {};
+    if (!rest.length) {
+      sh.out(Object.values(apps).map(a => `${a.id.padEnd(12)} ${a.title}`).join('\n'));
+      return 0;
+    }
+    const [id, file] = rest;
+    if (!apps[id]) { sh.err(`launch: ${id}: unknown application (run "launch" for a list)`); return 1; }
+    let item = null;
+    if (file) {
+      item = await sh.vfs.get(resolvePath(sh.cwd, file));
+      if (!item) { sh.err(`launch: ${file}: No such file or directory`); return 1; }
+    }
+    sh.desktop.onOpenApp?.(id, item, flags.has('n'));
+    return 0;
+  },
+
+  notify: async (args, sh) => {
+    let type = 'info';
+    if (args[0] === '-t') { type = args[1]; args = args.slice(2); }
+    if (!NOTIFY_TYPES.includes(type)) { sh.err(`notify: ${type}: type must be one of ${NOTIFY_TYPES.join(', ')}`); return 2; }
+    if (!args.length) { sh.err('notify: usage: notify [-t type] title [message]'); return 2; }
+    sh.desktop.notify?.(type, args[0], args.slice(1).join(' '));
+    return 0;
+  },
+
+  wallpaper: async (args, sh) => {
+    const { wallpapers = {}, currentWallpaper, setWallpaper } = sh.desktop;
+    if (!args.length) {
+      sh.out(Object.entries(wallpapers).map(([k, v]) => `${v === currentWallpaper ? '*' : ' '} ${k}`).join('\n'));
+      return 0;
+    }
+    const want = args.join(' ').toLowerCase();
+    const name = Object.keys(wallpapers).find(k => k.toLowerCase() === want);
+    if (!name) { sh.err(`wallpaper: ${args.join(' ')}: no such wallpaper`); return 1; }
+    setWallpaper?.(wallpapers[name]);
+    return 0;
+  },
+
+  theme: async (args, sh) => {
+    if (!args.length) { sh.out(sh.desktop.theme || 'dark'); return 0; }
+    if (args[0] !== 'dark' && args[0] !== 'light') { sh.err('theme: usage: theme [dark|light]'); return 2; }
+    sh.desktop.setTheme?.(args[0]);
+    return 0;
+  },
+
+  ps: async (_, sh) => {
+    const rows = [['ID', 'APP', 'STATE', 'TITLE'], ...(sh.desktop.windows || []).map(w => [
+      w.id, w.appId, w.isMin ? 'min' : w.isMax ? 'max' : 'normal',
+      w.initialFile?.name ? `${w.title} — ${w.initialFile.name}` : w.title,
+    ])];
+    const width = i => Math.max(...rows.map(r => r[i].length));
+    const [w0, w1, w2] = [width(0), width(1), width(2)];
+    sh.out(rows.map(r => `${r[0].padEnd(w0)}  ${r[1].padEnd(w1)}  ${r[2].padEnd(w2)}  ${r[3]}`).join('\n'));
+    return 0;
+  },
+
+  kill: async (args, sh) => {
+    if (!args.length) { sh.err('kill: usage: kill id…'); return 2; }
+    const windows = sh.desktop.windows || [];
+    let code = 0;
+    for (const id of args) {
+      if (windows.some(w => w.id === id)) sh.desktop.onCloseWindow?.(id);
+      else { sh.err(`kill: ${id}: no such window`); code = 1; }
+    }
+    return code;
+  },
+};
+
+// ── Executor ──────────────────────────────────────────────────────────────────
+// `state` is the running shell:
+//   { vfs, cwd, env, args, stdin, write, err, clear, exit, flow, loops, depth,
+//     signal, tty, history, desktop }
+// `args` holds the positional parameters ($0 first). exit/break/continue set
+// `flow`, which makes every list being run stop until something consumes it.
+// Ctrl+C sets `signal.aborted`; the next list step turns it into an 'abort'
+// flow that nothing consumes, so the whole job unwinds.
+// Commands in a pipeline run one after another; each one's stdout is buffered
+// and handed to the next as stdin.
+const MAX_DEPTH = 32;
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+// Apply < > >> redirects; returns { stdin, output } or null after an error
+const openRedirects = async (cmd, state, stdin) => {
+  let output = null;
+  for (const r of cmd.redirects) {
+    const targets = await expandWord(r.word, state);
+    if (targets.length !== 1) { state.err('lynksh: ambiguous redirect'); return null; }
+    const path = resolvePath(state.cwd, targets[0]);
+    if (r.op === '<') {
+      const item = await state.vfs.get(path);
+      if (!item || item.type === 'folder') { state.err(`lynksh: ${targets[0]}: No such file`); return null; }
+      stdin = await state.vfs.readText(path);
+    } else output = { path, append:r.op === '>>' };
+  }
+  return { stdin, output };
+};
+
+// A sourced script shares the caller's state; `sh script` gets its own copy of
+// the environment and working directory, and its own $0…$n.
+const runScript = async (file, args, sh, state, source = false) => {
+  const item = await state.vfs.get(resolvePath(state.cwd, file));
+  if (!item) { sh.err(`lynksh: ${file}: No such file or directory`); return 127; }
+  if (item.type === 'folder') { sh.err(`lynksh: ${file}: Is a directory`); return 126; }
+  if (state.depth >= MAX_DEPTH) { sh.err(`lynksh: ${file}: maximum script nesting exceeded`); return 1; }
+  let list;
+  try { list = parse(lex(await state.vfs.readText(item.path))); }
+  catch (e) { sh.err(`${file}: ${e.message}`); return 2; }
+
+  const child = {
+    ...state, stdin:sh.stdin, write:t => sh.out(t, false), tty:sh.tty, depth:state.depth + 1,
+    ...(source
+      ? { args:args.length ? [state.args[0], ...args] : state.args }
+      : { env:{ ...state.env, '?':'0' }, args:[file, ...args], flow:null, loops:0 }),
+  };
+  const code = await runList(list, child);
+  if (!source) return child.flow?.kind === 'exit' ? child.flow.code : code;
+  state.cwd  = child.cwd;
+  state.flow = child.flow;
+  return code;
+};
+
+const loopControl = (kind, args, sh, state) => {
+  const n = args.length ? parseInt(args[0], 10) : 1;
+  if (Number.isNaN(n) || n < 1) { sh.err(`${kind}: ${args[0]}: loop count out of range`); return 1; }
+  if (!state.loops) { sh.err(`${kind}: only meaningful in a \`for', \`while', or \`until' loop`); return 0; }
+  state.flow = { kind, n:Math.min(n, state.loops) };
+  return 0;
+};
+
+// Builtins that act on the shell itself rather than on files: (args, sh, state)
+const BUILTINS = {
+  clear: async (_, sh, state) => { state.clear(); return 0; },
+
+  exit: async (args, sh, state) => {
+    let code = args.length ? parseInt(args[0], 10) : Number(state.env['?']) || 0;
+    if (Number.isNaN(code)) { sh.err(`exit: ${args[0]}: numeric argument required`); code = 2; }
+    state.flow = { kind:'exit', code:code & 255 };
+    return code & 255;
+  },
+
+  break:    async (args, sh, state) => loopControl('break', args, sh, state),
+  continue: async (args, sh, state) => loopControl('continue', args, sh, state),
+
+  shift: async (args, sh, state) => {
+    const n = args.length ? parseInt(args[0], 10) : 1;
+    if (Number.isNaN(n) || n < 0 || n >= state.args.length) { sh.err(`shift: ${args[0] ?? n}: shift count out of range`); return 1; }
+    state.args.splice(1, n);
+    return 0;
+  },
+
+  sh: async (args, sh, state) => {
+    if (!args.length) { sh.err('sh: usage: sh script [arg…]'); return 2; }
+    return runScript(args[0], args.slice(1), sh, state);
+  },
+
+  source: async (args, sh, state) => {
+    if (!args.length) { sh.err('source: filename argument required'); return 2; }
+    return runScript(args[0], args.slice(1), sh, state, true);
+  },
+
+  '.': async (args, sh, state) => BUILTINS.source(args, sh, state),
+
+  history: async (args, sh, state) => {
+    if (!state.history) return 0;
+    if (args[0] === '-c') { state.history.clear(); return 0; }
+    const list = state.history.list();
+    const n = args.length ? parseInt(args[0], 10) : list.length;
+    if (Number.isNaN(n)) { sh.err(`history: ${args[0]}: numeric argument required`); return 2; }
+    const from = Math.max(0, list.length - n);
+    if (from < list.length) sh.out(list.slice(from).map((l, i) => `${String(from + i + 1).padStart(5)}  ${l}`).join('\n'));
+    return 0;
+  },
+};
+
+// After a loop body: consume a break/continue aimed at this loop. 'stop' means
+// leave the loop and keep unwinding (exit, or break/continue n > 1).
+const loopFlow = state => {
+  const f = state.flow;
+  if (!f) return null;
+  if (f.kind !== 'break' && f.kind !== 'continue') return 'stop';
+  if (f.n > 1) { f.n--; return 'stop'; }
+  state.flow = null;
+  return f.kind;
+};
+
+const runIf = async (cmd, state) => {
+  for (const { cond, body } of cmd.clauses) {
+    const ok = await runList(cond, state) === 0;
+    if (state.flow) return Number(state.env['?']);
+    if (ok) return runList(body, state);
+  }
+  return cmd.orelse ? runList(cmd.orelse, state) : 0;
+};
+
+// Loops yield to the event loop now and then so the window stays responsive
+const runFor = async (cmd, state) => {
+  const items = [];
+  if (cmd.words) for (const w of cmd.words) items.push(...await expandWord(w, state));
+  else items.push(...state.args.slice(1));
+  let code = 0;
+  for (let n = 0; n < items.length; n++) {
+    if (n && n % 64 === 0) await tick();
+    state.env[cmd.name] = items[n];
+    code = await runList(cmd.body, state);
+    const f = loopFlow(state);
+    if (f === 'stop' || f === 'break') break;
+  }
+  return code;
+};
+
+const runWhile = async (cmd, state) => {
+  let code = 0;
+  for (let n = 0; ; n++) {
+    if (n && n % 64 === 0) await tick();
+    const ok = await runList(cmd.cond, state) === 0;
+    let f = loopFlow(state);
+    if (f === 'stop' || f === 'break') break;
+    if (f === 'continue') continue;
+    if (ok === cmd.until) break;
+    code = await runList(cmd.body, state);
+    f = loopFlow(state);
+    if (f === 'stop' || f === 'break') break;
+  }
+  return code;
+};
+
+// if/for/while run against a child state so that their output can be
+// redirected or piped like any simple command's
+const runCompound = async (cmd, state, stdin, capture) => {
+  const io = await openRedirects(cmd, state, stdin);
+  if (!io) return { code:1, stdout:'' };
+  let buffer = '';
+  const inner = { ...state, stdin:io.stdin };
+  if (io.output || capture) { inner.write = t => { buffer += t; }; inner.tty = false; }
+  if (cmd.type !== 'if') inner.loops = state.loops + 1;
+
+  const code = cmd.type === 'if'  ? await runIf(cmd, inner)
+             : cmd.type === 'for' ? await runFor(cmd, inner)
+             :                      await runWhile(cmd, inner);
+  state.cwd  = inner.cwd;
+  state.flow = inner.flow;
+  if (!io.output) return { code, stdout:buffer };
+  try { await writeFile(state.vfs, io.output.path, buffer, io.output.append); }
+  catch (e) { state.err(`lynksh: ${e.message}`); return { code:1, stdout:'' }; }
+  return { code, stdout:'' };
+};
+
+const runCommand = async (cmd, state, stdin, capture) => {
+  if (cmd.type) return runCompound(cmd, state, stdin, capture);
+
+  // Leading NAME=value words are plain variable assignments
+  const args = [];
+  for (const w of cmd.words) {
+    if (!args.length && !w[0].q && /^[A-Za-z_]\w*=/.test(w[0].text)) {
+      const [, k, v] = (await expandQuoted(w, state)).match(/^(\w+)=(.*)$/s);
+      state.env[k] = v;
+    } else args.push(...await expandWord(w, state));
+  }
+
+  const io = await openRedirects(cmd, state, stdin);
+  if (!io) return { code:1, stdout:'' };
+  if (!args.length) return { code:0, stdout:'' };
+
+  const [name, ...rest] = args;
+  const builtin = BUILTINS[name], fn = COMMANDS[name];
+  // A name containing a slash (./build.sh, ~/bin/x) runs as a script
+  if (!builtin && !fn && !name.includes('/')) {
+    state.err(`lynksh: ${name}: command not found`);
+    return { code:127, stdout:'' };
+  }
+
+  let buffer = '';
+  const sh = {
+    vfs:state.vfs, cwd:state.cwd, env:state.env, stdin:io.stdin, err:state.err,
+    desktop:state.desktop?.() || {},
+    tty:state.tty !== false && !io.output && !capture,
+    setCwd: p => { state.cwd = p; state.env.PWD = p; },
+    // out(text, line=true) — line=true terminates with a newline
+    out: (text, line = true) => {
+      const s = line ? text + '\n' : text;
+      if (io.output || capture) buffer += s; else state.write(s);
+    },
+  };
+  try {
+    const code = builtin ? await builtin(rest, sh, state)
+               : fn      ? await fn(rest, sh)
+               :           await runScript(name, rest, sh, state);
+    if (io.output) { await writeFile(state.vfs, io.output.path, buffer, io.output.append); buffer = ''; }
+    return { code, stdout:buffer };
+  } catch (e) {
+    state.err(`${name}: ${e.message || e}`);
+    return { code:1, stdout:'' };
+  }
+};
+
+const runPipeline = async (pipeline, state) => {
+  let stdin = state.stdin ?? '', code = 0;
+  for (let i = 0; i < pipeline.length; i++) {
+    const r = await runCommand(pipeline[i], state, stdin, i < pipeline.length - 1);
+    stdin = r.stdout;
+    code  = r.code;
+  }
+  return code;
+};
+
+// && / || skip the next pipeline depending on the status so far
+const runList = async (list, state) => {
+  let code = Number(state.env['?']) || 0;
+  for (let i = 0; i < list.length && !state.flow; i++) {
+    if (state.signal?.aborted) { state.flow = { kind:'abort' }; return 130; }
+    const prev = i ? list[i - 1].op : null;
+    if (prev === '&&' && code !== 0) continue;
+    if (prev === '||' && code === 0) continue;
+    code = await runPipeline(list[i].pipeline, state);
+    state.env['?'] = String(code);
+  }
+  return code;
+};
+
+// Run a full command line; returns the exit status of the last pipeline run
+const runLine = async (line, state) => {
+  let list;
+  try { list = parse(lex(line)); }
+  catch (e) { state.err(`lynksh: ${e.message}`); state.env['?'] = '2'; return 2; }
+
+  let code = await runList(list, state);
+  const flow = state.flow;
+  state.flow = null;
+  if (flow?.kind === 'abort') { code = 130; state.env['?'] = '130'; }
+  if (flow?.kind === 'exit') state.exit?.(flow.code);
+  return code;
+};
+
+// ── Tab completion ────────────────────────────────────────────────────────────
+// Complete the word before the caret: a command name in command position,
+// otherwise a VFS path. Returns { word, matches:[{ name, folder }] }.
+const COMMAND_POSITION = /(^|[|;&]|\b(?:if|then|elif|else|do|while|until))\s*$/;
+const escapeWord = s => s.replace(/([\s'"\\|;&<>*?$#])/g, '\\$1');
+
+const completions = async (before, cwd, vfs) => {
+  const word = before.match(/(?:\\.|[^\s|;&<>'"])*$/)[0];
+  const head = before.slice(0, before.length - word.length);
+  if (COMMAND_POSITION.test(head) && !word.includes('/')) {
+    const names = [...new Set([...Object.keys(BUILTINS), ...Object.keys(COMMANDS), ...KEYWORDS])];
+    return { word, dir:'', matches:names.filter(n => n.startsWith(word)).sort().map(name => ({ name, folder:false })) };
+  }
+  const slash  = word.lastIndexOf('/');
+  const dir    = word.slice(0, slash + 1);
+  const prefix = unescapeGlob(word.slice(slash + 1));
+  const parent = await vfs.get(resolvePath(cwd, unescapeGlob(dir) || '.'));
+  if (parent?.type !== 'folder') return { word, dir, matches:[] };
+  const matches = (await vfs.list(parent.path))
+    .filter(c => c.name.startsWith(prefix) && (prefix.startsWith('.') || !c.name.startsWith('.')))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(c => ({ name:c.name, folder:c.type === 'folder' }));
+  return { word, dir, matches };
+};
+
+const commonPrefix = names => names.reduce((p, n) => {
+  let i = 0;
+  while (i < p.length && p[i] === n[i]) i++;
+  return p.slice(0, i);
+});
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+const HISTORY_KEY = 'terminal_history';
+const HISTORY_MAX = 500;
+const MAX_LINES   = 2000;
+
+const hasSelection = () => !!window.getSelection()?.toString();
+
+const AnsiText = ({ text }) => !text.includes(ESC) ? text
+  : parseAnsi(text).map((r, i) => <span key={i} style={r.style}>{r.text}</span>);
+
+// One shell tab: its own scrollback, working directory, environment and job
+function Session({ vfs, who, active, initialFile, history, desktopRef, onExit, onTitle }) {
+  const [lines,   setLines]   = useState(() => [
+    { id:0, kind:'out', text:'LynkOS Terminal — type "help" for a list of commands.' },
+  ]);
+  const [cwd,     setCwd]     = useState(() => isScript(initialFile) ? initialFile.parent : HOME);
+  const [input,   setInput]   = useState('');
+  const [running, setRunning] = useState(false);
+  const [search,  setSearch]  = useState(null);   // Ctrl+R: { query, index }
+
+  const rootRef    = useRef(null);
+  const inputRef   = useRef(null);
+  const scrollRef  = useRef(null);
+  const nextId     = useRef(1);
+  const envRef     = useRef(null);
+  const startedRef = useRef(false);
+  const jobRef     = useRef(null);      // signal of the running job, for Ctrl+C
+  const histPos    = useRef(null);      // index into history while browsing with ↑/↓
+  const draftRef   = useRef('');
+  const exitRef    = useRef(onExit);
+
+  const prompt = `${who}@lynkos:${prettyPath(cwd)}$`;
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [lines]);
+
+  useEffect(() => {
+    if (!active) return;
+    if (running) rootRef.current?.focus(); else inputRef.current?.focus();
+  }, [running, active]);
+
+  useEffect(() => { exitRef.current = onExit; });
+  useEffect(() => { onTitle(prettyPath(cwd)); }, [cwd]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const push = entries => setLines(p => {
+    const next = [...p, ...entries];
+    return next.length > MAX_LINES ? next.slice(-MAX_LINES) : next;
+  });
+
+  const append = (kind, text) => {
+    const chunks = text.replace(/\n$/, '').split('\n');
+    push(chunks.map(t => ({ id:nextId.current++, kind, text:t })));
+  };
+
+  const echoInput = (text, suffix = '') => push([{ id:nextId.current++, kind:'cmd', text:text + suffix, prompt }]);
+
+  const execute = async line => {
+    echoInput(line);
+    if (!line.trim() || !vfs) return;
+    history.add(line);
+    setRunning(true);
+    envRef.current ??= { HOME, USER:who, PWD:cwd, SHELL:'/bin/lynksh', '?':'0' };
+    const signal = jobRef.current = { aborted:false };
+    const state = {
+      vfs, cwd, env:envRef.current, args:['lynksh'], flow:null, loops:0, depth:0, signal, history,
+      write: t => append('out', t),
+      err:   t => append('err', t),
+      clear: () => setLines([]),
+      exit:  () => exitRef.current?.(),
+      desktop: () => desktopRef.current,
+    };
+    await runLine(line, state);
+    jobRef.current = null;
+    setCwd(state.cwd);
+    setRunning(false);
+  };
+
+  const submit = line => { setInput(''); setSearch(null); histPos.current = null; execute(line); };
+
+  // Opened on a .sh file: run it once (the ref guards StrictMode's double effect)
+  useEffect(() => {
+    if (startedRef.current || !vfs || !isScript(initialFile)) return;
+    startedRef.current = true;
+    execute(`sh ${shellQuote(initialFile.name)}`);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [vfs, initialFile]);
+
+  // ── History: ↑/↓ walk the list, the line being typed is kept as a draft ──
+  const recall = dir => {
+    const list = history.list();
+    if (!list.length) return;
+    const pos = histPos.current ?? list.length;
+    if (pos === list.length) draftRef.current = input;
+    const next = Math.max(0, Math.min(list.length, pos + dir));
+    histPos.current = next;
+    setInput(next === list.length ? draftRef.current : list[next]);
+  };
+
+  const findBack = (query, from) => {
+    const list = history.list();
+    for (let i = Math.min(from, list.length - 1); i >= 0; i--) if (list[i].includes(query)) return i;
+    return -1;
+  };
+
+  const complete = async () => {
+    const el = inputRef.current;
+    const caret = el?.selectionStart ?? input.length;
+    const before = input.slice(0, caret), after = input.slice(caret);
+    const { word, dir, matches } = await completions(before, cwd, vfs);
+    if (!matches.length) return;
+    const names = matches.map(m => m.name);
+    let insert = null;
+    if (matches.length === 1) insert = dir + escapeWord(names[0]) + (matches[0].folder ? '/' : ' ');
+    else {
+      const common = commonPrefix(names);
+      if (dir + escapeWord(common) !== word) insert = dir + escapeWord(common);
+    }
+    if (insert === null) {
+      echoInput(input);
+      append('out', matches.map(m => m.name + (m.folder ? '/' : '')).join('  '));
+      return;
+    }
+    const head = before.slice(0, before.length - word.length) + insert;
+    setInput(head + after);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(head.length, head.length));
+  };
+
+  const onSearchKey = e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    const match = search.index >= 0 ? history.list()[search.index] : '';
+    if (ctrl && e.key === 'r') {
+      e.preventDefault();
+      const index = findBack(search.query, search.index - 1);
+      if (index >= 0) setSearch({ ...search, index });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      submit(match || search.query);
+    } else if ((ctrl && (e.key === 'c' || e.key === 'g')) || e.key === 'Escape') {
+      e.preventDefault();
+      setSearch(null);
+    } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Tab'].includes(e.key)) {
+      e.preventDefault();
+      setInput(match || input);
+      setSearch(null);
+    }
+  };
+
+  const onKeyDown = e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (search) { onSearchKey(e); return; }
+    if (e.key === 'Enter')                 { e.preventDefault(); submit(input); }
+    else if (e.key === 'ArrowUp')          { e.preventDefault(); recall(-1); }
+    else if (e.key === 'ArrowDown')        { e.preventDefault(); recall(1); }
+    else if (e.key === 'Tab' && !e.shiftKey) { e.preventDefault(); complete(); }
+    else if (ctrl && e.key === 'r')        { e.preventDefault(); setSearch({ query:'', index:-1 }); }
+    else if (ctrl && e.key === 'l')        { e.preventDefault(); setLines([]); }
+    else if (ctrl && e.key === 'c' && !hasSelection()) {
+      e.preventDefault();
+      echoInput(input, '^C');
+      setInput('');
+      histPos.current = null;
+    }
+  };
+
+  // While a job runs the prompt is hidden and keys land on the session root
+  const onRootKeyDown = e => {
+    if (!running || !jobRef.current) return;
+    if ((e.ctrlKey || e.metaKey) && e.key === 'c' && !hasSelection()) {
+      e.preventDefault();
+      jobRef.current.aborted = true;
+      append('err', '^C');
+    }
+  };
+
+  const matched = search && search.index >= 0 ? history.list()[search.index] : '';
 
-export default function Terminal(props) {
   return (
-    <div style={{ height:'100%', display:'flex', alignItems:'center', justifyContent:'center', background:'#0d0d14', color:'rgba(255,255,255,0.5)', flexDirection:'column', gap:12 }}>
-      <span style={{ fontSize:48 }}>💻</span>
-      <span style={{ fontSize:14 }}>Terminal — implementation pending</span>
-      <span style={{ fontSize:11, opacity:0.4 }}>See apps/Terminal.jsx</span>
+    <div ref={rootRef} tabIndex={-1} onKeyDown={onRootKeyDown}
+      onClick={() => { if (!hasSelection()) (running ? rootRef : inputRef).current?.focus(); }}
+      style={{ flex:1, minHeight:0, display:active ? 'flex' : 'none', flexDirection:'column', outline:'none' }}>
+      <div ref={scrollRef} style={{ flex:1, overflowY:'auto', padding:'8px 12px', userSelect:'text' }}>
+        {lines.map(l => (
+          <div key={l.id} style={{ whiteSpace:'pre-wrap', wordBreak:'break-all', minHeight:'1.5em',
+            color:l.kind === 'err' ? RED : undefined }}>
+            {l.kind === 'cmd' && <span style={{ color:GREEN }}>{l.prompt} </span>}
+            <AnsiText text={l.text}/>
+          </div>
+        ))}
+        {!running && (
+          <div style={{ display:'flex', alignItems:'center' }}>
+            {search ? (
+              <span style={{ color:'#ffbd2e', whiteSpace:'pre' }}>
+                {search.index < 0 && search.query ? '(failed reverse-i-search)' : '(reverse-i-search)'}`
+              </span>
+            ) : <>
+              <span style={{ color:GREEN, whiteSpace:'pre' }}>{who}@lynkos:</span>
+              <span style={{ color:ACCENT, whiteSpace:'pre' }}>{prettyPath(cwd)}</span>
+              <span style={{ color:GREEN, whiteSpace:'pre' }}>$ </span>
+            </>}
+            <input ref={inputRef} value={search ? search.query : input} spellCheck={false} autoComplete="off"
+              size={search ? Math.max(search.query.length, 1) : undefined}
+              onChange={e => {
+                if (search) setSearch({ query:e.target.value, index:findBack(e.target.value, Infinity) });
+                else setInput(e.target.value);
+              }}
+              onKeyDown={onKeyDown}
+              style={{ flex:search ? 'none' : 1, background:'transparent', border:'none', outline:'none',
+                color:'#d4d4d4', fontFamily:MONO, fontSize:13, padding:0, caretColor:GREEN }}/>
+            {search && <span style={{ whiteSpace:'pre', flex:1 }}><span style={{ color:'#ffbd2e' }}>': </span>{matched}</span>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+export default function Terminal({
+  vfs, user, initialFile, onClose,
+  onOpenFile, onOpenApp, notify, apps, windows, onCloseWindow,
+  wallpapers, currentWallpaper, setWallpaper, theme, setTheme,
+}) {
+  const [tabs,     setTabs]     = useState(() => [{ id:1, title:'~' }]);
+  const [activeId, setActiveId] = useState(1);
+
+  const nextTab    = useRef(2);
+  const tabsRef    = useRef(tabs);
+  const desktopRef = useRef({});
+  const historyRef = useRef([]);
+
+  const who = (user?.name || 'admin').split(' ')[0].toLowerCase();
+
+  useEffect(() => { tabsRef.current = tabs; }, [tabs]);
+
+  // Desktop hooks for the open/launch/notify/wallpaper/theme/ps/kill commands.
+  // Kept in a ref so a long-running script always sees the current windows.
+  useEffect(() => {
+    desktopRef.current = {
+      onOpenFile, onOpenApp, notify, apps, windows, onCloseWindow,
+      wallpapers, currentWallpaper, setWallpaper, theme, setTheme,
+    };
+  });
+
+  // Command history is shared by every tab and persisted in the VFS meta store
+  useEffect(() => {
+    vfs?.getMeta(HISTORY_KEY).then(saved => {
+      if (Array.isArray(saved)) historyRef.current = [...saved, ...historyRef.current].slice(-HISTORY_MAX);
+    });
+  }, [vfs]);
+
+  const history = useMemo(() => ({
+    list: () => historyRef.current,
+    add:  line => {
+      const list = historyRef.current;
+      if (list[list.length - 1] === line) return;
+      historyRef.current = [...list, line].slice(-HISTORY_MAX);
+      vfs?.setMeta(HISTORY_KEY, historyRef.current);
+    },
+    clear: () => { historyRef.current = []; vfs?.setMeta(HISTORY_KEY, []); },
+  }), [vfs]);
+
+  // ── Tabs ──
+  const addTab = () => {
+    const id = nextTab.current++;
+    setTabs(p => [...p, { id, title:'~' }]);
+    setActiveId(id);
+  };
+
+  const closeTab = id => {
+    const list = tabsRef.current;
+    const idx  = list.findIndex(t => t.id === id);
+    const next = list.filter(t => t.id !== id);
+    if (!next.length) { onClose?.(); return; }
+    setTabs(next);
+    setActiveId(a => a === id ? next[Math.min(idx, next.length - 1)].id : a);
+  };
+
+  const setTitle = (id, title) => setTabs(p => p.map(t => t.id === id ? { ...t, title } : t));
+
+  const onKeyDown = e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    // Ctrl+Shift+T → new tab, Ctrl+Shift+W → close tab
+    if (ctrl && e.shiftKey && e.key.toLowerCase() === 't') { e.preventDefault(); addTab(); }
+    if (ctrl && e.shiftKey && e.key.toLowerCase() === 'w') { e.preventDefault(); closeTab(activeId); }
+    // Ctrl+PageUp / Ctrl+PageDown → previous / next tab
+    if (ctrl && (e.key === 'PageUp' || e.key === 'PageDown')) {
+      e.preventDefault();
+      const i = tabs.findIndex(t => t.id === activeId);
+      const n = tabs.length;
+      setActiveId(tabs[(i + (e.key === 'PageDown' ? 1 : n - 1)) % n].id);
+    }
+  };
+
+  return (
+    <div onKeyDown={onKeyDown}
+      style={{ height:'100%', display:'flex', flexDirection:'column', background:'#0c0c12',
+        color:'#d4d4d4', fontFamily:MONO, fontSize:13, lineHeight:1.5, cursor:'text' }}>
+
+      {/* ── Tabs ── */}
+      <div style={{ display:'flex', alignItems:'center', background:'rgba(0,0,0,0.35)',
+        borderBottom:'1px solid rgba(255,255,255,0.06)', overflowX:'auto',
+        flexShrink:0, minHeight:32, cursor:'default', fontFamily:'inherit' }}>
+        {tabs.map(t => (
+          <div key={t.id} onClick={() => setActiveId(t.id)}
+            style={{ display:'flex', alignItems:'center', gap:6, padding:'5px 10px 5px 10px',
+              cursor:'pointer', whiteSpace:'nowrap', fontSize:12, flexShrink:0,
+              borderRight:'1px solid rgba(255,255,255,0.05)',
+              background:t.id===activeId?'#161622':'transparent',
+              borderBottom:t.id===activeId?`2px solid ${GREEN}`:'2px solid transparent',
+              color:t.id===activeId?'white':'rgba(255,255,255,0.55)',
+              transition:'all 0.12s' }}>
+            <TerminalIcon size={12} style={{ opacity:0.6 }}/>
+            <span>{t.title}</span>
+            <X size={11} style={{ opacity:0.4, marginLeft:2 }}
+              onClick={e => { e.stopPropagation(); closeTab(t.id); }}
+              onMouseEnter={e => e.currentTarget.style.opacity='1'}
+              onMouseLeave={e => e.currentTarget.style.opacity='0.4'}/>
+          </div>
+        ))}
+        <button onClick={addTab} title="New Tab (Ctrl+Shift+T)"
+          style={{ padding:'5px 10px', background:'transparent', border:'none',
+            color:'rgba(255,255,255,0.4)', cursor:'pointer', flexShrink:0 }}>
+          <Plus size={13}/>
+        </button>
+      </div>
+
+      {tabs.map(t => (
+        <Session key={t.id} vfs={vfs} who={who} active={t.id === activeId}
+          initialFile={t.id === 1 ? initialFile : null}
+          history={history} desktopRef={desktopRef}
+          onExit={() => closeTab(t.id)} onTitle={title => setTitle(t.id, title)}/>
+      ))}
     </div>
   );
-}
\ No newline at end of file
+}
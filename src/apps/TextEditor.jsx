@@ -13,6 +13,8 @@
  *   • Status bar (line/col, word count, encoding)
  *   • Undo/Redo (browser native + tracked)
  *   • Unsaved-changes indicator (• in tab title)
+ *   • Revisions panel — earlier saved versions diffed against the buffer, one-click restore
+ *   • Open files are watched — renames are followed, outside edits offer Reload / Keep Mine
  *   • Keyboard: Ctrl+S save, Ctrl+W close tab, Ctrl+T new tab,
  *               Tab inserts 2 spaces, Ctrl+/ toggle line comment
  */
@@ -22,11 +24,12 @@ import {
   Plus, X, Save, FolderOpen, FileText, Search, RefreshCw,
   ChevronLeft, ChevronRight, AlignLeft, WrapText,
   ZoomIn, ZoomOut, MoreHorizontal, Copy, Clipboard,
-  Hash, AlertCircle, CheckCircle, Type, File,
+  Hash, AlertCircle, CheckCircle, Type, File, History, RotateCcw,
 } from 'lucide-react';
 
 const ACCENT  = '#4facfe';
 const ACCENT2 = '#00f2fe';
+const TRASH   = '/.Trash';
 
 // ── Language detection ────────────────────────────────────────────────────────
 const detectLang = filename => {
@@ -186,6 +189,124 @@ const HighlightedLine = React.memo(({ line, lang }) => {
   );
 });
 
+// ── Line diff — old → new as [{ type:' '|'-'|'+', text }] ─────────────────────
+// LCS over the lines between the common prefix and suffix; a middle too large to
+// compare line-by-line is shown as one removed block and one added block.
+const diffLines = (a, b) => {
+  const A = a.split('\n'), B = b.split('\n');
+  let pre = 0;
+  while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+  let suf = 0;
+  while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+  const x = A.slice(pre, A.length - suf), y = B.slice(pre, B.length - suf);
+  const mid = [];
+  if (x.length * y.length > 4e6) {
+    x.forEach(text => mid.push({ type:'-', text }));
+    y.forEach(text => mid.push({ type:'+', text }));
+  } else {
+    // lcs[i][j] = length of the LCS of x[i..] and y[j..]
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--)
+      for (let j = y.length - 1; j >= 0; j--)
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    let i = 0, j = 0;
+    while (i < x.length || j < y.length) {
+      if (i < x.length && j < y.length && x[i] === y[j]) { mid.push({ type:' ', text:x[i] }); i++; j++; }
+      else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) mid.push({ type:'-', text:x[i++] });
+      else mid.push({ type:'+', text:y[j++] });
+    }
+  }
+  return [
+    ...A.slice(0, pre).map(text => ({ type:' ', text })),
+    ...mid,
+    ...A.slice(A.length - suf).map(text => ({ type:' ', text })),
+  ];
+};
+
+const DIFF_STYLE = {
+  '+': { background:'rgba(80,200,120,0.14)', color:'#b5e8c0' },
+  '-': { background:'rgba(255,95,87,0.14)',  color:'#f2b8b4' },
+  ' ': { color:'rgba(255,255,255,0.45)' },
+};
+
+// ── Revisions panel — saved versions of the active file, diffed against the buffer ──
+const RevisionsPanel = ({ vfs, tab, notify, onRestore, onClose }) => {
+  const [revs,    setRevs]    = useState([]);
+  const [picked,  setPicked]  = useState(null);   // { id, text }
+  const [changed, setChanged] = useState(false);  // unchanged lines hidden by default
+
+  // Reload whenever the file is saved (savedContent changes) or switched
+  useEffect(() => {
+    if (!vfs || !tab.path) return;
+    vfs.listRevisions(tab.path)
+      .then(list => { setRevs(list); setPicked(null); })
+      .catch(e => notify?.('error','Revisions', e.message || String(e)));
+  }, [vfs, tab.path, tab.savedContent]); // eslint-disable-line
+
+  const pick = rev => vfs.readRevisionText(tab.path, rev.id)
+    .then(text => setPicked({ id: rev.id, text }))
+    .catch(e => notify?.('error','Revisions', e.message || String(e)));
+
+  const diff  = useMemo(() => picked ? diffLines(picked.text, tab.content) : [], [picked, tab.content]);
+  const added   = diff.filter(d => d.type === '+').length;
+  const removed = diff.filter(d => d.type === '-').length;
+  const shown = changed ? diff : diff.filter((d, i) =>
+    d.type !== ' ' || [-2, -1, 1, 2].some(o => diff[i + o] && diff[i + o].type !== ' '));
+
+  return (
+    <div style={{ width:320, flexShrink:0, display:'flex', flexDirection:'column',
+      background:'rgba(0,0,0,0.3)', borderLeft:'1px solid rgba(255,255,255,0.07)', fontSize:12 }}>
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between',
+        padding:'8px 10px', borderBottom:'1px solid rgba(255,255,255,0.07)' }}>
+        <span style={{ fontWeight:600 }}>Revisions</span>
+        <button onClick={onClose} style={iconBtn()}><X size={13}/></button>
+      </div>
+      {!tab.path
+        ? <div style={{ padding:20, textAlign:'center', opacity:0.35 }}>Save the file to start its history</div>
+        : revs.length === 0
+          ? <div style={{ padding:20, textAlign:'center', opacity:0.35 }}>No earlier versions</div>
+          : (
+          <div style={{ maxHeight:'40%', overflowY:'auto', padding:4, flexShrink:0 }}>
+            {revs.map(r => (
+              <div key={r.id} onClick={() => pick(r)}
+                style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:8,
+                  padding:'6px 8px', borderRadius:5, cursor:'pointer',
+                  background:picked?.id===r.id?'rgba(79,172,254,0.16)':'transparent' }}>
+                <span>{new Date(r.at).toLocaleString()}</span>
+                <span style={{ opacity:0.45, fontSize:11 }}>{r.size} B</span>
+              </div>
+            ))}
+          </div>
+        )}
+      {picked && (
+        <>
+          <div style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 10px',
+            borderTop:'1px solid rgba(255,255,255,0.07)', borderBottom:'1px solid rgba(255,255,255,0.07)' }}>
+            <span style={{ color:'#b5e8c0' }}>+{added}</span>
+            <span style={{ color:'#f2b8b4' }}>−{removed}</span>
+            <label style={{ display:'flex', alignItems:'center', gap:4, opacity:0.6, fontSize:11, marginLeft:'auto' }}>
+              <input type="checkbox" checked={changed} onChange={e => setChanged(e.target.checked)}/> All lines
+            </label>
+            <button onClick={() => onRestore(picked.id)} style={smallBtn({ display:'flex', alignItems:'center', gap:4 })}>
+              <RotateCcw size={11}/> Restore
+            </button>
+          </div>
+          <pre style={{ flex:1, overflow:'auto', margin:0, padding:'4px 0', fontSize:11, lineHeight:1.5,
+            fontFamily:"'Cascadia Code','JetBrains Mono','Fira Code',Consolas,monospace" }}>
+            {added + removed === 0
+              ? <div style={{ padding:12, opacity:0.4, fontFamily:'inherit' }}>Same as the current buffer</div>
+              : shown.map((d, i) => (
+                <div key={i} style={{ ...DIFF_STYLE[d.type], padding:'0 8px', whiteSpace:'pre-wrap', wordBreak:'break-all' }}>
+                  {d.type} {d.text}
+                </div>
+              ))}
+          </pre>
+        </>
+      )}
+    </div>
+  );
+};
+
 // ── uid helper ────────────────────────────────────────────────────────────────
 const uid = () => Math.random().toString(36).slice(2, 9);
 
@@ -213,6 +334,7 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
   const [goLineVal,  setGoLineVal]  = useState('');
   const [showVfsPicker, setShowVfsPicker] = useState(false);
   const [vfsFiles,   setVfsFiles]   = useState([]);
+  const [showRevs,   setShowRevs]   = useState(false);
 
   const textareaRef = useRef(null);
   const lineNumbersRef = useRef(null);
@@ -222,12 +344,15 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
   // ── Load initial file ───────────────────────────────────────────────────────
   useEffect(() => {
     if (!initialFile) return;
-    const content = initialFile.content || '';
     const name    = initialFile.name || 'untitled.txt';
     const path    = initialFile.path || null;
-    setTabs([{ id:uid(), name, content, savedContent:content, path, dirty:false, lang:detectLang(name), scrollTop:0, cursorLine:1, cursorCol:1 }]);
-    setActiveTab(0);
-  }, [initialFile]);
+    const read    = path && vfs ? vfs.readText(path) : Promise.resolve(initialFile.content || '');
+    read.then(content => {
+      setTabs([{ id:uid(), name, content, savedContent:content, path, dirty:false, lang:detectLang(name), scrollTop:0, cursorLine:1, cursorCol:1 }]);
+      setActiveTab(0);
+      if (initialFile.encoding === 'binary') notify?.('warning','Binary File', `${name} is not text — saving will replace it with the text shown`);
+    }).catch(e => notify?.('error','Open Failed', String(e.message || e)));
+  }, [initialFile]); // eslint-disable-line
 
   // ── Helpers to mutate active tab ────────────────────────────────────────────
   const updateTab = useCallback((idx, patch) => {
@@ -240,6 +365,45 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
       : t));
   }, [activeTab]);
 
+  // ── Watch open files for changes made by other windows and tabs ─────────────
+  const watchedPaths = useMemo(() => [...new Set(tabs.map(t => t.path).filter(Boolean))].join('\n'), [tabs]);
+
+  useEffect(() => {
+    if (!vfs || !watchedPaths) return;
+    const onChange = (path, ev) => {
+      const name = path.slice(path.lastIndexOf('/') + 1);
+      // Moving a file into the Trash counts as deleting it — saving shouldn't write there
+      if (ev.type === 'delete' || (ev.type === 'rename' && ev.path.startsWith(TRASH + '/'))) {
+        setTabs(prev => prev.map(t => t.path === path ? { ...t, path: null, dirty: true, diskContent: null } : t));
+        notify?.('warning','Deleted on Disk', `${name} was removed — save to keep it`);
+      } else if (ev.type === 'rename' && (path === ev.oldPath || path.startsWith(ev.oldPath + '/'))) {
+        const moved = ev.path + path.slice(ev.oldPath.length);
+        const to    = moved.slice(moved.lastIndexOf('/') + 1);
+        setTabs(prev => prev.map(t => t.path === path ? { ...t, path: moved, name: to, lang: detectLang(to) } : t));
+      } else if (ev.type === 'modify' && ev.path === path) {
+        vfs.readText(path).then(text => setTabs(prev => prev.map(t => {
+          if (t.path !== path || text === t.savedContent) return t;
+          // Our own save (or an identical edit) landing — nothing to ask about
+          if (text === t.content) return { ...t, savedContent: text, dirty: false, diskContent: null };
+          return { ...t, diskContent: text };
+        }))).catch(() => {});
+      }
+    };
+    const unwatch = watchedPaths.split('\n').map(path => vfs.watch(path, {}, ev => onChange(path, ev)));
+    return () => unwatch.forEach(fn => fn());
+  }, [vfs, watchedPaths, notify]);
+
+  // Take the version on disk, dropping local edits
+  const reloadFromDisk = () => {
+    const text = tab.diskContent;
+    updateTab(activeTab, { content: text, savedContent: text, dirty: false, diskContent: null });
+  };
+  // Keep the buffer; it now differs from what's on disk until the next save
+  const keepMine = () => {
+    const text = tab.diskContent;
+    updateTab(activeTab, { savedContent: text, dirty: tab.content !== text, diskContent: null });
+  };
+
   // ── Cursor tracking ─────────────────────────────────────────────────────────
   const updateCursor = useCallback(() => {
     const el = textareaRef.current;
@@ -404,8 +568,9 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
     if (!vfs) { notify?.('warning','No VFS','File system not ready'); return; }
     try {
       if (tab.path) {
-        await vfs.updateFile(tab.path, { content: tab.content, size: tab.content.length });
-        updateTab(activeTab, { savedContent: tab.content, dirty: false });
+        if (!tab.dirty && tab.diskContent == null) return;  // nothing to write: don't add a revision
+        await vfs.updateFile(tab.path, { content: tab.content });
+        updateTab(activeTab, { savedContent: tab.content, dirty: false, diskContent: null });
         notify?.('success','Saved', tab.name);
       } else {
         // Save As
@@ -415,7 +580,18 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
         updateTab(activeTab, { name: name.trim(), path: file.path, savedContent: tab.content, dirty: false, lang: detectLang(name.trim()) });
         notify?.('success','Saved', name);
       }
-    } catch(e) { notify?.('error','Save Failed', String(e)); }
+    } catch(e) { notify?.('error','Save Failed', e.message || String(e)); }
+  };
+
+  // Revision `id` becomes the file's content (the saved version before it joins the history)
+  const restoreRevision = async id => {
+    if (tab.dirty && !confirm(`Discard unsaved changes to "${tab.name}" and restore this version?`)) return;
+    try {
+      await vfs.restoreRevision(tab.path, id);
+      const content = await vfs.readText(tab.path);
+      updateTab(activeTab, { content, savedContent: content, dirty: false, diskContent: null });
+      notify?.('success','Version Restored', tab.name);
+    } catch(e) { notify?.('error','Restore Failed', e.message || String(e)); }
   };
 
   const openFromVfs = async () => {
@@ -429,14 +605,15 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
   };
 
   const loadVfsFile = async file => {
-    const full = await vfs.get(file.path);
-    const content = full?.content || '';
-    const t = newTab(file.name, content);
-    t.path = file.path;
-    setTabs(prev => [...prev, t]);
-    setActiveTab(tabs.length);
-    setShowVfsPicker(false);
-    await vfs.addToRecent(file);
+    try {
+      const content = await vfs.readText(file.path);
+      const t = newTab(file.name, content);
+      t.path = file.path;
+      setTabs(prev => [...prev, t]);
+      setActiveTab(tabs.length);
+      setShowVfsPicker(false);
+      await vfs.addToRecent(file);
+    } catch(e) { notify?.('error','Open Failed', String(e.message || e)); }
   };
 
   // ── Stats ─────────────────────────────────────────────────────────────────────
@@ -501,6 +678,13 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
           <Search size={13}/>
         </button>
 
+        {/* Revisions */}
+        <button onClick={() => setShowRevs(s=>!s)} title="Revisions"
+          style={{ ...iconBtn(), color:showRevs?ACCENT:'rgba(255,255,255,0.65)',
+            background:showRevs?'rgba(79,172,254,0.18)':'transparent' }}>
+          <History size={13}/>
+        </button>
+
         <div style={{ width:1, height:16, background:'rgba(255,255,255,0.1)', margin:'0 4px' }}/>
 
         {/* Font size */}
@@ -614,6 +798,19 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
         </div>
       )}
 
+      {/* ── Changed on disk ── */}
+      {tab?.diskContent != null && (
+        <div style={{ display:'flex', alignItems:'center', gap:8, padding:'6px 10px',
+          background:'rgba(250,204,21,0.12)', borderBottom:'1px solid rgba(250,204,21,0.3)', flexShrink:0 }}>
+          <AlertCircle size={13} style={{ color:'#facc15', flexShrink:0 }}/>
+          <span style={{ fontSize:12, flex:1 }}>
+            {tab.name} was changed on disk{tab.dirty ? ' — you have unsaved edits' : ''}.
+          </span>
+          <button onClick={reloadFromDisk} style={smallBtn()}>Reload</button>
+          <button onClick={keepMine}       style={smallBtn()}>Keep My Version</button>
+        </div>
+      )}
+
       {/* ── Editor area (line numbers + textarea) ── */}
       <div style={{ flex:1, display:'flex', overflow:'hidden', position:'relative' }}>
 
@@ -682,6 +879,11 @@ export default function TextEditor({ vfs, notify, initialFile, onClose }) {
             }}
           />
         </div>
+
+        {showRevs && tab && (
+          <RevisionsPanel vfs={vfs} tab={tab} notify={notify}
+            onRestore={restoreRevision} onClose={() => setShowRevs(false)}/>
+        )}
       </div>
 
       {/* ── Status bar ── */}
@@ -0,0 +1,25 @@
+// src/dnd.js — dragging VFS items between the File Manager, the desktop and app windows
+//
+// A drag carries its paths as JSON under VFS_DRAG (and one per line as text/plain for
+// anything outside LynkOS). Dropping moves them; holding Ctrl (⌘ on a Mac) copies.
+
+export const VFS_DRAG = 'application/x-lynkos-paths';
+
+// How long a drag has to rest on a folder or taskbar button before it springs open
+export const SPRING_MS = 700;
+
+export const setDragPaths = (e, paths) => {
+  e.dataTransfer.setData(VFS_DRAG, JSON.stringify(paths));
+  e.dataTransfer.setData('text/plain', paths.join('\n'));
+  e.dataTransfer.effectAllowed = 'copyMove';
+};
+
+// Only the types can be read while dragging over; the paths themselves arrive with the drop
+export const isVfsDrag = e => [...(e.dataTransfer?.types || [])].includes(VFS_DRAG);
+
+export const getDragPaths = e => {
+  try { return JSON.parse(e.dataTransfer.getData(VFS_DRAG) || '[]'); }
+  catch { return []; }
+};
+
+export const dropEffect = e => (e.ctrlKey || e.metaKey ? 'copy' : 'move');